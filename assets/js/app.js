@@ -17,9 +17,6 @@
 // If you have dependencies that try to import CSS, esbuild will generate a separate `app.css` file.
 // To load it, simply add a second `<link>` to your `root.html.heex` file.
 
-// Import ECharts for wave animation and heatmap
-import * as echarts from "echarts"
-
 // Include phoenix_html to handle method=PUT/DELETE in forms and buttons.
 import "phoenix_html"
 // Establish Phoenix Socket and LiveView configuration.
@@ -33,7 +30,26 @@ import * as THREE from "three"
 // React imports
 import React from "react"
 import { createRoot } from "react-dom/client"
-import EntityCalendarHeatmap from "./components/EntityCalendarHeatmap"
+import reactComponents from "./components"
+import ToastManager from "./hooks/ToastManager"
+import UploadDropZone from "./hooks/UploadDropZone"
+import DocumentViewer from "./hooks/DocumentViewer"
+import ReviewKeyboard from "./hooks/ReviewKeyboard"
+import ReviewActions from "./hooks/ReviewActions"
+import LayoutChrome from "./hooks/LayoutChrome"
+import ReviewSelection from "./hooks/ReviewSelection"
+import CommandPalette from "./hooks/CommandPalette"
+import PipelineTracker from "./hooks/PipelineTracker"
+import AgreementGraph from "./hooks/AgreementGraph"
+import RuleEditor from "./hooks/RuleEditor"
+import SegmentationInspector from "./hooks/SegmentationInspector"
+import {THEMES, getTheme, setTheme, subscribe as subscribeTheme} from "./lib/theme"
+import {applyWaveMessage, createWaveRunner} from "./lib/wave_field"
+import {cancelUpdate, onFrame, requestUpdate} from "./lib/frame_scheduler"
+import {requestTiltPermission, subscribeTilt, tiltSupported} from "./lib/device_tilt"
+import {countSummary, createViewToggle, visibleTreeItems} from "./lib/chart_a11y"
+import {mountChart} from "./lib/charts"
+import {downloadBlob} from "./lib/download"
 // tsParticles loaded via CDN
 
 // Particle Ring System
@@ -122,58 +138,34 @@ const pointsOuter = Array.from(
     };
 });
 
-// Toast Manager Hook
-const ToastManager = {
-  mounted() {
-    this.currentToastTimer = null
-    
-    this.handleEvent("show_toast", ({type, message, persistent}) => {
-      // Clear any existing timer
-      if (this.currentToastTimer) {
-        clearTimeout(this.currentToastTimer)
-        this.currentToastTimer = null
-      }
-      
-      // Only auto-dismiss non-persistent toasts
-      if (!persistent) {
-        this.currentToastTimer = setTimeout(() => {
-          this.pushEvent("dismiss_toast", {})
-        }, 5000)
-      }
-    })
-    
-    this.handleEvent("clear_persistent_toast", () => {
-      // Clear any existing timer when clearing persistent toasts
-      if (this.currentToastTimer) {
-        clearTimeout(this.currentToastTimer)
-        this.currentToastTimer = null
-      }
-    })
-  },
-  
-  destroyed() {
-    if (this.currentToastTimer) {
-      clearTimeout(this.currentToastTimer)
-    }
-  }
-}
+// Initialize Mermaid (theme follows the app theme, see ./lib/theme). Strict
+// mode sanitizes labels and disables click bindings: definitions are generated
+// from extracted contract text. SVG text labels (no <foreignObject>) keep PNG
+// export from tainting the canvas.
+const mermaidThemeFor = (theme) => (theme.mode === 'dark' ? 'dark' : 'default')
+let mermaidTheme = mermaidThemeFor(getTheme())
 
-// Initialize Mermaid (theme based on prefers-color-scheme)
-try {
-  const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches
-  mermaid.initialize({ startOnLoad: false, securityLevel: 'loose', theme: prefersDark ? 'dark' : 'default' })
-  window.mermaid = mermaid
-} catch (_e) {}
+const initializeMermaid = () => {
+  try {
+    mermaid.initialize({ startOnLoad: false, securityLevel: 'strict', theme: mermaidTheme, flowchart: { htmlLabels: false } })
+    window.mermaid = mermaid
+  } catch (_e) {}
+}
+initializeMermaid()
 
-// Render all Mermaid diagrams helper (works for static pages and LiveView updates)
+// Render static `.mermaid` blocks not rendered yet (controller-rendered pages and
+// markup outside the Mermaid hook); Mermaid marks finished ones with data-processed
 function renderAllMermaid() {
   const m = window.mermaid
   if (!m) return
+  // Mermaid replaces the definition with the SVG; keep it for re-theming
+  document.querySelectorAll('.mermaid:not([data-processed]):not([data-mermaid-source])')
+    .forEach(el => { el.dataset.mermaidSource = el.textContent })
   try {
     if (typeof m.run === "function") {
-      m.run({ querySelector: ".mermaid" })
+      m.run({ querySelector: ".mermaid:not([data-processed])" })
     } else if (typeof m.init === "function") {
-      m.init(undefined, document.querySelectorAll(".mermaid"))
+      m.init(undefined, document.querySelectorAll(".mermaid:not([data-processed])"))
     }
   } catch (_e) {}
 }
@@ -181,144 +173,356 @@ function renderAllMermaid() {
 // Run once on initial load (controller-rendered pages won't mount hooks)
 document.addEventListener("DOMContentLoaded", () => renderAllMermaid())
 
-// Re-run after LiveView navigations complete
+// Pick up static diagrams after LiveView navigations complete
 window.addEventListener("phx:page-loading-stop", () => renderAllMermaid())
 
-// Mermaid Hook: initializes diagrams
+// Re-render static diagrams in the new theme; Mermaid hooks re-render themselves
+subscribeTheme((theme) => {
+  const next = mermaidThemeFor(theme)
+  if (next === mermaidTheme) return
+  mermaidTheme = next
+  initializeMermaid()
+  document.querySelectorAll('.mermaid[data-processed][data-mermaid-source]').forEach(el => {
+    el.removeAttribute('data-processed')
+    el.textContent = el.dataset.mermaidSource
+  })
+  renderAllMermaid()
+})
+
+// Rendered SVG per theme + definition, shared by every Mermaid hook on the page
+const mermaidSvgCache = new Map()
+const MERMAID_CACHE_LIMIT = 50
+let mermaidRenderSeq = 0
+
+// Mermaid Hook: renders the diagram in data-definition into the element's
+// [data-role="mermaid-output"] child (or the element itself), e.g. the
+// Evhlegalchat.ClauseFlow diagrams. Only a changed definition is re-rendered,
+// and identical definitions come from the cache. Buttons with
+// data-mermaid-export="svg" | "png" download the diagram as
+// data-filename (defaults to the element id). Use phx-update="ignore".
+// Diagrams are re-rendered when the app theme changes. Without data-definition
+// the hook falls back to rendering inline `.mermaid` blocks.
 const Mermaid = {
   mounted() {
-    renderAllMermaid()
+    this.el.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-mermaid-export]')
+      if (button && this.el.contains(button)) this.exportDiagram(button.dataset.mermaidExport)
+    })
+    this.renderedTheme = mermaidTheme
+    this.unsubscribeTheme = subscribeTheme(() => {
+      if (this.renderedTheme === mermaidTheme) return
+      this.renderedTheme = mermaidTheme
+      this.renderedDefinition = null
+      this.renderDiagram()
+    })
+    this.renderDiagram()
   },
   updated() {
-    renderAllMermaid()
+    this.renderDiagram()
+  },
+  destroyed() {
+    this.unsubscribeTheme?.()
+  },
+  output() {
+    return this.el.querySelector('[data-role="mermaid-output"]') || this.el
+  },
+  async renderDiagram() {
+    const definition = this.el.dataset.definition
+    if (definition == null) {
+      renderAllMermaid()
+      return
+    }
+    if (definition === this.renderedDefinition) return
+    this.renderedDefinition = definition
+    const seq = this.renderSeq = ++mermaidRenderSeq
+
+    const key = `${mermaidTheme}\n${definition}`
+    let svg = mermaidSvgCache.get(key)
+    if (!svg) {
+      try {
+        ({svg} = await mermaid.render(`mermaid-svg-${seq}`, definition))
+      } catch (e) {
+        console.error('Mermaid: could not render diagram', e)
+        if (this.renderSeq === seq) {
+          this.output().textContent = 'This diagram could not be rendered.'
+          this.renderedDefinition = null
+        }
+        return
+      }
+      if (mermaidSvgCache.size >= MERMAID_CACHE_LIMIT) mermaidSvgCache.delete(mermaidSvgCache.keys().next().value)
+      mermaidSvgCache.set(key, svg)
+    }
+    // A newer definition or theme arrived while this one was rendering
+    if (this.renderSeq !== seq) return
+    this.output().innerHTML = svg
+  },
+  exportDiagram(format) {
+    const svgEl = this.output().querySelector('svg')
+    if (!svgEl) return
+    const filename = this.el.dataset.filename || this.el.id || 'diagram'
+    const clone = svgEl.cloneNode(true)
+    clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg')
+    const markup = new XMLSerializer().serializeToString(clone)
+
+    if (format === 'svg') {
+      downloadBlob(new Blob([markup], {type: 'image/svg+xml'}), `${filename}.svg`)
+      return
+    }
+
+    const box = svgEl.viewBox?.baseVal
+    const width = box && box.width ? box.width : svgEl.getBoundingClientRect().width
+    const height = box && box.height ? box.height : svgEl.getBoundingClientRect().height
+    const scale = 2
+    const image = new Image()
+    image.onload = () => {
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.ceil(width * scale)
+      canvas.height = Math.ceil(height * scale)
+      const ctx = canvas.getContext('2d')
+      ctx.fillStyle = mermaidTheme === 'dark' ? '#1f2937' : '#ffffff'
+      ctx.fillRect(0, 0, canvas.width, canvas.height)
+      ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+      canvas.toBlob(blob => blob && downloadBlob(blob, `${filename}.png`), 'image/png')
+    }
+    image.onerror = (e) => console.error('Mermaid: PNG export failed', e)
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`
   }
 }
 
-// ECharts Tree Hook: initializes tree diagrams
+// ECharts Tree Hook: renders the tree in the JSON `data-tree` attribute,
+// e.g. Evhlegalchat.ClauseTree.build/4 output. Nodes are `{id, name, kind,
+// children}`. Clicking a node pushes "tree:select" (override with
+// data-select-event) with `{id, kind}`. The user's expand/collapse choices are
+// remembered per node id, so LiveView updates re-render in place instead of
+// resetting the tree. Colors follow the app theme.
+//
+// The chart carries a text summary for screen readers, and "Show as list"
+// swaps it for an ARIA tree of the same nodes: arrow keys move between
+// nodes, Right/Left expand and collapse, Enter selects. Give the element
+// phx-update="ignore"; the hook owns its children. Sizing and export go
+// through lib/charts (data-chart-target is the element id).
+const TREE_INITIAL_DEPTH = 2
+
+const TREE_KIND_LABELS = {
+  section: ['section', 'sections'],
+  clause: ['clause', 'clauses'],
+  key_clause: ['key clause', 'key clauses'],
+  carveout: ['carveout', 'carveouts']
+}
+
 const EChartsTree = {
   mounted() {
-    this.initChart()
+    this.collapsed = new Map()
+    this.activeId = null
+
+    if (getComputedStyle(this.el).position === 'static') this.el.style.position = 'relative'
+
+    this.chartEl = document.createElement('div')
+    this.chartEl.className = 'w-full h-full'
+    this.chartEl.setAttribute('role', 'img')
+
+    this.listEl = document.createElement('ul')
+    this.listEl.id = `${this.el.id}-list`
+    this.listEl.className = 'w-full h-full overflow-auto p-4 pt-10 text-sm'
+    this.listEl.setAttribute('role', 'tree')
+    this.listEl.hidden = true
+
+    const toggle = createViewToggle({controls: this.listEl.id, label: 'Show as list', onToggle: (list) => this.showList(list)})
+    this.el.append(this.chartEl, this.listEl, toggle)
+
+    this.chart = mountChart(this.chartEl, {id: this.el.id})
+
+    this.chart.on('click', (params) => {
+      const node = params.data
+      if (!node || !node.id) return
+      if (node.children && node.children.length > 0) {
+        // ECharts toggles the node itself; mirror it so the next update keeps it
+        this.collapsed.set(node.id, !this.isCollapsed(node))
+        this.renderList()
+      }
+      this.select(node)
+    })
+
+    this._onListKeyDown = (e) => this.onListKeyDown(e)
+    this._onListClick = (e) => {
+      const item = e.target.closest('[role="treeitem"]')
+      const entry = item && this.items[Number(item.dataset.index)]
+      if (!entry) return
+      this.activeId = entry.node.id
+      if (entry.expandable) this.setCollapsed(entry.node, !this.isCollapsed(entry.node))
+      this.select(entry.node)
+      this.focusActive()
+    }
+    this.listEl.addEventListener('keydown', this._onListKeyDown)
+    this.listEl.addEventListener('click', this._onListClick)
+
+    this.handleEvent('tree:data', ({id, tree}) => {
+      if (id !== this.el.id) return
+      this.tree = tree
+      this.renderTree()
+    })
+
+    this.unsubscribeTheme = subscribeTheme(() => this.renderTree())
+
+    this.tree = this.readTree()
+    this.renderTree()
   },
   updated() {
-    this.initChart()
+    this.tree = this.readTree()
+    this.renderTree()
   },
   destroyed() {
-    if (this.chart) {
-      this.chart.dispose()
+    this.listEl.removeEventListener('keydown', this._onListKeyDown)
+    this.listEl.removeEventListener('click', this._onListClick)
+    this.unsubscribeTheme?.()
+    this.chart.dispose()
+  },
+  select(node) {
+    this.pushEventTo(this.el, this.el.dataset.selectEvent || 'tree:select', {id: node.id, kind: node.kind || null})
+  },
+  showList(list) {
+    this.listEl.hidden = !list
+    this.chartEl.hidden = list
+    // Coming back, the chart resizes itself once its container has a size again
+    if (list) this.focusActive()
+  },
+  setCollapsed(node, collapsed) {
+    this.collapsed.set(node.id, collapsed)
+    this.renderTree()
+  },
+  summary() {
+    if (!this.tree || !this.tree.name) return 'Empty tree'
+    const counts = {}
+    const count = (node) => {
+      counts[node.kind] = (counts[node.kind] || 0) + 1
+      ;(node.children || []).forEach(count)
     }
+    ;(this.tree.children || []).forEach(count)
+    const parts = countSummary(counts, TREE_KIND_LABELS)
+    return `Tree of ${this.tree.name}${parts ? `: ${parts}` : ''}. Use "Show as list" to browse it with the keyboard.`
+  },
+  // The visible nodes as an ARIA tree with one focusable item (roving tabindex)
+  renderList() {
+    const hadFocus = this.listEl.contains(document.activeElement)
+    this.items = visibleTreeItems(this.decorated, (node) => this.isCollapsed(node))
+    if (!this.items.some(entry => entry.node.id === this.activeId)) this.activeId = this.items[0]?.node.id ?? null
+
+    this.listEl.setAttribute('aria-label', this.tree?.name ? `Tree of ${this.tree.name}` : 'Tree')
+    this.listEl.replaceChildren(...this.items.map((entry, index) => {
+      const {node, level, posinset, setsize, expandable} = entry
+      const item = document.createElement('li')
+      item.dataset.index = index
+      item.setAttribute('role', 'treeitem')
+      item.setAttribute('aria-level', level)
+      item.setAttribute('aria-posinset', posinset)
+      item.setAttribute('aria-setsize', setsize)
+      if (expandable) item.setAttribute('aria-expanded', String(!this.isCollapsed(node)))
+      item.tabIndex = node.id === this.activeId ? 0 : -1
+      item.className = 'cursor-pointer rounded px-2 py-1 outline-none hover:bg-gray-100 focus:ring-2 focus:ring-emerald-500'
+      item.style.paddingLeft = `${(level - 1) * 1.25 + 0.5}rem`
+
+      const marker = expandable ? (this.isCollapsed(node) ? '▸ ' : '▾ ') : '• '
+      const kind = TREE_KIND_LABELS[node.kind]?.[0]
+      item.textContent = `${marker}${node.name}${kind ? ` (${kind})` : ''}${node.value ? `: ${node.value}` : ''}`
+      return item
+    }))
+
+    if (hadFocus) this.focusActive()
+  },
+  focusActive() {
+    const index = this.items?.findIndex(entry => entry.node.id === this.activeId) ?? -1
+    const item = index >= 0 ? this.listEl.querySelector(`[data-index="${index}"]`) : null
+    if (item && !this.listEl.hidden) item.focus()
   },
-  initChart() {
-    if (this.chart) {
-      this.chart.dispose()
+  onListKeyDown(e) {
+    const index = this.items.findIndex(entry => entry.node.id === this.activeId)
+    const entry = this.items[index]
+    if (!entry) return
+
+    const moveTo = (next) => {
+      if (next < 0 || next >= this.items.length) return
+      this.activeId = this.items[next].node.id
+      this.renderList()
+      this.focusActive()
     }
-    
-    const data = {
-      name: 'Legal Entity Management',
-      children: [
-        {
-          name: 'Formation',
-          children: [
-            {
-              name: 'Corporate Structure',
-              children: [
-                { name: 'Delaware C-Corp', value: 1500 },
-                { name: 'LLC Formation', value: 1200 },
-                { name: 'Partnership', value: 800 }
-              ]
-            },
-            {
-              name: 'Registration',
-              children: [
-                { name: 'EIN Application', value: 500 },
-                { name: 'State Registration', value: 600 },
-                { name: 'Foreign Qualification', value: 400 }
-              ]
-            }
-          ]
-        },
-        {
-          name: 'Governance',
-          children: [
-            {
-              name: 'Documentation',
-              children: [
-                { name: 'Bylaws', value: 900 },
-                { name: 'Operating Agreement', value: 1100 },
-                { name: 'Board Resolutions', value: 700 }
-              ]
-            },
-            {
-              name: 'Compliance',
-              children: [
-                { name: 'Annual Reports', value: 300 },
-                { name: 'Meeting Minutes', value: 400 },
-                { name: 'Registered Agent', value: 200 }
-              ]
-            }
-          ]
-        },
-        {
-          name: 'Equity & Finance',
-          children: [
-            {
-              name: 'Cap Table',
-              children: [
-                { name: 'Founder Equity', value: 2000 },
-                { name: 'Employee Stock Options', value: 1500 },
-                { name: 'Investor Shares', value: 3000 }
-              ]
-            },
-            {
-              name: 'Banking',
-              children: [
-                { name: 'Business Account', value: 800 },
-                { name: 'Credit Facilities', value: 1200 },
-                { name: 'Payment Processing', value: 600 }
-              ]
-            }
-          ]
-        },
-        {
-          name: 'Risk Management',
-          children: [
-            {
-              name: 'Insurance',
-              children: [
-                { name: 'D&O Insurance', value: 500 },
-                { name: 'General Liability', value: 400 },
-                { name: 'Professional Liability', value: 600 }
-              ]
-            },
-            {
-              name: 'Legal Protection',
-              children: [
-                { name: 'IP Protection', value: 800 },
-                { name: 'Contract Management', value: 1000 },
-                { name: 'Regulatory Compliance', value: 900 }
-              ]
-            }
-          ]
+
+    switch (e.key) {
+      case 'ArrowDown': moveTo(index + 1); break
+      case 'ArrowUp': moveTo(index - 1); break
+      case 'Home': moveTo(0); break
+      case 'End': moveTo(this.items.length - 1); break
+      case 'ArrowRight':
+        if (entry.expandable && this.isCollapsed(entry.node)) {
+          this.setCollapsed(entry.node, false)
+        } else if (entry.expandable) {
+          moveTo(index + 1)
         }
-      ]
+        break
+      case 'ArrowLeft':
+        if (entry.expandable && !this.isCollapsed(entry.node)) {
+          this.setCollapsed(entry.node, true)
+        } else {
+          moveTo(entry.parent)
+        }
+        break
+      case 'Enter':
+      case ' ':
+        this.select(entry.node)
+        break
+      default:
+        return
     }
+    e.preventDefault()
+  },
+  readTree() {
+    try {
+      return JSON.parse(this.el.dataset.tree || 'null')
+    } catch (e) {
+      console.error('EChartsTree: invalid data-tree JSON', e)
+      return null
+    }
+  },
+  isCollapsed(node) {
+    return this.collapsed.has(node.id) ? this.collapsed.get(node.id) : node._depth >= TREE_INITIAL_DEPTH
+  },
+  // Copies the server tree, pinning every branch's collapsed flag explicitly
+  decorate(node, depth) {
+    const children = (node.children || []).map(child => this.decorate(child, depth + 1))
+    const decorated = {...node, _depth: depth, children}
+    if (children.length > 0) decorated.collapsed = this.isCollapsed(decorated)
+    return decorated
+  },
+  renderTree() {
+    this.chartEl.setAttribute('aria-label', this.summary())
+
+    if (!this.tree || !this.tree.name) {
+      this.decorated = null
+      this.chart.clear()
+      this.renderList()
+      return
+    }
+
+    this.decorated = this.decorate(this.tree, 0)
+    this.renderList()
 
+    const {colors} = getTheme()
     const option = {
       tooltip: {
         trigger: 'item',
         triggerOn: 'mousemove',
-        backgroundColor: 'rgba(0, 0, 0, 0.8)',
-        borderColor: '#10b981',
+        backgroundColor: colors.tooltipBackground,
+        borderColor: colors.accent,
         borderWidth: 1,
         textStyle: {
-          color: '#fff'
+          color: colors.tooltipText
         }
       },
       series: [
         {
           type: 'tree',
           id: 0,
-          name: 'legalEntityTree',
-          data: [data],
+          name: this.el.dataset.treeName || 'agreementTree',
+          data: [this.decorated],
           top: '10%',
           left: '8%',
           bottom: '22%',
@@ -326,21 +530,24 @@ const EChartsTree = {
           symbolSize: 8,
           edgeShape: 'polyline',
           edgeForkPosition: '63%',
-          initialTreeDepth: 2,
+          itemStyle: {
+            color: colors.accent,
+            borderColor: colors.accentStrong
+          },
           lineStyle: {
             width: 2,
-            color: '#10b981'
+            color: colors.accent
           },
           label: {
-            backgroundColor: 'rgba(16, 185, 129, 0.1)',
-            borderColor: '#10b981',
+            backgroundColor: colors.surfaceRaised,
+            borderColor: colors.accent,
             borderWidth: 1,
             borderRadius: 4,
             padding: [4, 8],
             position: 'left',
             verticalAlign: 'middle',
             align: 'right',
-            color: '#10b981',
+            color: colors.accentSoft,
             fontSize: 12
           },
           leaves: {
@@ -360,34 +567,75 @@ const EChartsTree = {
       ]
     }
 
-    this.chart = echarts.init(this.el)
     this.chart.setOption(option)
-    
-    // Handle resize
-    window.addEventListener('resize', () => {
-      if (this.chart) {
-        this.chart.resize()
-      }
-    })
   }
 }
 
-    // React Hook: mounts React components
+    // React Hook: mounts React components from the registry in ./components
+    //
+    //   <div id="obligations" phx-hook="ReactMount" phx-update="ignore"
+    //        data-react-component="EntityCalendarHeatmap"
+    //        data-props={Jason.encode!(Map.put(@heatmap, :compact, true))}></div>
+    //
+    // Props come from the JSON `data-props` attribute and are re-read on every
+    // LiveView patch. The server can also merge props without a re-render with
+    // push_event(socket, "react:props", %{id: "obligations", props: %{...}}).
+    // Every component receives `pushEvent(event, payload, onReply)`, which
+    // targets the LiveView (or LiveComponent) that owns the mount element, and
+    // the current `theme` (see ./lib/theme); it re-renders on theme changes.
+    // phx-update="ignore" keeps LiveView's DOM patching away from the React tree.
     const ReactMount = {
       mounted() {
-        console.log('ReactMount hook mounted');
         const componentName = this.el.dataset.reactComponent
-        const compact = this.el.dataset.compact === 'true'
-        console.log('Component name:', componentName, 'compact:', compact);
-        if (componentName === 'EntityCalendarHeatmap') {
-          console.log('Creating React root and rendering EntityCalendarHeatmap');
-          this.root = createRoot(this.el)
-          this.root.render(React.createElement(EntityCalendarHeatmap, { compact }))
+        this.component = reactComponents[componentName]
+        if (!this.component) {
+          console.error(`ReactMount: unknown component "${componentName}"`)
+          return
         }
+
+        this.props = this.readProps()
+        this.pushedProps = {}
+        this.pushToServer = (event, payload = {}, onReply) => this.pushEventTo(this.el, event, payload, onReply)
+        this.root = createRoot(this.el)
+
+        this.handleEvent('react:props', ({id, props}) => {
+          if (id !== this.el.id) return
+          this.pushedProps = {...this.pushedProps, ...props}
+          this.renderComponent()
+        })
+        this.unsubscribeTheme = subscribeTheme(() => this.renderComponent())
+        this.renderComponent()
+      },
+
+      updated() {
+        if (!this.root) return
+        const props = this.readProps()
+        // Pushed props only survive until the server renders new ones for the same keys
+        Object.keys(props).forEach(key => delete this.pushedProps[key])
+        this.props = props
+        this.renderComponent()
+      },
+
+      readProps() {
+        try {
+          return JSON.parse(this.el.dataset.props || '{}')
+        } catch (e) {
+          console.error('ReactMount: invalid data-props JSON', e)
+          return {}
+        }
+      },
+
+      renderComponent() {
+        this.root.render(React.createElement(this.component, {
+          ...this.props,
+          ...this.pushedProps,
+          pushEvent: this.pushToServer,
+          theme: getTheme()
+        }))
       },
       
       destroyed() {
-        console.log('ReactMount hook destroyed');
+        this.unsubscribeTheme?.()
         if (this.root) {
           this.root.unmount()
         }
@@ -396,193 +644,110 @@ const EChartsTree = {
 
 
 
-// LayoutChrome: manages left rail collapse and keyboard shortcuts
-const LayoutChrome = {
+// Global noise-based wave background (LiveView Hook)
+//
+// The field (lib/wave_field.js) is drawn by workers/wave_worker.js on an
+// OffscreenCanvas; browsers without OffscreenCanvas, or whose worker fails to
+// load, draw it on the main thread. It pauses while the tab is hidden or the
+// element is scrolled away, shows a still frame under prefers-reduced-motion
+// and lowers its resolution when frames take too long.
+//
+// The wave is pure decoration and plots no data, so unlike the charts it has
+// no summary or table view: its canvas is hidden from assistive technology.
+const WAVE_WORKER_URL = "/assets/workers/wave_worker.js"
+
+const WaveAnimation = {
   mounted() {
-    this.grid = this.el
-    this.left = this.grid.querySelector('[data-panel="left"]')
-    this.toggleLeftBtn = this.grid.querySelector('[data-action="toggle-left"]')
-
-    this.leftCollapsed = false
-
-    const COLS_DEFAULT = 'grid-cols-[260px_minmax(0,1fr)]'
-    const COLS_COLLAPSED = 'grid-cols-[72px_minmax(0,1fr)]'
-
-    this._apply = () => {
-      // update grid cols
-      this.grid.classList.remove(COLS_DEFAULT, COLS_COLLAPSED)
-      const cols = this.leftCollapsed
-        ? COLS_COLLAPSED
-        : COLS_DEFAULT
-      this.grid.classList.add(cols)
-
-      // toggle label visibility in left rail
-      const toggleLabels = (container, hidden) => {
-        if (!container) return
-        container.querySelectorAll('[data-collapsible-label]')
-          .forEach(el => el.classList.toggle('hidden', hidden))
-      }
-      toggleLabels(this.left, this.leftCollapsed)
-    }
+    const {wave0, wave1} = getTheme().colors
+    this.motionQuery = window.matchMedia?.("(prefers-reduced-motion: reduce)")
+    this.options = {seed: Math.random(), colors: {wave0, wave1}, reducedMotion: !!this.motionQuery?.matches}
+    this.inView = true
 
-    this.toggleLeft = () => { this.leftCollapsed = !this.leftCollapsed; this._apply() }
+    if (!this.startWorker()) this.startMainThread()
 
-    this.toggleLeftBtn?.addEventListener('click', this.toggleLeft)
+    this._resizeObserver = new ResizeObserver(() => this.sendSize())
+    this._resizeObserver.observe(this.el)
 
-    this._onKeyDown = (e) => {
-      const key = (e.key || '').toLowerCase()
-      const mod = e.metaKey || e.ctrlKey
-      if (mod && key === 'b') { e.preventDefault(); this.toggleLeft() }
-      if (mod && key === 'k') {
-        const search = this.grid.querySelector('[data-role="command-search"]')
-        if (search) { e.preventDefault(); search.focus() }
-      }
-    }
-    window.addEventListener('keydown', this._onKeyDown)
+    this._io = new IntersectionObserver((entries) => {
+      this.inView = !!entries[entries.length - 1]?.isIntersecting
+      this.sendPlaying()
+    }, {threshold: 0.01})
+    this._io.observe(this.el)
 
-    this._apply()
-  },
-  destroyed() {
-    window.removeEventListener('keydown', this._onKeyDown)
-    this.toggleLeftBtn?.removeEventListener('click', this.toggleLeft)
-  }
-}
+    this._onVisibility = () => this.sendPlaying()
+    document.addEventListener("visibilitychange", this._onVisibility)
 
-// Global ECharts Noise-based Background (LiveView Hook)
-const WaveAnimation = {
-  mounted() {
-    this.chart = echarts.init(this.el, null, {renderer: "canvas"})
+    this._onMotion = (e) => this.send({type: "reducedMotion", reduced: e.matches})
+    this.motionQuery?.addEventListener?.("change", this._onMotion)
 
-    const getNoiseHelper = () => {
-      class Grad {
-        constructor(x, y, z) { this.x = x; this.y = y; this.z = z }
-        dot2(x, y) { return this.x * x + this.y * y }
-        dot3(x, y, z) { return this.x * x + this.y * y + this.z * z }
-      }
-      const grad3 = [
-        new Grad(1, 1, 0), new Grad(-1, 1, 0), new Grad(1, -1, 0), new Grad(-1, -1, 0),
-        new Grad(1, 0, 1), new Grad(-1, 0, 1), new Grad(1, 0, -1), new Grad(-1, 0, -1),
-        new Grad(0, 1, 1), new Grad(0, -1, 1), new Grad(0, 1, -1), new Grad(0, -1, -1)
-      ]
-      const p = [151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,99,37,240,21,10,23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,203,117,35,11,32,57,177,33,88,237,149,56,87,174,20,125,136,171,168,68,175,74,165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,133,230,220,105,92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,226,250,124,123,5,202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,182,189,28,42,223,183,170,213,119,248,152,2,44,154,163,70,221,153,101,155,167,43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,178,185,112,104,218,246,97,228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,14,239,107,49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,236,205,93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180]
-      let perm = new Array(512)
-      let gradP = new Array(512)
-      function seed(seed) {
-        if (seed > 0 && seed < 1) seed *= 65536
-        seed = Math.floor(seed)
-        if (seed < 256) seed |= seed << 8
-        for (let i = 0; i < 256; i++) {
-          let v = (i & 1) ? (p[i] ^ (seed & 255)) : (p[i] ^ ((seed >> 8) & 255))
-          perm[i] = perm[i + 256] = v
-          gradP[i] = gradP[i + 256] = grad3[v % 12]
-        }
-      }
-      function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10) }
-      function lerp(a, b, t) { return (1 - t) * a + t * b }
-      function perlin2(x, y) {
-        let X = Math.floor(x), Y = Math.floor(y)
-        x = x - X; y = y - Y; X = X & 255; Y = Y & 255
-        let n00 = gradP[X + perm[Y]].dot2(x, y)
-        let n01 = gradP[X + perm[Y + 1]].dot2(x, y - 1)
-        let n10 = gradP[X + 1 + perm[Y]].dot2(x - 1, y)
-        let n11 = gradP[X + 1 + perm[Y + 1]].dot2(x - 1, y - 1)
-        let u = fade(x)
-        return lerp(lerp(n00, n10, u), lerp(n01, n11, u), fade(y))
-      }
-      seed(0)
-      return { seed, perlin2 }
-    }
+    // Follow theme changes (including ones made in other tabs)
+    this.unsubscribeTheme = subscribeTheme(({colors}) => {
+      this.send({type: "colors", colors: {wave0: colors.wave0, wave1: colors.wave1}})
+    })
 
-    this.noise = getNoiseHelper()
-    this.noise.seed(Math.random())
-    this.config = {
-      frequency: 10,
-      offsetX: 0,
-      offsetY: 100,
-      minSize: 60,
-      maxSize: 80,
-      duration: 3000,
-      color0: getComputedStyle(document.documentElement).getPropertyValue('--wave-color0').trim() || '#0001201',
-      color1: getComputedStyle(document.documentElement).getPropertyValue('--wave-color1').trim() || '#000',
-      backgroundColor: 'transparent'
-    }
+    this.sendSize()
+    this.sendPlaying()
+  },
 
-    this._createElements = () => {
-      const elements = []
-      const w = this.chart.getWidth()
-      const h = this.chart.getHeight()
-      const step = 48
-      for (let x = 24; x < w; x += step) {
-        for (let y = 24; y < h; y += step) {
-          const rand = this.noise.perlin2(
-            x / this.config.frequency + this.config.offsetX,
-            y / this.config.frequency + this.config.offsetY
-          )
-          elements.push({
-            type: 'circle',
-            x,
-            y,
-            style: { fill: this.config.color1 },
-            shape: { r: this.config.maxSize },
-            keyframeAnimation: {
-              duration: this.config.duration,
-              loop: true,
-              delay: (rand - 1) * 10000,
-              keyframes: [
-                { percent: 0.5, easing: 'sinusoidalInOut', style: { fill: this.config.color0 }, scaleX: this.config.minSize / this.config.maxSize, scaleY: this.config.minSize / this.config.maxSize },
-                { percent: 1, easing: 'sinusoidalInOut', style: { fill: this.config.color1 }, scaleX: 1, scaleY: 1 }
-              ]
-            }
-          })
-        }
-      }
-      return elements
-    }
+  createCanvas() {
+    this.canvas?.remove()
+    this.canvas = document.createElement("canvas")
+    this.canvas.className = "block w-full h-full"
+    this.canvas.setAttribute("aria-hidden", "true")
+    this.el.appendChild(this.canvas)
+    return this.canvas
+  },
 
-    this._render = () => {
-      this.chart.setOption({
-        backgroundColor: this.config.backgroundColor,
-        graphic: { elements: this._createElements() }
-      }, true)
-    }
+  startWorker() {
+    if (typeof Worker === "undefined" || !HTMLCanvasElement.prototype.transferControlToOffscreen) return false
 
-    this._onResize = () => {
-      this.chart?.resize()
-      clearTimeout(this._resizeT)
-      this._resizeT = setTimeout(() => this._render(), 120)
+    try {
+      const offscreen = this.createCanvas().transferControlToOffscreen()
+      this.worker = new Worker(WAVE_WORKER_URL)
+      this.worker.postMessage({type: "init", canvas: offscreen, ...this.options}, [offscreen])
+      this.send = (message) => this.worker?.postMessage(message)
+      // A worker that fails to load leaves a canvas it controls; start over on a new one
+      this.worker.addEventListener("error", (e) => {
+        console.warn("WaveAnimation: worker failed, drawing on the main thread", e.message)
+        this.worker?.terminate()
+        this.worker = null
+        this.startMainThread()
+        this.sendSize()
+        this.sendPlaying()
+      })
+      return true
+    } catch (e) {
+      console.warn("WaveAnimation: OffscreenCanvas unavailable", e)
+      this.worker?.terminate()
+      this.worker = null
+      return false
     }
-    window.addEventListener('resize', this._onResize, {passive: true})
+  },
 
-    this._io = new IntersectionObserver((e) => {
-      if (e[0]?.isIntersecting) this._render()
-    }, {threshold: 0.01})
-    this._io.observe(this.el)
+  startMainThread() {
+    const runner = createWaveRunner(this.createCanvas().getContext("2d"), this.options)
+    this.runner = runner
+    this.send = (message) => applyWaveMessage(runner, message)
+  },
 
-    // Listen for theme changes to update wave colors
-    this._onThemeChange = () => {
-      this.config.color0 = getComputedStyle(document.documentElement).getPropertyValue('--wave-color0').trim() || '#0001201'
-      this.config.color1 = getComputedStyle(document.documentElement).getPropertyValue('--wave-color1').trim() || '#000'
-      this._render()
-    }
-    
-    // Listen for data-theme attribute changes
-    this._observer = new MutationObserver((mutations) => {
-      mutations.forEach((mutation) => {
-        if (mutation.type === 'attributes' && mutation.attributeName === 'data-theme') {
-          setTimeout(this._onThemeChange, 50) // Small delay to let CSS variables update
-        }
-      })
-    })
-    this._observer.observe(document.documentElement, { attributes: true })
+  sendSize() {
+    const {width, height} = this.el.getBoundingClientRect()
+    this.send({type: "resize", width, height, dpr: window.devicePixelRatio || 1})
+  },
 
-    this._render()
+  sendPlaying() {
+    this.send({type: "playing", playing: this.inView && document.visibilityState !== "hidden"})
   },
 
   destroyed() {
-    window.removeEventListener('resize', this._onResize)
+    this._resizeObserver?.disconnect()
     this._io?.disconnect()
-    this._observer?.disconnect()
-    if (this.chart) this.chart.dispose()
+    document.removeEventListener("visibilitychange", this._onVisibility)
+    this.motionQuery?.removeEventListener?.("change", this._onMotion)
+    this.unsubscribeTheme?.()
+    this.worker?.terminate()
+    this.runner?.destroy()
+    this.canvas?.remove()
   }
 }
 
@@ -611,6 +776,13 @@ const FlashlightToggle = {
 }
 
 // Holographic Card Hook (Artifact UI-inspired)
+//
+// Follows mouse, pen and touch through pointer events and, on tablets, the
+// device orientation (lib/device_tilt, opt out with data-device-tilt="false").
+// Events only record the input; styles are written by the shared frame
+// scheduler (lib/frame_scheduler), once per frame for all cards together.
+const HOLO_REST_TRANSFORM = 'perspective(1000px) rotateX(0deg) rotateY(0deg) scale(1) translateZ(0px)'
+
 const HolographicCard = {
   mounted() {
     this.rotationFactor = Number(this.el.dataset.rotationFactor || 12)
@@ -624,6 +796,10 @@ const HolographicCard = {
 
     this._glitchOffset = {x: 0, y: 0}
     this._hovered = false
+    this._pointer = null
+    this._deviceTilt = null
+    this._inView = true
+    this._colors = getTheme().colors
 
     const bg = this.el.dataset.bg || 'rgba(15, 23, 42, 0.75)'
     const bgDark = this.el.dataset.bgDark || 'rgba(15, 23, 42, 0.9)'
@@ -637,104 +813,178 @@ const HolographicCard = {
     this.flashlightEnabled = (document.documentElement.dataset.flashlight !== 'off')
     this._onFlashlight = (e) => {
       this.flashlightEnabled = !!(e?.detail?.enabled ?? (document.documentElement.dataset.flashlight !== 'off'))
-      if (!this.flashlightEnabled) this.el.style.setProperty('--holo-glow-opacity', '0')
+      this._requestRender()
     }
     window.addEventListener('flashlight:change', this._onFlashlight)
 
-    this._onMouseMove = (e) => {
-      const rect = this.el.getBoundingClientRect()
-      const x = e.clientX - rect.left
-      const y = e.clientY - rect.top
-      const percentX = x / rect.width
-      const percentY = y / rect.height
-      this.el.style.setProperty('--mouse-x', `${percentX * 100}%`)
-      this.el.style.setProperty('--mouse-y', `${percentY * 100}%`)
-
-      const rotateY = (percentX - 0.5) * this.rotationFactor
-      const rotateX = (0.5 - percentY) * this.rotationFactor
-      const angle = Math.atan2(y - rect.height / 2, x - rect.width / 2) * (180 / Math.PI)
-
-      if (this.tiltEnabled) {
-        const scale = this._hovered ? 1.02 : 1
-        const translateZ = this.depth ? (this._hovered ? '50px' : '0px') : '0px'
-        const tx = this._glitchOffset.x
-        const ty = this._glitchOffset.y
-        this.el.style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(${scale}) translateZ(${translateZ}) translate(${tx}px, ${ty}px)`
-      }
-
-      if (this.prismatic) {
-        // Theme-aware prismatic effect using CSS variables
-        const currentTheme = document.documentElement.dataset.theme || 'dark'
-        let color1, color2, color3
-        
-        // Get theme-specific colors
-        const styles = getComputedStyle(document.documentElement)
-        color1 = styles.getPropertyValue('--emerald-400').trim()
-        color2 = styles.getPropertyValue('--emerald-500').trim()
-        color3 = styles.getPropertyValue('--emerald-600').trim()
-        
-        // Create gradient that shifts based on mouse angle but uses theme colors
-        const grad = `linear-gradient(${angle}deg, ${color1} 0%, ${color2} 50%, ${color3} 100%)`
-        const gradDark = `linear-gradient(${angle}deg, ${color1} 0%, ${color2} 50%, ${color3} 100%)`
-        
-        this.el.style.setProperty('--holographic-gradient', grad)
-        this.el.style.setProperty('--holographic-gradient-dark', gradDark)
-      }
-    }
+    // Prismatic colors come from the theme snapshot instead of getComputedStyle per event
+    this.unsubscribeTheme = subscribeTheme(({colors}) => {
+      this._colors = colors
+      this._requestRender()
+    })
 
-    this._onEnter = () => {
+    this._onPointerEnter = (e) => {
       this._hovered = true
+      this._pointer = {x: e.clientX, y: e.clientY}
       if (this.tiltEnabled) this.el.style.transition = 'transform 0.1s ease-out'
-      if (this.flashlightEnabled) this.el.style.setProperty('--holo-glow-opacity', '1')
       if (this.glitch) this._startGlitch()
+      this._requestRender()
     }
 
-    this._onLeave = () => {
+    this._onPointerMove = (e) => {
+      if (!this._hovered) return this._onPointerEnter(e)
+      this._pointer = {x: e.clientX, y: e.clientY}
+      this._requestRender()
+    }
+
+    this._onPointerLeave = (e) => {
+      // A mouse or pen still over the card after pointerup keeps it active
+      if (e.type === 'pointerup' && e.pointerType !== 'touch') return
       this._hovered = false
+      this._pointer = null
       this._glitchOffset = {x: 0, y: 0}
-      if (this.tiltEnabled) {
-        this.el.style.transform = 'perspective(1000px) rotateX(0deg) rotateY(0deg) scale(1) translateZ(0px)'
-        this.el.style.transition = 'transform 0.5s ease-out'
-      }
-      this.el.style.setProperty('--holo-glow-opacity', '0')
+      if (this.tiltEnabled) this.el.style.transition = 'transform 0.5s ease-out'
       this._stopGlitch()
+      this._requestRender()
     }
 
-    this._startGlitch = () => {
-      if (this._glitchTimer) return
-      this._glitchTimer = setInterval(() => {
-        if (!this._hovered) return
-        if (Math.random() > 0.92) {
-          this._glitchOffset = {x: (Math.random() - 0.5) * 10, y: (Math.random() - 0.5) * 10}
-          setTimeout(() => { this._glitchOffset = {x: 0, y: 0} }, 50)
-        }
-      }, 100)
+    this._onPointerDown = (e) => {
+      this._onPointerEnter(e)
+      // iOS only grants motion access from a user gesture
+      if (this._wantsDeviceTilt()) requestTiltPermission().then(granted => granted && this._startDeviceTilt())
+    }
+
+    this.el.addEventListener('pointerenter', this._onPointerEnter)
+    this.el.addEventListener('pointermove', this._onPointerMove)
+    this.el.addEventListener('pointerdown', this._onPointerDown)
+    this.el.addEventListener('pointerup', this._onPointerLeave)
+    this.el.addEventListener('pointerleave', this._onPointerLeave)
+    this.el.addEventListener('pointercancel', this._onPointerLeave)
+
+    this._io = new IntersectionObserver((entries) => {
+      this._inView = !!entries[entries.length - 1]?.isIntersecting
+    })
+    this._io.observe(this.el)
+
+    if (this._wantsDeviceTilt()) this._startDeviceTilt()
+  },
+
+  _wantsDeviceTilt() {
+    return this.tiltEnabled && this.el.dataset.deviceTilt !== 'false' && tiltSupported()
+  },
+
+  _startDeviceTilt() {
+    if (this.unsubscribeTilt) return
+    this.unsubscribeTilt = subscribeTilt((tilt) => {
+      this._deviceTilt = tilt
+      if (this._inView && !this._hovered) this._requestRender()
+    })
+  },
+
+  _startGlitch() {
+    if (this.stopGlitchFrames) return
+    let nextCheck = 0
+    let resetAt = 0
+    this.stopGlitchFrames = onFrame((time) => {
+      if (resetAt && time >= resetAt) {
+        resetAt = 0
+        this._glitchOffset = {x: 0, y: 0}
+        this._requestRender()
+      }
+      if (time < nextCheck) return
+      nextCheck = time + 100
+      if (Math.random() > 0.92) {
+        this._glitchOffset = {x: (Math.random() - 0.5) * 10, y: (Math.random() - 0.5) * 10}
+        resetAt = time + 50
+        this._requestRender()
+      }
+    })
+  },
+
+  _stopGlitch() {
+    this.stopGlitchFrames?.()
+    this.stopGlitchFrames = null
+  },
+
+  _requestRender() {
+    requestUpdate(this, () => this._measure())
+  },
+
+  // Read phase: where the card is pointed at, as fractions of its size
+  _measure() {
+    let percentX = 0.5
+    let percentY = 0.5
+    let angle = 0
+    const engaged = this._hovered || !!this._deviceTilt
+
+    if (this._pointer) {
+      const rect = this.el.getBoundingClientRect()
+      const x = this._pointer.x - rect.left
+      const y = this._pointer.y - rect.top
+      percentX = x / rect.width
+      percentY = y / rect.height
+      angle = Math.atan2(y - rect.height / 2, x - rect.width / 2) * (180 / Math.PI)
+    } else if (this._deviceTilt) {
+      percentX = 0.5 + this._deviceTilt.x / 2
+      percentY = 0.5 + this._deviceTilt.y / 2
+      angle = Math.atan2(this._deviceTilt.y, this._deviceTilt.x) * (180 / Math.PI)
     }
 
-    this._stopGlitch = () => {
-      if (this._glitchTimer) {
-        clearInterval(this._glitchTimer)
-        this._glitchTimer = null
+    return () => this._write({percentX, percentY, angle, engaged})
+  },
+
+  // Write phase
+  _write({percentX, percentY, angle, engaged}) {
+    const style = this.el.style
+    style.setProperty('--mouse-x', `${percentX * 100}%`)
+    style.setProperty('--mouse-y', `${percentY * 100}%`)
+    style.setProperty('--holo-glow-opacity', this._hovered && this.flashlightEnabled ? '1' : '0')
+
+    if (this.tiltEnabled) {
+      if (engaged) {
+        const rotateY = (percentX - 0.5) * this.rotationFactor
+        const rotateX = (0.5 - percentY) * this.rotationFactor
+        const scale = this._hovered ? 1.02 : 1
+        const translateZ = this.depth && this._hovered ? '50px' : '0px'
+        const {x: tx, y: ty} = this._glitchOffset
+        style.transform = `perspective(1000px) rotateX(${rotateX}deg) rotateY(${rotateY}deg) scale(${scale}) translateZ(${translateZ}) translate(${tx}px, ${ty}px)`
+      } else {
+        style.transform = HOLO_REST_TRANSFORM
       }
     }
 
-    this.el.addEventListener('mousemove', this._onMouseMove)
-    this.el.addEventListener('mouseenter', this._onEnter)
-    this.el.addEventListener('mouseleave', this._onLeave)
+    if (this.prismatic && engaged) {
+      // Gradient follows the pointer angle in the theme's accent colors
+      const {accentSoft, accent, accentStrong} = this._colors
+      const grad = `linear-gradient(${angle}deg, ${accentSoft} 0%, ${accent} 50%, ${accentStrong} 100%)`
+      style.setProperty('--holographic-gradient', grad)
+      style.setProperty('--holographic-gradient-dark', grad)
+    }
   },
+
   destroyed() {
-    this.el.removeEventListener('mousemove', this._onMouseMove)
-    this.el.removeEventListener('mouseenter', this._onEnter)
-    this.el.removeEventListener('mouseleave', this._onLeave)
+    this.el.removeEventListener('pointerenter', this._onPointerEnter)
+    this.el.removeEventListener('pointermove', this._onPointerMove)
+    this.el.removeEventListener('pointerdown', this._onPointerDown)
+    this.el.removeEventListener('pointerup', this._onPointerLeave)
+    this.el.removeEventListener('pointerleave', this._onPointerLeave)
+    this.el.removeEventListener('pointercancel', this._onPointerLeave)
+    this._io?.disconnect()
     this._stopGlitch()
+    this.unsubscribeTilt?.()
+    this.unsubscribeTheme?.()
+    cancelUpdate(this)
     window.removeEventListener('flashlight:change', this._onFlashlight)
   }
 }
 
 // Theme Toggle Hook (must be defined before LiveSocket is created)
+//
+// Drives the <select> inside the element through ./lib/theme. An option with
+// value "system" clears the stored choice so the theme follows the OS. The
+// select also reflects changes made in other tabs.
 const ThemeToggle = {
   mounted() {
-    console.log('ThemeToggle mounted', this.el);
     // Ensure the toggle is a direct child of body to avoid transformed ancestors affecting fixed positioning
     try {
       if (this.el.parentElement !== document.body) {
@@ -748,35 +998,24 @@ const ThemeToggle = {
     } catch (_e) {}
 
     this.select = this.el.querySelector('select')
-    console.log('Found select element:', this.select);
     if (!this.select) return
 
-    const savedTheme = localStorage.getItem('theme')
-    if (savedTheme) {
-      document.documentElement.dataset.theme = savedTheme
-      document.body.dataset.theme = savedTheme
-      this.select.value = savedTheme
-    } else {
-      // Set initial theme based on html data-theme or default to 'dark'
-      const initialTheme = document.documentElement.dataset.theme || 'dark'
-      localStorage.setItem('theme', initialTheme)
-      document.body.dataset.theme = initialTheme
-      this.select.value = initialTheme
+    this._sync = ({name, choice}) => {
+      const hasSystemOption = Array.from(this.select.options).some(option => option.value === 'system')
+      this.select.value = choice === 'system' && hasSystemOption ? 'system' : name
     }
+    this._onChange = (e) => setTheme(THEMES.includes(e.target.value) ? e.target.value : 'system')
 
-    this._onChange = (e) => {
-      const newTheme = e.target.value
-      console.log('Theme changing to:', newTheme);
-      document.documentElement.dataset.theme = newTheme
-      document.body.dataset.theme = newTheme
-      console.log('HTML element data-theme:', document.documentElement.dataset.theme);
-      console.log('Body element data-theme:', document.body.dataset.theme);
-      localStorage.setItem('theme', newTheme)
-    }
     this.select.addEventListener('change', this._onChange)
+    this.unsubscribeTheme = subscribeTheme(this._sync)
+    this._sync(getTheme())
+  },
+  updated() {
+    if (this.select) this._sync(getTheme())
   },
   destroyed() {
     if (this.select && this._onChange) this.select.removeEventListener('change', this._onChange)
+    this.unsubscribeTheme?.()
   }
 }
 
@@ -784,7 +1023,7 @@ const csrfToken = document.querySelector("meta[name='csrf-token']").getAttribute
 const liveSocket = new LiveSocket("/live", Socket, {
   longPollFallbackMs: 2500,
   params: {_csrf_token: csrfToken},
-  hooks: {...colocatedHooks, ToastManager, Mermaid, EChartsTree, WaveAnimation, ReactMount, LayoutChrome, HolographicCard, FlashlightToggle, ThemeToggle},
+  hooks: {...colocatedHooks, ToastManager, Mermaid, EChartsTree, WaveAnimation, ReactMount, LayoutChrome, HolographicCard, FlashlightToggle, ThemeToggle, UploadDropZone, DocumentViewer, ReviewKeyboard, ReviewActions, ReviewSelection, CommandPalette, PipelineTracker, AgreementGraph, RuleEditor, SegmentationInspector},
 })
 
 
@@ -1,32 +1,10 @@
-import React, { useEffect, useRef } from 'react';
-import * as echarts from 'echarts';
-
-/** X axis: months */
-const months = [
-  'Jan','Feb','Mar','Apr','May','Jun',
-  'Jul','Aug','Sep','Oct','Nov','Dec'
-];
-
-/** Y axis: entities */
-const entities = ['EVH Corp', 'EVH LLC'];
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { gridMove } from '../lib/chart_a11y';
+import useChart from './useChart';
 
 /** Buckets: 0=cold, 1=non-urgent, 2=urgent, 3=critical(red-hot) */
 const STATUS = { NONE: 0, NON_URGENT: 1, URGENT: 2, CRITICAL: 3 };
 
-/** Business rules for this example */
-const rules = {
-  'EVH Corp':  { nonUrgentPerMonth: 5, urgentPerMonth: 1 }, // monthly: 5 low + 1 urgent
-  'EVH LLC':   { criticalPerMonth: 1 },                      // monthly: taxes (red-hot)
-};
-
-/** Map an entity to its monthly status bucket */
-const statusFor = (entity) => {
-  if (entity === 'EVH LLC' && rules['EVH LLC'].criticalPerMonth > 0) return STATUS.CRITICAL;
-  if (entity === 'EVH Corp' && rules['EVH Corp'].urgentPerMonth > 0) return STATUS.URGENT;
-  if (entity === 'EVH Corp' && rules['EVH Corp'].nonUrgentPerMonth > 0) return STATUS.NON_URGENT;
-  return STATUS.NONE;
-};
-
 /** Get status label */
 const getStatusLabel = (status) => {
   switch (status) {
@@ -38,52 +16,128 @@ const getStatusLabel = (status) => {
   }
 };
 
-/** Generate heatmap data for ECharts */
-const generateHeatmapData = () => {
+/** Get color for status (visual map pieces and tooltip); `colors` is the app theme palette */
+const getStatusColor = (status, colors) => {
+  switch (status) {
+    case STATUS.NON_URGENT: return colors.accentSoft;
+    case STATUS.URGENT: return '#f59e0b';
+    case STATUS.CRITICAL: return '#ef4444';
+    default: return colors.empty;
+  }
+};
+
+/** Agreement titles end up in the tooltip HTML */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Generate heatmap data for ECharts.
+ *
+ * `cells` comes from `Evhlegalchat.Obligations.heatmap/4` and only lists
+ * months with obligations; every other month/entity pair is filled as NONE.
+ */
+const generateHeatmapData = (months, entities, cells) => {
+  const byKey = new Map(cells.map((cell) => [`${cell.month}:${cell.entity}`, cell]));
   const data = [];
   for (let monthIdx = 0; monthIdx < months.length; monthIdx++) {
     for (let entityIdx = 0; entityIdx < entities.length; entityIdx++) {
-      const entity = entities[entityIdx];
-      const month = months[monthIdx];
-      const status = statusFor(entity);
-      
+      const cell = byKey.get(`${monthIdx}:${entityIdx}`);
+      const status = cell ? cell.status : STATUS.NONE;
+
       data.push([monthIdx, entityIdx, status, {
-        entity,
-        month,
-        status: getStatusLabel(status)
+        entity: entities[entityIdx],
+        month: months[monthIdx],
+        status: getStatusLabel(status),
+        count: cell ? cell.count : 0,
+        items: cell ? cell.items || [] : []
       }]);
     }
   }
   return data;
 };
 
-export default function EntityCalendarHeatmap({ compact = false }) {
+/**
+ * One-paragraph description of the heatmap for screen readers: its size, how
+ * many months fall in each status and the busiest entity/month.
+ */
+const describeHeatmap = (months, entities, cells, year) => {
+  if (entities.length === 0) return 'Obligations heatmap: no dated obligations for this period.';
+
+  const statusCounts = [STATUS.CRITICAL, STATUS.URGENT, STATUS.NON_URGENT]
+    .map((status) => [status, cells.filter((cell) => cell.status === status).length])
+    .filter(([, count]) => count > 0)
+    .map(([status, count]) => `${count} ${getStatusLabel(status).toLowerCase()}`);
+
+  const busiest = cells.reduce((best, cell) => (!best || cell.count > best.count ? cell : best), null);
+  const parts = [
+    `Obligations heatmap${year ? ` ${year}` : ''}: ${entities.length} ${entities.length === 1 ? 'entity' : 'entities'} over ${months.length} months`,
+    statusCounts.length > 0 ? `entity-months by status: ${statusCounts.join(', ')}` : null,
+    busiest ? `busiest: ${entities[busiest.entity]} in ${months[busiest.month]} with ${busiest.count}` : null
+  ];
+  return `${parts.filter(Boolean).join('; ')}. Use "Show as table" to read every cell.`;
+};
+
+const cellLabel = (entity, month, info) => {
+  const obligations = `${info.count} ${info.count === 1 ? 'obligation' : 'obligations'}`;
+  const items = info.items.length > 0 ? `: ${info.items.join('; ')}` : '';
+  return `${entity}, ${month}: ${info.status}, ${obligations}${items}`;
+};
+
+export default function EntityCalendarHeatmap({ compact = false, months = [], entities = [], cells = [], year, theme }) {
   const chartRef = useRef(null);
-  const chartInstanceRef = useRef(null);
+  const chartId = useId();
+  const tableId = useId();
+  const chartInstanceRef = useChart(chartRef, { id: chartId });
+  const cellRefs = useRef(new Map());
+  const [view, setView] = useState('chart');
+  const [active, setActive] = useState({ row: 0, col: 0 });
+
+  // table[entityIdx][monthIdx] = {status, count, items}
+  const table = useMemo(() => {
+    const byKey = new Map(cells.map((cell) => [`${cell.month}:${cell.entity}`, cell]));
+    return entities.map((_entity, entityIdx) => months.map((_month, monthIdx) => {
+      const cell = byKey.get(`${monthIdx}:${entityIdx}`);
+      const status = cell ? cell.status : STATUS.NONE;
+      return { status: getStatusLabel(status), count: cell ? cell.count : 0, items: cell ? cell.items || [] : [] };
+    }));
+  }, [months, entities, cells]);
+
+  const summary = useMemo(() => describeHeatmap(months, entities, cells, year), [months, entities, cells, year]);
 
+  // Keep the focused cell inside the grid when entities or months disappear
   useEffect(() => {
-    console.log('EntityCalendarHeatmap component rendering with ECharts', { compact });
-    
-    if (!chartRef.current) {
-      console.log('Chart ref not available');
-      return;
-    }
+    setActive(({ row, col }) => ({
+      row: Math.min(row, Math.max(entities.length - 1, 0)),
+      col: Math.min(col, Math.max(months.length - 1, 0))
+    }));
+  }, [entities.length, months.length]);
+
+  const onCellKeyDown = (e) => {
+    const next = gridMove(e.key, active, entities.length, months.length, { ctrlKey: e.ctrlKey });
+    if (!next) return;
+    e.preventDefault();
+    setActive(next);
+    cellRefs.current.get(`${next.row}:${next.col}`)?.focus();
+  };
 
-    // Initialize ECharts instance
-    const chartInstance = echarts.init(chartRef.current);
-    chartInstanceRef.current = chartInstance;
+  // Re-plot whenever the LiveView pushes new obligations
+  useEffect(() => {
+    const chartInstance = chartInstanceRef.current;
+    if (!chartInstance) return;
 
-    // Generate data
-    const heatmapData = generateHeatmapData();
-    console.log('ECharts heatmap data:', heatmapData);
+    const heatmapData = generateHeatmapData(months, entities, cells);
+    const { colors } = theme;
 
     // ECharts configuration
     const option = {
       title: {
-        text: compact ? '' : 'Entity Activity Heatmap',
+        text: compact ? '' : `Obligations Heatmap${year ? ` ${year}` : ''}`,
         left: 'center',
         textStyle: {
-          color: '#10b981',
+          color: colors.accent,
           fontSize: 16,
           fontWeight: 'bold'
         }
@@ -93,19 +147,24 @@ export default function EntityCalendarHeatmap({ compact = false }) {
         formatter: function (params) {
           const data = params.data;
           const customData = data[3];
+          const items = customData.items
+            .map((item) => `&bull; ${escapeHtml(item)}`)
+            .join('<br/>');
           return `
             <div style="padding: 8px;">
-              <strong>${customData.entity}</strong><br/>
-              <strong>${customData.month}</strong><br/>
-              Status: <span style="color: ${getStatusColor(data[2])}">${customData.status}</span>
+              <strong>${escapeHtml(customData.entity)}</strong><br/>
+              <strong>${escapeHtml(customData.month)}</strong><br/>
+              Status: <span style="color: ${getStatusColor(data[2], colors)}">${customData.status}</span>
+              (${customData.count} ${customData.count === 1 ? 'obligation' : 'obligations'})
+              ${items ? `<br/>${items}` : ''}
             </div>
           `;
         },
-        backgroundColor: 'rgba(0, 0, 0, 0.8)',
-        borderColor: '#10b981',
+        backgroundColor: colors.tooltipBackground,
+        borderColor: colors.accent,
         borderWidth: 1,
         textStyle: {
-          color: '#fff'
+          color: colors.tooltipText
         }
       },
       grid: {
@@ -122,12 +181,12 @@ export default function EntityCalendarHeatmap({ compact = false }) {
           show: true
         },
         axisLabel: {
-          color: '#9ca3af',
+          color: colors.muted,
           fontSize: compact ? 10 : 12
         },
         axisLine: {
           lineStyle: {
-            color: '#374151'
+            color: colors.axis
           }
         }
       },
@@ -138,37 +197,36 @@ export default function EntityCalendarHeatmap({ compact = false }) {
           show: true
         },
         axisLabel: {
-          color: '#9ca3af',
+          color: colors.muted,
           fontSize: compact ? 10 : 12
         },
         axisLine: {
           lineStyle: {
-            color: '#374151'
+            color: colors.axis
           }
         }
       },
       visualMap: {
-        min: 0,
-        max: 3,
-        calculable: true,
+        type: 'piecewise',
+        dimension: 2,
         orient: 'horizontal',
         left: 'center',
         bottom: '5%',
         itemWidth: compact ? 15 : 20,
         itemHeight: compact ? 15 : 20,
         textStyle: {
-          color: '#9ca3af',
+          color: colors.muted,
           fontSize: compact ? 10 : 12
         },
-        pieces: [
-          { min: 0, max: 0, color: 'rgba(255,255,255,0.1)', label: 'None' },
-          { min: 1, max: 1, color: '#34d399', label: 'Non-urgent' },
-          { min: 2, max: 2, color: '#f59e0b', label: 'Urgent' },
-          { min: 3, max: 3, color: '#ef4444', label: 'Critical' }
-        ]
+        pieces: [STATUS.NONE, STATUS.NON_URGENT, STATUS.URGENT, STATUS.CRITICAL].map((status) => ({
+          min: status,
+          max: status,
+          color: getStatusColor(status, colors),
+          label: getStatusLabel(status)
+        }))
       },
       series: [{
-        name: 'Entity Activity',
+        name: 'Obligations',
         type: 'heatmap',
         data: heatmapData,
         label: {
@@ -183,49 +241,92 @@ export default function EntityCalendarHeatmap({ compact = false }) {
       }]
     };
 
-    // Set the configuration and render
+    // Axis data and the series are replaced, so removed entities/months disappear
     chartInstance.setOption(option);
-
-    // Handle window resize with throttling for better performance
-    let resizeTimeout;
-    const handleResize = () => {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = setTimeout(() => {
-        chartInstance.resize();
-      }, 100); // Throttle resize events
-    };
-
-    window.addEventListener('resize', handleResize);
-
-    // Cleanup function
-    return () => {
-      window.removeEventListener('resize', handleResize);
-      if (chartInstance) {
-        chartInstance.dispose();
-      }
-    };
-  }, [compact]);
-
-  // Helper function to get color for status (for tooltip)
-  const getStatusColor = (status) => {
-    switch (status) {
-      case STATUS.NONE: return 'rgba(255,255,255,0.1)';
-      case STATUS.NON_URGENT: return '#34d399';
-      case STATUS.URGENT: return '#f59e0b';
-      case STATUS.CRITICAL: return '#ef4444';
-      default: return 'rgba(255,255,255,0.1)';
-    }
-  };
+  }, [compact, months, entities, cells, year, theme]);
 
   return (
     <div className="w-full">
-      <div className={`bg-base-100 rounded-lg shadow-lg ${compact ? 'p-4' : 'p-6'}`}>
-        <div 
-          ref={chartRef} 
+      <div className={`relative bg-base-100 rounded-lg shadow-lg ${compact ? 'p-4' : 'p-6'}`}>
+        {entities.length === 0 && (
+          <p className="text-sm text-gray-500 mb-2">No dated obligations for this period.</p>
+        )}
+        {entities.length > 0 && (
+          <div className="absolute top-2 right-2 z-10 flex gap-1 text-xs">
+            {view === 'chart' && ['png', 'svg'].map((format) => (
+              <button
+                key={format}
+                type="button"
+                className="rounded border border-gray-300 bg-white/90 px-2 py-1 text-gray-700 hover:bg-white"
+                data-chart-export={format}
+                data-chart-target={chartId}
+                data-filename={`obligations${year ? `-${year}` : ''}`}
+              >
+                {format.toUpperCase()}
+              </button>
+            ))}
+            <button
+              type="button"
+              className="rounded border border-gray-300 bg-white/90 px-2 py-1 text-gray-700 hover:bg-white"
+              aria-controls={tableId}
+              aria-expanded={view === 'table'}
+              onClick={() => setView(view === 'table' ? 'chart' : 'table')}
+            >
+              {view === 'table' ? 'Show chart' : 'Show as table'}
+            </button>
+          </div>
+        )}
+        <div
+          ref={chartRef}
+          role="img"
+          aria-label={summary}
+          hidden={view === 'table'}
           className={`w-full ${compact ? 'h-64' : 'h-96'}`}
           style={{ minHeight: compact ? '256px' : '384px' }}
         />
+        <div id={tableId} hidden={view !== 'table'} className={`overflow-auto ${compact ? 'max-h-64 mt-8' : 'max-h-96 mt-8'}`}>
+          {view === 'table' && (
+            <table role="grid" aria-label={summary} className="text-xs border-collapse">
+              <thead>
+                <tr>
+                  <th scope="col" className="sticky left-0 bg-base-100 px-2 py-1 text-left">Entity</th>
+                  {months.map((month) => (
+                    <th key={month} scope="col" className="px-2 py-1 text-left font-medium">{month}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {entities.map((entity, row) => (
+                  <tr key={entity}>
+                    <th scope="row" className="sticky left-0 bg-base-100 px-2 py-1 text-left font-medium">{entity}</th>
+                    {months.map((month, col) => {
+                      const info = table[row][col];
+                      const isActive = active.row === row && active.col === col;
+                      return (
+                        <td
+                          key={month}
+                          role="gridcell"
+                          ref={(node) => {
+                            if (node) cellRefs.current.set(`${row}:${col}`, node);
+                            else cellRefs.current.delete(`${row}:${col}`);
+                          }}
+                          tabIndex={isActive ? 0 : -1}
+                          aria-label={cellLabel(entity, month, info)}
+                          onKeyDown={onCellKeyDown}
+                          onFocus={() => { if (!isActive) setActive({ row, col }); }}
+                          className="border border-gray-200 px-2 py-1 outline-none focus:ring-2 focus:ring-emerald-500"
+                        >
+                          {info.count > 0 ? `${info.count} · ${info.status}` : '–'}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
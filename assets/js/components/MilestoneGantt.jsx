@@ -0,0 +1,354 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import { gridMove } from '../lib/chart_a11y';
+import useChart from './useChart';
+
+/** Chart colors from the app theme palette (`theme.colors`) */
+const ganttColors = (colors) => ({
+  normal: colors.series[0],
+  critical: colors.warning,
+  overdue: colors.danger,
+  criticalBorder: colors.warningStrong,
+  arrow: colors.muted,
+  today: colors.accent
+});
+
+const ROW_HEIGHT = 32;
+
+/** Milestone and SOW titles end up in the tooltip HTML */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/** ISO dates from the server, as UTC timestamps for the time axis */
+const toTime = (isoDate) => Date.parse(isoDate);
+
+const barColor = (milestone, palette) => {
+  if (milestone.overdue) return palette.overdue;
+  if (milestone.critical) return palette.critical;
+  return palette.normal;
+};
+
+/**
+ * Draws one milestone row: a bar from start to target date, or a diamond when
+ * the milestone has no duration.
+ */
+const renderMilestone = (rows, palette) => (params, api) => {
+  const row = api.value(0);
+  const [startX, y] = api.coord([api.value(1), row]);
+  const [endX] = api.coord([api.value(2), row]);
+  const height = api.size([0, 1])[1] * 0.5;
+  const milestone = rows[params.dataIndex];
+  const style = {
+    fill: barColor(milestone, palette),
+    stroke: milestone.critical ? palette.criticalBorder : null,
+    lineWidth: milestone.critical ? 2 : 0
+  };
+
+  if (endX - startX < 2) {
+    const r = height / 2 + 2;
+    return {
+      type: 'polygon',
+      shape: { points: [[endX, y - r], [endX + r, y], [endX, y + r], [endX - r, y]] },
+      style
+    };
+  }
+
+  return {
+    type: 'rect',
+    shape: { x: startX, y: y - height / 2, width: endX - startX, height, r: 3 },
+    style
+  };
+};
+
+const TABLE_COLUMNS = ['Milestone', 'SOW', 'Start', 'Target', 'Depends on', 'Status'];
+
+const milestoneStatus = (m) => [m.overdue ? 'Overdue' : null, m.critical ? 'Critical path' : null].filter(Boolean).join(', ') || 'Scheduled';
+
+/**
+ * One-paragraph description of the timeline for screen readers: how many
+ * milestones it shows, the date range and how many are overdue or critical.
+ */
+const describeTimeline = (rows, sowCount) => {
+  if (rows.length === 0) return 'SOW timeline: no dated milestones for this selection.';
+
+  const starts = rows.map((m) => m.start_date).sort();
+  const targets = rows.map((m) => m.target_date).sort();
+  const overdue = rows.filter((m) => m.overdue).length;
+  const critical = rows.filter((m) => m.critical).length;
+  const parts = [
+    `SOW timeline: ${rows.length} ${rows.length === 1 ? 'milestone' : 'milestones'}${sowCount > 1 ? ` across ${sowCount} SOWs` : ''} from ${starts[0]} to ${targets[targets.length - 1]}`,
+    overdue > 0 ? `${overdue} overdue` : null,
+    critical > 0 ? `${critical} on the critical path` : null
+  ];
+  return `${parts.filter(Boolean).join('; ')}. Use "Show as table" to read every milestone.`;
+};
+
+/**
+ * Gantt chart of SOW milestones.
+ *
+ * Props come from `Evhlegalchat.SOW.Timeline.build/3`: `agreements`,
+ * `milestones` (with `start_date`, `target_date`, `depends_on`, `overdue`,
+ * `critical`), `today` and `undated_count`. `agreement_id` preselects one SOW;
+ * the selection is mirrored in the `agreement_id` query parameter.
+ */
+export default function MilestoneGantt({ agreements = [], milestones = [], today, undated_count = 0, agreement_id = null, theme }) {
+  const chartRef = useRef(null);
+  const chartId = useId();
+  const tableId = useId();
+  const chartInstanceRef = useChart(chartRef, { id: chartId });
+  const cellRefs = useRef(new Map());
+  const [selected, setSelected] = useState(agreement_id ? String(agreement_id) : 'all');
+  const [view, setView] = useState('chart');
+  const [active, setActive] = useState({ row: 0, col: 0 });
+
+  useEffect(() => {
+    setSelected(agreement_id ? String(agreement_id) : 'all');
+  }, [agreement_id]);
+
+  const titles = useMemo(() => new Map(agreements.map((a) => [a.id, a.title || `SOW #${a.id}`])), [agreements]);
+
+  const rows = useMemo(
+    () => (selected === 'all' ? milestones : milestones.filter((m) => String(m.agreement_id) === selected)),
+    [milestones, selected]
+  );
+
+  const chartHeight = Math.max(240, rows.length * ROW_HEIGHT + 90);
+  const palette = useMemo(() => ganttColors(theme.colors), [theme]);
+
+  const summary = useMemo(
+    () => describeTimeline(rows, new Set(rows.map((m) => m.agreement_id)).size),
+    [rows]
+  );
+
+  // table[row] = cell texts in TABLE_COLUMNS order
+  const table = useMemo(() => {
+    const byId = new Map(rows.map((m) => [m.id, m]));
+    return rows.map((m) => [
+      m.title,
+      titles.get(m.agreement_id),
+      m.start_date,
+      m.target_date,
+      byId.get(m.depends_on)?.title || '–',
+      milestoneStatus(m)
+    ]);
+  }, [rows, titles]);
+
+  // Keep the focused cell inside the table when the selection shrinks it
+  useEffect(() => {
+    setActive(({ row, col }) => ({ row: Math.min(row, Math.max(rows.length - 1, 0)), col }));
+  }, [rows.length]);
+
+  const onCellKeyDown = (e) => {
+    const next = gridMove(e.key, active, rows.length, TABLE_COLUMNS.length, { ctrlKey: e.ctrlKey });
+    if (!next) return;
+    e.preventDefault();
+    setActive(next);
+    cellRefs.current.get(`${next.row}:${next.col}`)?.focus();
+  };
+
+  useEffect(() => {
+    const chartInstance = chartInstanceRef.current;
+    if (!chartInstance) return;
+
+    const indexById = new Map(rows.map((m, index) => [m.id, index]));
+    const showSow = selected === 'all' && agreements.length > 1;
+
+    // Finish-to-start: from the end of the dependency to the start of the dependent
+    const arrows = rows
+      .filter((m) => indexById.has(m.depends_on))
+      .map((m) => {
+        const dependency = rows[indexById.get(m.depends_on)];
+        const critical = m.critical && dependency.critical;
+        return {
+          coords: [
+            [toTime(dependency.target_date), indexById.get(m.depends_on)],
+            [toTime(m.start_date), indexById.get(m.id)]
+          ],
+          lineStyle: {
+            color: critical ? palette.criticalBorder : palette.arrow,
+            width: critical ? 2 : 1,
+            curveness: 0.3
+          }
+        };
+      });
+
+    const option = {
+      tooltip: {
+        formatter: (params) => {
+          if (params.seriesType !== 'custom') return '';
+          const m = rows[params.dataIndex];
+          const dependency = indexById.has(m.depends_on) ? rows[indexById.get(m.depends_on)] : null;
+          return [
+            `<strong>${escapeHtml(m.title)}</strong>`,
+            escapeHtml(titles.get(m.agreement_id)),
+            m.start_date === m.target_date ? `Due ${m.target_date}` : `${m.start_date} → ${m.target_date}`,
+            dependency ? `Depends on: ${escapeHtml(dependency.title)}` : null,
+            m.overdue ? `<span style="color: ${palette.overdue}">Overdue</span>` : null,
+            m.critical ? `<span style="color: ${palette.criticalBorder}">Critical path</span>` : null
+          ].filter(Boolean).join('<br/>');
+        }
+      },
+      grid: { top: 30, left: 230, right: 30, bottom: 50 },
+      dataZoom: [{ type: 'inside', xAxisIndex: 0, filterMode: 'weakFilter' }],
+      xAxis: {
+        type: 'time',
+        position: 'top',
+        splitLine: { show: true, lineStyle: { color: theme.colors.grid } },
+        axisLabel: { color: theme.colors.muted }
+      },
+      yAxis: {
+        type: 'category',
+        inverse: true,
+        data: rows.map((m) => (showSow ? `${titles.get(m.agreement_id)} › ${m.title}` : m.title)),
+        axisTick: { show: false },
+        axisLabel: { color: theme.colors.text, width: 210, overflow: 'truncate' }
+      },
+      series: [
+        {
+          type: 'custom',
+          renderItem: renderMilestone(rows, palette),
+          encode: { x: [1, 2], y: 0 },
+          data: rows.map((m, index) => [index, toTime(m.start_date), toTime(m.target_date)]),
+          markLine: today ? {
+            silent: true,
+            symbol: 'none',
+            lineStyle: { color: palette.today, type: 'dashed' },
+            label: { formatter: 'Today', color: palette.today },
+            data: [{ xAxis: toTime(today) }]
+          } : undefined
+        },
+        {
+          type: 'lines',
+          coordinateSystem: 'cartesian2d',
+          silent: true,
+          symbol: ['none', 'arrow'],
+          symbolSize: 7,
+          z: 3,
+          data: arrows
+        }
+      ]
+    };
+
+    chartInstance.setOption(option);
+  }, [rows, selected, agreements, titles, today, chartHeight, theme, palette]);
+
+  const selectAgreement = (value) => {
+    setSelected(value);
+    const url = new URL(window.location.href);
+    if (value === 'all') url.searchParams.delete('agreement_id');
+    else url.searchParams.set('agreement_id', value);
+    window.history.replaceState(window.history.state, '', url);
+  };
+
+  return (
+    <div className="w-full">
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+          <label className="inline-flex items-center gap-2 text-gray-700">
+            SOW
+            <select
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+              value={selected}
+              onChange={(e) => selectAgreement(e.target.value)}
+            >
+              <option value="all">All SOWs</option>
+              {agreements.map((a) => (
+                <option key={a.id} value={String(a.id)}>{titles.get(a.id)}</option>
+              ))}
+            </select>
+          </label>
+          <span className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: palette.normal }} />Scheduled
+          </span>
+          <span className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: palette.critical, border: `2px solid ${palette.criticalBorder}` }} />Critical path
+          </span>
+          <span className="inline-flex items-center gap-1 text-xs text-gray-600">
+            <span className="inline-block w-3 h-3 rounded-sm" style={{ background: palette.overdue }} />Overdue
+          </span>
+          {undated_count > 0 && (
+            <span className="text-xs text-gray-500">
+              {undated_count} {undated_count === 1 ? 'milestone has' : 'milestones have'} no target date
+            </span>
+          )}
+          {rows.length > 0 && (
+            <span className="ml-auto flex gap-2">
+              {view === 'chart' && ['svg', 'png'].map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  data-chart-export={format}
+                  data-chart-target={chartId}
+                  data-filename="sow-timeline"
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+              <button
+                type="button"
+                className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                aria-controls={tableId}
+                aria-expanded={view === 'table'}
+                onClick={() => setView(view === 'table' ? 'chart' : 'table')}
+              >
+                {view === 'table' ? 'Show chart' : 'Show as table'}
+              </button>
+            </span>
+          )}
+        </div>
+        {rows.length === 0 && (
+          <p className="text-sm text-gray-500 mb-2">No dated milestones for this selection.</p>
+        )}
+        <div
+          ref={chartRef}
+          role="img"
+          aria-label={summary}
+          hidden={view === 'table' && rows.length > 0}
+          className="w-full"
+          style={{ height: `${chartHeight}px` }}
+        />
+        <div id={tableId} hidden={view !== 'table' || rows.length === 0} className="overflow-auto max-h-[32rem]">
+          {view === 'table' && rows.length > 0 && (
+            <table role="grid" aria-label={summary} className="w-full text-xs border-collapse">
+              <thead>
+                <tr>
+                  {TABLE_COLUMNS.map((column) => (
+                    <th key={column} scope="col" className="px-2 py-1 text-left font-medium text-gray-600">{column}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {table.map((cells, row) => (
+                  <tr key={rows[row].id}>
+                    {cells.map((value, col) => {
+                      const isActive = active.row === row && active.col === col;
+                      return (
+                        <td
+                          key={TABLE_COLUMNS[col]}
+                          role="gridcell"
+                          ref={(node) => {
+                            if (node) cellRefs.current.set(`${row}:${col}`, node);
+                            else cellRefs.current.delete(`${row}:${col}`);
+                          }}
+                          tabIndex={isActive ? 0 : -1}
+                          onKeyDown={onCellKeyDown}
+                          onFocus={() => { if (!isActive) setActive({ row, col }); }}
+                          className="border border-gray-200 px-2 py-1 outline-none focus:ring-2 focus:ring-emerald-500"
+                        >
+                          {value}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,297 @@
+import React, { useEffect, useId, useMemo, useRef, useState } from 'react';
+import useChart from './useChart';
+
+/** Agreement titles and roles end up in the tooltip HTML */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatMoney = (amount, currency) => {
+  if (amount == null) return '—';
+  try {
+    return new Intl.NumberFormat(undefined, { style: 'currency', currency, maximumFractionDigits: 2 }).format(amount);
+  } catch (e) {
+    // Free-text currencies from extraction are not always ISO codes
+    return `${Number(amount).toFixed(2)} ${currency}`;
+  }
+};
+
+const formatDeviation = (deviation) => {
+  if (deviation == null) return '—';
+  const pct = Math.round(deviation * 1000) / 10;
+  return `${pct > 0 ? '+' : ''}${pct}%`;
+};
+
+/** Open-ended rate cards run until today (or their own start, if later) */
+const periodEnd = (rate, today) => {
+  if (rate.effective_end) return rate.effective_end;
+  return today && today > rate.effective_start ? today : rate.effective_start;
+};
+
+/**
+ * Rate card comparison across agreements.
+ *
+ * Props come from `Evhlegalchat.SOW.RateComparison.build/3`: `rates`,
+ * `roles` (with their median), `pricing`, `base_currency`, `exchange_rates`,
+ * `outlier_threshold`, `unconverted_currencies` and `today`. One role is
+ * plotted at a time: each rate card is a segment over its effective period,
+ * colored per agreement from the theme's series palette, with the role median
+ * in force on `today` and the outlier band behind it. Each rate's deviation is
+ * against the median of its own effective period.
+ * `export_href` is the CSV download; the selected role is appended as `role`.
+ */
+export default function RateComparisonChart({
+  rates = [],
+  roles = [],
+  pricing = [],
+  base_currency = 'USD',
+  exchange_rates = [],
+  outlier_threshold = 0.25,
+  unconverted_currencies = [],
+  today,
+  export_href,
+  theme
+}) {
+  const chartRef = useRef(null);
+  const chartId = useId();
+  const chartInstanceRef = useChart(chartRef, { id: chartId });
+  const [roleKey, setRoleKey] = useState(roles[0]?.key ?? null);
+
+  // Keep the selection valid when the server pushes a new comparison
+  useEffect(() => {
+    if (!roles.some((role) => role.key === roleKey)) setRoleKey(roles[0]?.key ?? null);
+  }, [roles, roleKey]);
+
+  const role = roles.find((r) => r.key === roleKey) || null;
+
+  const roleRates = useMemo(
+    () => rates
+      .filter((rate) => rate.role_key === roleKey)
+      .sort((a, b) => (b.normalized_rate ?? -1) - (a.normalized_rate ?? -1)),
+    [rates, roleKey]
+  );
+
+  const agreementColors = useMemo(() => {
+    const ids = [...new Set(rates.map((rate) => rate.agreement_id))];
+    const { series } = theme.colors;
+    return new Map(ids.map((id, index) => [id, series[index % series.length]]));
+  }, [rates, theme]);
+
+  useEffect(() => {
+    const chartInstance = chartInstanceRef.current;
+    if (!chartInstance) return;
+
+    const plotted = roleRates.filter((rate) => rate.normalized_rate != null && rate.effective_start);
+    const { colors } = theme;
+
+    // One series per rate card; cards of the same agreement share name and color,
+    // so the legend toggles an agreement as a whole
+    const segments = plotted.map((rate) => ({
+      type: 'line',
+      name: rate.agreement_title || `Agreement #${rate.agreement_id}`,
+      color: agreementColors.get(rate.agreement_id),
+      lineStyle: { width: 3 },
+      symbolSize: 6,
+      data: [
+        { value: [Date.parse(rate.effective_start), rate.normalized_rate], rate },
+        { value: [Date.parse(periodEnd(rate, today)), rate.normalized_rate], rate }
+      ]
+    }));
+
+    const median = role?.median;
+    const outliers = {
+      type: 'scatter',
+      name: 'Outliers',
+      color: colors.danger,
+      symbol: 'emptyCircle',
+      symbolSize: 14,
+      itemStyle: { borderWidth: 2 },
+      z: 5,
+      data: plotted
+        .filter((rate) => rate.outlier)
+        .map((rate) => ({ value: [Date.parse(rate.effective_start), rate.normalized_rate], rate })),
+      markLine: median != null ? {
+        silent: true,
+        symbol: 'none',
+        lineStyle: { color: colors.text, type: 'dashed' },
+        label: { formatter: `Median today ${formatMoney(median, base_currency)}`, position: 'insideEndTop', color: colors.text },
+        data: [{ yAxis: median }]
+      } : undefined,
+      markArea: median != null ? {
+        silent: true,
+        itemStyle: { color: colors.accent, opacity: 0.08 },
+        data: [[{ yAxis: median * (1 - outlier_threshold) }, { yAxis: median * (1 + outlier_threshold) }]]
+      } : undefined
+    };
+
+    chartInstance.setOption({
+      tooltip: {
+        trigger: 'item',
+        formatter: (params) => {
+          const rate = params.data?.rate;
+          if (!rate) return '';
+          const original = rate.currency === base_currency
+            ? ''
+            : ` (${escapeHtml(formatMoney(rate.hourly_rate, rate.currency))})`;
+          return [
+            `<strong>${escapeHtml(rate.agreement_title)}</strong>`,
+            escapeHtml(rate.role),
+            `${escapeHtml(formatMoney(rate.normalized_rate, base_currency))}/h${original}`,
+            `${escapeHtml(rate.effective_start)} → ${escapeHtml(rate.effective_end || 'open')}`,
+            `vs. median of its period: ${formatDeviation(rate.deviation)}`,
+            rate.outlier ? `<span style="color: ${colors.danger}">Outlier (${rate.outlier})</span>` : null
+          ].filter(Boolean).join('<br/>');
+        }
+      },
+      legend: { type: 'scroll', top: 0, textStyle: { color: colors.muted } },
+      grid: { top: 40, left: 70, right: 30, bottom: 40 },
+      xAxis: { type: 'time', axisLabel: { color: colors.muted }, axisLine: { lineStyle: { color: colors.axis } } },
+      yAxis: {
+        type: 'value',
+        scale: true,
+        name: `${base_currency}/h`,
+        nameTextStyle: { color: colors.muted },
+        axisLabel: { color: colors.muted },
+        splitLine: { lineStyle: { color: colors.grid } }
+      },
+      series: [...segments, outliers]
+    });
+  }, [roleRates, role, agreementColors, base_currency, outlier_threshold, today, theme]);
+
+  const exportUrl = export_href && roleKey != null
+    ? `${export_href}?role=${encodeURIComponent(roleKey)}`
+    : export_href;
+
+  return (
+    <div className="w-full space-y-6">
+      <div className="bg-white rounded-lg shadow p-4">
+        <div className="flex flex-wrap items-center gap-4 mb-3 text-sm">
+          <label className="inline-flex items-center gap-2 text-gray-700">
+            Role
+            <select
+              className="border border-gray-300 rounded px-2 py-1 text-sm"
+              value={roleKey ?? ''}
+              onChange={(e) => setRoleKey(e.target.value)}
+            >
+              {roles.map((r) => (
+                <option key={r.key} value={r.key}>{r.role} ({r.count})</option>
+              ))}
+            </select>
+          </label>
+          {role?.median != null && (
+            <span className="text-gray-600">
+              Median today {formatMoney(role.median, base_currency)}/h · outliers beyond ±{Math.round(outlier_threshold * 100)}%
+            </span>
+          )}
+          {export_href && (
+            <span className="ml-auto flex gap-2">
+              <a className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50" href={exportUrl} download>
+                Export role CSV
+              </a>
+              <a className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50" href={export_href} download>
+                Export all
+              </a>
+            </span>
+          )}
+          {roleRates.length > 0 && (
+            <span className={`flex gap-2 ${export_href ? '' : 'ml-auto'}`}>
+              {['svg', 'png'].map((format) => (
+                <button
+                  key={format}
+                  type="button"
+                  className="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  data-chart-export={format}
+                  data-chart-target={chartId}
+                  data-filename={`rates-${roleKey}`}
+                >
+                  Export {format.toUpperCase()}
+                </button>
+              ))}
+            </span>
+          )}
+        </div>
+        {roles.length === 0 && <p className="text-sm text-gray-500 mb-2">No rate cards yet.</p>}
+        <div ref={chartRef} className="w-full h-96" style={{ minHeight: '384px' }} />
+      </div>
+
+      {roleRates.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-600">
+              <tr>
+                <th className="px-4 py-2 font-medium">Agreement</th>
+                <th className="px-4 py-2 font-medium">Role</th>
+                <th className="px-4 py-2 font-medium text-right">Rate</th>
+                <th className="px-4 py-2 font-medium text-right">{base_currency}/h</th>
+                <th className="px-4 py-2 font-medium">Effective</th>
+                <th className="px-4 py-2 font-medium text-right">vs. median</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {roleRates.map((rate) => (
+                <tr key={rate.id} className={rate.outlier ? 'bg-red-50' : undefined}>
+                  <td className="px-4 py-2">
+                    <span className="inline-block w-2 h-2 rounded-full mr-2" style={{ background: agreementColors.get(rate.agreement_id) }} />
+                    {rate.agreement_title}
+                  </td>
+                  <td className="px-4 py-2">{rate.role}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatMoney(rate.hourly_rate, rate.currency)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    {rate.normalized_rate == null ? <span className="text-gray-400">no rate for {rate.currency}</span> : formatMoney(rate.normalized_rate, base_currency)}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{rate.effective_start} → {rate.effective_end || 'open'}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    {formatDeviation(rate.deviation)}
+                    {rate.outlier && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-700">
+                        {rate.outlier}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {pricing.length > 0 && (
+        <div className="bg-white rounded-lg shadow overflow-x-auto">
+          <h2 className="px-4 pt-4 font-medium text-gray-900">Pricing schedules</h2>
+          <table className="min-w-full text-sm">
+            <thead className="text-left text-gray-600">
+              <tr>
+                <th className="px-4 py-2 font-medium">Agreement</th>
+                <th className="px-4 py-2 font-medium">Model</th>
+                <th className="px-4 py-2 font-medium text-right">Fixed total</th>
+                <th className="px-4 py-2 font-medium text-right">Not to exceed</th>
+                <th className="px-4 py-2 font-medium text-right">Usage rate</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-100">
+              {pricing.map((p) => (
+                <tr key={p.id}>
+                  <td className="px-4 py-2">{p.agreement_title}</td>
+                  <td className="px-4 py-2">{p.pricing_model}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatMoney(p.normalized_fixed_total ?? p.fixed_total, p.normalized_fixed_total != null ? base_currency : p.currency)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">{formatMoney(p.normalized_not_to_exceed_total ?? p.not_to_exceed_total, p.normalized_not_to_exceed_total != null ? base_currency : p.currency)}</td>
+                  <td className="px-4 py-2 text-right tabular-nums">
+                    {p.usage_rate == null ? '—' : `${formatMoney(p.normalized_usage_rate ?? p.usage_rate, p.normalized_usage_rate != null ? base_currency : p.currency)}${p.usage_unit ? ` / ${p.usage_unit}` : ''}`}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-gray-500">
+        Amounts normalized to {base_currency} at configured rates:{' '}
+        {exchange_rates.filter((fx) => fx.currency !== base_currency).map((fx) => `1 ${fx.currency} = ${fx.rate} ${base_currency}`).join(', ')}.
+        {unconverted_currencies.length > 0 && ` No rate configured for ${unconverted_currencies.join(', ')}; those cards are excluded from medians.`}
+      </p>
+    </div>
+  );
+}
@@ -0,0 +1,20 @@
+import EntityCalendarHeatmap from './EntityCalendarHeatmap';
+import MilestoneGantt from './MilestoneGantt';
+import RateComparisonChart from './RateComparisonChart';
+
+/**
+ * React components mountable through the ReactMount hook, keyed by the
+ * `data-react-component` attribute of the mount element.
+ */
+const components = {
+  EntityCalendarHeatmap,
+  MilestoneGantt,
+  RateComparisonChart
+};
+
+/** Register an additional component (e.g. from a page-specific bundle) */
+export const registerComponent = (name, component) => {
+  components[name] = component;
+};
+
+export default components;
@@ -0,0 +1,24 @@
+import { useEffect, useRef } from 'react';
+import { mountChart } from '../lib/charts';
+
+/**
+ * Mounts a chart (see `../lib/charts`) in `containerRef` for the lifetime of
+ * the component and returns a ref to its controller. Declare it before the
+ * effects that call `setOption`, so the chart exists when they first run.
+ * `id` is what `data-chart-export` buttons target.
+ */
+export default function useChart(containerRef, { id } = {}) {
+  const chartRef = useRef(null);
+
+  useEffect(() => {
+    if (!containerRef.current) return;
+    const chart = mountChart(containerRef.current, { id });
+    chartRef.current = chart;
+    return () => {
+      chartRef.current = null;
+      chart.dispose();
+    };
+  }, [id]);
+
+  return chartRef;
+}
@@ -0,0 +1,297 @@
+// Agreement Graph Hook: force-directed graph of agreements and their links
+//
+// Reads data-graph (Evhlegalchat.AgreementGraph payload: {nodes, links,
+// doc_types, link_types}). Node color follows doc_type (the theme's series
+// palette), node size the term length; links are styled by link_type and
+// point from the amending /
+// superseding / related agreement to the one it refers to. Hovering a node
+// highlights its neighbours; clicking pushes "node:open" {id} and the
+// LiveView navigates to the agreement. Export buttons use
+// data-chart-target="<el id>" (see lib/charts).
+//
+// The chart carries a text summary, and "Show as table" swaps it for a table
+// of the agreements and one of their links (arrow keys move between cells,
+// Enter on an agreement opens it). The hook owns its children.
+
+import {mountChart} from "../lib/charts"
+import {countSummary, createViewToggle, gridMove} from "../lib/chart_a11y"
+import {getTheme, subscribe as subscribeTheme} from "../lib/theme"
+
+// NDA and SOW keep their palette slot whatever other doc types are present
+const DOC_TYPE_SLOTS = {NDA: 0, SOW: 1}
+
+// `color` names an entry of the theme's colors
+const LINK_STYLES = {
+  supersedes: {color: 'danger', type: 'solid', width: 2},
+  amends: {color: 'warning', type: 'dashed', width: 1.5},
+  related: {color: 'muted', type: 'dotted', width: 1}
+}
+
+const docTypeColor = (docType, index, colors) => {
+  if (docType === 'Unknown') return colors.muted
+  const slot = DOC_TYPE_SLOTS[docType] ?? index + Object.keys(DOC_TYPE_SLOTS).length
+  return colors.series[slot % colors.series.length]
+}
+
+const linkStyle = (linkType, colors) => {
+  const {color, ...style} = LINK_STYLES[linkType] || LINK_STYLES.related
+  return {...style, color: colors[color]}
+}
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'}[c]))
+
+// Area grows with the term; agreements without a term get the smallest size
+const nodeSize = (months) => months ? Math.min(12 + Math.sqrt(months) * 4, 48) : 12
+
+const formatTerm = (months) => {
+  if (!months) return 'No term'
+  if (months % 12 === 0) return `${months / 12} year${months === 12 ? '' : 's'}`
+  return `${months} months`
+}
+
+const plural = (count, one, many = `${one}s`) => `${count} ${count === 1 ? one : many}`
+
+// {value: count} of `values`, in first-seen order
+const tally = (values) => values.reduce((counts, value) => ({...counts, [value]: (counts[value] || 0) + 1}), {})
+
+const AgreementGraph = {
+  mounted() {
+    this.active = {nodes: {row: 0, col: 0}, links: {row: 0, col: 0}}
+
+    if (getComputedStyle(this.el).position === 'static') this.el.style.position = 'relative'
+
+    this.chartEl = document.createElement('div')
+    this.chartEl.className = 'w-full h-full'
+    this.chartEl.setAttribute('role', 'img')
+
+    this.tableEl = document.createElement('div')
+    this.tableEl.id = `${this.el.id}-table`
+    this.tableEl.className = 'w-full h-full space-y-6 overflow-auto p-4 pt-10 text-sm'
+    this.tableEl.hidden = true
+
+    const toggle = createViewToggle({controls: this.tableEl.id, onToggle: (table) => this.showTable(table)})
+    this.el.append(this.chartEl, this.tableEl, toggle)
+
+    // SVG rendering lets the SVG export keep the layout on screen
+    this.chart = mountChart(this.chartEl, {id: this.el.id, initOptions: {renderer: 'svg'}})
+
+    this._onTableKeyDown = (e) => this.onTableKeyDown(e)
+    this._onTableFocus = (e) => {
+      const cell = e.target.closest('[role="gridcell"]')
+      if (cell) this.setActive(cell.closest('table'), {row: Number(cell.dataset.row), col: Number(cell.dataset.col)})
+    }
+    this.tableEl.addEventListener('keydown', this._onTableKeyDown)
+    this.tableEl.addEventListener('focusin', this._onTableFocus)
+
+    this.unsubscribeTheme = subscribeTheme(() => this.renderGraph())
+
+    this.chart.on('click', (params) => {
+      if (params.dataType !== 'node') return
+      this.pushEvent('node:open', {id: params.data.id})
+    })
+
+    this.renderGraph()
+  },
+  updated() {
+    this.renderGraph()
+  },
+  destroyed() {
+    this.tableEl.removeEventListener('keydown', this._onTableKeyDown)
+    this.tableEl.removeEventListener('focusin', this._onTableFocus)
+    this.unsubscribeTheme?.()
+    this.chart.dispose()
+  },
+  showTable(table) {
+    this.tableEl.hidden = !table
+    this.chartEl.hidden = table
+    if (table) this.tableEl.querySelector('[role="gridcell"][tabindex="0"]')?.focus()
+  },
+  summary() {
+    const graph = this.graph
+    if (!graph || graph.nodes.length === 0) return 'Agreement graph: no agreements'
+
+    const types = tally(graph.nodes.map(node => node.doc_type || 'Unknown'))
+    const typeParts = countSummary(types, Object.fromEntries(Object.keys(types).map(type => [type, [type, type]])))
+    const links = tally(graph.links.map(link => link.link_type))
+    const linkParts = countSummary(links, Object.fromEntries(Object.keys(links).map(type => [type, [type, type]])))
+
+    return `Agreement graph: ${plural(graph.nodes.length, 'agreement')} (${typeParts}) and ` +
+      `${plural(graph.links.length, 'link')}${linkParts ? ` (${linkParts})` : ''}. ` +
+      'Use "Show as table" to read every agreement and link.'
+  },
+  // The agreements and links as two grids, each with one focusable cell (roving tabindex)
+  renderTables() {
+    const graph = this.graph
+    const focused = this.tableEl.contains(document.activeElement) ? document.activeElement.closest('table')?.dataset.grid : null
+    if (!graph || graph.nodes.length === 0) {
+      this.tableEl.replaceChildren()
+      return
+    }
+
+    const titles = new Map(graph.nodes.map(node => [node.id, node.title || `Agreement #${node.id}`]))
+    const nodeRows = graph.nodes.map(node => [
+      titles.get(node.id),
+      node.doc_type || 'Unknown',
+      formatTerm(node.term_length_months),
+      node.status || '–',
+      String(node.degree)
+    ])
+    const linkRows = graph.links.map(link => [titles.get(link.source), link.link_type, titles.get(link.target)])
+
+    this.tableEl.replaceChildren(
+      this.buildTable('nodes', 'Agreements (Enter opens one)', ['Agreement', 'Type', 'Term', 'Status', 'Links'], nodeRows),
+      this.buildTable('links', 'Links (from the referring agreement to the one it refers to)', ['From', 'Link', 'To'], linkRows)
+    )
+
+    if (focused) this.tableEl.querySelector(`table[data-grid="${focused}"] [role="gridcell"][tabindex="0"]`)?.focus()
+  },
+  buildTable(grid, caption, headers, rows) {
+    const {row: activeRow, col: activeCol} = this.active[grid]
+    this.active[grid] = {row: Math.min(activeRow, Math.max(rows.length - 1, 0)), col: Math.min(activeCol, headers.length - 1)}
+
+    const table = document.createElement('table')
+    table.dataset.grid = grid
+    table.setAttribute('role', 'grid')
+    table.className = 'w-full border-collapse text-left'
+
+    const captionEl = document.createElement('caption')
+    captionEl.className = 'mb-2 text-left font-medium text-gray-800'
+    captionEl.textContent = rows.length > 0 ? caption : `${caption}: none`
+
+    const head = document.createElement('tr')
+    head.append(...headers.map(header => {
+      const th = document.createElement('th')
+      th.scope = 'col'
+      th.className = 'border-b border-gray-200 px-2 py-1 font-medium text-gray-600'
+      th.textContent = header
+      return th
+    }))
+    const thead = document.createElement('thead')
+    thead.appendChild(head)
+
+    const tbody = document.createElement('tbody')
+    tbody.append(...rows.map((cells, row) => {
+      const tr = document.createElement('tr')
+      tr.append(...cells.map((value, col) => {
+        const td = document.createElement('td')
+        td.setAttribute('role', 'gridcell')
+        td.dataset.row = row
+        td.dataset.col = col
+        td.tabIndex = this.active[grid].row === row && this.active[grid].col === col ? 0 : -1
+        td.className = 'border-b border-gray-100 px-2 py-1 outline-none focus:ring-2 focus:ring-emerald-500'
+        td.textContent = value
+        return td
+      }))
+      return tr
+    }))
+
+    table.append(captionEl, thead, tbody)
+    return table
+  },
+  setActive(table, position) {
+    const grid = table.dataset.grid
+    this.active[grid] = position
+    table.querySelectorAll('[role="gridcell"]').forEach(cell => {
+      cell.tabIndex = Number(cell.dataset.row) === position.row && Number(cell.dataset.col) === position.col ? 0 : -1
+    })
+  },
+  onTableKeyDown(e) {
+    const cell = e.target.closest('[role="gridcell"]')
+    if (!cell) return
+    const table = cell.closest('table')
+    const current = {row: Number(cell.dataset.row), col: Number(cell.dataset.col)}
+
+    if ((e.key === 'Enter' || e.key === ' ') && table.dataset.grid === 'nodes') {
+      e.preventDefault()
+      this.pushEvent('node:open', {id: this.graph.nodes[current.row].id})
+      return
+    }
+
+    const rows = table.tBodies[0].rows
+    const next = gridMove(e.key, current, rows.length, rows[0]?.cells.length || 0, {ctrlKey: e.ctrlKey})
+    if (!next) return
+    e.preventDefault()
+    this.setActive(table, next)
+    rows[next.row].cells[next.col].focus()
+  },
+  readGraph() {
+    try {
+      return JSON.parse(this.el.dataset.graph || 'null')
+    } catch (e) {
+      console.error('AgreementGraph: invalid data-graph JSON', e)
+      return null
+    }
+  },
+  renderGraph() {
+    const graph = this.graph = this.readGraph()
+    this.chartEl.setAttribute('aria-label', this.summary())
+    this.renderTables()
+
+    if (!graph || graph.nodes.length === 0) {
+      this.chart.clear()
+      return
+    }
+
+    const {colors} = getTheme()
+    const docTypes = graph.doc_types.length > 0 ? graph.doc_types : ['Unknown']
+    const titles = new Map(graph.nodes.map(node => [String(node.id), node.title]))
+
+    const nodes = graph.nodes.map(node => ({
+      id: String(node.id),
+      name: node.title || `Agreement #${node.id}`,
+      category: Math.max(docTypes.indexOf(node.doc_type), 0),
+      symbolSize: nodeSize(node.term_length_months),
+      value: node.term_length_months,
+      // Only label the hubs so dense graphs stay readable
+      label: {show: node.degree >= 2},
+      meta: node
+    }))
+
+    const links = graph.links.map(link => ({
+      source: String(link.source),
+      target: String(link.target),
+      linkType: link.link_type,
+      lineStyle: linkStyle(link.link_type, colors)
+    }))
+
+    this.chart.setOption({
+      tooltip: {
+        backgroundColor: colors.tooltipBackground,
+        borderColor: colors.accent,
+        textStyle: {color: colors.tooltipText},
+        formatter: (params) => {
+          if (params.dataType === 'edge') {
+            const {source, target, linkType} = params.data
+            return `${escapeHtml(titles.get(source))} <b>${escapeHtml(linkType)}</b> ${escapeHtml(titles.get(target))}`
+          }
+          const meta = params.data.meta
+          return [
+            `<b>${escapeHtml(params.data.name)}</b>`,
+            `${escapeHtml(meta.doc_type || 'Unknown type')} · ${escapeHtml(formatTerm(meta.term_length_months))}`,
+            meta.status ? escapeHtml(meta.status) : null,
+            `${meta.degree} link${meta.degree === 1 ? '' : 's'}`
+          ].filter(Boolean).join('<br/>')
+        }
+      },
+      legend: [{data: docTypes, top: 8, left: 8, textStyle: {color: colors.muted}}],
+      series: [{
+        id: 'agreements',
+        type: 'graph',
+        layout: 'force',
+        roam: true,
+        draggable: true,
+        data: nodes,
+        links,
+        categories: docTypes.map((name, index) => ({name, itemStyle: {color: docTypeColor(name, index, colors)}})),
+        edgeSymbol: ['none', 'arrow'],
+        edgeSymbolSize: 7,
+        label: {position: 'right', formatter: '{b}', fontSize: 11, color: colors.text},
+        force: {repulsion: 160, edgeLength: [60, 140], gravity: 0.08},
+        emphasis: {focus: 'adjacency', label: {show: true}, lineStyle: {width: 3}},
+        cursor: 'pointer'
+      }]
+    })
+  }
+}
+
+export default AgreementGraph
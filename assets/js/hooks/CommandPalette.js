@@ -0,0 +1,237 @@
+// Command Palette Hook: Cmd/Ctrl+K search over agreements, routes and actions
+//
+// Mount on the element rendered by EvhlegalchatWeb.CommandPalette.command_palette/1
+// (phx-update="ignore"). Keystrokes are debounced and, once the query has
+// MIN_QUERY_LENGTH characters, pushed as "palette:search" {query}; the reply
+// {results} is rendered as a listbox. Results with a path are pushed as
+// "palette:navigate" {path} (the server live-navigates), results with an
+// action as "palette:run" {action, args}; the server answers with a
+// "show_toast" event.
+//
+// Arrow keys / Ctrl+N / Ctrl+P move, Enter runs, Escape closes. Picked
+// results are kept in localStorage and listed while the query is empty.
+// Focusing a [data-role="command-search"] field also opens the palette.
+
+const DEBOUNCE_MS = 150
+const MIN_QUERY_LENGTH = 2
+const RECENT_KEY = 'command-palette:recent'
+const RECENT_MAX = 8
+
+const KIND_LABELS = {agreement: 'Agreement', route: 'Go to', action: 'Action'}
+
+const loadRecent = () => {
+  try {
+    const items = JSON.parse(localStorage.getItem(RECENT_KEY) || '[]')
+    return Array.isArray(items) ? items : []
+  } catch (_e) {
+    return []
+  }
+}
+
+const saveRecent = (result) => {
+  try {
+    const items = [result, ...loadRecent().filter(item => item.id !== result.id)].slice(0, RECENT_MAX)
+    localStorage.setItem(RECENT_KEY, JSON.stringify(items))
+  } catch (_e) {}
+}
+
+const CommandPalette = {
+  mounted() {
+    this.results = []
+    this.selected = 0
+    this.searchSeq = 0
+    this.timer = null
+    this.returnFocus = null
+
+    this.build()
+
+    this._onKeyDown = (e) => {
+      const mod = e.metaKey || e.ctrlKey
+      if (mod && (e.key || '').toLowerCase() === 'k') {
+        e.preventDefault()
+        this.isOpen() ? this.close() : this.open()
+      }
+    }
+    this._onFocusIn = (e) => {
+      if (e.target instanceof HTMLElement && e.target.matches('[data-role="command-search"]')) {
+        e.target.blur()
+        this.open(e.target.value || '')
+      }
+    }
+    window.addEventListener('keydown', this._onKeyDown)
+    document.addEventListener('focusin', this._onFocusIn)
+  },
+
+  destroyed() {
+    clearTimeout(this.timer)
+    window.removeEventListener('keydown', this._onKeyDown)
+    document.removeEventListener('focusin', this._onFocusIn)
+  },
+
+  build() {
+    this.el.className = 'hidden fixed inset-0 z-50 items-start justify-center pt-[15vh] bg-black/40'
+    this.el.setAttribute('role', 'dialog')
+    this.el.setAttribute('aria-modal', 'true')
+    this.el.setAttribute('aria-label', 'Command palette')
+    this.el.addEventListener('mousedown', (e) => { if (e.target === this.el) this.close() })
+
+    const panel = document.createElement('div')
+    panel.className = 'w-full max-w-xl bg-white rounded-lg shadow-2xl overflow-hidden'
+
+    this.input = document.createElement('input')
+    this.input.type = 'text'
+    this.input.placeholder = 'Search agreements, pages and actions…'
+    this.input.className = 'w-full px-4 py-3 border-b border-gray-200 text-sm text-gray-900 outline-none'
+    this.input.setAttribute('role', 'combobox')
+    this.input.setAttribute('aria-expanded', 'true')
+    this.input.setAttribute('aria-controls', 'command-palette-results')
+    this.input.setAttribute('aria-autocomplete', 'list')
+    this.input.addEventListener('input', () => this.scheduleSearch())
+    this.input.addEventListener('keydown', (e) => this.onInputKeyDown(e))
+
+    this.list = document.createElement('ul')
+    this.list.id = 'command-palette-results'
+    this.list.className = 'max-h-80 overflow-y-auto py-1'
+    this.list.setAttribute('role', 'listbox')
+
+    this.status = document.createElement('div')
+    this.status.className = 'px-4 py-2 text-xs text-gray-500 border-t border-gray-100'
+
+    panel.append(this.input, this.list, this.status)
+    this.el.replaceChildren(panel)
+  },
+
+  isOpen() {
+    return !this.el.classList.contains('hidden')
+  },
+
+  open(query = '') {
+    this.returnFocus = document.activeElement
+    this.el.classList.remove('hidden')
+    this.el.classList.add('flex')
+    this.input.value = query
+    this.input.focus()
+    this.search()
+  },
+
+  close() {
+    clearTimeout(this.timer)
+    this.searchSeq++
+    this.el.classList.add('hidden')
+    this.el.classList.remove('flex')
+    if (this.returnFocus instanceof HTMLElement && this.returnFocus.isConnected) this.returnFocus.focus()
+    this.returnFocus = null
+  },
+
+  scheduleSearch() {
+    clearTimeout(this.timer)
+    this.timer = setTimeout(() => this.search(), DEBOUNCE_MS)
+  },
+
+  search() {
+    const query = this.input.value.trim()
+    const seq = ++this.searchSeq
+    if (query !== '' && Array.from(query).length < MIN_QUERY_LENGTH) {
+      this.render([])
+      this.status.textContent = `Type at least ${MIN_QUERY_LENGTH} characters`
+      return
+    }
+    this.status.textContent = 'Searching…'
+
+    this.pushEvent('palette:search', {query}, (reply) => {
+      // Drop replies that arrive after a newer query was sent
+      if (seq !== this.searchSeq) return
+      const results = reply?.results || []
+      const recent = query === '' ? loadRecent() : []
+      const recentIds = new Set(recent.map(r => r.id))
+      this.render([...recent.map(r => ({...r, recent: true})), ...results.filter(r => !recentIds.has(r.id))])
+    })
+  },
+
+  render(results) {
+    this.results = results
+    this.selected = 0
+    this.list.replaceChildren()
+
+    results.forEach((result, index) => {
+      const li = document.createElement('li')
+      li.id = `command-palette-option-${index}`
+      li.className = 'flex items-center justify-between gap-3 px-4 py-2 cursor-pointer text-sm'
+      li.setAttribute('role', 'option')
+      li.addEventListener('mousemove', () => { if (this.selected !== index) this.select(index) })
+      li.addEventListener('click', () => this.choose(index))
+
+      const text = document.createElement('div')
+      text.className = 'min-w-0'
+      const label = document.createElement('div')
+      label.className = 'truncate text-gray-900'
+      label.textContent = result.label
+      text.appendChild(label)
+      if (result.hint) {
+        const hint = document.createElement('div')
+        hint.className = 'truncate text-xs text-gray-500'
+        hint.textContent = result.hint
+        text.appendChild(hint)
+      }
+
+      const kind = document.createElement('span')
+      kind.className = 'shrink-0 text-[10px] uppercase tracking-wide text-gray-400'
+      kind.textContent = result.recent ? 'Recent' : (KIND_LABELS[result.kind] || result.kind)
+
+      li.append(text, kind)
+      this.list.appendChild(li)
+    })
+
+    this.status.textContent = results.length === 0 ? 'No matches' : '↑↓ to move · Enter to open · Esc to close'
+    this.select(0)
+  },
+
+  select(index) {
+    if (this.results.length === 0) {
+      this.input.removeAttribute('aria-activedescendant')
+      return
+    }
+    this.selected = (index + this.results.length) % this.results.length
+    Array.from(this.list.children).forEach((li, i) => {
+      const active = i === this.selected
+      li.setAttribute('aria-selected', String(active))
+      li.classList.toggle('bg-emerald-50', active)
+    })
+    const active = this.list.children[this.selected]
+    this.input.setAttribute('aria-activedescendant', active.id)
+    active.scrollIntoView({block: 'nearest'})
+  },
+
+  onInputKeyDown(e) {
+    const key = e.key
+    if (key === 'ArrowDown' || (e.ctrlKey && key === 'n')) {
+      e.preventDefault()
+      this.select(this.selected + 1)
+    } else if (key === 'ArrowUp' || (e.ctrlKey && key === 'p')) {
+      e.preventDefault()
+      this.select(this.selected - 1)
+    } else if (key === 'Enter') {
+      e.preventDefault()
+      this.choose(this.selected)
+    } else if (key === 'Escape') {
+      e.preventDefault()
+      this.close()
+    }
+  },
+
+  choose(index) {
+    const result = this.results[index]
+    if (!result) return
+    const {recent: _recent, ...entry} = result
+    saveRecent(entry)
+    this.close()
+
+    if (entry.path) {
+      this.pushEvent('palette:navigate', {path: entry.path})
+    } else if (entry.action) {
+      this.pushEvent('palette:run', {action: entry.action, args: entry.args || {}})
+    }
+  }
+}
+
+export default CommandPalette
@@ -0,0 +1,178 @@
+// Document Viewer Hook: extracted source text with provenance highlighting
+//
+// Loads an agreement's text, page ranges and evidence spans from the server
+// ("viewer:load" replied with Evhlegalchat.Provenance.document/1) and renders
+// them with every extracted field highlighted. Other elements jump to a field
+// by dispatching a DOM event at the viewer:
+//
+//   phx-click={JS.dispatch("viewer:jump", to: "#document-viewer",
+//     detail: %{agreement_id: 12, span_id: "fact:42", page: 3})}
+//
+// The server can push the same "viewer:jump" event, e.g. right after opening
+// the LayoutChrome inspector the viewer sits in. The viewer loads the
+// agreement if needed, scrolls the span (or, for page-only evidence, the
+// page) into view and flashes it. Set data-agreement-id
+// to load a document on mount. Use phx-update="ignore" on the element.
+//
+// Offsets in the payload are grapheme offsets, like String.slice/3: span
+// `end` is inclusive (it is the fact's or clause's end_char), page `end` is
+// exclusive. Both are turned into half-open UTF-16 ranges before rendering.
+
+import {offsetMap} from "../lib/text_offsets"
+
+const FLASH_CLASS = 'provenance-flash'
+const ACTIVE_CLASS = 'provenance-span-active'
+
+const DocumentViewer = {
+  mounted() {
+    this.doc = null
+    this.loading = null
+
+    this.el.classList.add('document-viewer')
+    this.header = document.createElement('div')
+    this.header.className = 'px-4 py-2 border-b border-gray-200 text-sm font-medium text-gray-800'
+    this.body = document.createElement('div')
+    this.body.className = 'document-viewer-body px-4 py-3 overflow-y-auto font-mono text-xs leading-relaxed whitespace-pre-wrap text-gray-800'
+    this.body.setAttribute('tabindex', '0')
+    this.el.replaceChildren(this.header, this.body)
+    this.showMessage('Select a field to see where it came from.')
+
+    this._onJump = (e) => this.jump(e.detail || {})
+    this.el.addEventListener('viewer:jump', this._onJump)
+    this.handleEvent('viewer:jump', (detail) => this.jump(detail))
+
+    const initial = Number(this.el.dataset.agreementId)
+    if (initial) this.load(initial)
+  },
+
+  destroyed() {
+    this.el.removeEventListener('viewer:jump', this._onJump)
+  },
+
+  showMessage(message) {
+    this.header.textContent = this.doc ? this.doc.title : 'Source document'
+    const p = document.createElement('p')
+    p.className = 'text-gray-500 font-sans'
+    p.textContent = message
+    this.body.replaceChildren(p)
+  },
+
+  load(agreementId) {
+    if (this.doc && this.doc.agreement_id === agreementId) return Promise.resolve(this.doc)
+    if (this.loading && this.loading.agreementId === agreementId) return this.loading.promise
+
+    this.doc = null
+    this.showMessage('Loading source text…')
+    const promise = new Promise((resolve) => {
+      this.pushEvent('viewer:load', {agreement_id: agreementId}, (reply) => {
+        this.loading = null
+        if (!reply || reply.error) {
+          this.showMessage(reply?.error === 'not_found' ? 'Agreement not found.' : 'Source text is not available for this agreement.')
+          return resolve(null)
+        }
+        this.doc = reply
+        this.renderDocument()
+        resolve(reply)
+      })
+    })
+    this.loading = {agreementId, promise}
+    return promise
+  },
+
+  async jump({agreement_id, span_id, page}) {
+    if (!agreement_id) return
+    const doc = await this.load(Number(agreement_id))
+    if (!doc) return
+
+    this.body.querySelectorAll(`.${ACTIVE_CLASS}`).forEach(el => el.classList.remove(ACTIVE_CLASS))
+
+    const marks = span_id ? Array.from(this.body.querySelectorAll('mark[data-span-ids]'))
+      .filter(mark => mark.dataset.spanIds.split(' ').includes(span_id)) : []
+
+    if (marks.length > 0) {
+      marks.forEach(mark => mark.classList.add(ACTIVE_CLASS))
+      this.reveal(marks[0], marks)
+      return
+    }
+
+    const span = doc.spans.find(s => s.id === span_id)
+    const targetPage = page || span?.page_start
+    const section = targetPage && this.body.querySelector(`[data-page="${targetPage}"]`)
+    if (section) this.reveal(section, [section])
+  },
+
+  reveal(target, flashEls) {
+    target.scrollIntoView({block: 'center', behavior: 'smooth'})
+    flashEls.forEach(el => {
+      el.classList.remove(FLASH_CLASS)
+      // Restart the animation when the same span is selected twice
+      void el.offsetWidth
+      el.classList.add(FLASH_CLASS)
+      el.addEventListener('animationend', () => el.classList.remove(FLASH_CLASS), {once: true})
+    })
+  },
+
+  renderDocument() {
+    const {text, spans} = this.doc
+    const offsets = offsetMap(text)
+    const pages = this.doc.pages.length > 0
+      ? this.doc.pages.map(p => ({...p, start: offsets.toCodeUnit(p.start), end: offsets.toCodeUnit(p.end)}))
+      : [{page: null, start: 0, end: text.length}]
+    const charSpans = spans
+      .filter(s => s.start != null && s.end != null && s.end >= s.start)
+      .map(s => ({...s, start: offsets.toCodeUnit(s.start), end: offsets.toCodeUnit(s.end + 1)}))
+
+    // Split the text at every page and span boundary, then tag each piece with the spans covering it
+    const cuts = new Set([0, text.length])
+    pages.forEach(p => { cuts.add(p.start); cuts.add(p.end) })
+    charSpans.forEach(s => { cuts.add(s.start); cuts.add(s.end) })
+    const points = Array.from(cuts).sort((a, b) => a - b)
+
+    this.header.textContent = this.doc.title
+    const fragment = document.createDocumentFragment()
+    let pageIdx = 0
+    let section = null
+
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i]
+      const to = points[i + 1]
+      if (to <= from) continue
+
+      while (pageIdx < pages.length - 1 && from >= pages[pageIdx].end) pageIdx++
+      if (!section || section.dataset.pageIdx !== String(pageIdx)) {
+        section = this.pageSection(pages[pageIdx], pageIdx)
+        fragment.appendChild(section)
+      }
+
+      const piece = text.slice(from, to)
+      const covering = charSpans.filter(s => s.start <= from && s.end >= to)
+      if (covering.length === 0) {
+        section.appendChild(document.createTextNode(piece))
+        continue
+      }
+      const mark = document.createElement('mark')
+      mark.className = 'provenance-span'
+      mark.dataset.spanIds = covering.map(s => s.id).join(' ')
+      mark.title = covering.map(s => `${s.label}: ${s.value ?? ''}`).join('\n')
+      mark.textContent = piece
+      section.appendChild(mark)
+    }
+
+    this.body.replaceChildren(fragment)
+  },
+
+  pageSection(page, idx) {
+    const section = document.createElement('section')
+    section.dataset.pageIdx = String(idx)
+    if (page.page != null) {
+      section.dataset.page = String(page.page)
+      const label = document.createElement('div')
+      label.className = 'document-viewer-page-label font-sans text-[10px] uppercase tracking-wide text-gray-400 my-2'
+      label.textContent = `Page ${page.page}`
+      section.appendChild(label)
+    }
+    return section
+  }
+}
+
+export default DocumentViewer
@@ -0,0 +1,316 @@
+// Layout Chrome Hook: resizable side panels around the main content
+//
+// Mount on the grid element of the app layout. Its direct children are laid
+// out left to right as grid columns:
+//
+//   <div id="layout" phx-hook="LayoutChrome" class="grid h-screen">
+//     <aside id="layout-left" data-panel="left" data-width="260" data-min-width="200"
+//            data-max-width="420" data-collapsed-width="72" aria-label="Navigation">…</aside>
+//     <div data-resize="left" role="separator" aria-orientation="vertical" tabindex="0"></div>
+//     <main id="layout-main" data-panel="main">…</main>
+//     <div data-resize="right" role="separator" aria-orientation="vertical" tabindex="0"></div>
+//     <aside id="layout-right" data-panel="right" data-width="360" data-min-width="280"
+//            data-max-width="640" aria-label="Inspector">…</aside>
+//   </div>
+//
+// The right-hand inspector is optional and starts closed. Drag a separator
+// (or focus it and use the arrow keys, Shift for bigger steps, Home/End for
+// the limits, Enter to collapse or close) to resize; double-click resets the
+// default width. The main column never gets narrower than MAIN_MIN_WIDTH.
+//
+// Widths, the collapsed left rail and the open inspector are saved in
+// localStorage per route: data-layout-key, or the path with numeric segments
+// replaced by ":id", so every agreement's flow page shares one layout.
+//
+// Shortcuts: Cmd/Ctrl+B collapses the left rail, Cmd/Ctrl+\ toggles the
+// inspector, Alt+1 / Alt+2 / Alt+3 focus the left panel, the main content
+// and the inspector. The server can open or close the inspector with
+// push_event(socket, "layout:inspector", %{open: true}), e.g. after loading
+// a clause's source into it.
+
+import {requestUpdate} from "../lib/frame_scheduler"
+
+const STORAGE_PREFIX = 'evh-layout:'
+const MAIN_MIN_WIDTH = 320
+const KEY_STEP = 16
+const KEY_STEP_LARGE = 64
+const FOCUS_KEYS = {Digit1: 'left', Digit2: 'main', Digit3: 'right'}
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value))
+
+const numberData = (el, name, fallback) => {
+  const value = Number(el?.dataset[name])
+  return Number.isFinite(value) && el.dataset[name] !== '' ? value : fallback
+}
+
+const routeKey = (el) => el.dataset.layoutKey ||
+  window.location.pathname.split('/').map(segment => (/^\d+$/.test(segment) ? ':id' : segment)).join('/')
+
+const readLayout = (key) => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_PREFIX + key) || 'null') || {}
+  } catch (_e) {
+    return {}
+  }
+}
+
+const writeLayout = (key, layout) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(layout))
+  } catch (_e) {
+    // Private mode or full storage: the layout just is not remembered
+  }
+}
+
+const LayoutChrome = {
+  mounted() {
+    this.restore()
+
+    this._onClick = (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action
+      if (action === 'toggle-left') this.toggleLeft()
+      if (action === 'toggle-right') this.toggleRight()
+    }
+    this.el.addEventListener('click', this._onClick)
+
+    this._onPointerDown = (e) => this.startDrag(e)
+    this._onDoubleClick = (e) => {
+      const side = e.target.closest('[data-resize]')?.dataset.resize
+      if (side) this.resetWidth(side)
+    }
+    this._onSeparatorKeyDown = (e) => this.onSeparatorKeyDown(e)
+    this.el.addEventListener('pointerdown', this._onPointerDown)
+    this.el.addEventListener('dblclick', this._onDoubleClick)
+    this.el.addEventListener('keydown', this._onSeparatorKeyDown)
+
+    this._onKeyDown = (e) => this.onKeyDown(e)
+    window.addEventListener('keydown', this._onKeyDown)
+
+    this.handleEvent('layout:inspector', ({open}) => this.setRight(open !== false))
+
+    this.apply()
+  },
+
+  // LiveView patches reset the attributes and styles the hook sets, and a
+  // push_patch may have moved to another route with its own saved layout
+  updated() {
+    if (routeKey(this.el) !== this.key) this.restore()
+    this.apply()
+  },
+
+  destroyed() {
+    window.removeEventListener('keydown', this._onKeyDown)
+    this.stopDrag?.()
+  },
+
+  panel(side) {
+    return Array.from(this.el.children).find(child => child.dataset.panel === side) || null
+  },
+
+  limits(side) {
+    const panel = this.panel(side)
+    const min = numberData(panel, 'minWidth', 160)
+    const max = numberData(panel, 'maxWidth', 640)
+    // Leave the main column its minimum next to the other side panel
+    const other = side === 'left' ? 'right' : 'left'
+    const otherWidth = this.isShown(other) ? this.width(other) : 0
+    const room = this.el.clientWidth > 0 ? this.el.clientWidth - otherWidth - MAIN_MIN_WIDTH : max
+    return {min, max: Math.max(min, Math.min(max, room))}
+  },
+
+  width(side) {
+    if (side === 'left' && this.layout.left.collapsed) return numberData(this.panel('left'), 'collapsedWidth', 72)
+    return this.layout[side].width
+  },
+
+  isShown(side) {
+    if (!this.panel(side)) return false
+    return side === 'right' ? this.layout.right.open : true
+  },
+
+  restore() {
+    this.key = routeKey(this.el)
+    const saved = readLayout(this.key)
+    // Saved widths may come from a panel whose limits have changed since
+    const width = (side) => {
+      const panel = this.panel(side)
+      const value = Number(saved[side]?.width)
+      return Number.isFinite(value)
+        ? clamp(value, numberData(panel, 'minWidth', 160), numberData(panel, 'maxWidth', 640))
+        : numberData(panel, 'width', side === 'left' ? 260 : 360)
+    }
+    this.layout = {
+      left: {width: width('left'), collapsed: saved.left?.collapsed === true},
+      right: {width: width('right'), open: saved.right?.open === true}
+    }
+  },
+
+  save() {
+    writeLayout(this.key, this.layout)
+  },
+
+  // Grid columns from the children in DOM order; a closed inspector and its
+  // separator drop out of the grid
+  apply() {
+    const columns = []
+    Array.from(this.el.children).forEach(child => {
+      const side = child.dataset.panel || child.dataset.resize
+      const shown = side === 'right' ? this.isShown('right') : true
+      child.hidden = !shown
+      if (!shown) return
+
+      if (child.dataset.panel) {
+        columns.push(side === 'main' ? `minmax(${MAIN_MIN_WIDTH}px, 1fr)` : `${this.width(side)}px`)
+        // Focusable for the Alt+digit shortcuts, but not in the tab order
+        if (!child.hasAttribute('tabindex')) child.tabIndex = -1
+      } else if (child.dataset.resize) {
+        columns.push('auto')
+        this.describeSeparator(child, side)
+      } else {
+        columns.push('auto')
+      }
+    })
+    this.el.style.gridTemplateColumns = columns.join(' ')
+
+    const left = this.panel('left')
+    const collapsed = this.layout.left.collapsed
+    left?.querySelectorAll('[data-collapsible-label]').forEach(el => el.classList.toggle('hidden', collapsed))
+    left?.toggleAttribute('data-collapsed', collapsed)
+    this.el.querySelectorAll('[data-action="toggle-left"]').forEach(button => button.setAttribute('aria-expanded', String(!collapsed)))
+    this.el.querySelectorAll('[data-action="toggle-right"]').forEach(button => button.setAttribute('aria-expanded', String(this.layout.right.open)))
+  },
+
+  describeSeparator(separator, side) {
+    const panel = this.panel(side)
+    const {min, max} = this.limits(side)
+    separator.setAttribute('aria-valuemin', min)
+    separator.setAttribute('aria-valuemax', max)
+    separator.setAttribute('aria-valuenow', this.width(side))
+    if (panel?.id) separator.setAttribute('aria-controls', panel.id)
+    if (!separator.hasAttribute('aria-label')) {
+      separator.setAttribute('aria-label', side === 'left' ? 'Resize navigation' : 'Resize inspector')
+    }
+  },
+
+  setWidth(side, width, {persist = true} = {}) {
+    const {min, max} = this.limits(side)
+    this.layout[side].width = clamp(Math.round(width), min, max)
+    if (side === 'left') this.layout.left.collapsed = false
+    requestUpdate(this, () => () => this.apply())
+    if (persist) this.save()
+  },
+
+  resetWidth(side) {
+    this.setWidth(side, numberData(this.panel(side), 'width', side === 'left' ? 260 : 360))
+  },
+
+  toggleLeft() {
+    if (!this.panel('left')) return
+    this.layout.left.collapsed = !this.layout.left.collapsed
+    this.apply()
+    this.save()
+  },
+
+  setRight(open) {
+    if (!this.panel('right') || this.layout.right.open === open) return
+    this.layout.right.open = open
+    this.apply()
+    this.save()
+    // Closing the inspector from inside it would leave focus nowhere
+    if (!open && this.panel('right').contains(document.activeElement)) this.focusPanel('main')
+  },
+
+  toggleRight() {
+    this.setRight(!this.layout.right.open)
+  },
+
+  focusPanel(side) {
+    if (side === 'right') this.setRight(true)
+    if (!this.isShown(side)) return
+    if (side === 'left' && this.layout.left.collapsed) this.toggleLeft()
+    this.panel(side)?.focus()
+  },
+
+  startDrag(e) {
+    const separator = e.target.closest('[data-resize]')
+    if (!separator || e.button !== 0) return
+    const side = separator.dataset.resize
+    if (!this.isShown(side)) return
+    e.preventDefault()
+
+    const startX = e.clientX
+    // A collapsed rail opens at its minimum width and grows from there
+    const startWidth = side === 'left' && this.layout.left.collapsed ? this.limits(side).min : this.width(side)
+    // Dragging the left edge of the inspector to the left widens it
+    const direction = side === 'left' ? 1 : -1
+    separator.setPointerCapture?.(e.pointerId)
+    document.body.style.cursor = 'col-resize'
+
+    const onMove = (move) => this.setWidth(side, startWidth + (move.clientX - startX) * direction, {persist: false})
+    const onUp = () => {
+      this.stopDrag()
+      this.save()
+    }
+    this.stopDrag = () => {
+      separator.removeEventListener('pointermove', onMove)
+      separator.removeEventListener('pointerup', onUp)
+      separator.removeEventListener('pointercancel', onUp)
+      document.body.style.cursor = ''
+      this.stopDrag = null
+    }
+    separator.addEventListener('pointermove', onMove)
+    separator.addEventListener('pointerup', onUp)
+    separator.addEventListener('pointercancel', onUp)
+  },
+
+  onSeparatorKeyDown(e) {
+    const separator = e.target.closest?.('[data-resize]')
+    if (!separator || e.target !== separator) return
+    const side = separator.dataset.resize
+    const direction = side === 'left' ? 1 : -1
+    const step = e.shiftKey ? KEY_STEP_LARGE : KEY_STEP
+    const {min, max} = this.limits(side)
+
+    switch (e.key) {
+      case 'ArrowRight': this.setWidth(side, this.width(side) + step * direction); break
+      case 'ArrowLeft': this.setWidth(side, this.width(side) - step * direction); break
+      case 'Home': this.setWidth(side, min); break
+      case 'End': this.setWidth(side, max); break
+      case 'Enter':
+        if (side === 'left') this.toggleLeft()
+        else this.setRight(false)
+        break
+      default:
+        return
+    }
+    e.preventDefault()
+  },
+
+  onKeyDown(e) {
+    const key = (e.key || '').toLowerCase()
+    const mod = e.metaKey || e.ctrlKey
+    if (mod && !e.altKey && key === 'b') {
+      e.preventDefault()
+      this.toggleLeft()
+      return
+    }
+    if (mod && !e.altKey && key === '\\' && this.panel('right')) {
+      e.preventDefault()
+      this.toggleRight()
+      return
+    }
+    // e.code: with Alt held, macOS layouts report other characters in e.key
+    if (e.altKey && !mod && FOCUS_KEYS[e.code] && this.panel(FOCUS_KEYS[e.code])) {
+      e.preventDefault()
+      this.focusPanel(FOCUS_KEYS[e.code])
+      return
+    }
+    // The CommandPalette hook owns Cmd/Ctrl+K when it is on the page
+    if (mod && key === 'k' && !document.getElementById('command-palette')) {
+      const search = this.el.querySelector('[data-role="command-search"]')
+      if (search) { e.preventDefault(); search.focus() }
+    }
+  }
+}
+
+export default LayoutChrome
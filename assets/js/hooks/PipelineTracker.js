@@ -0,0 +1,275 @@
+// Pipeline Tracker Hook: live per-upload processing progress
+//
+// Server events (see Evhlegalchat.Pipeline):
+//   "pipeline:rows" {rows}                      full list, newest first
+//   "pipeline:job"  {staging_upload_id, stage}  one stage changed state
+// A row is {staging_upload_id, filename, hash, byte_size, status_label,
+// rejection_reason, inserted_at, stages: [{stage, state, attempt,
+// max_attempts, started_at, finished_at, error, job_id}]}, with state one of
+// pending, queued, running, retrying, completed, failed.
+//
+// Unknown uploads are fetched with "pipeline:row" {staging_upload_id}; retry
+// buttons push "pipeline:retry" {staging_upload_id, stage}. While work is in
+// flight the page title and favicon carry the number of busy uploads.
+// Use phx-update="ignore" on the element.
+
+const STAGE_LABELS = {extract: 'Extract', segment: 'Segment', promote: 'Promote', enrich: 'Enrich', map: 'Map fields'}
+const BUSY_STATES = new Set(['queued', 'running', 'retrying'])
+
+const STATE_STYLES = {
+  pending: {dot: 'bg-gray-200 text-gray-500', label: 'text-gray-400'},
+  queued: {dot: 'bg-blue-100 text-blue-700', label: 'text-blue-700'},
+  running: {dot: 'bg-blue-600 text-white animate-pulse', label: 'text-blue-700 font-medium'},
+  retrying: {dot: 'bg-amber-500 text-white', label: 'text-amber-700'},
+  completed: {dot: 'bg-emerald-600 text-white', label: 'text-emerald-700'},
+  failed: {dot: 'bg-red-600 text-white', label: 'text-red-700 font-medium'}
+}
+
+const formatDuration = (ms) => {
+  const s = Math.max(0, Math.floor(ms / 1000))
+  if (s < 60) return `${s}s`
+  const m = Math.floor(s / 60)
+  if (m < 60) return `${m}m ${String(s % 60).padStart(2, '0')}s`
+  return `${Math.floor(m / 60)}h ${String(m % 60).padStart(2, '0')}m`
+}
+
+const formatRelative = (iso) => {
+  const ms = Date.now() - Date.parse(iso)
+  if (!(ms >= 0)) return ''
+  const minutes = Math.floor(ms / 60000)
+  if (minutes < 1) return 'just now'
+  if (minutes < 60) return `${minutes} min ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours} h ago`
+  return `${Math.floor(hours / 24)} d ago`
+}
+
+const humanizeSize = (bytes) => {
+  if (bytes == null) return ''
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${Math.round(bytes / (1024 * 1024))} MB`
+}
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+const PipelineTracker = {
+  mounted() {
+    this.rows = new Map()
+    this.order = []
+    this.pendingFetches = new Set()
+    this.baseTitle = document.title
+    this.favicon = document.querySelector('link[rel~="icon"]')
+    this.baseFavicon = this.favicon?.href || null
+    this.badgeCount = 0
+
+    this.handleEvent('pipeline:rows', ({rows}) => {
+      this.rows = new Map(rows.map(row => [row.staging_upload_id, row]))
+      this.order = rows.map(row => row.staging_upload_id)
+      this.render()
+    })
+
+    this.handleEvent('pipeline:job', ({staging_upload_id, stage}) => this.applyStage(staging_upload_id, stage))
+
+    this.ticker = setInterval(() => this.tick(), 1000)
+  },
+
+  destroyed() {
+    clearInterval(this.ticker)
+    this.setBadge(0)
+  },
+
+  applyStage(id, stage) {
+    const row = this.rows.get(id)
+    if (!row) {
+      this.fetchRow(id)
+      return
+    }
+    row.stages = row.stages.map(s => s.stage === stage.stage ? {...s, ...stage} : s)
+    this.renderRow(row)
+    this.updateBadge()
+    // Stage transitions change the upload's own status (extracted, promoted, ...)
+    if (stage.state === 'completed' || stage.state === 'failed') this.fetchRow(id)
+  },
+
+  fetchRow(id) {
+    if (this.pendingFetches.has(id)) return
+    this.pendingFetches.add(id)
+    this.pushEvent('pipeline:row', {staging_upload_id: id}, ({row}) => {
+      this.pendingFetches.delete(id)
+      if (!row) return
+      const known = this.rows.get(id)
+      if (known) {
+        // The jobs table can lag behind telemetry; keep stage states we already know are newer
+        row.stages = row.stages.map((fresh, i) => {
+          const local = known.stages[i]
+          return local && local.job_id && (!fresh.job_id || local.job_id > fresh.job_id || (local.job_id === fresh.job_id && !BUSY_STATES.has(local.state)))
+            ? local
+            : fresh
+        })
+        this.rows.set(id, row)
+        this.renderRow(row)
+      } else {
+        this.rows.set(id, row)
+        this.order.unshift(id)
+        this.render()
+      }
+      this.updateBadge()
+    })
+  },
+
+  render() {
+    if (this.order.length === 0) {
+      this.el.replaceChildren(el('div', 'text-center py-8 text-gray-500', 'No staging uploads yet. Upload some files to get started.'))
+      this.updateBadge()
+      return
+    }
+    const list = el('div', 'space-y-4')
+    list.dataset.role = 'pipeline-rows'
+    this.order.forEach(id => list.appendChild(this.buildRow(this.rows.get(id))))
+    this.el.replaceChildren(list)
+    this.updateBadge()
+  },
+
+  renderRow(row) {
+    const existing = this.el.querySelector(`[data-upload-id="${row.staging_upload_id}"]`)
+    if (existing) existing.replaceWith(this.buildRow(row))
+    else this.render()
+  },
+
+  buildRow(row) {
+    const card = el('div', 'border border-gray-200 rounded-lg p-4')
+    card.dataset.uploadId = String(row.staging_upload_id)
+
+    const header = el('div', 'flex items-center justify-between gap-4')
+    const info = el('div', 'flex-1 min-w-0')
+    info.appendChild(el('h3', 'font-medium text-gray-900 truncate', row.filename))
+    const meta = el('div', 'flex items-center gap-4 mt-1 text-sm text-gray-500')
+    meta.appendChild(el('span', 'inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800', row.status_label))
+    meta.appendChild(el('span', null, `Hash: ${row.hash}...`))
+    meta.appendChild(el('span', null, humanizeSize(row.byte_size)))
+    info.appendChild(meta)
+    header.append(info, el('div', 'text-sm text-gray-500 shrink-0', row.inserted_at ? formatRelative(row.inserted_at) : ''))
+    card.appendChild(header)
+
+    if (row.rejection_reason) card.appendChild(el('div', 'mt-2 text-sm text-red-600', `Rejected: ${row.rejection_reason}`))
+
+    const stepper = el('ol', 'mt-4 grid grid-cols-5 gap-2')
+    stepper.setAttribute('aria-label', 'Processing stages')
+    row.stages.forEach((stage, index) => stepper.appendChild(this.buildStep(stage, index)))
+    card.appendChild(stepper)
+
+    row.stages
+      .filter(stage => (stage.state === 'failed' || stage.state === 'retrying') && stage.error)
+      .forEach(stage => card.appendChild(this.buildFailure(row, stage)))
+
+    return card
+  },
+
+  buildStep(stage, index) {
+    const style = STATE_STYLES[stage.state] || STATE_STYLES.pending
+    const step = el('li', 'flex flex-col items-center text-center gap-1')
+    step.setAttribute('aria-label', `${STAGE_LABELS[stage.stage] || stage.stage}: ${stage.state}`)
+
+    const dot = el('span', `flex items-center justify-center w-7 h-7 rounded-full text-xs ${style.dot}`,
+      stage.state === 'completed' ? '✓' : stage.state === 'failed' ? '!' : String(index + 1))
+    step.appendChild(dot)
+    step.appendChild(el('span', `text-xs ${style.label}`, STAGE_LABELS[stage.stage] || stage.stage))
+
+    const detail = el('span', 'text-[11px] text-gray-500 tabular-nums')
+    if (stage.state === 'running' && stage.started_at) {
+      detail.dataset.elapsedSince = stage.started_at
+      detail.textContent = formatDuration(Date.now() - Date.parse(stage.started_at))
+    } else if (stage.started_at && stage.finished_at) {
+      detail.textContent = formatDuration(Date.parse(stage.finished_at) - Date.parse(stage.started_at))
+    } else if (stage.state === 'retrying') {
+      detail.textContent = `attempt ${stage.attempt}/${stage.max_attempts}`
+    } else if (stage.state === 'queued') {
+      detail.textContent = 'queued'
+    }
+    step.appendChild(detail)
+    return step
+  },
+
+  buildFailure(row, stage) {
+    const box = el('div', 'mt-3 flex items-start justify-between gap-3 rounded bg-red-50 px-3 py-2 text-sm')
+    const text = el('div', 'min-w-0 text-red-700')
+    text.appendChild(el('span', 'font-medium', `${STAGE_LABELS[stage.stage] || stage.stage} ${stage.state === 'retrying' ? 'failed, retrying' : 'failed'}: `))
+    text.appendChild(el('span', 'break-words', stage.error))
+    box.appendChild(text)
+
+    const button = el('button', 'shrink-0 px-2 py-1 rounded border border-red-300 text-red-700 hover:bg-red-100 text-xs', 'Retry now')
+    button.type = 'button'
+    button.addEventListener('click', () => {
+      button.disabled = true
+      button.textContent = 'Retrying…'
+      this.pushEvent('pipeline:retry', {staging_upload_id: row.staging_upload_id, stage: stage.stage}, (reply) => {
+        if (reply?.ok) {
+          this.applyStage(row.staging_upload_id, {...stage, state: 'queued', error: null})
+        } else {
+          button.disabled = false
+          button.textContent = 'Retry now'
+          button.title = reply?.error || 'Retry failed'
+        }
+      })
+    })
+    box.appendChild(button)
+    return box
+  },
+
+  tick() {
+    this.el.querySelectorAll('[data-elapsed-since]').forEach(node => {
+      node.textContent = formatDuration(Date.now() - Date.parse(node.dataset.elapsedSince))
+    })
+  },
+
+  updateBadge() {
+    const busy = Array.from(this.rows.values())
+      .filter(row => row.stages.some(stage => BUSY_STATES.has(stage.state)))
+      .length
+    this.setBadge(busy)
+  },
+
+  setBadge(count) {
+    if (count === this.badgeCount) return
+    this.badgeCount = count
+
+    // LiveView may have changed the title since mount; strip our prefix rather than restoring a stale copy
+    const title = document.title.replace(/^\(\d+\) /, '') || this.baseTitle
+    document.title = count > 0 ? `(${count}) ${title}` : title
+
+    if (!this.favicon) return
+    if (count === 0) {
+      if (this.baseFavicon) this.favicon.href = this.baseFavicon
+      return
+    }
+    const draw = (image) => {
+      const canvas = document.createElement('canvas')
+      canvas.width = canvas.height = 32
+      const ctx = canvas.getContext('2d')
+      if (image) ctx.drawImage(image, 0, 0, 32, 32)
+      ctx.fillStyle = '#dc2626'
+      ctx.beginPath()
+      ctx.arc(22, 10, 10, 0, Math.PI * 2)
+      ctx.fill()
+      ctx.fillStyle = '#ffffff'
+      ctx.font = 'bold 14px sans-serif'
+      ctx.textAlign = 'center'
+      ctx.textBaseline = 'middle'
+      ctx.fillText(count > 9 ? '9+' : String(count), 22, 11)
+      if (this.badgeCount === count) this.favicon.href = canvas.toDataURL('image/png')
+    }
+    if (!this.baseFavicon) return draw(null)
+    const image = new Image()
+    image.onload = () => draw(image)
+    image.onerror = () => draw(null)
+    image.src = this.baseFavicon
+  }
+}
+
+export default PipelineTracker
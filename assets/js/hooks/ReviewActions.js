@@ -0,0 +1,238 @@
+// Review Actions Hook: optimistic approve/reject that survives a lost connection
+//
+// Mount on the element wrapping the review queue. Buttons with
+// data-review-action="approve" | "reject" and data-task-id, and `review:action`
+// DOM events ({detail: {action, id}}, sent by ReviewKeyboard), hide the card
+// right away and append the action to a replay queue in IndexedDB. The queue
+// is sent in order while the socket is connected, after a reconnect and on
+// the next page load:
+//
+//   "approve" / "reject" {id} -> {ok: true} | {error: "already_resolved" | "not_found" | "failed", message?}
+//
+// Entries are {action, taskId, params?, queuedAt, attempts}; `params` are sent
+// along with the id. ReviewSelection queues batches that were still in their
+// undo window when the page was left, including "reassign" {id, assignee}
+// (same replies), whose cards are not hidden.
+//
+// A task resolved elsewhere in the meantime is reported in #review-sync-status;
+// other failures drop the action and show the card again for a retry. The
+// flush runs under a Web Lock so two tabs never replay the same entries.
+
+import {openReplayQueue} from '../lib/replay_queue'
+
+const QUEUE = 'review-actions'
+const ACTIONS = ['approve', 'reject']
+const MAX_NOTICES = 5
+
+const PAST = {approve: 'approval', reject: 'rejection', reassign: 'reassignment'}
+
+const withLock = (fn) =>
+  navigator.locks?.request ? navigator.locks.request(`replay:${QUEUE}`, fn) : fn()
+
+const ReviewActions = {
+  mounted() {
+    this.connected = true
+    this.generation = 0
+    this.flushing = false
+    this.hiddenIds = new Set()
+    this.waiting = 0
+    this.notices = []
+
+    this.buildStatus()
+
+    this._onClick = (e) => {
+      const button = e.target.closest?.('[data-review-action]')
+      if (!button || !this.el.contains(button)) return
+      e.preventDefault()
+      this.perform(button.dataset.reviewAction, button.dataset.taskId)
+    }
+    this._onAction = (e) => this.perform(e.detail?.action, e.detail?.id)
+    this.el.addEventListener('click', this._onClick)
+    this.el.addEventListener('review:action', this._onAction)
+
+    this.queueReady = openReplayQueue(QUEUE)
+    this.queueReady.then(async (queue) => {
+      // Actions left over from an earlier visit stay hidden until they are replayed
+      const entries = await queue.all()
+      entries
+        .filter(entry => ACTIONS.includes(entry.action))
+        .forEach(entry => this.hiddenIds.add(String(entry.taskId)))
+      this.waiting = entries.length
+      this.applyHidden()
+      this.renderStatus()
+      this.flush()
+    })
+  },
+
+  updated() {
+    this.applyHidden()
+  },
+
+  disconnected() {
+    this.connected = false
+    // A flush in progress may never get its reply; the next one starts over
+    this.generation += 1
+    this.flushing = false
+    this.cancelFlush?.()
+    this.renderStatus()
+  },
+
+  reconnected() {
+    this.connected = true
+    this.renderStatus()
+    this.flush()
+  },
+
+  destroyed() {
+    this.generation += 1
+    this.cancelFlush?.()
+    this.el.removeEventListener('click', this._onClick)
+    this.el.removeEventListener('review:action', this._onAction)
+  },
+
+  async perform(action, id) {
+    if (!ACTIONS.includes(action) || !id || this.hiddenIds.has(String(id))) return
+
+    this.hiddenIds.add(String(id))
+    this.applyHidden()
+
+    try {
+      const queue = await this.queueReady
+      await queue.push({action, taskId: String(id), queuedAt: Date.now(), attempts: 0})
+    } catch (e) {
+      console.error('ReviewActions: could not queue action', e)
+      this.hiddenIds.delete(String(id))
+      this.applyHidden()
+      this.notify(`Could not ${action} task #${id}; the task is shown again so you can retry.`)
+      return
+    }
+    this.waiting += 1
+    this.renderStatus()
+    this.flush()
+  },
+
+  async flush() {
+    if (this.flushing || !this.connected) return
+    this.flushing = true
+    const generation = this.generation
+    const queue = await this.queueReady
+    // Settles when the socket drops, so a missing reply never holds the lock
+    const cancelled = new Promise(resolve => { this.cancelFlush = resolve })
+
+    try {
+      await withLock(async () => {
+        // Re-read after every entry so actions queued meanwhile are sent too
+        for (;;) {
+          const [entry] = await queue.all()
+          if (!entry || generation !== this.generation) return
+
+          await queue.update({...entry, attempts: entry.attempts + 1})
+          const reply = await Promise.race([
+            new Promise(resolve => this.pushEvent(entry.action, {...entry.params, id: entry.taskId}, resolve)),
+            cancelled
+          ])
+          if (generation !== this.generation) return
+
+          await queue.remove(entry.seq)
+          this.settle(entry, reply || {})
+        }
+      })
+    } catch (e) {
+      console.error('ReviewActions: replay failed', e)
+    } finally {
+      if (generation === this.generation) this.flushing = false
+    }
+
+    this.waiting = (await queue.all()).length
+    this.renderStatus()
+  },
+
+  settle(entry, reply) {
+    const id = entry.taskId
+    if (reply.ok) return
+
+    if (reply.error === 'already_resolved') {
+      // A resend of an action whose reply was lost on disconnect finds its own result
+      if (entry.attempts > 0) return
+      this.notify(`Task #${id} was already resolved by someone else; your ${PAST[entry.action]} was not applied.`)
+    } else if (reply.error === 'not_found') {
+      this.notify(`Task #${id} no longer exists; your ${PAST[entry.action]} was dropped.`)
+    } else {
+      this.hiddenIds.delete(id)
+      this.applyHidden()
+      this.notify(`Could not ${entry.action} task #${id}${reply.message ? `: ${reply.message}` : ''}. Your ${PAST[entry.action]} was dropped; the task is shown again so you can retry.`)
+    }
+  },
+
+  // Patches re-render the cards, so hidden ones are hidden again after each one
+  applyHidden() {
+    this.el.querySelectorAll('[data-review-task]').forEach(card => {
+      card.hidden = this.hiddenIds.has(card.dataset.reviewTask)
+    })
+    this.el.querySelectorAll('[data-review-group]').forEach(group => {
+      const cards = Array.from(group.querySelectorAll('[data-review-task]'))
+      group.hidden = cards.length > 0 && cards.every(card => card.hidden)
+    })
+  },
+
+  buildStatus() {
+    // The container is phx-update="ignore"; everything inside it is ours
+    const box = document.createElement('div')
+    box.className = 'mb-4 space-y-2 text-sm'
+    box.setAttribute('role', 'status')
+    box.setAttribute('aria-live', 'polite')
+
+    this.statusLine = document.createElement('div')
+    this.statusLine.className = 'rounded bg-amber-50 px-3 py-2 text-amber-800'
+    this.statusLine.hidden = true
+
+    this.noticeList = document.createElement('ul')
+    this.noticeList.className = 'space-y-2'
+
+    box.append(this.statusLine, this.noticeList)
+    this.el.querySelector('#review-sync-status').appendChild(box)
+  },
+
+  renderStatus() {
+    const count = this.waiting
+    const actions = `${count} review action${count === 1 ? '' : 's'}`
+
+    if (!this.connected) {
+      this.statusLine.hidden = false
+      this.statusLine.textContent = count > 0
+        ? `Offline. ${actions} will be sent when the connection is back.`
+        : 'Offline. Review actions will be sent when the connection is back.'
+    } else if (count > 0) {
+      this.statusLine.hidden = false
+      this.statusLine.textContent = `Sending ${actions}…`
+    } else {
+      this.statusLine.hidden = true
+    }
+  },
+
+  notify(message) {
+    this.notices = [message, ...this.notices].slice(0, MAX_NOTICES)
+    this.noticeList.replaceChildren(...this.notices.map((text) => {
+      const item = document.createElement('li')
+      item.className = 'flex items-start justify-between gap-3 rounded bg-red-50 px-3 py-2 text-red-800'
+
+      const label = document.createElement('span')
+      label.textContent = text
+
+      const close = document.createElement('button')
+      close.type = 'button'
+      close.className = 'text-red-600 hover:text-red-900'
+      close.setAttribute('aria-label', 'Dismiss')
+      close.textContent = '×'
+      close.addEventListener('click', () => {
+        this.notices = this.notices.filter(notice => notice !== text)
+        item.remove()
+      })
+
+      item.append(label, close)
+      return item
+    }))
+  }
+}
+
+export default ReviewActions
@@ -0,0 +1,202 @@
+// Review Keyboard Hook: keyboard-driven review queue
+//
+// Mount on the element containing the task cards. Each card carries
+// data-review-task (task id) and data-agreement-id; the active card gets
+// data-active, which the template styles as a focus ring.
+//
+//   j / k      next / previous task
+//   a / r      approve / reject the active task (through ReviewActions)
+//   e          edit the proposed value before approving ("edit")
+//   x          select the active task for a batch action (ReviewSelection)
+//   Shift+A    approve every task of the active agreement ("approve_agreement")
+//   ?          toggle the shortcut overlay
+//
+// Keys are ignored while typing in a field. The active task survives
+// re-renders; when it is resolved the card that takes its place becomes active.
+
+const SHORTCUTS = [
+  ['j', 'Next task'],
+  ['k', 'Previous task'],
+  ['a', 'Approve task'],
+  ['r', 'Reject task'],
+  ['e', 'Edit value, Enter to approve'],
+  ['x', 'Select task for a batch action'],
+  ['Shift + A', 'Approve all tasks for this agreement'],
+  ['?', 'Show or hide this help'],
+  ['Esc', 'Close help / cancel edit']
+]
+
+const isTyping = (target) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+
+const ReviewKeyboard = {
+  mounted() {
+    this.activeId = null
+    this.activeIndex = 0
+    this.help = null
+
+    this._onKeyDown = (e) => this.onKeyDown(e)
+    window.addEventListener('keydown', this._onKeyDown)
+
+    // Clicking a card makes it the active one
+    this._onClick = (e) => {
+      const card = e.target.closest?.('[data-review-task]')
+      if (card) this.activate(this.cards().indexOf(card), {scroll: false})
+    }
+    this.el.addEventListener('click', this._onClick)
+
+    this.activate(0, {scroll: false})
+  },
+
+  updated() {
+    const cards = this.cards()
+    const index = cards.findIndex(card => card.dataset.reviewTask === this.activeId)
+    this.activate(index >= 0 ? index : Math.min(this.activeIndex, cards.length - 1), {scroll: index < 0})
+  },
+
+  destroyed() {
+    window.removeEventListener('keydown', this._onKeyDown)
+    this.el.removeEventListener('click', this._onClick)
+    this.help?.remove()
+  },
+
+  // Cards hidden by ReviewActions are on their way out
+  cards() {
+    return Array.from(this.el.querySelectorAll('[data-review-task]')).filter(card => !card.hidden)
+  },
+
+  activeCard() {
+    return this.cards().find(card => card.dataset.reviewTask === this.activeId) || null
+  },
+
+  activate(index, {scroll = true} = {}) {
+    const cards = this.cards()
+    cards.forEach(card => {
+      card.removeAttribute('data-active')
+      card.removeAttribute('aria-current')
+    })
+    if (cards.length === 0 || index < 0) {
+      this.activeId = null
+      return
+    }
+
+    const card = cards[Math.min(index, cards.length - 1)]
+    this.activeIndex = cards.indexOf(card)
+    this.activeId = card.dataset.reviewTask
+    card.setAttribute('data-active', '')
+    card.setAttribute('aria-current', 'true')
+    if (scroll) {
+      card.scrollIntoView({block: 'nearest'})
+      card.focus({preventScroll: true})
+    }
+  },
+
+  onKeyDown(e) {
+    if (e.defaultPrevented || e.metaKey || e.ctrlKey || e.altKey) return
+
+    if (e.key === 'Escape' && this.help) {
+      e.preventDefault()
+      this.toggleHelp(false)
+      return
+    }
+    if (isTyping(e.target)) return
+
+    if (e.key === '?') {
+      e.preventDefault()
+      this.toggleHelp()
+      return
+    }
+
+    const card = this.activeCard()
+    switch (e.key) {
+      case 'j':
+        e.preventDefault()
+        this.activate(this.activeIndex + 1)
+        break
+      case 'k':
+        e.preventDefault()
+        this.activate(Math.max(this.activeIndex - 1, 0))
+        break
+      case 'a':
+        if (!card) return
+        e.preventDefault()
+        this.requestAction('approve', card)
+        break
+      case 'r':
+        if (!card) return
+        e.preventDefault()
+        this.requestAction('reject', card)
+        break
+      case 'e':
+        if (!card) return
+        e.preventDefault()
+        this.pushEvent('edit', {id: card.dataset.reviewTask})
+        break
+      case 'x':
+        if (!card) return
+        e.preventDefault()
+        card.querySelector('[data-select-task]')?.click()
+        break
+      case 'A': {
+        if (!card) return
+        e.preventDefault()
+        const agreementId = card.dataset.agreementId
+        const count = this.cards().filter(c => c.dataset.agreementId === agreementId).length
+        if (window.confirm(`Approve all ${count} open task${count === 1 ? '' : 's'} for agreement #${agreementId}?`)) {
+          this.pushEvent('approve_agreement', {agreement_id: agreementId})
+        }
+        break
+      }
+    }
+  },
+
+  // Handled by ReviewActions (optimistic, queued while offline); the next card becomes active
+  requestAction(action, card) {
+    card.dispatchEvent(new CustomEvent('review:action', {bubbles: true, detail: {action, id: card.dataset.reviewTask}}))
+    this.activate(this.activeIndex)
+  },
+
+  toggleHelp(show = !this.help) {
+    if (!show) {
+      this.help?.remove()
+      this.help = null
+      return
+    }
+    if (this.help) return
+
+    const overlay = document.createElement('div')
+    overlay.className = 'fixed inset-0 z-50 flex items-center justify-center bg-black/40'
+    overlay.setAttribute('role', 'dialog')
+    overlay.setAttribute('aria-modal', 'true')
+    overlay.setAttribute('aria-label', 'Keyboard shortcuts')
+    overlay.addEventListener('click', (e) => { if (e.target === overlay) this.toggleHelp(false) })
+
+    const panel = document.createElement('div')
+    panel.className = 'bg-white rounded-lg shadow-xl p-6 w-full max-w-sm'
+    const title = document.createElement('h2')
+    title.className = 'text-lg font-semibold text-gray-900 mb-4'
+    title.textContent = 'Keyboard shortcuts'
+    const list = document.createElement('dl')
+    list.className = 'grid grid-cols-[auto_1fr] gap-x-4 gap-y-2 text-sm'
+    SHORTCUTS.forEach(([keys, label]) => {
+      const dt = document.createElement('dt')
+      const kbd = document.createElement('kbd')
+      kbd.className = 'px-2 py-0.5 rounded border border-gray-300 bg-gray-50 font-mono text-xs text-gray-800'
+      kbd.textContent = keys
+      dt.appendChild(kbd)
+      const dd = document.createElement('dd')
+      dd.className = 'text-gray-700'
+      dd.textContent = label
+      list.append(dt, dd)
+    })
+    panel.append(title, list)
+    overlay.appendChild(panel)
+
+    // Outside the hook element so LiveView patches leave it alone
+    document.body.appendChild(overlay)
+    this.help = overlay
+  }
+}
+
+export default ReviewKeyboard
@@ -0,0 +1,324 @@
+// Review Selection Hook: multi-select and batch actions in the review queue
+//
+// Mount on the element wrapping the task cards. Each card has a checkbox with
+// data-select-task (task id), each agreement header one with
+// data-select-agreement. Shift-click selects the range from the last clicked
+// task. The toolbar is rendered into #review-batch-toolbar; the reassign
+// picker lists the user ids in data-assignees (a JSON array), which are only
+// the users already holding tasks, under a "Current assignees" heading and
+// lets the reviewer enter any other user id.
+//
+// Batch actions wait UNDO_MS before they are sent, so they can be undone
+// from a toast in the ToastManager stack:
+//
+//   "batch" {action: "approve" | "reject" | "reassign", ids, assignee?}
+//     -> {done: [id], failed?: [id]} | {error}
+//
+// Leaving the page during the undo window hands the action to the replay
+// queue of the ReviewActions hook, which sends it on the next visit. The
+// selection survives re-renders; tasks that disappear from the queue are
+// deselected.
+
+import {openReplayQueue} from '../lib/replay_queue'
+import {dismissToast, showToast} from './ToastManager'
+
+const UNDO_MS = 5000
+const REPLAY_QUEUE = 'review-actions'
+const UNDO_TOAST = 'review-batch-undo'
+const OTHER_ASSIGNEE = 'other'
+
+const PROGRESS = {approve: 'Approving', reject: 'Rejecting', reassign: 'Reassigning'}
+
+const plural = (count) => `${count} task${count === 1 ? '' : 's'}`
+
+const ReviewSelection = {
+  mounted() {
+    this.selected = new Set()
+    this.anchorId = null
+    this.pending = null
+    // Batch number -> ids, so one reply only releases its own tasks
+    this.inFlight = new Map()
+    this.batchSeq = 0
+    this.replayQueue = openReplayQueue(REPLAY_QUEUE)
+
+    this.buildToolbar()
+
+    this._onClick = (e) => this.onClick(e)
+    this._onPageHide = () => this.persistPending()
+    this.el.addEventListener('click', this._onClick)
+    window.addEventListener('pagehide', this._onPageHide)
+
+    this.sync()
+  },
+
+  updated() {
+    this.sync()
+  },
+
+  destroyed() {
+    this.el.removeEventListener('click', this._onClick)
+    window.removeEventListener('pagehide', this._onPageHide)
+    this.persistPending()
+  },
+
+  // Cards hidden by ReviewActions are already being resolved
+  taskBoxes() {
+    return Array.from(this.el.querySelectorAll('[data-select-task]')).filter(el => !el.closest('[data-review-task]')?.hidden)
+  },
+
+  buildToolbar() {
+    // The container is phx-update="ignore"; the bar inside it is ours
+    const bar = document.createElement('div')
+    bar.className = 'sticky top-0 z-10 mb-4 flex flex-wrap items-center gap-2 rounded-lg bg-gray-900 px-4 py-2 text-sm text-white shadow'
+    bar.setAttribute('role', 'toolbar')
+    bar.setAttribute('aria-label', 'Batch actions')
+    bar.hidden = true
+
+    const count = document.createElement('span')
+    count.className = 'mr-2 font-medium'
+    count.setAttribute('aria-live', 'polite')
+
+    const button = (label, className, onClick) => {
+      const el = document.createElement('button')
+      el.type = 'button'
+      el.className = `px-3 py-1 rounded ${className}`
+      el.textContent = label
+      el.addEventListener('click', onClick)
+      return el
+    }
+
+    const picker = document.createElement('select')
+    picker.setAttribute('aria-label', 'Reassign to a current assignee or another user id')
+    picker.title = 'Lists only users who already hold review tasks; pick "Another user id…" for anyone else'
+    picker.className = 'rounded border border-gray-600 bg-gray-800 px-2 py-1 text-white'
+    picker.addEventListener('change', () => {
+      otherAssignee.hidden = picker.value !== OTHER_ASSIGNEE
+      if (!otherAssignee.hidden) otherAssignee.focus()
+    })
+
+    const otherAssignee = document.createElement('input')
+    otherAssignee.type = 'number'
+    otherAssignee.min = '1'
+    otherAssignee.placeholder = 'User id'
+    otherAssignee.setAttribute('aria-label', 'Assign to user id')
+    otherAssignee.className = 'w-24 rounded border border-gray-600 bg-gray-800 px-2 py-1 text-white'
+    otherAssignee.hidden = true
+
+    const message = document.createElement('span')
+    message.className = 'text-red-300'
+
+    bar.append(
+      count,
+      button('Approve', 'bg-emerald-600 hover:bg-emerald-700', () => this.queue('approve')),
+      button('Reject', 'bg-red-600 hover:bg-red-700', () => this.queue('reject')),
+      picker,
+      otherAssignee,
+      button('Reassign', 'border border-gray-500 hover:bg-gray-800', () => this.queue('reassign')),
+      button('Clear', 'text-gray-300 hover:text-white', () => this.clear()),
+      message
+    )
+    this.el.querySelector('#review-batch-toolbar').appendChild(bar)
+    this.toolbar = {bar, count, picker, otherAssignee, message}
+    this.assigneesJson = null
+    this.renderAssignees()
+  },
+
+  // data-assignees changes when a batch assigns someone new
+  renderAssignees() {
+    const json = this.el.dataset.assignees || '[]'
+    if (json === this.assigneesJson) return
+    this.assigneesJson = json
+
+    const {picker} = this.toolbar
+    const current = picker.value
+    const option = (value, label) => {
+      const el = document.createElement('option')
+      el.value = value
+      el.textContent = label
+      return el
+    }
+    const assignees = JSON.parse(json)
+    const group = document.createElement('optgroup')
+    group.label = assignees.length > 0 ? 'Current assignees' : 'No current assignees'
+    group.append(...assignees.map(id => option(String(id), `User #${id}`)))
+    picker.replaceChildren(
+      option('', 'Reassign to…'),
+      group,
+      option(OTHER_ASSIGNEE, 'Another user id…')
+    )
+    picker.value = Array.from(picker.options).some(el => el.value === current) ? current : ''
+  },
+
+  selectedAssignee() {
+    const {picker, otherAssignee} = this.toolbar
+    const value = picker.value === OTHER_ASSIGNEE ? otherAssignee.value : picker.value
+    return parseInt(value, 10)
+  },
+
+  onClick(e) {
+    const box = e.target.closest?.('[data-select-task], [data-select-agreement]')
+    if (!box || !this.el.contains(box)) return
+
+    if (box.dataset.selectAgreement) {
+      const agreementId = box.dataset.selectAgreement
+      this.taskBoxes()
+        .filter(el => el.closest('[data-agreement-id]')?.dataset.agreementId === agreementId)
+        .forEach(el => this.setSelected(el.dataset.selectTask, box.checked))
+    } else {
+      const id = box.dataset.selectTask
+      const boxes = this.taskBoxes()
+      const from = boxes.findIndex(el => el.dataset.selectTask === this.anchorId)
+      const to = boxes.indexOf(box)
+
+      if (e.shiftKey && from >= 0 && to >= 0) {
+        const [lo, hi] = from < to ? [from, to] : [to, from]
+        boxes.slice(lo, hi + 1).forEach(el => this.setSelected(el.dataset.selectTask, box.checked))
+      } else {
+        this.setSelected(id, box.checked)
+      }
+      this.anchorId = id
+    }
+
+    this.toolbar.message.textContent = ''
+    this.sync()
+  },
+
+  setSelected(id, selected) {
+    if (selected) {
+      this.selected.add(id)
+    } else {
+      this.selected.delete(id)
+    }
+  },
+
+  clear() {
+    this.selected.clear()
+    this.anchorId = null
+    this.sync()
+  },
+
+  // Re-applies selection and pending state after clicks and server patches
+  sync() {
+    const boxes = this.taskBoxes()
+    const visible = new Set(boxes.map(el => el.dataset.selectTask))
+    this.selected.forEach(id => { if (!visible.has(id)) this.selected.delete(id) })
+
+    const pendingIds = new Set([...(this.pending?.ids || []), ...Array.from(this.inFlight.values()).flat()])
+    boxes.forEach(el => {
+      const id = el.dataset.selectTask
+      el.checked = this.selected.has(id)
+      const card = el.closest('[data-review-task]')
+      if (!card) return
+      card.classList.toggle('opacity-50', pendingIds.has(id))
+      card.toggleAttribute('data-pending', pendingIds.has(id))
+      el.disabled = pendingIds.has(id)
+    })
+
+    this.el.querySelectorAll('[data-select-agreement]').forEach(box => {
+      const own = boxes.filter(el => el.closest('[data-agreement-id]')?.dataset.agreementId === box.dataset.selectAgreement)
+      const count = own.filter(el => el.checked).length
+      box.checked = own.length > 0 && count === own.length
+      box.indeterminate = count > 0 && count < own.length
+    })
+
+    this.renderAssignees()
+    const {bar, count} = this.toolbar
+    bar.hidden = this.selected.size === 0
+    count.textContent = `${plural(this.selected.size)} selected`
+  },
+
+  queue(action) {
+    const ids = Array.from(this.selected)
+    if (ids.length === 0) return
+
+    const payload = {action, ids}
+    if (action === 'reassign') {
+      const assignee = this.selectedAssignee()
+      if (!(assignee > 0)) {
+        const {picker, otherAssignee} = this.toolbar
+        this.toolbar.message.textContent = 'Pick a user to reassign to'
+        ;(otherAssignee.hidden ? picker : otherAssignee).focus()
+        return
+      }
+      payload.assignee = assignee
+    }
+
+    // Only one action waits at a time; a new one sends the previous right away
+    if (this.pending) this.send()
+
+    this.pending = {...payload, timer: setTimeout(() => this.send(), UNDO_MS)}
+    this.selected.clear()
+    this.showToast(`${PROGRESS[action]} ${plural(ids.length)}…`)
+    this.sync()
+  },
+
+  send() {
+    const pending = this.pending
+    if (!pending) return
+    clearTimeout(pending.timer)
+    this.pending = null
+    this.hideToast()
+
+    const {timer: _timer, ...payload} = pending
+    const batch = ++this.batchSeq
+    this.inFlight.set(batch, payload.ids)
+    this.pushEvent('batch', payload, () => {
+      this.inFlight.delete(batch)
+      this.sync()
+    })
+    this.sync()
+  },
+
+  // The page or the hook is going away with an action still in its undo
+  // window: queue it per task for ReviewActions (see its replay queue)
+  persistPending() {
+    const pending = this.pending
+    if (!pending) return
+    clearTimeout(pending.timer)
+    this.pending = null
+    this.hideToast()
+
+    const {timer: _timer, ...payload} = pending
+    const params = payload.action === 'reassign' ? {assignee: payload.assignee} : {}
+    this.replayQueue
+      .then(queue => {
+        // An in-memory queue dies with the page; try to send right away instead
+        if (!queue.persistent) return this.pushEvent('batch', payload)
+        const queuedAt = Date.now()
+        return Promise.all(payload.ids.map(id =>
+          queue.push({action: payload.action, taskId: String(id), params, queuedAt, attempts: 0})))
+      })
+      .catch(e => console.error('ReviewSelection: could not keep the pending batch', e))
+  },
+
+  undo() {
+    const pending = this.pending
+    if (!pending) return
+    clearTimeout(pending.timer)
+    this.pending = null
+    this.hideToast()
+
+    pending.ids.forEach(id => this.selected.add(id))
+    this.sync()
+  },
+
+  // Its countdown runs as long as the undo window; closing it does not undo
+  showToast(message) {
+    showToast({
+      id: UNDO_TOAST,
+      type: 'info',
+      message,
+      timeout: UNDO_MS,
+      actions: [
+        {label: 'Undo', onClick: () => this.undo()},
+        {label: 'Send now', onClick: () => this.send()}
+      ]
+    })
+  },
+
+  hideToast() {
+    dismissToast(UNDO_TOAST)
+  }
+}
+
+export default ReviewSelection
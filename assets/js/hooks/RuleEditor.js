@@ -0,0 +1,174 @@
+// Rule Editor Hook: da_rule editing with syntax highlighting and validation
+//
+// A transparent <textarea> sits on top of a highlighted <pre> with the same
+// metrics. Reads data-source (initial text), data-fields and data-keywords
+// (JSON lists from Evhlegalchat.DecisionRules.DaRule) and data-readonly.
+// Every change is pushed (debounced) as "rule:validate" {source}; the reply
+// {errors: [{message, line, column}]} marks the offending tokens. Tab inserts
+// two spaces. Use phx-update="ignore" on the element.
+
+const VALIDATE_DEBOUNCE_MS = 250
+
+const TOKEN_PATTERN = /(#[^\n]*)|("(?:\\.|[^"\\\n])*"?)|(\/(?:\\.|[^/\\\n])+\/[imsu]*)|(\d+)|([A-Za-z_][A-Za-z0-9_]*)|(>=|<=|!=|[=<>])|([()])/g
+
+const CLASSES = {
+  comment: 'text-gray-400 italic',
+  string: 'text-emerald-700',
+  regex: 'text-purple-700',
+  number: 'text-sky-700',
+  keyword: 'text-indigo-700 font-semibold',
+  field: 'text-amber-700',
+  operator: 'text-pink-700',
+  paren: 'text-gray-500',
+  unknown: 'text-red-700',
+  error: 'underline decoration-wavy decoration-red-600'
+}
+
+const WORD_OPERATORS = new Set(['contains', 'starts_with', 'matches'])
+
+const RuleEditor = {
+  mounted() {
+    this.fields = new Set(JSON.parse(this.el.dataset.fields || '[]'))
+    this.keywords = new Set(JSON.parse(this.el.dataset.keywords || '[]'))
+    this.errors = []
+
+    this.highlight = document.createElement('pre')
+    this.highlight.className = 'absolute inset-0 m-0 p-3 overflow-hidden whitespace-pre leading-6 text-gray-900 pointer-events-none'
+    this.highlight.setAttribute('aria-hidden', 'true')
+
+    this.input = document.createElement('textarea')
+    this.input.className = 'absolute inset-0 w-full h-full m-0 p-3 resize-none whitespace-pre leading-6 bg-transparent text-transparent caret-gray-900 outline-none overflow-auto focus:ring-2 focus:ring-emerald-500 rounded'
+    this.input.spellcheck = false
+    this.input.setAttribute('autocapitalize', 'off')
+    this.input.setAttribute('autocomplete', 'off')
+    this.input.setAttribute('aria-label', 'Rule condition')
+    this.input.value = this.el.dataset.source || ''
+
+    this.el.replaceChildren(this.highlight, this.input)
+    this.applyReadonly()
+
+    this.input.addEventListener('input', () => {
+      this.render()
+      this.scheduleValidate()
+    })
+    this.input.addEventListener('scroll', () => this.syncScroll())
+    this.input.addEventListener('keydown', (e) => this.onKeydown(e))
+
+    this.render()
+    this.validate()
+  },
+
+  updated() {
+    this.applyReadonly()
+  },
+
+  destroyed() {
+    clearTimeout(this.validateTimer)
+  },
+
+  applyReadonly() {
+    const readonly = this.el.dataset.readonly === 'true'
+    this.input.readOnly = readonly
+    this.input.title = readonly ? 'Active and deprecated versions are read-only; create a new draft to edit' : ''
+  },
+
+  onKeydown(e) {
+    if (e.key !== 'Tab' || e.shiftKey || this.input.readOnly) return
+    e.preventDefault()
+    const {selectionStart, selectionEnd, value} = this.input
+    this.input.value = value.slice(0, selectionStart) + '  ' + value.slice(selectionEnd)
+    this.input.selectionStart = this.input.selectionEnd = selectionStart + 2
+    this.input.dispatchEvent(new Event('input'))
+  },
+
+  scheduleValidate() {
+    clearTimeout(this.validateTimer)
+    this.validateTimer = setTimeout(() => this.validate(), VALIDATE_DEBOUNCE_MS)
+  },
+
+  validate() {
+    const source = this.input.value
+    this.pushEvent('rule:validate', {source}, ({errors}) => {
+      // A newer edit is already on its way
+      if (source !== this.input.value) return
+      this.errors = errors || []
+      this.render()
+    })
+  },
+
+  syncScroll() {
+    this.highlight.scrollTop = this.input.scrollTop
+    this.highlight.scrollLeft = this.input.scrollLeft
+  },
+
+  // Server positions are 1-based line/column; turn them into string offsets
+  errorOffsets(source) {
+    const lineStarts = [0]
+    for (let i = 0; i < source.length; i++) {
+      if (source[i] === '\n') lineStarts.push(i + 1)
+    }
+    return this.errors
+      .map(({line, column}) => (lineStarts[line - 1] ?? source.length) + column - 1)
+      .filter(offset => offset >= 0)
+  },
+
+  classify(match) {
+    const [text, comment, string, regex, number, word, operator] = match
+    if (comment) return CLASSES.comment
+    if (string) return CLASSES.string
+    if (regex) return CLASSES.regex
+    if (number) return CLASSES.number
+    if (operator) return CLASSES.operator
+    if (word) {
+      if (WORD_OPERATORS.has(word)) return CLASSES.operator
+      if (this.keywords.has(word)) return CLASSES.keyword
+      if (this.fields.has(word)) return CLASSES.field
+      return CLASSES.unknown
+    }
+    return text === '(' || text === ')' ? CLASSES.paren : null
+  },
+
+  render() {
+    const source = this.input.value
+    const errorOffsets = this.errorOffsets(source)
+    const hasErrorIn = (start, end) => errorOffsets.some(offset => offset >= start && offset < end)
+    const fragment = document.createDocumentFragment()
+    let last = 0
+    let marked = false
+
+    const pushText = (text, className) => {
+      if (!text) return
+      if (!className) {
+        fragment.appendChild(document.createTextNode(text))
+        return
+      }
+      const span = document.createElement('span')
+      span.className = className
+      span.textContent = text
+      fragment.appendChild(span)
+    }
+
+    TOKEN_PATTERN.lastIndex = 0
+    let match
+    while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+      const start = match.index
+      const end = start + match[0].length
+      pushText(source.slice(last, start), null)
+      const isError = hasErrorIn(start, end)
+      marked = marked || isError
+      pushText(match[0], [this.classify(match), isError && CLASSES.error].filter(Boolean).join(' '))
+      last = end
+    }
+    pushText(source.slice(last), null)
+
+    // Errors pointing past the last token (e.g. "expected a value") get a visible marker
+    if (this.errors.length > 0 && !marked) pushText(' ', `${CLASSES.error} bg-red-100`)
+
+    // A trailing newline needs content after it to keep the layers the same height
+    fragment.appendChild(document.createTextNode('\n'))
+    this.highlight.replaceChildren(fragment)
+    this.syncScroll()
+  }
+}
+
+export default RuleEditor
@@ -0,0 +1,525 @@
+// Segmentation Inspector Hook: reviews and corrects clause boundaries
+//
+// Loads the agreement text and its segmented clauses ("inspector:load",
+// replied with Evhlegalchat.Segmentation.Corrections.load/1) and lays the
+// clauses out in document order with their numbering, style, confidence and
+// inline anomaly badges. Reviewers can
+//
+//   * drag the handle between two clauses onto a new position in the text
+//     (or focus it and move it a line with ArrowUp / ArrowDown),
+//   * merge a clause with the next one, or split it at the text cursor,
+//   * fix number labels and headings.
+//
+// Every edit is pushed (debounced) as "inspector:preview" {clauses} and the
+// reply {clauses, anomalies} refreshes the badges. "Save" pushes
+// "inspector:submit" {run_id, clauses}; the server stores a corrected
+// segmentation run and replies with the reloaded payload, or {error}.
+// Clauses are sent as {start_char, end_char (inclusive), number_label,
+// heading_text, source_ids}. Reads data-anomaly-types for the filter. Use
+// phx-update="ignore" on the element.
+//
+// The server counts offsets in graphemes (see lib/text_offsets.js); the hook
+// works in UTF-16 code units of `text` and converts in fromServer/serialize.
+
+import {offsetMap} from '../lib/text_offsets'
+
+const PREVIEW_DEBOUNCE_MS = 300
+const HISTORY_LIMIT = 50
+const SNAP_WINDOW = 40
+
+const SEVERITY_CLASSES = {
+  high: 'bg-red-100 text-red-800 border-red-200',
+  medium: 'bg-amber-100 text-amber-800 border-amber-200',
+  low: 'bg-gray-100 text-gray-700 border-gray-200'
+}
+
+// A number label at the start of split-off text: "4.2", "IV.", "(b)"
+const LEADING_LABEL = /^\s*(\d+(?:\.\d+)*\.?|[IVXLCM]+\.|\(?[a-z]\))\s+/
+
+const humanize = (value) => String(value ?? '').replace(/_/g, ' ')
+
+const el = (tag, className, text) => {
+  const node = document.createElement(tag)
+  if (className) node.className = className
+  if (text != null) node.textContent = text
+  return node
+}
+
+const button = (label, className, onClick) => {
+  const node = el('button', className, label)
+  node.type = 'button'
+  node.addEventListener('click', onClick)
+  return node
+}
+
+const SegmentationInspector = {
+  mounted() {
+    this.anomalyTypes = JSON.parse(this.el.dataset.anomalyTypes || '[]')
+    this.filter = 'all'
+    this.history = []
+    this.previewSeq = 0
+    this.keySeq = 0
+
+    this.toolbar = el('div', 'flex flex-wrap items-center gap-3 px-4 py-3 border-b border-gray-200 text-sm')
+    this.summary = el('span', 'text-gray-700')
+    this.status = el('span', 'text-gray-500', '')
+    this.status.setAttribute('role', 'status')
+
+    this.filterSelect = el('select', 'rounded border-gray-300 text-sm')
+    this.filterSelect.setAttribute('aria-label', 'Show clauses')
+    ;[['all', 'All clauses'], ['anomalies', 'With anomalies'], ...this.anomalyTypes.map(t => [t, humanize(t)])]
+      .forEach(([value, label]) => {
+        const option = el('option', null, label)
+        option.value = value
+        this.filterSelect.appendChild(option)
+      })
+    this.filterSelect.addEventListener('change', () => { this.filter = this.filterSelect.value; this.renderClauses() })
+
+    const secondary = 'px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50'
+    this.undoButton = button('Undo', secondary, () => this.undo())
+    this.resetButton = button('Reset', secondary, () => this.reset())
+    this.saveButton = button('Save corrected run', 'px-3 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-700 disabled:opacity-50', () => this.save())
+
+    const spacer = el('span', 'flex-1')
+    this.toolbar.append(this.summary, this.filterSelect, spacer, this.status, this.undoButton, this.resetButton, this.saveButton)
+
+    this.documentAnomalies = el('div', 'px-4')
+    this.list = el('ol', 'divide-y divide-gray-100')
+    this.marker = el('div', 'fixed h-0.5 bg-emerald-500 pointer-events-none hidden z-50')
+    this.el.replaceChildren(this.toolbar, this.documentAnomalies, this.list, this.marker)
+
+    this.setStatus('Loading clauses…')
+    this.pushEvent('inspector:load', {}, (reply) => this.loadPayload(reply))
+  },
+
+  destroyed() {
+    clearTimeout(this.previewTimer)
+  },
+
+  loadPayload(reply) {
+    if (!reply || reply.error) {
+      this.setStatus(reply?.error || 'Could not load the clauses.', true)
+      this.clauses = null
+      this.updateToolbar()
+      return
+    }
+    this.text = reply.text
+    this.offsets = offsetMap(reply.text)
+    this.runId = reply.run_id
+    this.original = reply.clauses.map(c => this.fromServer(c))
+    this.clauses = this.original
+    this.docAnomalies = reply.anomalies || []
+    this.history = []
+    this.setStatus('')
+    this.render()
+  },
+
+  fromServer(clause) {
+    return {
+      ...clause,
+      start_char: this.offsets.toCodeUnit(clause.start_char),
+      end_char: this.offsets.toCodeUnit(clause.end_char + 1) - 1,
+      key: ++this.keySeq,
+      source_ids: clause.id != null ? [clause.id] : [],
+      edited: false
+    }
+  },
+
+  setStatus(message, error = false) {
+    this.status.textContent = message
+    this.status.className = error ? 'text-red-700' : 'text-gray-500'
+  },
+
+  // Edits
+
+  commit(clauses, message) {
+    this.history.push(this.clauses)
+    if (this.history.length > HISTORY_LIMIT) this.history.shift()
+    this.clauses = clauses
+    this.setStatus(message || '')
+    this.render()
+    this.schedulePreview()
+  },
+
+  undo() {
+    if (this.history.length === 0) return
+    this.clauses = this.history.pop()
+    this.setStatus('')
+    this.render()
+    this.schedulePreview()
+  },
+
+  reset() {
+    if (this.clauses === this.original) return
+    this.commit(this.original, 'Back to the saved segmentation')
+  },
+
+  // Moves the start of clauses[index] (and the end of the clause before it) to `offset`
+  moveBoundary(index, offset) {
+    const prev = this.clauses[index - 1]
+    const clause = this.clauses[index]
+    if (!prev || !clause || offset <= prev.start_char || offset > clause.end_char || offset === clause.start_char) return false
+
+    const contiguous = prev.end_char + 1 === clause.start_char
+    const clauses = this.clauses.slice()
+    clauses[index - 1] = {...prev, end_char: contiguous ? offset - 1 : Math.min(prev.end_char, offset - 1), edited: true}
+    clauses[index] = {...clause, start_char: offset, edited: true}
+    this.commit(clauses, `Moved the start of clause ${index + 1}`)
+    return true
+  },
+
+  merge(index) {
+    const first = this.clauses[index]
+    const second = this.clauses[index + 1]
+    if (!first || !second) return
+
+    const merged = {
+      ...first,
+      key: ++this.keySeq,
+      end_char: second.end_char,
+      end_page: second.end_page,
+      number_label: first.number_label ?? second.number_label,
+      heading_text: first.heading_text ?? second.heading_text,
+      source_ids: [...new Set([...first.source_ids, ...second.source_ids])],
+      anomalies: [],
+      edited: true
+    }
+    const clauses = this.clauses.slice()
+    clauses.splice(index, 2, merged)
+    this.commit(clauses, `Merged clauses ${index + 1} and ${index + 2}`)
+  },
+
+  split(index) {
+    const clause = this.clauses[index]
+    const offset = this.selectionOffset(index)
+    if (offset == null || offset <= clause.start_char || offset > clause.end_char) {
+      this.setStatus('Click in the clause text where the new clause should start, then split.', true)
+      return
+    }
+
+    const label = LEADING_LABEL.exec(this.text.slice(offset, offset + 20))
+    const clauses = this.clauses.slice()
+    clauses.splice(index, 1,
+      {...clause, end_char: offset - 1, edited: true},
+      {
+        ...clause,
+        key: ++this.keySeq,
+        id: null,
+        start_char: offset,
+        number_label: label ? label[1] : null,
+        heading_text: null,
+        detected_style: null,
+        anomalies: [],
+        edited: true
+      })
+    this.commit(clauses, `Split clause ${index + 1}`)
+  },
+
+  editField(index, field, value) {
+    const clause = this.clauses[index]
+    const normalized = value.trim() === '' ? null : value.trim()
+    if (!clause || clause[field] === normalized) return
+    const clauses = this.clauses.slice()
+    clauses[index] = {...clause, [field]: normalized, edited: true}
+    // Inputs keep their own value; only the anomalies need refreshing
+    this.history.push(this.clauses)
+    this.clauses = clauses
+    this.updateToolbar()
+    this.schedulePreview()
+  },
+
+  // A boundary dropped inside a grapheme moves to its start, for both clauses
+  serialize() {
+    const {toGrapheme} = this.offsets
+    return this.clauses.map(({start_char, end_char, number_label, heading_text, source_ids}) => ({
+      start_char: toGrapheme(start_char),
+      end_char: toGrapheme(end_char + 1) - 1,
+      number_label,
+      heading_text,
+      source_ids
+    }))
+  },
+
+  schedulePreview() {
+    clearTimeout(this.previewTimer)
+    this.previewTimer = setTimeout(() => this.preview(), PREVIEW_DEBOUNCE_MS)
+  },
+
+  preview() {
+    const seq = ++this.previewSeq
+    const clauses = this.clauses
+    this.pushEvent('inspector:preview', {clauses: this.serialize()}, (reply) => {
+      // A newer edit is already on its way
+      if (seq !== this.previewSeq || clauses !== this.clauses) return
+      if (!reply || reply.error) {
+        this.setStatus(reply?.error || 'Could not check the clauses.', true)
+        return
+      }
+      this.clauses = clauses.map((clause, i) => {
+        const checked = reply.clauses[i]
+        return checked ? {...clause, anomalies: checked.anomalies, start_page: checked.start_page, end_page: checked.end_page} : clause
+      })
+      this.docAnomalies = reply.anomalies || []
+      this.refreshAnomalies()
+    })
+  },
+
+  save() {
+    if (!this.isDirty()) return
+    clearTimeout(this.previewTimer)
+    this.saveButton.disabled = true
+    this.setStatus('Saving…')
+    this.pushEvent('inspector:submit', {run_id: this.runId, clauses: this.serialize()}, (reply) => {
+      if (!reply || reply.error) {
+        this.setStatus(reply?.error || 'Could not save the correction.', true)
+        this.updateToolbar()
+        return
+      }
+      this.loadPayload(reply)
+      this.setStatus('Saved as a new segmentation run')
+    })
+  },
+
+  isDirty() {
+    return Array.isArray(this.clauses) && this.clauses !== this.original && this.clauses.some(c => c.edited)
+  },
+
+  // Text offsets under the pointer / the selection, from the clause text elements
+
+  offsetAt(node, offset) {
+    const body = node?.nodeType === Node.TEXT_NODE ? node.parentElement : node
+    const textEl = body?.closest?.('[data-role="clause-text"]')
+    if (!textEl || !this.el.contains(textEl)) return null
+    return Number(textEl.dataset.start) + offset
+  },
+
+  offsetAtPoint(x, y) {
+    if (document.caretPositionFromPoint) {
+      const pos = document.caretPositionFromPoint(x, y)
+      return pos ? this.offsetAt(pos.offsetNode, pos.offset) : null
+    }
+    const range = document.caretRangeFromPoint?.(x, y)
+    return range ? this.offsetAt(range.startContainer, range.startOffset) : null
+  },
+
+  selectionOffset(index) {
+    const selection = window.getSelection()
+    if (!selection || selection.rangeCount === 0) return null
+    const offset = this.offsetAt(selection.anchorNode, selection.anchorOffset)
+    const clause = this.clauses[index]
+    return offset != null && offset >= clause.start_char && offset <= clause.end_char ? this.snap(offset) : null
+  },
+
+  // Boundaries land on the start of a word, or of the line when it is close
+  snap(offset) {
+    const lineStart = this.text.lastIndexOf('\n', offset - 1) + 1
+    if (offset - lineStart <= SNAP_WINDOW && this.text.slice(lineStart, offset).trim().length <= 12) return lineStart
+    while (offset > 0 && !/\s/.test(this.text[offset - 1])) offset--
+    return offset
+  },
+
+  onHandlePointerDown(e, index) {
+    if (e.button !== 0) return
+    e.preventDefault()
+    const handle = e.currentTarget
+    handle.setPointerCapture(e.pointerId)
+    let target = null
+
+    const onMove = (ev) => {
+      const offset = this.offsetAtPoint(ev.clientX, ev.clientY)
+      const prev = this.clauses[index - 1]
+      const clause = this.clauses[index]
+      target = offset != null && offset > prev.start_char && offset <= clause.end_char ? this.snap(offset) : null
+      if (target == null || target <= prev.start_char) {
+        target = null
+        this.marker.classList.add('hidden')
+        return
+      }
+      this.showMarker(target)
+    }
+    const onUp = () => {
+      handle.removeEventListener('pointermove', onMove)
+      handle.removeEventListener('pointerup', onUp)
+      handle.removeEventListener('pointercancel', onUp)
+      this.marker.classList.add('hidden')
+      if (target != null && this.moveBoundary(index, target)) this.focusHandle(index)
+    }
+    handle.addEventListener('pointermove', onMove)
+    handle.addEventListener('pointerup', onUp)
+    handle.addEventListener('pointercancel', onUp)
+  },
+
+  onHandleKeydown(e, index) {
+    const clause = this.clauses[index]
+    let offset = null
+    if (e.key === 'ArrowUp') offset = this.text.lastIndexOf('\n', clause.start_char - 2) + 1
+    if (e.key === 'ArrowDown') {
+      const next = this.text.indexOf('\n', clause.start_char)
+      offset = next === -1 ? null : next + 1
+    }
+    if (offset == null) return
+    e.preventDefault()
+    if (this.moveBoundary(index, offset)) this.focusHandle(index)
+  },
+
+  focusHandle(index) {
+    this.list.querySelector(`[data-boundary="${index}"]`)?.focus()
+  },
+
+  // Places the drop marker on the line of `offset`
+  showMarker(offset) {
+    const textEl = Array.from(this.list.querySelectorAll('[data-role="clause-text"]'))
+      .find(node => offset >= Number(node.dataset.start) && offset <= Number(node.dataset.end) + 1)
+    const textNode = textEl?.firstChild
+    if (!textNode) return
+    const range = document.createRange()
+    const local = Math.min(offset - Number(textEl.dataset.start), textNode.length)
+    range.setStart(textNode, local)
+    range.setEnd(textNode, Math.min(local + 1, textNode.length))
+    const rect = range.getBoundingClientRect()
+    const box = textEl.getBoundingClientRect()
+    Object.assign(this.marker.style, {top: `${rect.top}px`, left: `${box.left}px`, width: `${box.width}px`})
+    this.marker.classList.remove('hidden')
+  },
+
+  // Rendering
+
+  updateToolbar() {
+    const loaded = Array.isArray(this.clauses)
+    const flagged = loaded ? this.clauses.filter(c => (c.anomalies || []).length > 0).length : 0
+    this.summary.textContent = loaded ? `${this.clauses.length} clauses · ${flagged} with anomalies` : ''
+    this.filterSelect.disabled = !loaded
+    this.undoButton.disabled = this.history.length === 0
+    this.resetButton.disabled = !loaded || this.clauses === this.original
+    this.saveButton.disabled = !this.isDirty()
+  },
+
+  render() {
+    this.updateToolbar()
+    this.renderDocumentAnomalies()
+    this.renderClauses()
+  },
+
+  // Updates badges and pages in place so inputs keep their focus
+  refreshAnomalies() {
+    if (this.filter !== 'all') {
+      this.render()
+      return
+    }
+    this.updateToolbar()
+    this.renderDocumentAnomalies()
+    this.clauses.forEach(clause => {
+      const item = this.list.querySelector(`li[data-key="${clause.key}"]`)
+      if (!item) return
+      item.querySelector('[data-role="badges"]')?.replaceWith(this.renderBadges(clause))
+      const meta = item.querySelector('[data-role="meta"]')
+      if (meta) meta.textContent = this.metaText(clause)
+    })
+  },
+
+  renderDocumentAnomalies() {
+    const items = (this.docAnomalies || []).map(a => {
+      const item = el('p', `my-2 px-3 py-2 rounded border text-sm ${SEVERITY_CLASSES[a.severity] || SEVERITY_CLASSES.low}`, a.description)
+      item.prepend(el('strong', 'mr-2', humanize(a.type)))
+      return item
+    })
+    this.documentAnomalies.replaceChildren(...items)
+  },
+
+  visible(clause) {
+    const anomalies = clause.anomalies || []
+    if (this.filter === 'all') return true
+    if (this.filter === 'anomalies') return anomalies.length > 0
+    return anomalies.some(a => a.type === this.filter)
+  },
+
+  renderClauses() {
+    if (!Array.isArray(this.clauses)) {
+      this.list.replaceChildren()
+      return
+    }
+    const filtered = this.filter !== 'all'
+    const fragment = document.createDocumentFragment()
+    this.clauses.forEach((clause, index) => {
+      if (!this.visible(clause)) return
+      // Boundaries can only be dragged between neighbours that are both shown
+      if (index > 0 && !filtered) fragment.appendChild(this.renderBoundary(index))
+      fragment.appendChild(this.renderClause(clause, index))
+    })
+    if (!fragment.hasChildNodes()) fragment.appendChild(el('li', 'px-4 py-6 text-sm text-gray-500', 'No clauses match this filter.'))
+    this.list.replaceChildren(fragment)
+  },
+
+  renderBoundary(index) {
+    const item = el('li', 'relative h-3 group')
+    const handle = el('div', 'absolute inset-x-4 top-1/2 -translate-y-1/2 h-1.5 rounded bg-gray-200 cursor-row-resize group-hover:bg-emerald-400 focus:bg-emerald-500 focus:outline-none touch-none')
+    handle.dataset.boundary = String(index)
+    handle.tabIndex = 0
+    handle.setAttribute('role', 'separator')
+    handle.setAttribute('aria-orientation', 'horizontal')
+    handle.setAttribute('aria-label', `Boundary before clause ${index + 1}; drag onto the text or use the arrow keys to move it`)
+    handle.addEventListener('pointerdown', (e) => this.onHandlePointerDown(e, index))
+    handle.addEventListener('keydown', (e) => this.onHandleKeydown(e, index))
+    item.appendChild(handle)
+    return item
+  },
+
+  renderClause(clause, index) {
+    const item = el('li', `px-4 py-3 ${clause.edited ? 'bg-emerald-50/60' : ''}`)
+    item.dataset.key = String(clause.key)
+
+    const header = el('div', 'flex flex-wrap items-center gap-2 mb-2 text-sm')
+    header.appendChild(el('span', 'w-8 text-gray-400 tabular-nums', String(index + 1)))
+
+    const labelInput = el('input', 'w-20 rounded border-gray-300 text-sm font-mono')
+    labelInput.value = clause.number_label ?? ''
+    labelInput.placeholder = 'No.'
+    labelInput.setAttribute('aria-label', `Number label of clause ${index + 1}`)
+    labelInput.addEventListener('change', () => this.editField(index, 'number_label', labelInput.value))
+
+    const headingInput = el('input', 'flex-1 min-w-[12rem] rounded border-gray-300 text-sm')
+    headingInput.value = clause.heading_text ?? ''
+    headingInput.placeholder = 'Heading'
+    headingInput.setAttribute('aria-label', `Heading of clause ${index + 1}`)
+    headingInput.addEventListener('change', () => this.editField(index, 'heading_text', headingInput.value))
+
+    const meta = el('span', 'text-xs text-gray-500', this.metaText(clause))
+    meta.dataset.role = 'meta'
+    header.append(labelInput, headingInput, meta)
+    if (clause.human_verified && !clause.edited) header.appendChild(el('span', 'text-xs text-emerald-700', 'verified'))
+
+    const actions = el('span', 'ml-auto flex gap-2')
+    const action = 'px-2 py-0.5 rounded border border-gray-300 text-xs text-gray-700 hover:bg-gray-50'
+    actions.appendChild(button('Split at cursor', action, () => this.split(index)))
+    if (index < this.clauses.length - 1) actions.appendChild(button('Merge with next', action, () => this.merge(index)))
+    header.appendChild(actions)
+
+    const body = el('div', 'max-h-64 overflow-y-auto rounded bg-gray-50 px-3 py-2 font-mono text-xs leading-relaxed whitespace-pre-wrap text-gray-800')
+    body.dataset.role = 'clause-text'
+    body.dataset.start = String(clause.start_char)
+    body.dataset.end = String(clause.end_char)
+    body.appendChild(document.createTextNode(this.text.slice(clause.start_char, clause.end_char + 1)))
+
+    item.append(header, this.renderBadges(clause), body)
+    return item
+  },
+
+  metaText(clause) {
+    const pages = clause.start_page === clause.end_page ? `p. ${clause.start_page}` : `pp. ${clause.start_page}–${clause.end_page}`
+    const confidence = clause.confidence_boundary != null && !clause.edited ? `${Math.round(clause.confidence_boundary * 100)}%` : null
+    return [pages, clause.detected_style && humanize(clause.detected_style), confidence].filter(Boolean).join(' · ')
+  },
+
+  renderBadges(clause) {
+    const badges = el('div', 'flex flex-wrap gap-1 mb-2')
+    badges.dataset.role = 'badges'
+    ;(clause.anomalies || []).forEach(a => {
+      const badge = el('span', `px-2 py-0.5 rounded-full border text-xs ${SEVERITY_CLASSES[a.severity] || SEVERITY_CLASSES.low}`, humanize(a.type))
+      badge.title = a.description
+      badges.appendChild(badge)
+    })
+    return badges
+  }
+}
+
+export default SegmentationInspector
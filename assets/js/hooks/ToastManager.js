@@ -0,0 +1,238 @@
+// Toast Manager Hook: client-side notification stack
+//
+// The server pushes toasts with
+//
+//   push_event(socket, "show_toast", %{type: "success", message: "Mapping applied",
+//     timeout: 8000, actions: [%{label: "Open review task", event: "open_task", payload: %{id: 12}}]})
+//
+// `type` is info | success | warning | error. `persistent: true` keeps the toast
+// until the user closes it or the server sends "clear_persistent_toast". Identical
+// type+message pairs are collapsed into one toast with a repeat counter, hovering
+// pauses the countdown, and anything beyond MAX_VISIBLE waits in a queue.
+// Action buttons push their `event` with `payload` to the LiveView.
+//
+// Other hooks show toasts with showToast(toast) and take them down with
+// dismissToast(id); their actions may carry an `onClick` callback instead of
+// an `event`. A toast with an `id` is never collapsed into another one.
+//
+// Toasts are rendered and expired entirely on the client, so the server no
+// longer receives "dismiss_toast". Give the hook element phx-update="ignore".
+
+const DEFAULT_TIMEOUT = 5000
+const MAX_VISIBLE = 4
+
+const TYPE_CLASSES = {
+  info: 'alert-info',
+  success: 'alert-success',
+  warning: 'alert-warning',
+  error: 'alert-error'
+}
+
+/** Shows a toast from client code; same fields as the "show_toast" payload */
+export function showToast(toast) {
+  window.dispatchEvent(new CustomEvent('toast:show', {detail: toast}))
+}
+
+/** Takes down the toast shown with `id`, whether it is visible or still queued */
+export function dismissToast(id) {
+  window.dispatchEvent(new CustomEvent('toast:dismiss', {detail: {id}}))
+}
+
+const ToastManager = {
+  mounted() {
+    this.toasts = new Map()
+    this.queue = []
+    this.nextId = 1
+
+    this.stack = document.createElement('div')
+    this.stack.className = 'toast toast-top toast-end z-[10000] w-80'
+    this.stack.setAttribute('role', 'region')
+    this.stack.setAttribute('aria-live', 'polite')
+    this.stack.setAttribute('aria-label', 'Notifications')
+    this.el.appendChild(this.stack)
+
+    this.handleEvent('show_toast', (toast) => this.show(toast))
+
+    this._onShow = (e) => this.show(e.detail)
+    this._onDismiss = (e) => this.dismissKey(e.detail.id)
+    window.addEventListener('toast:show', this._onShow)
+    window.addEventListener('toast:dismiss', this._onDismiss)
+
+    this.handleEvent('clear_persistent_toast', ({id} = {}) => {
+      this.toasts.forEach((toast) => {
+        if (toast.persistent && (id == null || toast.key === id)) this.dismiss(toast)
+      })
+      this.queue = this.queue.filter(toast => !(toast.persistent && (id == null || toast.key === id)))
+    })
+  },
+
+  destroyed() {
+    window.removeEventListener('toast:show', this._onShow)
+    window.removeEventListener('toast:dismiss', this._onDismiss)
+    this.toasts.forEach(toast => clearTimeout(toast.timer))
+    this.toasts.clear()
+    this.queue = []
+    this.stack?.remove()
+  },
+
+  show(payload) {
+    const {type = 'info', message, persistent = false, timeout = DEFAULT_TIMEOUT, actions = [], id = null} = payload || {}
+    if (!message) return
+
+    const duplicate = id == null && this.findDuplicate(type, message)
+    if (duplicate) {
+      duplicate.count += 1
+      duplicate.countEl.textContent = `×${duplicate.count}`
+      duplicate.countEl.hidden = false
+      if (!duplicate.persistent) this.restartTimer(duplicate)
+      return
+    }
+
+    const queued = id == null && this.queue.find(t => t.type === type && t.message === message)
+    if (queued) return
+
+    const toast = {key: id, type, message, persistent, timeout, actions}
+    if (this.toasts.size >= MAX_VISIBLE) {
+      this.queue.push(toast)
+      return
+    }
+    this.display(toast)
+  },
+
+  findDuplicate(type, message) {
+    for (const toast of this.toasts.values()) {
+      if (toast.type === type && toast.message === message) return toast
+    }
+    return null
+  },
+
+  display(toast) {
+    toast.id = this.nextId++
+    toast.count = 1
+    toast.remaining = toast.timeout
+
+    const el = document.createElement('div')
+    el.className = `alert ${TYPE_CLASSES[toast.type] || TYPE_CLASSES.info} relative flex-col items-stretch overflow-hidden shadow-lg`
+    el.setAttribute('role', toast.type === 'error' ? 'alert' : 'status')
+
+    const row = document.createElement('div')
+    row.className = 'flex items-start gap-2'
+
+    const text = document.createElement('div')
+    text.className = 'flex-1 text-sm'
+    text.textContent = toast.message
+
+    const count = document.createElement('span')
+    count.className = 'badge badge-outline'
+    count.hidden = true
+
+    const close = document.createElement('button')
+    close.type = 'button'
+    close.className = 'text-dim hover:text-white'
+    close.setAttribute('aria-label', 'Dismiss notification')
+    close.textContent = '×'
+    close.addEventListener('click', () => this.dismiss(toast))
+
+    row.append(text, count, close)
+    el.appendChild(row)
+
+    if (toast.actions.length > 0) {
+      const actions = document.createElement('div')
+      actions.className = 'flex gap-2 mt-2'
+      toast.actions.forEach(({label, event, payload, onClick}) => {
+        const btn = document.createElement('button')
+        btn.type = 'button'
+        btn.className = 'btn btn-soft text-xs py-1'
+        btn.textContent = label
+        btn.addEventListener('click', () => {
+          onClick?.()
+          if (event) this.pushEvent(event, payload || {})
+          this.dismiss(toast)
+        })
+        actions.appendChild(btn)
+      })
+      el.appendChild(actions)
+    }
+
+    if (!toast.persistent) {
+      const progress = document.createElement('div')
+      progress.className = 'toast-progress'
+      el.appendChild(progress)
+      toast.progressEl = progress
+
+      // Pause-on-hover: freeze both the timer and the progress bar
+      el.addEventListener('mouseenter', () => this.pauseTimer(toast))
+      el.addEventListener('mouseleave', () => this.resumeTimer(toast))
+      el.addEventListener('focusin', () => this.pauseTimer(toast))
+      el.addEventListener('focusout', () => this.resumeTimer(toast))
+    }
+
+    toast.el = el
+    toast.countEl = count
+    this.toasts.set(toast.id, toast)
+    this.stack.appendChild(el)
+
+    if (!toast.persistent) this.resumeTimer(toast)
+  },
+
+  restartTimer(toast) {
+    clearTimeout(toast.timer)
+    toast.timer = null
+    toast.remaining = toast.timeout
+    if (!toast.paused) this.resumeTimer(toast)
+  },
+
+  resumeTimer(toast) {
+    toast.paused = false
+    if (toast.timer || !this.toasts.has(toast.id)) return
+    toast.startedAt = Date.now()
+    toast.timer = setTimeout(() => this.dismiss(toast), toast.remaining)
+    this.animateProgress(toast, toast.remaining)
+  },
+
+  pauseTimer(toast) {
+    toast.paused = true
+    if (!toast.timer) return
+    clearTimeout(toast.timer)
+    toast.timer = null
+    toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt))
+
+    const bar = toast.progressEl
+    if (bar) {
+      const width = getComputedStyle(bar).width
+      bar.style.transition = 'none'
+      bar.style.width = width
+    }
+  },
+
+  animateProgress(toast, duration) {
+    const bar = toast.progressEl
+    if (!bar) return
+    bar.style.transition = 'none'
+    bar.style.width = `${(toast.remaining / toast.timeout) * 100}%`
+    // Force a reflow so the transition starts from the width set above
+    void bar.offsetWidth
+    bar.style.transition = `width ${duration}ms linear`
+    bar.style.width = '0%'
+  },
+
+  dismissKey(key) {
+    if (key == null) return
+    this.queue = this.queue.filter(toast => toast.key !== key)
+    this.toasts.forEach(toast => {
+      if (toast.key === key) this.dismiss(toast)
+    })
+  },
+
+  dismiss(toast) {
+    if (!this.toasts.has(toast.id)) return
+    clearTimeout(toast.timer)
+    this.toasts.delete(toast.id)
+    toast.el.remove()
+
+    const next = this.queue.shift()
+    if (next) this.display(next)
+  }
+}
+
+export default ToastManager
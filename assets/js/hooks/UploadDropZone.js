@@ -0,0 +1,373 @@
+// Upload Drop Zone Hook: bulk drag-and-drop staging with duplicate pre-check
+//
+// Accepts many files or whole folders, hashes each file in the browser
+// (SHA-256, read in slices by lib/sha256, lowercase hex like
+// Ingest.FileId.sha256_file/1) and
+// asks the server which hashes are already staged ("check_hashes", replied
+// with `%{staged: [hash]}`) before any bytes are sent. The remaining files are
+// handed to the live_file_input named by data-upload in batches of
+// UPLOAD_BATCH, each batch waiting for the server's "upload:staged" /
+// "upload:failed" events before the next one starts. Each file is sent with
+// its hash as entry meta and both events echo {filename, hash}, so files with
+// the same name never get each other's result. Files larger than
+// data-live-max-size go through the resumable chunked uploader instead, one
+// at a time, and survive socket reconnects and page reloads.
+//
+// Expected markup: data-accept (comma separated extensions), data-max-size
+// and data-live-max-size (bytes), and inside the element [data-role=drop-area],
+// [data-role=upload-queue], [data-role=upload-summary] and optional
+// [data-action=browse-files] / [data-action=browse-folder] buttons.
+
+import {uploadChunked, pendingUploads} from "../lib/chunked_uploader"
+import {sha256File} from "../lib/sha256"
+
+const HASH_CONCURRENCY = 2
+const CHECK_BATCH = 50
+const UPLOAD_BATCH = 10
+// A batch with no server response for this long is marked failed so the queue keeps moving
+const UPLOAD_STALL_MS = 120000
+
+const STATE_LABELS = {
+  queued: 'Queued',
+  hashing: 'Hashing',
+  checking: 'Checking',
+  duplicate: 'Skipped (duplicate)',
+  rejected: 'Skipped',
+  uploading: 'Uploading',
+  staged: 'Staged',
+  failed: 'Failed'
+}
+
+const STATE_CLASSES = {
+  queued: 'bg-gray-100 text-gray-700',
+  hashing: 'bg-blue-50 text-blue-700',
+  checking: 'bg-blue-50 text-blue-700',
+  duplicate: 'bg-amber-50 text-amber-700',
+  rejected: 'bg-amber-50 text-amber-700',
+  uploading: 'bg-blue-100 text-blue-800',
+  staged: 'bg-emerald-100 text-emerald-800',
+  failed: 'bg-red-100 text-red-700'
+}
+
+const humanSize = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}
+
+// Directory entries only return up to ~100 children per readEntries() call
+const readAllEntries = (reader) => new Promise((resolve, reject) => {
+  const entries = []
+  const next = () => reader.readEntries((batch) => {
+    if (batch.length === 0) return resolve(entries)
+    entries.push(...batch)
+    next()
+  }, reject)
+  next()
+})
+
+const collectEntry = async (entry, out) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject))
+    out.push({file, path: entry.fullPath.replace(/^\//, '')})
+  } else if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader())
+    for (const child of children) await collectEntry(child, out)
+  }
+}
+
+const UploadDropZone = {
+  mounted() {
+    this.uploadName = this.el.dataset.upload || 'docs'
+    this.accept = (this.el.dataset.accept || '').split(',').map(ext => ext.trim().toLowerCase()).filter(Boolean)
+    this.maxSize = Number(this.el.dataset.maxSize || 0)
+    this.liveMaxSize = Number(this.el.dataset.liveMaxSize || this.maxSize)
+
+    this.items = []
+    this.nextId = 1
+    this.inFlight = []
+    this.chunkedItem = null
+    this.abort = new AbortController()
+    this.knownHashes = new Set()
+    this.pendingResume = pendingUploads()
+
+    this.dropArea = this.el.querySelector('[data-role="drop-area"]') || this.el
+    this.queueEl = this.el.querySelector('[data-role="upload-queue"]')
+    this.summaryEl = this.el.querySelector('[data-role="upload-summary"]')
+
+    this.fileInput = this.createPicker(false)
+    this.folderInput = this.createPicker(true)
+
+    this._onBrowse = (e) => {
+      const action = e.target.closest('[data-action]')?.dataset.action
+      if (action === 'browse-files') this.fileInput.click()
+      if (action === 'browse-folder') this.folderInput.click()
+    }
+    this._onDragOver = (e) => {
+      e.preventDefault()
+      e.dataTransfer.dropEffect = 'copy'
+      this.dropArea.classList.add('border-blue-400', 'bg-blue-50')
+    }
+    this._onDragLeave = () => this.dropArea.classList.remove('border-blue-400', 'bg-blue-50')
+    this._onDrop = async (e) => {
+      e.preventDefault()
+      this._onDragLeave()
+      this.addFiles(await this.filesFromDataTransfer(e.dataTransfer))
+    }
+
+    this.el.addEventListener('click', this._onBrowse)
+    this.dropArea.addEventListener('dragover', this._onDragOver)
+    this.dropArea.addEventListener('dragleave', this._onDragLeave)
+    this.dropArea.addEventListener('drop', this._onDrop)
+
+    this.handleEvent('upload:staged', (result) => {
+      const item = this.inFlightItem(result)
+      if (item) this.finishUpload(item, 'staged')
+    })
+    this.handleEvent('upload:failed', (result) => {
+      const item = this.inFlightItem(result)
+      if (item) this.finishUpload(item, 'failed', result.reason)
+    })
+
+    this.render()
+  },
+
+  destroyed() {
+    this.el.removeEventListener('click', this._onBrowse)
+    this.dropArea.removeEventListener('dragover', this._onDragOver)
+    this.dropArea.removeEventListener('dragleave', this._onDragLeave)
+    this.dropArea.removeEventListener('drop', this._onDrop)
+    this.fileInput.remove()
+    this.folderInput.remove()
+    clearTimeout(this._stallTimer)
+    this.abort.abort()
+    if (this._renderFrame) cancelAnimationFrame(this._renderFrame)
+  },
+
+  createPicker(directory) {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.multiple = true
+    input.hidden = true
+    if (directory) input.webkitdirectory = true
+    else if (this.accept.length) input.accept = this.accept.join(',')
+    input.addEventListener('change', () => {
+      this.addFiles(Array.from(input.files).map(file => ({file, path: file.webkitRelativePath || file.name})))
+      input.value = ''
+    })
+    document.body.appendChild(input)
+    return input
+  },
+
+  async filesFromDataTransfer(dataTransfer) {
+    const items = Array.from(dataTransfer.items || [])
+    const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+    if (entries.length === 0) {
+      return Array.from(dataTransfer.files || []).map(file => ({file, path: file.name}))
+    }
+    const out = []
+    for (const entry of entries) {
+      try {
+        await collectEntry(entry, out)
+      } catch (e) {
+        console.error('UploadDropZone: could not read dropped entry', entry.fullPath, e)
+      }
+    }
+    return out
+  },
+
+  addFiles(files) {
+    files.forEach(({file, path}) => {
+      const item = {id: this.nextId++, file, path, state: 'queued', hash: null, reason: null}
+      const ext = `.${(file.name.split('.').pop() || '').toLowerCase()}`
+      if (this.accept.length && !this.accept.includes(ext)) {
+        item.state = 'rejected'
+        item.reason = 'unsupported type'
+      } else if (this.maxSize && file.size > this.maxSize) {
+        item.state = 'rejected'
+        item.reason = `larger than ${humanSize(this.maxSize)}`
+      } else if (file.size === 0) {
+        item.state = 'rejected'
+        item.reason = 'empty file'
+      }
+      this.items.push(item)
+    })
+    this.scheduleRender()
+    this.pumpHashing()
+  },
+
+  pumpHashing() {
+    const hashing = this.items.filter(i => i.state === 'hashing').length
+    const queued = this.items.filter(i => i.state === 'queued').slice(0, HASH_CONCURRENCY - hashing)
+    queued.forEach(item => this.hashItem(item))
+
+    if (hashing === 0 && queued.length === 0) this.checkHashes()
+  },
+
+  async hashItem(item) {
+    item.state = 'hashing'
+    this.scheduleRender()
+    try {
+      item.hash = await sha256File(item.file, {signal: this.abort.signal})
+      if (this.knownHashes.has(item.hash)) {
+        item.state = 'duplicate'
+        item.reason = 'same content dropped twice'
+      } else {
+        this.knownHashes.add(item.hash)
+        item.state = 'checking'
+      }
+    } catch (e) {
+      if (this.abort.signal.aborted) return
+      item.state = 'failed'
+      item.reason = 'could not read file'
+    }
+    this.scheduleRender()
+
+    if (this.items.filter(i => i.state === 'checking').length >= CHECK_BATCH) this.checkHashes()
+    this.pumpHashing()
+  },
+
+  checkHashes() {
+    const batch = this.items.filter(i => i.state === 'checking' && !i.checkSent).slice(0, CHECK_BATCH)
+    if (batch.length === 0) return
+    batch.forEach(i => { i.checkSent = true })
+
+    this.pushEvent('check_hashes', {hashes: batch.map(i => i.hash)}, ({staged} = {}) => {
+      const stagedSet = new Set(staged || [])
+      batch.forEach(item => {
+        item.state = stagedSet.has(item.hash) ? 'duplicate' : 'ready'
+        if (item.state === 'duplicate') item.reason = 'already staged'
+        item.chunked = item.file.size > this.liveMaxSize
+      })
+      this.scheduleRender()
+      this.pumpUploads()
+      this.pumpChunked()
+      this.checkHashes()
+    })
+  },
+
+  pumpUploads() {
+    if (this.inFlight.length > 0) return
+    const batch = this.items.filter(i => i.state === 'ready' && !i.chunked).slice(0, UPLOAD_BATCH)
+    if (batch.length === 0) return
+
+    batch.forEach(item => {
+      item.state = 'uploading'
+      // LiveView sends file.meta() along as the entry's client_meta
+      item.file.meta = () => ({hash: item.hash})
+    })
+    this.inFlight = batch
+    this.upload(this.uploadName, batch.map(i => i.file))
+    this.armStallTimer()
+    this.scheduleRender()
+  },
+
+  // Results name the file and its hash; the hash is missing only when the
+  // server could not read the entry meta
+  inFlightItem({filename, hash}) {
+    return this.inFlight.find(i => i.file.name === filename && i.hash === hash) ||
+      (hash ? null : this.inFlight.find(i => i.file.name === filename))
+  },
+
+  // A failed file must not count as a duplicate when it is dropped again
+  settle(item, state, reason = null) {
+    item.state = state
+    item.reason = reason
+    if (state === 'failed' && item.hash) this.knownHashes.delete(item.hash)
+  },
+
+  finishUpload(item, state, reason = null) {
+    this.settle(item, state, reason)
+    this.inFlight = this.inFlight.filter(i => i !== item)
+    this.armStallTimer()
+    this.scheduleRender()
+    this.pumpUploads()
+  },
+
+  async pumpChunked() {
+    if (this.chunkedItem) return
+    const item = this.items.find(i => i.state === 'ready' && i.chunked)
+    if (!item) return
+
+    this.chunkedItem = item
+    item.state = 'uploading'
+    this.scheduleRender()
+    try {
+      await uploadChunked(item.file, item.hash, {
+        signal: this.abort.signal,
+        onProgress: (sent, total) => {
+          item.reason = `${Math.floor((sent / total) * 100)}%`
+          this.scheduleRender()
+        }
+      })
+      item.state = 'staged'
+      item.reason = null
+      this.pendingResume = this.pendingResume.filter(p => p.hash !== item.hash)
+    } catch (e) {
+      if (this.abort.signal.aborted) return
+      this.settle(item, 'failed', (e.reason || e.message || 'upload failed').replace(/_/g, ' '))
+    }
+    this.chunkedItem = null
+    this.scheduleRender()
+    this.pumpChunked()
+  },
+
+  armStallTimer() {
+    clearTimeout(this._stallTimer)
+    if (this.inFlight.length === 0) return
+    this._stallTimer = setTimeout(() => {
+      this.inFlight.forEach(item => this.settle(item, 'failed', 'no response from server'))
+      this.inFlight = []
+      this.scheduleRender()
+      this.pumpUploads()
+    }, UPLOAD_STALL_MS)
+  },
+
+  // Hundreds of files change state in quick succession; render once per frame
+  scheduleRender() {
+    if (this._renderFrame) return
+    this._renderFrame = requestAnimationFrame(() => {
+      this._renderFrame = null
+      this.render()
+    })
+  },
+
+  render() {
+    if (this.summaryEl) {
+      const counts = {}
+      this.items.forEach(i => { counts[i.state] = (counts[i.state] || 0) + 1 })
+      const parts = Object.keys(STATE_LABELS)
+        .filter(state => counts[state])
+        .map(state => `${counts[state]} ${STATE_LABELS[state].toLowerCase()}`)
+      if (counts.ready) parts.push(`${counts.ready} waiting to upload`)
+      const resumable = this.pendingResume.filter(p => !this.knownHashes.has(p.hash))
+      const resumeNote = resumable.length
+        ? `${resumable.length} interrupted upload${resumable.length === 1 ? '' : 's'} can resume; drop the same file${resumable.length === 1 ? '' : 's'} again (${resumable.map(p => p.filename).join(', ')}).`
+        : ''
+      this.summaryEl.textContent = [this.items.length ? `${this.items.length} files: ${parts.join(', ')}` : '', resumeNote].filter(Boolean).join(' ')
+    }
+
+    if (!this.queueEl) return
+    this.items.forEach(item => {
+      if (!item.row) {
+        item.row = document.createElement('li')
+        item.row.className = 'flex items-center justify-between gap-3 py-1.5'
+        const name = document.createElement('span')
+        name.className = 'truncate text-gray-800'
+        name.textContent = `${item.path} (${humanSize(item.file.size)})`
+        name.title = item.path
+        item.badge = document.createElement('span')
+        item.row.append(name, item.badge)
+        this.queueEl.appendChild(item.row)
+      }
+      const state = item.state === 'ready' ? 'queued' : item.state
+      const rendered = `${item.state}:${item.reason}`
+      if (item.rendered === rendered) return
+      item.rendered = rendered
+      item.badge.className = `shrink-0 px-2 py-0.5 rounded-full text-xs font-medium ${STATE_CLASSES[state]}`
+      item.badge.textContent = item.reason ? `${STATE_LABELS[state]}: ${item.reason}` : STATE_LABELS[state]
+    })
+  }
+}
+
+export default UploadDropZone
@@ -0,0 +1,71 @@
+// Keyboard and screen-reader helpers shared by the chart hooks and components
+//
+// Canvas charts get a text summary (aria-label) and a toggle that swaps the
+// canvas for an HTML table or tree built from the same data. Both use a
+// roving tabindex: one cell or item is in the tab order, arrow keys move it.
+
+/** Next {row, col} in a rows × cols grid for an arrow/Home/End/PageUp/PageDown key, or null */
+export function gridMove(key, {row, col}, rows, cols, {ctrlKey = false} = {}) {
+  if (rows === 0 || cols === 0) return null
+  const clamp = (value, max) => Math.max(0, Math.min(max - 1, value))
+
+  switch (key) {
+    case 'ArrowRight': return {row, col: clamp(col + 1, cols)}
+    case 'ArrowLeft': return {row, col: clamp(col - 1, cols)}
+    case 'ArrowDown': return {row: clamp(row + 1, rows), col}
+    case 'ArrowUp': return {row: clamp(row - 1, rows), col}
+    case 'Home': return ctrlKey ? {row: 0, col: 0} : {row, col: 0}
+    case 'End': return ctrlKey ? {row: rows - 1, col: cols - 1} : {row, col: cols - 1}
+    case 'PageDown': return {row: clamp(row + 5, rows), col}
+    case 'PageUp': return {row: clamp(row - 5, rows), col}
+    default: return null
+  }
+}
+
+/**
+ * The items of a tree that are currently visible, in display order, with the
+ * ARIA position of each: `[{node, level, posinset, setsize, parent, expandable}]`.
+ * `parent` is the index of the parent item, or -1.
+ */
+export function visibleTreeItems(root, isCollapsed) {
+  const items = []
+  const walk = (node, level, posinset, setsize, parent) => {
+    const children = node.children || []
+    const index = items.length
+    items.push({node, level, posinset, setsize, parent, expandable: children.length > 0})
+    if (children.length > 0 && !isCollapsed(node)) {
+      children.forEach((child, i) => walk(child, level + 1, i + 1, children.length, index))
+    }
+  }
+  if (root) walk(root, 1, 1, 1, -1)
+  return items
+}
+
+/** Counts as "3 sections, 12 clauses" using `labels` ({kind: [singular, plural]}) */
+export function countSummary(counts, labels) {
+  return Object.entries(labels)
+    .filter(([kind]) => counts[kind] > 0)
+    .map(([kind, [one, many]]) => `${counts[kind]} ${counts[kind] === 1 ? one : many}`)
+    .join(', ')
+}
+
+/** A button that switches between the chart and its accessible view (`controls` is that view's id) */
+export function createViewToggle({controls, label = 'Show as table', onToggle}) {
+  const button = document.createElement('button')
+  button.type = 'button'
+  button.className = 'absolute top-2 right-2 z-10 rounded border border-gray-300 bg-white/90 px-2 py-1 text-xs text-gray-700 hover:bg-white'
+  button.setAttribute('aria-controls', controls)
+
+  const set = (expanded) => {
+    button.setAttribute('aria-expanded', String(expanded))
+    button.textContent = expanded ? 'Show chart' : label
+  }
+  set(false)
+
+  button.addEventListener('click', () => {
+    const expanded = button.getAttribute('aria-expanded') !== 'true'
+    set(expanded)
+    onToggle(expanded)
+  })
+  return button
+}
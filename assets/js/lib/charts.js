@@ -0,0 +1,185 @@
+// ECharts lifecycle shared by the chart hooks and React components
+//
+// mountChart(el) owns one ECharts instance for a container:
+//
+// - It is created lazily, once the container is near the viewport and has a
+//   size. setOption/on calls made before that are kept and replayed.
+// - A ResizeObserver resizes it whenever the container changes size, e.g.
+//   when LayoutChrome collapses the left rail or a hidden tab is shown; the
+//   resizes of all charts run in one frame through lib/frame_scheduler.
+// - Updates merge into the existing instance (replacing series by default)
+//   instead of disposing and re-creating it.
+// - exportImage("png" | "svg") downloads the chart as it is currently shown.
+//   Force-directed graphs can only be exported as SVG when they are drawn
+//   with the SVG renderer (initOptions: {renderer: 'svg'}).
+//   Any button on the page with data-chart-export="png" | "svg" and
+//   data-chart-target="<id>" (optionally data-filename) exports the chart
+//   mounted under that id, so LiveView templates can place export buttons
+//   outside the chart's phx-update="ignore" container.
+
+import * as echarts from "echarts"
+import {cancelUpdate, requestUpdate} from "./frame_scheduler"
+import {downloadBlob} from "./download"
+import {getTheme} from "./theme"
+
+// Series lists change length between updates; stale ones must go
+const DEFAULT_SET_OPTION = {replaceMerge: ['series']}
+const LAZY_ROOT_MARGIN = '200px'
+const EXPORT_PIXEL_RATIO = 2
+
+// Mounted charts by id, for the data-chart-export buttons
+const charts = new Map()
+
+document.addEventListener('click', (e) => {
+  const button = e.target.closest?.('[data-chart-export]')
+  const chart = button && charts.get(button.dataset.chartTarget)
+  if (!chart) return
+  e.preventDefault()
+  chart.exportImage(button.dataset.chartExport, button.dataset.filename ? {filename: button.dataset.filename} : {})
+})
+
+/**
+ * Manages the chart in `el`. Options: `lazy` (default true) waits until the
+ * container is near the viewport, `initOptions` go to echarts.init and `id`
+ * (default `el.id`) is what data-chart-target refers to.
+ * Returns `{setOption, on, resize, clear, exportImage, dispose, instance}`.
+ */
+export function mountChart(el, {lazy = true, initOptions = {}, id = el.id} = {}) {
+  let instance = null
+  let disposed = false
+  let inView = !lazy || typeof IntersectionObserver === 'undefined'
+  const pending = []
+  const handlers = []
+
+  const hasSize = () => el.clientWidth > 0 && el.clientHeight > 0
+
+  const init = () => {
+    if (instance || disposed || !inView || !hasSize()) return
+    instance = echarts.init(el, null, initOptions)
+    handlers.forEach(([event, handler]) => instance.on(event, handler))
+    pending.splice(0).forEach(([option, opts]) => instance.setOption(option, opts))
+    intersection?.disconnect()
+  }
+
+  const controller = {
+    get instance() {
+      return instance
+    },
+
+    /** Merges `option` into the chart; `opts` are ECharts' setOption options */
+    setOption(option, opts = DEFAULT_SET_OPTION) {
+      if (disposed) return
+      if (instance) {
+        instance.setOption(option, opts)
+      } else {
+        // A full replacement makes everything queued before it irrelevant
+        if (opts.notMerge) pending.length = 0
+        pending.push([option, opts])
+        init()
+      }
+    },
+
+    on(event, handler) {
+      handlers.push([event, handler])
+      instance?.on(event, handler)
+    },
+
+    clear() {
+      pending.length = 0
+      instance?.clear()
+    },
+
+    /** Resizes on the next frame; the ResizeObserver calls this already */
+    resize() {
+      requestUpdate(controller, () => {
+        if (!instance) {
+          init()
+        } else if (hasSize()) {
+          return () => instance?.resize()
+        }
+      })
+    },
+
+    /** Downloads the chart as `${filename}.png` or `.svg` */
+    async exportImage(format, {filename = id || 'chart', backgroundColor = backgroundOf(el)} = {}) {
+      if (!instance) return
+      try {
+        if (format === 'svg') {
+          downloadBlob(new Blob([renderSvg(instance, initOptions, backgroundColor)], {type: 'image/svg+xml'}), `${filename}.svg`)
+        } else {
+          const url = instance.getDataURL({type: 'png', pixelRatio: EXPORT_PIXEL_RATIO, backgroundColor})
+          downloadBlob(await (await fetch(url)).blob(), `${filename}.png`)
+        }
+      } catch (e) {
+        console.error(`charts: ${format} export failed`, e)
+      }
+    },
+
+    dispose() {
+      disposed = true
+      pending.length = 0
+      if (charts.get(id) === controller) charts.delete(id)
+      cancelUpdate(controller)
+      resizeObserver?.disconnect()
+      intersection?.disconnect()
+      instance?.dispose()
+      instance = null
+    }
+  }
+
+  const resizeObserver = typeof ResizeObserver === 'undefined'
+    ? null
+    : new ResizeObserver(() => controller.resize())
+  resizeObserver?.observe(el)
+
+  const intersection = inView
+    ? null
+    : new IntersectionObserver((entries) => {
+      inView = entries.some(entry => entry.isIntersecting)
+      init()
+    }, {rootMargin: LAZY_ROOT_MARGIN})
+  intersection?.observe(el)
+
+  if (id) charts.set(id, controller)
+  init()
+  return controller
+}
+
+// The color the chart is shown on: the first opaque background up the tree
+function backgroundOf(el) {
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const color = getComputedStyle(node).backgroundColor
+    if (color && color !== 'transparent' && !/rgba\(.*,\s*0\)$/.test(color)) return color
+  }
+  return getTheme().colors.surface
+}
+
+const escapeAttr = (value) => String(value).replace(/[&<>"]/g, c => ({'&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;'}[c]))
+
+// A chart drawn with the SVG renderer is serialized as shown. Otherwise the
+// current option is re-rendered once with the SVG renderer at the same size,
+// which would run a force layout again and place the nodes elsewhere.
+function renderSvg(instance, {renderer}, backgroundColor) {
+  if (renderer === 'svg') {
+    const background = `<rect width="100%" height="100%" fill="${escapeAttr(backgroundColor)}"/>`
+    return instance.renderToSVGString().replace(/<svg[^>]*>/, (open) => open + background)
+  }
+
+  const option = instance.getOption()
+  if ((option.series || []).some(series => series.type === 'graph' && series.layout === 'force')) {
+    throw new Error('force layouts export as SVG only with the SVG renderer')
+  }
+
+  const svgChart = echarts.init(null, null, {
+    renderer: 'svg',
+    ssr: true,
+    width: instance.getWidth(),
+    height: instance.getHeight()
+  })
+  try {
+    svgChart.setOption({...option, backgroundColor, animation: false})
+    return svgChart.renderToSVGString()
+  } finally {
+    svgChart.dispose()
+  }
+}
@@ -0,0 +1,143 @@
+// Resumable chunked uploads over HTTP (see EvhlegalchatWeb.ChunkedUploadController)
+//
+// Uploads are keyed by the file's SHA-256, so announcing the same file again
+// after a reconnect or a page reload picks up at the offset the server already
+// holds. Requests go over plain fetch, independent of the LiveView socket and
+// its long-poll fallback. Unfinished uploads are remembered in localStorage so
+// the page can tell the user which files to drop again to resume them.
+
+const BASE_PATH = '/staging/chunked_uploads'
+const CHUNK_SIZE = 2 * 1024 * 1024
+const MAX_BACKOFF_MS = 30000
+const STORAGE_PREFIX = 'chunked-upload:'
+
+class UploadError extends Error {
+  constructor(reason, status) {
+    super(reason)
+    this.reason = reason
+    this.status = status
+  }
+}
+
+const csrfToken = () => document.querySelector("meta[name='csrf-token']")?.getAttribute('content') || ''
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms)
+  signal?.addEventListener('abort', () => { clearTimeout(timer); reject(signal.reason) }, {once: true})
+})
+
+const waitForOnline = (signal) => {
+  if (navigator.onLine !== false) return Promise.resolve()
+  return new Promise((resolve, reject) => {
+    const onOnline = () => { window.removeEventListener('online', onOnline); resolve() }
+    window.addEventListener('online', onOnline)
+    signal?.addEventListener('abort', () => { window.removeEventListener('online', onOnline); reject(signal.reason) }, {once: true})
+  })
+}
+
+async function request(method, path, {json, body, headers = {}, signal} = {}) {
+  const response = await fetch(path, {
+    method,
+    signal,
+    credentials: 'same-origin',
+    headers: {
+      'accept': 'application/json',
+      'x-csrf-token': csrfToken(),
+      ...(json ? {'content-type': 'application/json'} : {}),
+      ...headers
+    },
+    body: json ? JSON.stringify(json) : body
+  })
+  const payload = await response.json().catch(() => ({}))
+  return {status: response.status, ok: response.ok, payload}
+}
+
+// Retries transient failures (network errors, 5xx) with exponential backoff;
+// 4xx answers are returned to the caller untouched.
+async function withRetry(fn, signal) {
+  let delay = 1000
+  for (;;) {
+    try {
+      await waitForOnline(signal)
+      const result = await fn()
+      if (result.status < 500) return result
+    } catch (e) {
+      if (signal?.aborted) throw e
+    }
+    await sleep(delay, signal)
+    delay = Math.min(delay * 2, MAX_BACKOFF_MS)
+  }
+}
+
+const remember = (hash, file) => {
+  try {
+    localStorage.setItem(STORAGE_PREFIX + hash, JSON.stringify({filename: file.name, size: file.size, updatedAt: Date.now()}))
+  } catch (_e) {}
+}
+
+const forget = (hash) => {
+  try { localStorage.removeItem(STORAGE_PREFIX + hash) } catch (_e) {}
+}
+
+/** Unfinished uploads from earlier page loads: `[{hash, filename, size, updatedAt}]` */
+export function pendingUploads() {
+  const pending = []
+  try {
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i)
+      if (!key.startsWith(STORAGE_PREFIX)) continue
+      pending.push({hash: key.slice(STORAGE_PREFIX.length), ...JSON.parse(localStorage.getItem(key))})
+    }
+  } catch (_e) {}
+  return pending
+}
+
+/**
+ * Uploads `file` (whose SHA-256 is `hash`) in chunks, resuming from whatever
+ * the server already has. Resolves with the staging response
+ * `{staging_upload_id, hash}`; rejects with an UploadError for permanent
+ * failures. `onProgress(sentBytes, totalBytes)` fires after every chunk.
+ */
+export async function uploadChunked(file, hash, {onProgress, signal} = {}) {
+  const start = await withRetry(() => request('POST', BASE_PATH, {json: {hash, filename: file.name, size: file.size}, signal}), signal)
+  if (!start.ok) throw new UploadError(start.payload.reason || 'could not start upload', start.status)
+
+  remember(hash, file)
+  let offset = start.payload.offset || 0
+  onProgress?.(offset, file.size)
+
+  for (;;) {
+    while (offset < file.size) {
+      const chunk = file.slice(offset, offset + CHUNK_SIZE)
+      const result = await withRetry(() => request('PATCH', `${BASE_PATH}/${hash}`, {
+        body: chunk,
+        headers: {'content-type': 'application/octet-stream', 'upload-offset': String(offset)},
+        signal
+      }), signal)
+
+      if (result.status === 409 && typeof result.payload.offset === 'number') {
+        // The server holds a different amount than we assumed (e.g. a chunk
+        // landed before the connection dropped); continue from its offset.
+        offset = result.payload.offset
+      } else if (result.ok) {
+        offset = result.payload.offset
+      } else {
+        if (result.status === 404 || result.payload.reason === 'hash_mismatch') forget(hash)
+        throw new UploadError(result.payload.reason || 'chunk rejected', result.status)
+      }
+      onProgress?.(offset, file.size)
+    }
+
+    const done = await withRetry(() => request('POST', `${BASE_PATH}/${hash}/complete`, {signal}), signal)
+    if (done.ok) {
+      forget(hash)
+      return done.payload
+    }
+    if (done.status === 409 && typeof done.payload.offset === 'number') {
+      offset = done.payload.offset
+      continue
+    }
+    forget(hash)
+    throw new UploadError(done.payload.reason || 'could not stage upload', done.status)
+  }
+}
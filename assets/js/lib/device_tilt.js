@@ -0,0 +1,68 @@
+// Device orientation as a tilt in [-1, 1] on both axes, shared by all cards
+//
+// Only used on touch-first devices (coarse pointer) without reduced motion.
+// The first reading after subscribing becomes the neutral position, so the
+// tablet's resting angle on the desk does not count as tilt. iOS asks for
+// permission; requestTiltPermission() must run from a user gesture.
+
+const MAX_DEGREES = 20
+
+const listeners = new Set()
+let baseline = null
+let listening = false
+let permission = typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function'
+  ? 'prompt'
+  : 'granted'
+
+const clamp = (value) => Math.max(-1, Math.min(1, value))
+
+const onOrientation = (e) => {
+  if (e.beta == null || e.gamma == null) return
+  if (!baseline) baseline = {beta: e.beta, gamma: e.gamma}
+
+  const tilt = {
+    x: clamp((e.gamma - baseline.gamma) / MAX_DEGREES),
+    y: clamp((e.beta - baseline.beta) / MAX_DEGREES)
+  }
+  listeners.forEach(listener => listener(tilt))
+}
+
+const update = () => {
+  const wanted = listeners.size > 0 && permission === 'granted'
+  if (wanted && !listening) {
+    baseline = null
+    window.addEventListener('deviceorientation', onOrientation)
+  } else if (!wanted && listening) {
+    window.removeEventListener('deviceorientation', onOrientation)
+  }
+  listening = wanted
+}
+
+/** Whether device tilt makes sense here: a touch-first device without reduced motion */
+export function tiltSupported() {
+  return typeof window.DeviceOrientationEvent !== 'undefined' &&
+    !!window.matchMedia?.('(pointer: coarse)').matches &&
+    !window.matchMedia?.('(prefers-reduced-motion: reduce)').matches
+}
+
+/** Asks for motion access where the browser requires it (iOS); call from a user gesture */
+export async function requestTiltPermission() {
+  if (permission !== 'prompt') return permission === 'granted'
+  try {
+    permission = (await DeviceOrientationEvent.requestPermission()) === 'granted' ? 'granted' : 'denied'
+  } catch (_e) {
+    permission = 'denied'
+  }
+  update()
+  return permission === 'granted'
+}
+
+/** Calls `listener({x, y})` on orientation changes; returns the unsubscribe function */
+export function subscribeTilt(listener) {
+  listeners.add(listener)
+  update()
+  return () => {
+    listeners.delete(listener)
+    update()
+  }
+}
@@ -0,0 +1,68 @@
+// One requestAnimationFrame loop shared by every animated element on the page
+//
+// requestUpdate(key, measure) runs `measure` on the next frame, once per key
+// however often it was requested. All measures of a frame run before any
+// writes: a measure may read layout and return a function that writes styles,
+// so many elements updating together cause a single layout pass.
+//
+// onFrame(fn) calls fn(time) on every frame until the returned function is
+// called; the loop only runs while there is work for it.
+
+const pending = new Map()
+const frameListeners = new Set()
+let handle = null
+
+function flush(time) {
+  handle = null
+
+  const measures = Array.from(pending.values())
+  pending.clear()
+
+  const writes = []
+  measures.forEach(measure => {
+    try {
+      const write = measure(time)
+      if (typeof write === 'function') writes.push(write)
+    } catch (e) {
+      console.error('frame_scheduler: update failed', e)
+    }
+  })
+  frameListeners.forEach(fn => {
+    try {
+      fn(time)
+    } catch (e) {
+      console.error('frame_scheduler: frame listener failed', e)
+    }
+  })
+  writes.forEach(write => {
+    try {
+      write()
+    } catch (e) {
+      console.error('frame_scheduler: write failed', e)
+    }
+  })
+
+  if (pending.size > 0 || frameListeners.size > 0) ensureLoop()
+}
+
+function ensureLoop() {
+  if (handle == null) handle = requestAnimationFrame(flush)
+}
+
+/** Runs `measure(time)` on the next frame; a later request for the same key replaces it */
+export function requestUpdate(key, measure) {
+  pending.set(key, measure)
+  ensureLoop()
+}
+
+/** Drops a pending update, e.g. when its element is removed */
+export function cancelUpdate(key) {
+  pending.delete(key)
+}
+
+/** Calls `fn(time)` every frame; returns the function that stops it */
+export function onFrame(fn) {
+  frameListeners.add(fn)
+  ensureLoop()
+  return () => frameListeners.delete(fn)
+}
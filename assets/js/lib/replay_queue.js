@@ -0,0 +1,91 @@
+// Ordered queue of actions persisted in IndexedDB, replayed once the LiveView
+// socket is back (see the ReviewActions hook)
+//
+// Entries get an auto-incremented `seq`, so `all()` returns them in the order
+// they were queued, across page reloads. Without IndexedDB (private windows,
+// blocked storage) the queue lives in memory for the lifetime of the page.
+
+const DB_NAME = 'evhlegalchat'
+const DB_VERSION = 1
+const STORES = ['review-actions']
+
+const request = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+
+let dbPromise = null
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        STORES.forEach(name => {
+          if (!req.result.objectStoreNames.contains(name)) {
+            req.result.createObjectStore(name, {keyPath: 'seq', autoIncrement: true})
+          }
+        })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+      req.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'))
+    })
+  }
+  return dbPromise
+}
+
+const memoryQueue = () => {
+  const entries = new Map()
+  let seq = 0
+
+  return {
+    persistent: false,
+    async push(entry) {
+      seq += 1
+      entries.set(seq, {...entry, seq})
+      return seq
+    },
+    async all() {
+      return Array.from(entries.values())
+    },
+    async update(entry) {
+      if (entries.has(entry.seq)) entries.set(entry.seq, entry)
+    },
+    async remove(seq) {
+      entries.delete(seq)
+    }
+  }
+}
+
+const idbQueue = (name) => {
+  const run = async (mode, fn) => {
+    const db = await openDb()
+    return request(fn(db.transaction(name, mode).objectStore(name)))
+  }
+
+  return {
+    persistent: true,
+    push: (entry) => run('readwrite', store => store.add(entry)),
+    all: () => run('readonly', store => store.getAll()),
+    update: (entry) => run('readwrite', store => store.put(entry)),
+    remove: (seq) => run('readwrite', store => store.delete(seq))
+  }
+}
+
+/**
+ * Opens the queue `name` (one of STORES). Resolves to
+ * `{persistent, push(entry) -> seq, all(), update(entry), remove(seq)}`.
+ */
+export async function openReplayQueue(name) {
+  if (!STORES.includes(name)) throw new Error(`replay_queue: unknown queue ${name}`)
+  if (typeof indexedDB === 'undefined') return memoryQueue()
+
+  try {
+    await openDb()
+    return idbQueue(name)
+  } catch (e) {
+    console.warn('replay_queue: IndexedDB unavailable, keeping actions in memory', e)
+    return memoryQueue()
+  }
+}
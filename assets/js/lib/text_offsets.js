@@ -0,0 +1,57 @@
+// Character offsets shared with the server
+//
+// Elixir's String.length/1 and String.slice/3 count grapheme clusters, so the
+// start_char / end_char stored for clauses and facts are grapheme offsets
+// (end_char inclusive). JS strings index UTF-16 code units, which drift from
+// graphemes at every emoji, combining accent or "\r\n". offsetMap(text)
+// converts between the two at the boundary.
+
+const SIMPLE_TEXT = /^[\x00-\x0c\x0e-\x7f]*$/
+
+const segmenter = typeof Intl !== 'undefined' && Intl.Segmenter
+  ? new Intl.Segmenter(undefined, {granularity: 'grapheme'})
+  : null
+
+// Code unit offset of every grapheme boundary, ending with text.length
+const boundaries = (text) => {
+  const out = []
+  if (segmenter) {
+    for (const {index} of segmenter.segment(text)) out.push(index)
+  } else {
+    // Code points are the closest approximation without Intl.Segmenter
+    let index = 0
+    for (const char of text) {
+      out.push(index)
+      index += char.length
+    }
+  }
+  out.push(text.length)
+  return out
+}
+
+export function offsetMap(text) {
+  // ASCII without carriage returns: one grapheme per code unit
+  if (SIMPLE_TEXT.test(text)) {
+    const clamp = (n) => Math.max(0, Math.min(n, text.length))
+    return {length: text.length, toCodeUnit: clamp, toGrapheme: clamp}
+  }
+
+  const offsets = boundaries(text)
+  const length = offsets.length - 1
+
+  return {
+    length,
+    toCodeUnit: (grapheme) => offsets[Math.max(0, Math.min(grapheme, length))],
+    // A code unit inside a grapheme maps to the grapheme containing it
+    toGrapheme: (codeUnit) => {
+      let lo = 0
+      let hi = length
+      while (lo < hi) {
+        const mid = (lo + hi + 1) >> 1
+        if (offsets[mid] <= codeUnit) lo = mid
+        else hi = mid - 1
+      }
+      return lo
+    }
+  }
+}
@@ -0,0 +1,128 @@
+// Theme layer shared by the ThemeToggle, chart hooks, React components and Mermaid
+//
+// The active theme is the user's choice from localStorage ("theme") or, when
+// they have not chosen one, the theme matching the OS color scheme. It is
+// written to `data-theme` on <html> and <body>, which switches the CSS
+// variables in app.css. Subscribers get a snapshot whenever it changes:
+//
+//   {name: 'garden', choice: 'system', mode: 'light', colors: {accent, ...}}
+//
+// Besides the theme variables, `colors` has status colors (warning,
+// warningStrong, danger) and `series`, a categorical palette for charts that
+// color one series or category each.
+//
+// `colors` are resolved from the CSS variables so ECharts and canvas code can
+// use them directly. Changes made in another tab arrive through the `storage`
+// event; OS scheme changes apply while no explicit choice is stored.
+
+const STORAGE_KEY = 'theme'
+export const THEMES = ['dark', 'garden', 'dailyui']
+const LIGHT_THEMES = new Set(['garden'])
+const SYSTEM_THEMES = {dark: 'dark', light: 'garden'}
+
+// Colors not covered by the theme variables, per light/dark mode
+const NEUTRALS = {
+  dark: {
+    text: '#e5e7eb', muted: '#9ca3af', axis: '#374151', grid: '#1f2937', tooltipBackground: 'rgba(0, 0, 0, 0.8)', tooltipText: '#ffffff', empty: 'rgba(255, 255, 255, 0.1)',
+    warning: '#fbbf24', warningStrong: '#f59e0b', danger: '#f87171',
+    series: ['#818cf8', '#34d399', '#38bdf8', '#a78bfa', '#fbbf24', '#2dd4bf', '#f472b6', '#94a3b8']
+  },
+  light: {
+    text: '#111827', muted: '#6b7280', axis: '#d1d5db', grid: '#e5e7eb', tooltipBackground: 'rgba(255, 255, 255, 0.95)', tooltipText: '#111827', empty: 'rgba(0, 0, 0, 0.06)',
+    warning: '#f59e0b', warningStrong: '#b45309', danger: '#dc2626',
+    series: ['#6366f1', '#10b981', '#0ea5e9', '#8b5cf6', '#f59e0b', '#14b8a6', '#ec4899', '#64748b']
+  }
+}
+
+const listeners = new Set()
+const systemQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null
+let snapshot = null
+
+const storedChoice = () => {
+  try {
+    const value = localStorage.getItem(STORAGE_KEY)
+    return THEMES.includes(value) ? value : null
+  } catch (_e) {
+    return null
+  }
+}
+
+const systemTheme = () => (systemQuery && !systemQuery.matches ? SYSTEM_THEMES.light : SYSTEM_THEMES.dark)
+
+const readColors = (mode) => {
+  const styles = getComputedStyle(document.documentElement)
+  const css = (name, fallback) => styles.getPropertyValue(name).trim() || fallback
+
+  return {
+    ...NEUTRALS[mode],
+    accent: css('--emerald-500', '#10b981'),
+    accentSoft: css('--emerald-400', '#34d399'),
+    accentStrong: css('--emerald-600', '#059669'),
+    surface: css('--surface-900', '#0b0b0b'),
+    surfaceRaised: css('--surface-800', '#111111'),
+    border: css('--border-emerald', 'rgba(16, 185, 129, 0.35)'),
+    wave0: css('--wave-color0', '#0d0e0d'),
+    wave1: css('--wave-color1', '#000000')
+  }
+}
+
+function apply() {
+  const choice = storedChoice()
+  const name = choice || systemTheme()
+  if (snapshot && snapshot.name === name && snapshot.choice === (choice || 'system')) return
+
+  document.documentElement.dataset.theme = name
+  if (document.body) document.body.dataset.theme = name
+
+  // getComputedStyle forces the style recalculation, so the variables are current
+  const mode = LIGHT_THEMES.has(name) ? 'light' : 'dark'
+  snapshot = {name, choice: choice || 'system', mode, colors: readColors(mode)}
+
+  listeners.forEach((listener) => {
+    try {
+      listener(snapshot)
+    } catch (e) {
+      console.error('theme: subscriber failed', e)
+    }
+  })
+}
+
+/** The current theme snapshot */
+export function getTheme() {
+  if (!snapshot) apply()
+  return snapshot
+}
+
+/** Stores the user's choice (one of THEMES, or 'system' to follow the OS) and applies it */
+export function setTheme(choice) {
+  try {
+    if (THEMES.includes(choice)) {
+      localStorage.setItem(STORAGE_KEY, choice)
+    } else {
+      localStorage.removeItem(STORAGE_KEY)
+    }
+  } catch (_e) {}
+  apply()
+}
+
+/** Calls `listener(theme)` on every change; returns the unsubscribe function */
+export function subscribe(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Another tab changed (or cleared) the stored choice
+window.addEventListener('storage', (e) => {
+  if (e.key === STORAGE_KEY || e.key === null) apply()
+})
+
+systemQuery?.addEventListener?.('change', () => {
+  if (!storedChoice()) apply()
+})
+
+apply()
+
+// <body> does not exist yet when the bundle is loaded from <head>
+if (!document.body) {
+  document.addEventListener('DOMContentLoaded', () => { document.body.dataset.theme = getTheme().name }, {once: true})
+}
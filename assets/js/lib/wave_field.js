@@ -0,0 +1,255 @@
+// Noise-driven wave field drawn behind the app by the WaveAnimation hook
+//
+// A grid of circles pulses between two theme colors; each circle's phase
+// comes from Perlin noise, so the pulse travels across the grid as a wave.
+// Used from workers/wave_worker.js on an OffscreenCanvas, or on the main
+// thread where OffscreenCanvas is unavailable. The field is laid out once per
+// size and quality level; frames only interpolate.
+
+const FREQUENCY = 10
+const OFFSET_X = 0
+const OFFSET_Y = 100
+const MIN_SIZE = 60
+const MAX_SIZE = 80
+const DURATION = 3000
+
+// Coarser grids and lower pixel ratios for machines that miss the frame budget
+export const QUALITY_LEVELS = [
+  {step: 48, scale: 1},
+  {step: 64, scale: 0.75},
+  {step: 96, scale: 0.5}
+]
+
+function createNoise() {
+  class Grad {
+    constructor(x, y, z) { this.x = x; this.y = y; this.z = z }
+    dot2(x, y) { return this.x * x + this.y * y }
+    dot3(x, y, z) { return this.x * x + this.y * y + this.z * z }
+  }
+  const grad3 = [
+    new Grad(1, 1, 0), new Grad(-1, 1, 0), new Grad(1, -1, 0), new Grad(-1, -1, 0),
+    new Grad(1, 0, 1), new Grad(-1, 0, 1), new Grad(1, 0, -1), new Grad(-1, 0, -1),
+    new Grad(0, 1, 1), new Grad(0, -1, 1), new Grad(0, 1, -1), new Grad(0, -1, -1)
+  ]
+  const p = [151,160,137,91,90,15,131,13,201,95,96,53,194,233,7,225,140,36,103,30,69,142,8,99,37,240,21,10,23,190,6,148,247,120,234,75,0,26,197,62,94,252,219,203,117,35,11,32,57,177,33,88,237,149,56,87,174,20,125,136,171,168,68,175,74,165,71,134,139,48,27,166,77,146,158,231,83,111,229,122,60,211,133,230,220,105,92,41,55,46,245,40,244,102,143,54,65,25,63,161,1,216,80,73,209,76,132,187,208,89,18,169,200,196,135,130,116,188,159,86,164,100,109,198,173,186,3,64,52,217,226,250,124,123,5,202,38,147,118,126,255,82,85,212,207,206,59,227,47,16,58,17,182,189,28,42,223,183,170,213,119,248,152,2,44,154,163,70,221,153,101,155,167,43,172,9,129,22,39,253,19,98,108,110,79,113,224,232,178,185,112,104,218,246,97,228,251,34,242,193,238,210,144,12,191,179,162,241,81,51,145,235,249,14,239,107,49,192,214,31,181,199,106,157,184,84,204,176,115,121,50,45,127,4,150,254,138,236,205,93,222,114,67,29,24,72,243,141,128,195,78,66,215,61,156,180]
+  let perm = new Array(512)
+  let gradP = new Array(512)
+  function seed(seed) {
+    if (seed > 0 && seed < 1) seed *= 65536
+    seed = Math.floor(seed)
+    if (seed < 256) seed |= seed << 8
+    for (let i = 0; i < 256; i++) {
+      let v = (i & 1) ? (p[i] ^ (seed & 255)) : (p[i] ^ ((seed >> 8) & 255))
+      perm[i] = perm[i + 256] = v
+      gradP[i] = gradP[i + 256] = grad3[v % 12]
+    }
+  }
+  function fade(t) { return t * t * t * (t * (t * 6 - 15) + 10) }
+  function lerp(a, b, t) { return (1 - t) * a + t * b }
+  function perlin2(x, y) {
+    let X = Math.floor(x), Y = Math.floor(y)
+    x = x - X; y = y - Y; X = X & 255; Y = Y & 255
+    let n00 = gradP[X + perm[Y]].dot2(x, y)
+    let n01 = gradP[X + perm[Y + 1]].dot2(x, y - 1)
+    let n10 = gradP[X + 1 + perm[Y]].dot2(x - 1, y)
+    let n11 = gradP[X + 1 + perm[Y + 1]].dot2(x - 1, y - 1)
+    let u = fade(x)
+    return lerp(lerp(n00, n10, u), lerp(n01, n11, u), fade(y))
+  }
+  seed(0)
+  return { seed, perlin2 }
+}
+
+// "#rgb", "#rrggbb", "rgb(...)" or "rgba(...)" as [r, g, b, a]
+export function parseColor(value) {
+  const color = String(value || '').trim()
+  const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i)
+  if (hex) {
+    const digits = hex[1].length === 3 ? hex[1].split('').map(d => d + d).join('') : hex[1]
+    return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1)
+  }
+  const rgb = color.match(/^rgba?\(([^)]+)\)$/i)
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(/[\s,/]+/).filter(Boolean).map(Number)
+    if ([r, g, b, a].every(Number.isFinite)) return [r, g, b, a]
+  }
+  return [0, 0, 0, 0]
+}
+
+const easeInOut = (k) => (1 - Math.cos(Math.PI * k)) / 2
+
+/**
+ * Wave field drawing into `ctx` (a 2D context of a canvas or OffscreenCanvas).
+ * Returns `{resize(width, height, dpr), setColors({wave0, wave1}), setLevel(level), draw(time)}`.
+ */
+export function createWaveField(ctx, {seed = Math.random(), colors = {}} = {}) {
+  const noise = createNoise()
+  noise.seed(seed)
+
+  let width = 0
+  let height = 0
+  let dpr = 1
+  let level = 0
+  let cells = []
+  let color0 = parseColor(colors.wave0)
+  let color1 = parseColor(colors.wave1)
+
+  const layout = () => {
+    const {step, scale} = QUALITY_LEVELS[level]
+    const ratio = Math.max(dpr * scale, 0.25)
+    ctx.canvas.width = Math.max(1, Math.round(width * ratio))
+    ctx.canvas.height = Math.max(1, Math.round(height * ratio))
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0)
+
+    // Wider grids keep the circles overlapping
+    const grow = step / QUALITY_LEVELS[0].step
+    cells = []
+    for (let x = 24; x < width; x += step) {
+      for (let y = 24; y < height; y += step) {
+        const rand = noise.perlin2(x / FREQUENCY + OFFSET_X, y / FREQUENCY + OFFSET_Y)
+        cells.push({x, y, delay: (rand - 1) * 10000, grow})
+      }
+    }
+  }
+
+  return {
+    resize(nextWidth, nextHeight, nextDpr = 1) {
+      width = nextWidth
+      height = nextHeight
+      dpr = nextDpr
+      layout()
+    },
+
+    setColors({wave0, wave1}) {
+      color0 = parseColor(wave0)
+      color1 = parseColor(wave1)
+    },
+
+    setLevel(nextLevel) {
+      const clamped = Math.min(Math.max(nextLevel, 0), QUALITY_LEVELS.length - 1)
+      if (clamped === level) return
+      level = clamped
+      layout()
+    },
+
+    get level() {
+      return level
+    },
+
+    draw(time) {
+      ctx.clearRect(0, 0, width, height)
+      const minScale = MIN_SIZE / MAX_SIZE
+
+      for (const cell of cells) {
+        const phase = (((time - cell.delay) % DURATION) + DURATION) % DURATION / DURATION
+        // 0 → 0.5: color1 at full size to color0 shrunk; 0.5 → 1: back again
+        const k = easeInOut(phase < 0.5 ? phase * 2 : (1 - phase) * 2)
+        const c = [0, 1, 2, 3].map(i => color1[i] + (color0[i] - color1[i]) * k)
+        const r = MAX_SIZE * cell.grow * (1 + (minScale - 1) * k)
+
+        ctx.fillStyle = `rgba(${c[0] | 0}, ${c[1] | 0}, ${c[2] | 0}, ${c[3]})`
+        ctx.beginPath()
+        ctx.arc(cell.x, cell.y, r, 0, Math.PI * 2)
+        ctx.fill()
+      }
+    }
+  }
+}
+
+const FRAME_BUDGET_MS = 8
+const FRAME_INTERVAL_MS = 1000 / 30
+const BUDGET_SAMPLES = 30
+
+const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now())
+
+/**
+ * Runs a wave field: the frame loop (capped at 30 fps), pausing, the static
+ * frame for reduced motion and the frame budget. Every BUDGET_SAMPLES frames
+ * whose average draw time exceeds `frameBudget` ms move to the next quality level.
+ */
+export function createWaveRunner(ctx, {seed, colors, reducedMotion = false, frameBudget = FRAME_BUDGET_MS} = {}) {
+  const field = createWaveField(ctx, {seed, colors})
+  const schedule = typeof requestAnimationFrame === 'function' ? requestAnimationFrame : (fn) => setTimeout(() => fn(now()), FRAME_INTERVAL_MS)
+  const cancel = typeof cancelAnimationFrame === 'function' ? cancelAnimationFrame : clearTimeout
+
+  let playing = false
+  let reduced = reducedMotion
+  let handle = null
+  let lastFrame = 0
+  let time = DURATION / 2
+  let samples = []
+
+  const animating = () => playing && !reduced
+
+  const trackBudget = (elapsed) => {
+    samples.push(elapsed)
+    if (samples.length < BUDGET_SAMPLES) return
+    const average = samples.reduce((sum, ms) => sum + ms, 0) / samples.length
+    samples = []
+    if (average > frameBudget) field.setLevel(field.level + 1)
+  }
+
+  const frame = (timestamp) => {
+    handle = null
+    if (!animating()) return
+    handle = schedule(frame)
+    if (timestamp - lastFrame < FRAME_INTERVAL_MS) return
+    lastFrame = timestamp
+
+    const start = now()
+    time = timestamp
+    field.draw(time)
+    trackBudget(now() - start)
+  }
+
+  const restart = () => {
+    if (handle != null) cancel(handle)
+    handle = null
+    if (animating()) {
+      handle = schedule(frame)
+    } else {
+      // Paused or reduced motion: one still frame, also after a resize or theme change
+      field.draw(time)
+    }
+  }
+
+  return {
+    resize(width, height, dpr) {
+      field.resize(width, height, dpr)
+      samples = []
+      restart()
+    },
+    setColors(colors) {
+      field.setColors(colors)
+      if (!animating()) field.draw(time)
+    },
+    setPlaying(next) {
+      playing = next
+      restart()
+    },
+    setReducedMotion(next) {
+      reduced = next
+      restart()
+    },
+    destroy() {
+      playing = false
+      if (handle != null) cancel(handle)
+      handle = null
+    }
+  }
+}
+
+/**
+ * Applies a message of the worker protocol to a runner:
+ * {type: "resize", width, height, dpr} | {type: "colors", colors} |
+ * {type: "playing", playing} | {type: "reducedMotion", reduced} | {type: "destroy"}
+ */
+export function applyWaveMessage(runner, message) {
+  switch (message.type) {
+    case 'resize': runner.resize(message.width, message.height, message.dpr); break
+    case 'colors': runner.setColors(message.colors); break
+    case 'playing': runner.setPlaying(message.playing); break
+    case 'reducedMotion': runner.setReducedMotion(message.reduced); break
+    case 'destroy': runner.destroy(); break
+  }
+}
@@ -0,0 +1,17 @@
+// Draws the WaveAnimation field on an OffscreenCanvas, off the main thread
+//
+// The first message is {type: "init", canvas, seed, colors, reducedMotion}
+// with the transferred OffscreenCanvas; the rest follow applyWaveMessage in
+// lib/wave_field.js. Built as its own esbuild entry (see config/config.exs).
+
+import {applyWaveMessage, createWaveRunner} from '../lib/wave_field'
+
+let runner = null
+
+self.onmessage = ({data}) => {
+  if (data.type === 'init') {
+    runner = createWaveRunner(data.canvas.getContext('2d'), data)
+  } else if (runner) {
+    applyWaveMessage(runner, data)
+  }
+}
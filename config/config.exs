@@ -84,6 +84,19 @@ config :evhlegalchat, Evhlegalchat.Mapping.Config,
     "agreements" => ~w(effective_date governing_law venue status review_status storage_key)a
   }
 
+# SOW rate comparison: exchange rates are units of base currency per unit
+config :evhlegalchat, Evhlegalchat.SOW.RateComparison,
+  base_currency: "USD",
+  exchange_rates: %{
+    "USD" => 1.0,
+    "EUR" => 1.08,
+    "GBP" => 1.27,
+    "CAD" => 0.73,
+    "AUD" => 0.66,
+    "INR" => 0.012
+  },
+  outlier_threshold: 0.25
+
 # CORS configuration
 config :cors_plug,
   origin: ["https://evhlegal-front.onrender.com", "http://localhost:3000"],
@@ -94,7 +107,7 @@ config :cors_plug,
 config :esbuild,
   version: "0.21.5",
   default: [
-    args: ~w(js/app.js --bundle --target=es2020 --outdir=../priv/static/assets --external:/fonts/* --external:/images/* --external:phoenix --external:phoenix_html --external:phoenix_live_view),
+    args: ~w(js/app.js js/workers/wave_worker.js --bundle --target=es2020 --outdir=../priv/static/assets --external:/fonts/* --external:/images/* --external:phoenix --external:phoenix_html --external:phoenix_live_view),
     cd: Path.expand("../assets", __DIR__),
     env: %{"NODE_PATH" => Path.expand("../deps", __DIR__)}
   ]
@@ -56,7 +56,11 @@ config :evhlegalchat, Evhlegalchat.Ingest.AV,
 
 # Oban configuration for background jobs
 config :evhlegalchat, Oban,
-  plugins: [Oban.Plugins.Pruner],
+  plugins: [
+    Oban.Plugins.Pruner,
+    # Hourly removal of resumable uploads nobody finished
+    {Oban.Plugins.Cron, crontab: [{"@hourly", Evhlegalchat.Ingest.ChunkedUploadSweeper}]}
+  ],
   queues: [ingest: 5],
   repo: Evhlegalchat.Repo
 
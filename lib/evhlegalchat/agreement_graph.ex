@@ -0,0 +1,114 @@
+defmodule Evhlegalchat.AgreementGraph do
+  @moduledoc """
+  Agreements and their `AgreementLink`s as a node/edge graph for the
+  `AgreementGraph` hook.
+
+      %{
+        nodes: [%{id: 1, title: "Acme MSA", doc_type: "NDA", term_length_months: 24, status: "executed", degree: 2}],
+        links: [%{source: 2, target: 1, link_type: "amends"}],
+        doc_types: ["NDA", "SOW"],
+        link_types: ["supersedes", "amends", "related"],
+        truncated: false
+      }
+
+  Node and link ids are agreement ids; a link points from the agreement that
+  amends/supersedes/relates to the one it refers to.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Repo}
+
+  @link_types ~w(supersedes amends related)
+  @default_limit 500
+  @default_max_links 2_000
+
+  @doc """
+  Loads the graph. Linked agreements always come first; the remaining slots
+  up to `:limit` (default #{@default_limit}) are filled with unlinked
+  agreements, newest first. `:linked_only` drops the unlinked ones.
+
+  At most `:max_links` (default #{@default_max_links}) links are loaded,
+  newest first; `truncated` is true when more exist.
+  """
+  @spec load(keyword()) :: map()
+  def load(opts \\ []) do
+    limit = Keyword.get(opts, :limit, @default_limit)
+    max_links = Keyword.get(opts, :max_links, @default_max_links)
+
+    # Schemaless: AgreementLink does not define its from/to id fields.
+    # One row past the cap tells whether links were left out.
+    links =
+      from(l in "agreement_links",
+        order_by: [desc: l.agreement_link_id],
+        limit: ^(max_links + 1),
+        select: %{from_agreement_id: l.from_agreement_id, to_agreement_id: l.to_agreement_id, link_type: l.link_type}
+      )
+      |> Repo.all()
+
+    truncated = length(links) > max_links
+    links = Enum.take(links, max_links)
+
+    linked_ids =
+      links
+      |> Enum.flat_map(&[&1.from_agreement_id, &1.to_agreement_id])
+      |> Enum.uniq()
+      |> Enum.take(limit)
+
+    linked = Repo.all(from(a in Agreement, where: a.id in ^linked_ids))
+
+    unlinked =
+      if Keyword.get(opts, :linked_only, false) or length(linked) >= limit do
+        []
+      else
+        from(a in Agreement,
+          where: a.id not in ^linked_ids,
+          order_by: [desc: a.inserted_at],
+          limit: ^(limit - length(linked))
+        )
+        |> Repo.all()
+      end
+
+    (linked ++ unlinked)
+    |> build(links)
+    |> Map.put(:truncated, truncated)
+  end
+
+  @doc """
+  Builds the graph payload from agreements and link maps
+  (`from_agreement_id`, `to_agreement_id`, `link_type`). Links whose
+  endpoints are not among `agreements` are dropped.
+  """
+  @spec build([map()], [map()]) :: map()
+  def build(agreements, links) do
+    ids = MapSet.new(agreements, & &1.id)
+
+    edges =
+      links
+      |> Enum.filter(&(MapSet.member?(ids, &1.from_agreement_id) and MapSet.member?(ids, &1.to_agreement_id)))
+      |> Enum.map(&%{source: &1.from_agreement_id, target: &1.to_agreement_id, link_type: to_string(&1.link_type)})
+
+    degree =
+      Enum.reduce(edges, %{}, fn edge, acc ->
+        acc |> Map.update(edge.source, 1, &(&1 + 1)) |> Map.update(edge.target, 1, &(&1 + 1))
+      end)
+
+    nodes =
+      Enum.map(agreements, fn agreement ->
+        %{
+          id: agreement.id,
+          title: agreement.agreement_title,
+          doc_type: agreement.doc_type && to_string(agreement.doc_type),
+          term_length_months: agreement.term_length_months,
+          status: agreement.status && to_string(agreement.status),
+          degree: Map.get(degree, agreement.id, 0)
+        }
+      end)
+
+    %{
+      nodes: nodes,
+      links: edges,
+      doc_types: nodes |> Enum.map(& &1.doc_type) |> Enum.reject(&is_nil/1) |> Enum.uniq() |> Enum.sort(),
+      link_types: @link_types
+    }
+  end
+end
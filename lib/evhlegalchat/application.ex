@@ -13,12 +13,17 @@ defmodule Evhlegalchat.Application do
       {Oban, Application.fetch_env!(:evhlegalchat, Oban)},
       {DNSCluster, query: Application.get_env(:evhlegalchat, :dns_cluster_query) || :ignore},
       {Phoenix.PubSub, name: Evhlegalchat.PubSub},
+      # Resolves agreement-keyed pipeline job updates off the telemetry path
+      Evhlegalchat.Pipeline.Notifier,
       # Start a worker by calling: Evhlegalchat.Worker.start_link(arg)
       # {Evhlegalchat.Worker, arg},
       # Start to serve requests, typically the last entry
       EvhlegalchatWeb.Endpoint
     ]
 
+    # Broadcast Oban job progress for the upload pipeline tracker
+    :ok = Evhlegalchat.Pipeline.attach_telemetry()
+
     # See https://hexdocs.pm/elixir/Supervisor.html
     # for other strategies and supported options
     opts = [strategy: :one_for_one, name: Evhlegalchat.Supervisor]
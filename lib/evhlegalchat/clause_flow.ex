@@ -0,0 +1,149 @@
+defmodule Evhlegalchat.ClauseFlow do
+  @moduledoc """
+  Mermaid diagrams of an agreement's structure, rendered by the `Mermaid` hook.
+
+    * `"cross-references"`: which clause cites which, from
+      `Segmentation.Anchors.cross_references/1` over the clause text.
+    * `"outline"`: sections and their first-level subsections, following the
+      same nesting as `ClauseTree`.
+
+  Each diagram is `%{id, title, definition, empty}`; `definition` is nil (and
+  `empty` says why) when there is nothing to draw. Labels are escaped with
+  Mermaid entity codes, so extracted text cannot inject diagram syntax.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, ClauseTree, Provenance, Repo}
+  alias Evhlegalchat.Segmentation.Anchors
+
+  @max_label 48
+  @max_outline_nodes 80
+
+  @doc """
+  Loads an agreement's live clauses and builds its diagrams.
+  """
+  @spec for_agreement(integer()) :: {:ok, map()} | {:error, :not_found}
+  def for_agreement(agreement_id) when is_integer(agreement_id) do
+    case Repo.get(Agreement, agreement_id) do
+      nil ->
+        {:error, :not_found}
+
+      agreement ->
+        text =
+          case Provenance.text(agreement_id) do
+            {:ok, text} -> text
+            {:error, _reason} -> nil
+          end
+
+        clauses =
+          from(c in "clauses",
+            where: c.agreement_id == ^agreement_id and is_nil(c.deleted_at) and not c.suppressed,
+            order_by: c.ordinal,
+            select: %{
+              clause_id: c.id,
+              ordinal: c.ordinal,
+              number_label: c.number_label,
+              number_label_normalized: c.number_label_normalized,
+              heading_text: c.heading_text,
+              start_page: c.start_page,
+              start_char: c.start_char,
+              end_char: c.end_char,
+              text_snippet: c.text_snippet
+            }
+          )
+          |> Repo.all()
+          |> Enum.map(&Map.put(&1, :text, Provenance.clause_text(text, &1)))
+
+        {:ok, build(agreement, clauses)}
+    end
+  end
+
+  @doc """
+  Builds the diagrams from an agreement and clause maps carrying `:text`.
+  """
+  @spec build(map(), [map()]) :: map()
+  def build(agreement, clauses) do
+    %{
+      agreement_id: agreement.id,
+      title: agreement.agreement_title,
+      diagrams: [cross_reference_diagram(clauses), outline_diagram(agreement, clauses)]
+    }
+  end
+
+  defp cross_reference_diagram(clauses) do
+    diagram = %{id: "cross-references", title: "Cross-references"}
+
+    case Anchors.cross_references(clauses) do
+      [] ->
+        Map.merge(diagram, %{definition: nil, empty: "No cross-references between clauses were found."})
+
+      references ->
+        by_id = Map.new(clauses, &{&1.clause_id, &1})
+
+        nodes =
+          references
+          |> Enum.flat_map(&[&1.from, &1.to])
+          |> Enum.uniq()
+          |> Enum.map(&~s(  c#{&1}["#{label(clause_name(Map.fetch!(by_id, &1)))}"]))
+
+        edges = Enum.map(references, &"  c#{&1.from} --> c#{&1.to}")
+
+        Map.merge(diagram, %{definition: Enum.join(["flowchart LR" | nodes ++ edges], "\n"), empty: nil})
+    end
+  end
+
+  defp outline_diagram(agreement, clauses) do
+    diagram = %{id: "outline", title: "Outline"}
+    tree = ClauseTree.build(agreement, clauses)
+
+    # Sections and their direct children only; deeper levels make the chart unreadable
+    {lines, count} =
+      tree.children
+      |> Enum.flat_map(fn section -> [{"root", section} | Enum.map(section.children, &{section.id, &1})] end)
+      |> Enum.reject(fn {_parent, node} -> node.kind not in ["section", "clause"] end)
+      |> Enum.reduce({[], 0}, fn
+        _entry, {lines, count} when count >= @max_outline_nodes ->
+          {lines, count + 1}
+
+        {parent, node}, {lines, count} ->
+          id = node_id(node.id)
+          {[~s(  #{node_id(parent)} --> #{id}["#{label(node.name)}"]) | lines], count + 1}
+      end)
+
+    if count == 0 do
+      Map.merge(diagram, %{definition: nil, empty: "No clauses were segmented for this agreement."})
+    else
+      root = ~s(  root["#{label(agreement.agreement_title || "Agreement ##{agreement.id}")}"])
+      more = if count > @max_outline_nodes, do: [~s(  root -.- more["… #{count - @max_outline_nodes} more"])], else: []
+
+      Map.merge(diagram, %{
+        definition: Enum.join(["flowchart TD", root | Enum.reverse(lines) ++ more], "\n"),
+        empty: nil
+      })
+    end
+  end
+
+  # "clause:42" -> "clause_42"; Mermaid ids must not contain ':'
+  defp node_id("root"), do: "root"
+  defp node_id(id), do: String.replace(id, ":", "_")
+
+  defp clause_name(%{number_label: number, heading_text: heading}) when is_binary(number) and is_binary(heading),
+    do: "#{number} #{heading}"
+
+  defp clause_name(%{heading_text: heading}) when is_binary(heading), do: heading
+  defp clause_name(%{number_label: number}) when is_binary(number), do: "Section #{number}"
+  defp clause_name(%{ordinal: ordinal}), do: "Clause #{ordinal}"
+
+  @doc false
+  def label(text) do
+    text = text |> to_string() |> String.replace(~r/\s+/u, " ") |> String.trim()
+    text = if String.length(text) > @max_label, do: String.slice(text, 0, @max_label - 1) <> "…", else: text
+
+    text
+    |> String.replace("#", "#35;")
+    |> String.replace("\"", "#quot;")
+    |> String.replace("<", "#lt;")
+    |> String.replace(">", "#gt;")
+    |> String.replace("`", "#96;")
+  end
+end
@@ -0,0 +1,136 @@
+defmodule Evhlegalchat.ClauseTree do
+  @moduledoc """
+  Builds the agreement → section → clause hierarchy rendered by the
+  `EChartsTree` hook.
+
+  Clauses are nested by their normalized number label (`"3.2"` sits under
+  `"3"`); unnumbered clauses hang off the agreement root. NDA key clauses and
+  carveouts are attached under the clause cited as their evidence.
+
+  Every node carries a stable `id` (`"clause:42"`, `"key_clause:7"`, ...) which
+  the hook pushes back in `"tree:select"` events.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Repo}
+  alias Evhlegalchat.NDA.{Carveout, KeyClause}
+
+  @doc """
+  Loads the agreement's live clauses, key clauses and carveouts and builds its tree.
+  """
+  @spec for_agreement(integer()) :: map() | nil
+  def for_agreement(agreement_id) when is_integer(agreement_id) do
+    case Repo.get(Agreement, agreement_id) do
+      nil ->
+        nil
+
+      agreement ->
+        clauses =
+          from(c in "clauses",
+            where: c.agreement_id == ^agreement_id and is_nil(c.deleted_at) and not c.suppressed,
+            order_by: c.ordinal,
+            select: %{
+              clause_id: c.id,
+              ordinal: c.ordinal,
+              number_label: c.number_label,
+              number_label_normalized: c.number_label_normalized,
+              heading_text: c.heading_text,
+              start_page: c.start_page
+            }
+          )
+          |> Repo.all()
+
+        key_clauses = from(k in KeyClause, where: k.agreement_id == ^agreement_id) |> Repo.all()
+        carveouts = from(c in Carveout, where: c.agreement_id == ^agreement_id) |> Repo.all()
+
+        build(agreement, clauses, key_clauses, carveouts)
+    end
+  end
+
+  @doc """
+  Builds the tree from already-loaded records.
+  """
+  @spec build(map(), [map()], [map()], [map()]) :: map()
+  def build(agreement, clauses, key_clauses \\ [], carveouts \\ []) do
+    extras = Enum.group_by(key_clause_nodes(key_clauses) ++ carveout_nodes(carveouts), &elem(&1, 0), &elem(&1, 1))
+    labels = clauses |> Enum.map(&label_key/1) |> Enum.reject(&is_nil/1) |> MapSet.new()
+
+    children_by_parent = Enum.group_by(clauses, &parent_label(&1, labels))
+
+    %{
+      id: "agreement:#{agreement.id}",
+      name: agreement.agreement_title,
+      kind: "agreement",
+      children: Enum.map(Map.get(children_by_parent, nil, []), &clause_node(&1, children_by_parent, extras))
+    }
+  end
+
+  defp clause_node(clause, children_by_parent, extras) do
+    nested =
+      case label_key(clause) do
+        nil -> []
+        label -> Map.get(children_by_parent, label, [])
+      end
+
+    children =
+      Enum.map(nested, &clause_node(&1, children_by_parent, extras)) ++
+        Map.get(extras, clause.clause_id, [])
+
+    %{
+      id: "clause:#{clause.clause_id}",
+      name: clause_name(clause),
+      kind: if(nested == [], do: "clause", else: "section"),
+      page: clause[:start_page],
+      children: children
+    }
+  end
+
+  defp key_clause_nodes(key_clauses) do
+    for k <- key_clauses, k.evidence_clause_id do
+      {k.evidence_clause_id,
+       %{id: "key_clause:#{k.nda_key_clause_id}", name: k.key |> to_string() |> String.replace("_", " "), kind: "key_clause", value: k.value_text}}
+    end
+  end
+
+  defp carveout_nodes(carveouts) do
+    for c <- carveouts, c.evidence_clause_id do
+      {c.evidence_clause_id,
+       %{id: "carveout:#{c.carveout_id}", name: c.label || String.slice(c.text, 0, 60), kind: "carveout"}}
+    end
+  end
+
+  defp clause_name(%{number_label: label, heading_text: heading}) when is_binary(label) and is_binary(heading),
+    do: "#{label} #{heading}"
+
+  defp clause_name(%{heading_text: heading}) when is_binary(heading), do: heading
+  defp clause_name(%{number_label: label}) when is_binary(label), do: label
+  defp clause_name(%{ordinal: ordinal}), do: "Clause #{ordinal}"
+
+  defp label_key(clause) do
+    case clause[:number_label_normalized] || clause[:number_label] do
+      nil -> nil
+      label -> label |> String.trim() |> String.trim_trailing(".")
+    end
+  end
+
+  # The nearest numbered ancestor that actually exists: "3.2.1" → "3.2" → "3".
+  defp parent_label(clause, labels) do
+    case label_key(clause) do
+      nil ->
+        nil
+
+      label ->
+        label
+        |> String.split(".")
+        |> ancestors()
+        |> Enum.find(&MapSet.member?(labels, &1))
+    end
+  end
+
+  defp ancestors(parts) when length(parts) <= 1, do: []
+
+  defp ancestors(parts) do
+    parent = Enum.drop(parts, -1)
+    [Enum.join(parent, ".") | ancestors(parent)]
+  end
+end
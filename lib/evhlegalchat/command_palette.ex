@@ -0,0 +1,239 @@
+defmodule Evhlegalchat.CommandPalette do
+  @moduledoc """
+  Search and actions behind the Cmd/Ctrl+K command palette.
+
+  `search/2` fuzzy-matches agreements (title, doc type, party names), the
+  backend routes and per-agreement actions. Results are plain maps the
+  `CommandPalette` hook renders directly:
+
+      %{id: "agreement:12", kind: "agreement", label: "Acme NDA", hint: "NDA · Acme Corp", path: "/backend/reviews?agreement_id=12"}
+      %{id: "action:rerun_mapping:12", kind: "action", label: "Re-run mapping for Acme NDA", action: "rerun_mapping", args: %{agreement_id: 12}}
+
+  `run/2` executes an action result.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Mapping, Repo}
+
+  @routes [
+    %{id: "route:staging_uploads", kind: "route", label: "Staging uploads", hint: "/staging/uploads", path: "/staging/uploads"},
+    %{id: "route:reviews", kind: "route", label: "Review tasks", hint: "/backend/reviews", path: "/backend/reviews"},
+    %{id: "route:agreement_graph", kind: "route", label: "Agreement graph", hint: "/backend/agreements/graph", path: "/backend/agreements/graph"},
+    %{id: "route:obligations", kind: "route", label: "Obligations heatmap", hint: "/backend/obligations", path: "/backend/obligations"},
+    %{id: "route:sow_timeline", kind: "route", label: "SOW timeline", hint: "/backend/sow/timeline", path: "/backend/sow/timeline"},
+    %{id: "route:sow_rates", kind: "route", label: "SOW rate comparison", hint: "/backend/sow/rates", path: "/backend/sow/rates"},
+    %{id: "route:decision_rules", kind: "route", label: "Decision rules", hint: "/backend/decision-rules", path: "/backend/decision-rules"}
+  ]
+
+  @actions [
+    %{action: "rerun_mapping", label: "Re-run mapping for"}
+  ]
+
+  @candidate_limit 200
+  @default_limit 12
+  # Shorter queries match nearly every agreement; they only rank the routes
+  @min_query_length 2
+
+  @doc """
+  Returns ranked results for `query`. An empty query returns the routes; a
+  query shorter than #{@min_query_length} characters only matches routes.
+
+  Options: `:limit` (default #{@default_limit}).
+  """
+  @spec search(String.t(), keyword()) :: [map()]
+  def search(query, opts \\ []) do
+    limit = Keyword.get(opts, :limit, @default_limit)
+    query = query |> to_string() |> String.trim()
+
+    cond do
+      query == "" ->
+        @routes
+
+      String.length(query) < @min_query_length ->
+        query |> rank_static(@routes) |> top(limit)
+
+      true ->
+        agreements = scored_agreements(query)
+
+        actions =
+          case named_actions(query) do
+            {[], _rest} -> rank_actions(agreements, @actions, 0)
+            {named, ""} -> rank_actions(agreements, named, 0)
+            {named, rest} -> rank_actions(scored_agreements(rest), named, 10)
+          end
+
+        top(rank_static(query, @routes) ++ rank_agreements(agreements) ++ actions, limit)
+    end
+  end
+
+  @doc """
+  Runs an action returned by `search/2`. Returns `{:ok, message}` or
+  `{:error, message}`.
+  """
+  @spec run(String.t(), map()) :: {:ok, String.t()} | {:error, String.t()}
+  def run("rerun_mapping", %{"agreement_id" => agreement_id}) do
+    with {:ok, agreement_id} <- parse_id(agreement_id),
+         %Agreement{} = agreement <- Repo.get(Agreement, agreement_id) do
+      Mapping.enqueue_worker(agreement.id)
+      {:ok, "Mapping queued for #{agreement.agreement_title}"}
+    else
+      :error -> {:error, "Invalid agreement id"}
+      nil -> {:error, "Agreement not found"}
+    end
+  end
+
+  def run(action, _args), do: {:error, "Unknown action #{inspect(action)}"}
+
+  @doc """
+  Fuzzy match score of `query` against `text`: 0 when the query characters do
+  not all appear in order, higher for contiguous runs, word starts and
+  matches near the beginning. Case-insensitive.
+  """
+  @spec score(String.t(), String.t() | nil) :: non_neg_integer()
+  def score(_query, nil), do: 0
+
+  def score(query, text) do
+    query = query |> String.downcase() |> String.replace(~r/\s+/, "") |> String.graphemes()
+    text = text |> String.downcase() |> String.graphemes()
+
+    case query do
+      [] ->
+        0
+
+      [first | _] ->
+        # Greedy matching from each occurrence of the first character, best alignment wins
+        [nil | text]
+        |> Enum.zip(text)
+        |> Enum.with_index()
+        |> Enum.filter(fn {{_prev, char}, _pos} -> char == first end)
+        |> Enum.map(fn {{prev, _char}, pos} -> do_score(query, Enum.drop(text, pos), prev, pos, 0) end)
+        |> Enum.max(fn -> 0 end)
+    end
+  end
+
+  defp do_score([], _text, _prev, _pos, acc), do: acc + 1
+  defp do_score(_query, [], _prev, _pos, _acc), do: 0
+
+  defp do_score([q | qrest] = query, [t | trest], prev, pos, acc) do
+    if q == t do
+      bonus =
+        cond do
+          prev == :match -> 5
+          pos == 0 or prev in [" ", "-", "_", "."] -> 4
+          true -> 1
+        end
+
+      do_score(qrest, trest, :match, pos + 1, acc + bonus + max(3 - div(pos, 8), 0))
+    else
+      do_score(query, trest, t, pos + 1, acc)
+    end
+  end
+
+  defp agreement_candidates(query) do
+    pattern = like_pattern(query)
+
+    # Schemaless: NDA.Party does not define its agreement_id field
+    parties =
+      from(p in "nda_parties",
+        group_by: p.agreement_id,
+        select: %{agreement_id: p.agreement_id, names: fragment("string_agg(?, ' · ')", p.display_name)}
+      )
+
+    from(a in Agreement,
+      left_join: p in subquery(parties),
+      on: p.agreement_id == a.id,
+      where:
+        ilike(a.agreement_title, ^pattern) or
+          ilike(fragment("?::text", a.doc_type), ^pattern) or
+          ilike(p.names, ^pattern),
+      order_by: [desc: a.updated_at],
+      limit: @candidate_limit,
+      select: %{id: a.id, title: a.agreement_title, doc_type: a.doc_type, parties: p.names}
+    )
+    |> Repo.all()
+  end
+
+  # "acme" -> "%a%c%m%e%": the database keeps only subsequence matches, score/2 ranks them
+  defp like_pattern(query) do
+    chars =
+      query
+      |> String.replace(~r/\s+/, "")
+      |> String.graphemes()
+      |> Enum.map(&String.replace(&1, ["\\", "%", "_"], fn c -> "\\" <> c end))
+
+    "%" <> Enum.join(chars, "%") <> "%"
+  end
+
+  defp agreement_score(query, agreement) do
+    Enum.max([
+      score(query, agreement.title),
+      score(query, agreement.doc_type && to_string(agreement.doc_type)),
+      score(query, agreement.parties)
+    ])
+  end
+
+  defp top(scored, limit) do
+    scored
+    |> Enum.filter(fn {score, _} -> score > 0 end)
+    |> Enum.sort_by(fn {score, _} -> -score end)
+    |> Enum.take(limit)
+    |> Enum.map(&elem(&1, 1))
+  end
+
+  defp rank_static(query, entries) do
+    Enum.map(entries, &{max(score(query, &1.label), score(query, &1.path)), &1})
+  end
+
+  defp rank_agreements(scored) do
+    Enum.map(scored, fn {score, agreement} ->
+      {score,
+       %{
+         id: "agreement:#{agreement.id}",
+         kind: "agreement",
+         label: agreement.title,
+         hint: [agreement.doc_type && to_string(agreement.doc_type), agreement.parties] |> Enum.reject(&is_nil/1) |> Enum.join(" · "),
+         path: "/backend/reviews?agreement_id=#{agreement.id}"
+       }}
+    end)
+  end
+
+  # "rerun acme" names an action by its first word and the agreement by the rest
+  defp named_actions(query) do
+    [verb | rest] = String.split(query, ~r/\s+/, parts: 2)
+    named = Enum.filter(@actions, &(String.length(verb) >= 3 and score(verb, &1.label) > 0))
+    {named, rest |> List.first("") |> String.trim()}
+  end
+
+  defp scored_agreements(query) do
+    query
+    |> agreement_candidates()
+    |> Enum.map(&{agreement_score(query, &1), &1})
+    |> Enum.sort_by(fn {score, _} -> -score end)
+  end
+
+  # Without an action word, actions trail the agreement they belong to
+  defp rank_actions(scored, actions, boost) do
+    for {score, agreement} <- Enum.take(scored, 3), score > 0, %{action: action, label: label} <- actions do
+      {if(boost > 0, do: score + boost, else: div(score, 2)),
+       %{
+         id: "action:#{action}:#{agreement.id}",
+         kind: "action",
+         label: "#{label} #{agreement.title}",
+         hint: "Agreement ##{agreement.id}",
+         action: action,
+         args: %{agreement_id: agreement.id}
+       }}
+    end
+  end
+
+  defp parse_id(value) when is_integer(value), do: {:ok, value}
+
+  defp parse_id(value) when is_binary(value) do
+    case Integer.parse(value) do
+      {id, ""} -> {:ok, id}
+      _ -> :error
+    end
+  end
+
+  defp parse_id(_value), do: :error
+end
@@ -4,9 +4,13 @@ defmodule Evhlegalchat.DecisionRules do
   """
 
   import Ecto.Query, warn: false
-  alias Evhlegalchat.Repo
+  alias Ecto.Multi
+  alias Evhlegalchat.{Agreement, Provenance, Repo}
 
-  alias Evhlegalchat.DecisionRules.DecisionRule
+  alias Evhlegalchat.DecisionRules.{DaRule, DecisionRule}
+
+  # Wall-clock budget for evaluating a rule against one agreement's clauses
+  @dry_run_timeout 5_000
 
   @spec change_decision_rule(DecisionRule.t(), map()) :: Ecto.Changeset.t()
   def change_decision_rule(%DecisionRule{} = decision_rule, attrs \\ %{}) do
@@ -32,4 +36,194 @@ defmodule Evhlegalchat.DecisionRules do
     |> limit(^limit)
     |> Repo.all()
   end
+
+  @doc """
+  Returns every decision rule, grouped by slug with versions in ascending order.
+  """
+  @spec list_decision_rules() :: [DecisionRule.t()]
+  def list_decision_rules do
+    DecisionRule
+    |> Repo.all()
+    |> Enum.sort_by(&{&1.id_slug, version_key(&1.version)})
+  end
+
+  @spec get_decision_rule!(Ecto.UUID.t()) :: DecisionRule.t()
+  def get_decision_rule!(id), do: Repo.get!(DecisionRule, id)
+
+  @doc """
+  Saves a draft. Active and deprecated versions are immutable; edit a new
+  draft from them instead (`create_draft_from/2`).
+  """
+  @spec update_draft(DecisionRule.t(), map()) :: {:ok, DecisionRule.t()} | {:error, Ecto.Changeset.t() | :not_draft}
+  def update_draft(%DecisionRule{status: :draft} = rule, attrs) do
+    rule
+    |> DecisionRule.changeset(Map.take(attrs, ["da_rule", "priority", :da_rule, :priority]))
+    |> Repo.update()
+  end
+
+  def update_draft(%DecisionRule{}, _attrs), do: {:error, :not_draft}
+
+  @doc """
+  Creates a new draft version of a rule's slug, copying its condition and
+  priority. The version is the highest existing one with its last numeric
+  part bumped (`"1.2"` → `"1.3"`).
+  """
+  @spec create_draft_from(DecisionRule.t(), String.t() | nil) :: {:ok, DecisionRule.t()} | {:error, Ecto.Changeset.t()}
+  def create_draft_from(%DecisionRule{} = rule, created_by \\ nil) do
+    latest =
+      from(d in DecisionRule, where: d.id_slug == ^rule.id_slug, select: d.version)
+      |> Repo.all()
+      |> Enum.max_by(&version_key/1)
+
+    create_decision_rule(%{
+      id_slug: rule.id_slug,
+      version: next_version(latest),
+      status: :draft,
+      priority: rule.priority,
+      da_rule: rule.da_rule,
+      created_by: created_by
+    })
+  end
+
+  @doc """
+  Promotes a draft to active and deprecates the slug's previously active
+  versions. Only drafts whose `da_rule` parses can be promoted.
+
+  The slug's versions are locked (`FOR UPDATE`) for the transaction, so two
+  concurrent promotions run one after the other and leave a single active
+  version; the rule must still be a draft once the lock is held.
+  """
+  @spec promote(DecisionRule.t()) :: {:ok, DecisionRule.t()} | {:error, :not_draft | {:invalid_rule, [DaRule.error()]} | term()}
+  def promote(%DecisionRule{status: :draft} = rule) do
+    case DaRule.parse(rule.da_rule) do
+      {:ok, _ast} ->
+        Multi.new()
+        |> Multi.run(:lock, fn repo, _changes ->
+          statuses =
+            from(d in DecisionRule, where: d.id_slug == ^rule.id_slug, lock: "FOR UPDATE", select: {d.id, d.status})
+            |> repo.all()
+
+          case List.keyfind(statuses, rule.id, 0) do
+            {_id, :draft} -> {:ok, statuses}
+            _ -> {:error, :not_draft}
+          end
+        end)
+        |> Multi.update_all(
+          :deprecate,
+          from(d in DecisionRule, where: d.id_slug == ^rule.id_slug and d.status == :active and d.id != ^rule.id),
+          set: [status: :deprecated]
+        )
+        |> Multi.update(:activate, DecisionRule.changeset(rule, %{status: :active}))
+        |> Repo.transaction()
+        |> case do
+          {:ok, %{activate: rule}} -> {:ok, rule}
+          {:error, _step, reason, _changes} -> {:error, reason}
+        end
+
+      {:error, errors} ->
+        {:error, {:invalid_rule, errors}}
+    end
+  end
+
+  def promote(%DecisionRule{}), do: {:error, :not_draft}
+
+  @doc """
+  Line diff between two rule sources as `[{:eq | :del | :ins, line}]`.
+  """
+  @spec diff(String.t() | nil, String.t() | nil) :: [{:eq | :del | :ins, String.t()}]
+  def diff(old, new) do
+    (old || "")
+    |> String.split("\n")
+    |> List.myers_difference(String.split(new || "", "\n"))
+    |> Enum.flat_map(fn {op, lines} -> Enum.map(lines, &{op, &1}) end)
+  end
+
+  @doc """
+  Evaluates a rule source against every live clause of an agreement without
+  saving anything.
+
+  Returns `{:ok, %{clause_count, matches, full_text}}` where each match is
+  `%{clause_id, number, heading, page, snippet}`; `full_text` is false when
+  the extracted text was unavailable and clauses were matched on their
+  snippets only. Evaluation stops with `{:error, :timeout}` after
+  #{@dry_run_timeout} ms.
+  """
+  @spec dry_run(String.t() | nil, integer()) :: {:ok, map()} | {:error, :not_found | :timeout | [DaRule.error()]}
+  def dry_run(source, agreement_id) when is_integer(agreement_id) do
+    with {:ok, ast} <- DaRule.parse(source),
+         %Agreement{} = agreement <- Repo.get(Agreement, agreement_id) do
+      clauses =
+        from(c in "clauses",
+          where: c.agreement_id == ^agreement_id and is_nil(c.deleted_at) and not c.suppressed,
+          order_by: c.ordinal,
+          select: %{
+            clause_id: c.id,
+            number: c.number_label_normalized,
+            heading: c.heading_text,
+            page: c.start_page,
+            start_char: c.start_char,
+            end_char: c.end_char,
+            text_snippet: c.text_snippet
+          }
+        )
+        |> Repo.all()
+
+      text =
+        case Provenance.text(agreement_id) do
+          {:ok, text} -> text
+          {:error, _reason} -> nil
+        end
+
+      task =
+        Task.async(fn ->
+          Enum.filter(clauses, fn clause ->
+            DaRule.evaluate(ast, %{
+              heading: clause.heading,
+              text: Provenance.clause_text(text, clause),
+              number: clause.number,
+              page: clause.page,
+              doc_type: agreement.doc_type && to_string(agreement.doc_type),
+              governing_law: agreement.governing_law
+            })
+          end)
+        end)
+
+      case Task.yield(task, @dry_run_timeout) || Task.shutdown(task, :brutal_kill) do
+        {:ok, matches} ->
+          {:ok,
+           %{
+             clause_count: length(clauses),
+             matches: Enum.map(matches, &%{clause_id: &1.clause_id, number: &1.number, heading: &1.heading, page: &1.page, snippet: &1.text_snippet}),
+             full_text: text != nil
+           }}
+
+        _timeout ->
+          {:error, :timeout}
+      end
+    else
+      nil -> {:error, :not_found}
+      {:error, errors} -> {:error, errors}
+    end
+  end
+
+  @doc false
+  def next_version(version) do
+    case Regex.run(~r/^(.*?)(\d+)$/, version || "") do
+      [_, prefix, number] -> prefix <> Integer.to_string(String.to_integer(number) + 1)
+      nil -> (version || "") <> ".1"
+    end
+  end
+
+  # "1.10" sorts after "1.9"; non-numeric parts compare as strings
+  defp version_key(version) do
+    version
+    |> to_string()
+    |> String.split(~r/[.\-]/)
+    |> Enum.map(fn part ->
+      case Integer.parse(part) do
+        {number, ""} -> {0, number, ""}
+        _ -> {1, 0, part}
+      end
+    end)
+  end
 end
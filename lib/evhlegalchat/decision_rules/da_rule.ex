@@ -0,0 +1,292 @@
+defmodule Evhlegalchat.DecisionRules.DaRule do
+  @moduledoc """
+  Parser and evaluator for the `da_rule` condition of a decision rule.
+
+  A rule is evaluated once per clause of an agreement and triggers on every
+  clause it matches:
+
+      # Perpetual confidentiality without a residuals carve-out
+      when heading matches /confiden/i
+        and text contains "perpetual"
+        and not text contains "residuals"
+
+  Grammar:
+
+      rule      := "when" or_expr
+      or_expr   := and_expr ("or" and_expr)*
+      and_expr  := unary ("and" unary)*
+      unary     := "not" unary | "(" or_expr ")" | field op value
+
+  Fields are `heading`, `text`, `number` (normalized number label),
+  `doc_type` and `governing_law` (strings) and `page` (integer). String
+  fields take `contains`, `starts_with`, `=`, `!=` with a quoted string
+  (case-insensitive) or `matches` with a `/regex/` (flags `i`, `m`, `s`, `u`);
+  `page` takes `=`, `!=`, `<`, `<=`, `>`, `>=` with an integer. `#` starts a
+  comment.
+
+  Regexes only see the first 20,000 characters of a field, and a regex that
+  backtracks for longer than PCRE's match limit counts as not matching.
+  """
+
+  @string_fields ~w(heading text number doc_type governing_law)
+  @integer_fields ~w(page)
+  @keywords ~w(when and or not)
+  @string_ops ~w(contains starts_with matches = !=)
+  @integer_ops ~w(= != < <= > >=)
+  @max_match_length 20_000
+  @match_limit 1_000_000
+  @match_limit_recursion 10_000
+
+  @type ast ::
+          {:and, ast, ast}
+          | {:or, ast, ast}
+          | {:not, ast}
+          | {:cmp, atom(), String.t(), String.t() | integer() | Regex.t()}
+
+  @type error :: %{message: String.t(), line: pos_integer(), column: pos_integer()}
+
+  @doc "Field names, for editor completion and highlighting."
+  def fields, do: @string_fields ++ @integer_fields
+
+  @doc "Keywords and word operators, for editor highlighting."
+  def keywords, do: @keywords ++ ~w(contains starts_with matches)
+
+  @doc """
+  Parses a rule. Errors carry the 1-based line and column they point at.
+  """
+  @spec parse(String.t() | nil) :: {:ok, ast} | {:error, [error]}
+  def parse(source) when is_binary(source) do
+    with {:ok, tokens} <- tokenize(source, 1, 1, []) do
+      case tokens do
+        [] -> {:error, [%{message: "rule is empty", line: 1, column: 1}]}
+        [{:kw, "when", _, _} | rest] -> parse_rule(rest, tokens)
+        [token | _] -> {:error, [error_at(token, "rule must start with `when`")]}
+      end
+    end
+  end
+
+  def parse(nil), do: parse("")
+
+  @doc """
+  Evaluates a parsed rule against one clause context (a map with the field
+  names as atom keys). Missing values never match.
+  """
+  @spec evaluate(ast, map()) :: boolean()
+  def evaluate({:and, left, right}, ctx), do: evaluate(left, ctx) and evaluate(right, ctx)
+  def evaluate({:or, left, right}, ctx), do: evaluate(left, ctx) or evaluate(right, ctx)
+  def evaluate({:not, expr}, ctx), do: not evaluate(expr, ctx)
+
+  def evaluate({:cmp, field, op, expected}, ctx) do
+    case Map.get(ctx, field) do
+      nil -> false
+      actual -> compare(op, actual, expected)
+    end
+  end
+
+  defp compare("matches", actual, %Regex{} = regex) do
+    subject = actual |> to_string() |> String.slice(0, @max_match_length)
+    opts = [{:capture, :none}, {:match_limit, @match_limit}, {:match_limit_recursion, @match_limit_recursion}]
+
+    # {:error, :match_limit} from a runaway pattern is a non-match
+    :re.run(subject, regex.re_pattern, opts) == :match
+  end
+
+  defp compare("contains", actual, expected), do: String.contains?(fold(actual), fold(expected))
+  defp compare("starts_with", actual, expected), do: String.starts_with?(fold(actual), fold(expected))
+  defp compare("=", actual, expected) when is_binary(expected), do: fold(actual) == fold(expected)
+  defp compare("!=", actual, expected) when is_binary(expected), do: fold(actual) != fold(expected)
+  defp compare("=", actual, expected), do: actual == expected
+  defp compare("!=", actual, expected), do: actual != expected
+  defp compare("<", actual, expected), do: actual < expected
+  defp compare("<=", actual, expected), do: actual <= expected
+  defp compare(">", actual, expected), do: actual > expected
+  defp compare(">=", actual, expected), do: actual >= expected
+
+  defp fold(value), do: value |> to_string() |> String.downcase()
+
+  ## Parser
+
+  defp parse_rule(rest, tokens) do
+    {ast, rest} = parse_or(rest, hd(tokens))
+
+    case rest do
+      [] -> {:ok, ast}
+      [token | _] -> {:error, [error_at(token, "expected `and`, `or` or the end of the rule, got #{describe(token)}")]}
+    end
+  catch
+    {:parse_error, error} -> {:error, [error]}
+  end
+
+  defp parse_or(tokens, last) do
+    {left, rest} = parse_and(tokens, last)
+    parse_or_tail(left, rest)
+  end
+
+  defp parse_or_tail(left, [{:kw, "or", _, _} = token | rest]) do
+    {right, rest} = parse_and(rest, token)
+    parse_or_tail({:or, left, right}, rest)
+  end
+
+  defp parse_or_tail(left, rest), do: {left, rest}
+
+  defp parse_and(tokens, last) do
+    {left, rest} = parse_unary(tokens, last)
+    parse_and_tail(left, rest)
+  end
+
+  defp parse_and_tail(left, [{:kw, "and", _, _} = token | rest]) do
+    {right, rest} = parse_unary(rest, token)
+    parse_and_tail({:and, left, right}, rest)
+  end
+
+  defp parse_and_tail(left, rest), do: {left, rest}
+
+  defp parse_unary([{:kw, "not", _, _} = token | rest], _last) do
+    {expr, rest} = parse_unary(rest, token)
+    {{:not, expr}, rest}
+  end
+
+  defp parse_unary([{:lparen, _, _, _} = open | rest], _last) do
+    case parse_or(rest, open) do
+      {expr, [{:rparen, _, _, _} | rest]} -> {expr, rest}
+      {_expr, [token | _]} -> fail(token, "expected `)`, got #{describe(token)}")
+      {_expr, []} -> fail(open, "unclosed `(`")
+    end
+  end
+
+  defp parse_unary([{:field, field, _, _} = token | rest], _last) do
+    case rest do
+      [{:op, op, _, _} = op_token | rest] ->
+        unless op in ops_for(field), do: fail(op_token, "`#{op}` does not apply to #{field_type(field)} field `#{field}`")
+
+        case rest do
+          [value_token | rest] -> {{:cmp, String.to_atom(field), op, value!(field, op, value_token)}, rest}
+          [] -> fail(op_token, "expected a value after `#{op}`")
+        end
+
+      [other | _] ->
+        fail(other, "expected an operator after `#{field}`, got #{describe(other)}")
+
+      [] ->
+        fail(token, "expected an operator after `#{field}`")
+    end
+  end
+
+  defp parse_unary([token | _], _last), do: fail(token, "expected a condition, got #{describe(token)}")
+  defp parse_unary([], last), do: fail(last, "expected a condition after #{describe(last)}")
+
+  defp value!(_field, "matches", {:regex, {source, flags}, _, _} = token) do
+    case Regex.compile(source, flags) do
+      {:ok, regex} -> regex
+      {:error, {reason, _at}} -> fail(token, "invalid regex: #{reason}")
+    end
+  end
+
+  defp value!(_field, "matches", token), do: fail(token, "`matches` expects a /regex/, got #{describe(token)}")
+  defp value!(field, _op, {:string, value, _, _}) when field in @string_fields, do: value
+  defp value!(field, _op, {:int, value, _, _}) when field in @integer_fields, do: value
+
+  defp value!(field, _op, token) do
+    expected = if field in @integer_fields, do: "an integer", else: "a quoted string"
+    fail(token, "`#{field}` expects #{expected}, got #{describe(token)}")
+  end
+
+  defp ops_for(field) when field in @integer_fields, do: @integer_ops
+  defp ops_for(_field), do: @string_ops
+
+  defp field_type(field) when field in @integer_fields, do: "integer"
+  defp field_type(_field), do: "text"
+
+  defp fail(token, message), do: throw({:parse_error, error_at(token, message)})
+
+  defp error_at({_type, _value, line, column}, message), do: %{message: message, line: line, column: column}
+
+  defp describe({:string, value, _, _}), do: inspect(value)
+  defp describe({:regex, {source, _}, _, _}), do: "/#{source}/"
+  defp describe({:int, value, _, _}), do: Integer.to_string(value)
+  defp describe({:lparen, _, _, _}), do: "`(`"
+  defp describe({:rparen, _, _, _}), do: "`)`"
+  defp describe({_type, value, _, _}), do: "`#{value}`"
+
+  ## Tokenizer
+
+  defp tokenize(<<>>, _line, _col, acc), do: {:ok, Enum.reverse(acc)}
+  defp tokenize(<<?\n, rest::binary>>, line, _col, acc), do: tokenize(rest, line + 1, 1, acc)
+  defp tokenize(<<c, rest::binary>>, line, col, acc) when c in [?\s, ?\t, ?\r], do: tokenize(rest, line, col + 1, acc)
+
+  defp tokenize(<<?#, rest::binary>>, line, _col, acc) do
+    case String.split(rest, "\n", parts: 2) do
+      [_comment, rest] -> tokenize(rest, line + 1, 1, acc)
+      [_comment] -> tokenize("", line, 1, acc)
+    end
+  end
+
+  defp tokenize(<<?(, rest::binary>>, line, col, acc), do: tokenize(rest, line, col + 1, [{:lparen, "(", line, col} | acc])
+  defp tokenize(<<?), rest::binary>>, line, col, acc), do: tokenize(rest, line, col + 1, [{:rparen, ")", line, col} | acc])
+
+  defp tokenize(<<op::binary-size(2), rest::binary>>, line, col, acc) when op in ~w(>= <= !=),
+    do: tokenize(rest, line, col + 2, [{:op, op, line, col} | acc])
+
+  defp tokenize(<<c, rest::binary>>, line, col, acc) when c in [?=, ?<, ?>],
+    do: tokenize(rest, line, col + 1, [{:op, <<c>>, line, col} | acc])
+
+  defp tokenize(<<?", rest::binary>>, line, col, acc) do
+    case read_delimited(rest, ?", col + 1, []) do
+      {:ok, value, rest, next_col} -> tokenize(rest, line, next_col, [{:string, value, line, col} | acc])
+      :unterminated -> {:error, [%{message: "unterminated string", line: line, column: col}]}
+    end
+  end
+
+  defp tokenize(<<?/, rest::binary>>, line, col, acc) do
+    case read_delimited(rest, ?/, col + 1, []) do
+      {:ok, source, rest, next_col} ->
+        {flags, rest} = take_while(rest, &(&1 in ~c"imsu"))
+        tokenize(rest, line, next_col + String.length(flags), [{:regex, {source, flags}, line, col} | acc])
+
+      :unterminated ->
+        {:error, [%{message: "unterminated regex", line: line, column: col}]}
+    end
+  end
+
+  defp tokenize(<<c, _::binary>> = source, line, col, acc) when c in ?0..?9 do
+    {digits, rest} = take_while(source, &(&1 in ?0..?9))
+    tokenize(rest, line, col + byte_size(digits), [{:int, String.to_integer(digits), line, col} | acc])
+  end
+
+  defp tokenize(<<c, _::binary>> = source, line, col, acc) when c in ?a..?z or c in ?A..?Z or c == ?_ do
+    {word, rest} = take_while(source, &(&1 in ?a..?z or &1 in ?A..?Z or &1 in ?0..?9 or &1 == ?_))
+    next_col = col + byte_size(word)
+
+    cond do
+      word in @keywords -> tokenize(rest, line, next_col, [{:kw, word, line, col} | acc])
+      word in ~w(contains starts_with matches) -> tokenize(rest, line, next_col, [{:op, word, line, col} | acc])
+      word in @string_fields or word in @integer_fields -> tokenize(rest, line, next_col, [{:field, word, line, col} | acc])
+      true -> {:error, [%{message: "unknown field or keyword `#{word}`", line: line, column: col}]}
+    end
+  end
+
+  defp tokenize(<<c::utf8, _::binary>>, line, col, _acc),
+    do: {:error, [%{message: "unexpected character `#{<<c::utf8>>}`", line: line, column: col}]}
+
+  # Reads up to the closing delimiter; a backslash escapes the delimiter itself
+  # and is kept for every other character (so regex escapes survive)
+  defp read_delimited(<<?\\, c, rest::binary>>, d, col, acc) when c == d, do: read_delimited(rest, d, col + 2, [<<d>> | acc])
+  defp read_delimited(<<c, rest::binary>>, d, col, acc) when c == d, do: {:ok, acc |> Enum.reverse() |> IO.iodata_to_binary(), rest, col + 1}
+  defp read_delimited(<<?\n, _::binary>>, _d, _col, _acc), do: :unterminated
+  defp read_delimited(<<c::utf8, rest::binary>>, d, col, acc), do: read_delimited(rest, d, col + 1, [<<c::utf8>> | acc])
+  defp read_delimited(_source, _d, _col, _acc), do: :unterminated
+
+  defp take_while(source, fun), do: take_while(source, fun, 0)
+
+  defp take_while(source, fun, size) do
+    case source do
+      <<_::binary-size(size), c, _::binary>> ->
+        if fun.(c), do: take_while(source, fun, size + 1), else: split_at(source, size)
+
+      _ ->
+        split_at(source, size)
+    end
+  end
+
+  defp split_at(source, size), do: {binary_part(source, 0, size), binary_part(source, size, byte_size(source) - size)}
+end
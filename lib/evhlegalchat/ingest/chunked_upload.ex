@@ -0,0 +1,287 @@
+defmodule Evhlegalchat.Ingest.ChunkedUpload do
+  @moduledoc """
+  Resumable, chunked uploads for files too large or too slow for a single
+  LiveView upload.
+
+  An upload is identified by the SHA256 of its content, computed by the
+  browser before the first byte is sent. Re-announcing the same file, for
+  example after a reconnect or a page reload, returns the offset already
+  received so the client only sends what is missing.
+
+  Partial data lives in `<root>/<source_hash>.part` next to a
+  `<source_hash>.json` manifest with the filename and declared size. Once
+  every byte has arrived the content hash is verified and the file is handed
+  to `StagingService.stage_upload/3`, which also takes care of deduplication.
+
+  Every operation on one upload runs under a lock keyed by its hash, so a
+  retried chunk racing the original request cannot pass the offset check
+  twice. Uploads left unfinished for longer than `:ttl_seconds` are removed
+  by `sweep_abandoned/1` (scheduled through `ChunkedUploadSweeper`).
+
+  ## Configuration
+
+      config :evhlegalchat, Evhlegalchat.Ingest.ChunkedUpload,
+        root: "priv/storage/chunked",
+        max_byte_size: 100_000_000,
+        max_chunk_size: 8_000_000,
+        ttl_seconds: 86_400
+  """
+
+  require Logger
+  alias Evhlegalchat.Ingest.{FileId, StagingService}
+
+  @default_max_byte_size 100_000_000
+  @default_max_chunk_size 8_000_000
+  @default_ttl_seconds 86_400
+
+  @doc """
+  Starts an upload or returns the progress of an existing one.
+
+  Returns `{:ok, %{upload_id: hash, offset: received_bytes, size: size}}`.
+  """
+  def start(source_hash, filename, size) when is_binary(source_hash) and is_binary(filename) and is_integer(size) do
+    with :ok <- validate_hash(source_hash),
+         :ok <- validate_size(size),
+         :ok <- File.mkdir_p(root()) do
+      with_lock(source_hash, fn ->
+        case read_manifest(source_hash) do
+          {:ok, %{"size" => ^size}} ->
+            {:ok, progress(source_hash, size)}
+
+          {:ok, _other_size} ->
+            # Same hash with a different declared size: the earlier attempt was bogus
+            remove_files(source_hash)
+            create(source_hash, filename, size)
+
+          {:error, :not_found} ->
+            create(source_hash, filename, size)
+        end
+      end)
+    end
+  end
+
+  @doc """
+  Returns how many bytes of the upload the server already holds.
+  """
+  def status(source_hash) when is_binary(source_hash) do
+    with :ok <- validate_hash(source_hash),
+         {:ok, %{"size" => size}} <- read_manifest(source_hash) do
+      {:ok, progress(source_hash, size)}
+    end
+  end
+
+  @doc """
+  Appends `data` at `offset`.
+
+  The offset must match the bytes already received; otherwise
+  `{:error, {:offset_mismatch, current_offset}}` is returned so the client can
+  resume from the right place. The check and the write happen under the
+  upload's lock, and the data is written at `offset` rather than appended.
+  """
+  def append(source_hash, offset, data) when is_binary(source_hash) and is_integer(offset) and is_binary(data) do
+    with :ok <- validate_hash(source_hash) do
+      with_lock(source_hash, fn ->
+        with {:ok, %{"size" => size}} <- read_manifest(source_hash),
+             current = received_bytes(source_hash),
+             :ok <- check_offset(offset, current),
+             :ok <- check_chunk(data, current, size),
+             :ok <- write_at(source_hash, offset, data) do
+          {:ok, progress(source_hash, size)}
+        end
+      end)
+    end
+  end
+
+  @doc """
+  Verifies a fully received upload and stages it.
+
+  Returns whatever `StagingService.stage_upload/3` returns; the partial files
+  are removed on success or on a hash mismatch.
+  """
+  def complete(source_hash) when is_binary(source_hash) do
+    with :ok <- validate_hash(source_hash) do
+      with_lock(source_hash, fn ->
+        with {:ok, %{"size" => size, "filename" => filename}} <- read_manifest(source_hash),
+             :ok <- check_complete(source_hash, size),
+             :ok <- verify_hash(source_hash) do
+          result = StagingService.stage_upload(part_path(source_hash), filename, %{upload_method: "chunked"})
+          if match?({:ok, _}, result), do: remove_files(source_hash)
+          result
+        end
+      end)
+    end
+  end
+
+  @doc """
+  Removes any partial data for the upload.
+  """
+  def discard(source_hash) do
+    with_lock(source_hash, fn -> remove_files(source_hash) end)
+  end
+
+  @doc """
+  Removes uploads whose files have not been written for `max_age_seconds`
+  (default: the configured `:ttl_seconds`, one day), including a `.part` or
+  `.json` left without its partner.
+
+  Returns `{:ok, removed_hashes}`.
+  """
+  def sweep_abandoned(max_age_seconds \\ ttl_seconds()) when is_integer(max_age_seconds) do
+    cutoff = System.os_time(:second) - max_age_seconds
+
+    case File.ls(root()) do
+      {:ok, names} ->
+        removed =
+          names
+          |> Enum.filter(&(Path.extname(&1) in [".part", ".json"]))
+          |> Enum.map(&Path.rootname/1)
+          |> Enum.uniq()
+          |> Enum.filter(&(validate_hash(&1) == :ok))
+          |> Enum.filter(fn source_hash ->
+            # Checked again under the lock: a chunk may have arrived since the listing
+            with_lock(source_hash, fn ->
+              if abandoned?(source_hash, cutoff), do: remove_files(source_hash) == :ok, else: false
+            end)
+          end)
+
+        {:ok, removed}
+
+      {:error, :enoent} ->
+        {:ok, []}
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+
+  @doc """
+  Largest file accepted through chunked uploads.
+  """
+  def max_byte_size, do: config() |> Keyword.get(:max_byte_size, @default_max_byte_size)
+
+  @doc """
+  Largest single chunk accepted by `append/3`.
+  """
+  def max_chunk_size, do: config() |> Keyword.get(:max_chunk_size, @default_max_chunk_size)
+
+  @doc """
+  Seconds an unfinished upload is kept after its last write.
+  """
+  def ttl_seconds, do: config() |> Keyword.get(:ttl_seconds, @default_ttl_seconds)
+
+  # Private functions
+
+  # Node-local is enough: the partial files live on this node's disk
+  defp with_lock(source_hash, fun) do
+    :global.trans({{__MODULE__, source_hash}, self()}, fun, [node()])
+  end
+
+  defp remove_files(source_hash) do
+    File.rm(part_path(source_hash))
+    File.rm(manifest_path(source_hash))
+    :ok
+  end
+
+  defp write_at(source_hash, offset, data) do
+    case File.open(part_path(source_hash), [:read, :write, :binary], &:file.pwrite(&1, offset, data)) do
+      {:ok, result} -> result
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp abandoned?(source_hash, cutoff) do
+    [part_path(source_hash), manifest_path(source_hash)]
+    |> Enum.flat_map(fn path ->
+      case File.stat(path, time: :posix) do
+        {:ok, %File.Stat{mtime: mtime}} -> [mtime]
+        {:error, _} -> []
+      end
+    end)
+    |> case do
+      [] -> false
+      mtimes -> Enum.max(mtimes) < cutoff
+    end
+  end
+
+  defp create(source_hash, filename, size) do
+    manifest = %{"filename" => Path.basename(filename), "size" => size, "started_at" => DateTime.utc_now()}
+
+    with :ok <- File.write(manifest_path(source_hash), Jason.encode!(manifest)),
+         :ok <- File.write(part_path(source_hash), "") do
+      {:ok, progress(source_hash, size)}
+    end
+  end
+
+  defp progress(source_hash, size) do
+    %{upload_id: source_hash, offset: received_bytes(source_hash), size: size}
+  end
+
+  defp received_bytes(source_hash) do
+    case File.stat(part_path(source_hash)) do
+      {:ok, %File.Stat{size: size}} -> size
+      {:error, _} -> 0
+    end
+  end
+
+  defp read_manifest(source_hash) do
+    with {:ok, body} <- File.read(manifest_path(source_hash)),
+         {:ok, manifest} <- Jason.decode(body) do
+      {:ok, manifest}
+    else
+      _ -> {:error, :not_found}
+    end
+  end
+
+  defp check_offset(offset, offset), do: :ok
+  defp check_offset(_offset, current), do: {:error, {:offset_mismatch, current}}
+
+  defp check_chunk(data, current, size) do
+    cond do
+      byte_size(data) > max_chunk_size() -> {:error, :chunk_too_large}
+      current + byte_size(data) > size -> {:error, :exceeds_declared_size}
+      true -> :ok
+    end
+  end
+
+  defp check_complete(source_hash, size) do
+    case received_bytes(source_hash) do
+      ^size -> :ok
+      received -> {:error, {:incomplete, received}}
+    end
+  end
+
+  defp verify_hash(source_hash) do
+    case FileId.sha256_file(part_path(source_hash)) do
+      ^source_hash ->
+        :ok
+
+      other ->
+        Logger.warning("Chunked upload hash mismatch", expected: source_hash, actual: inspect(other))
+        remove_files(source_hash)
+        {:error, :hash_mismatch}
+    end
+  end
+
+  defp validate_hash(hash) do
+    if String.match?(hash, ~r/\A[0-9a-f]{64}\z/), do: :ok, else: {:error, :invalid_hash}
+  end
+
+  defp validate_size(size) do
+    cond do
+      size <= 0 -> {:error, :invalid_size}
+      size > max_byte_size() -> {:error, :file_too_large}
+      true -> :ok
+    end
+  end
+
+  defp part_path(source_hash), do: Path.join(root(), "#{source_hash}.part")
+  defp manifest_path(source_hash), do: Path.join(root(), "#{source_hash}.json")
+
+  defp root do
+    config()
+    |> Keyword.get(:root, "priv/storage/chunked")
+    |> Path.expand()
+  end
+
+  defp config, do: Application.get_env(:evhlegalchat, __MODULE__, [])
+end
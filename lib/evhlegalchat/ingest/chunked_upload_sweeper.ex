@@ -0,0 +1,31 @@
+defmodule Evhlegalchat.Ingest.ChunkedUploadSweeper do
+  @moduledoc """
+  Oban cron worker that removes abandoned resumable uploads.
+
+  Runs `ChunkedUpload.sweep_abandoned/0`, which deletes `.part`/`.json`
+  pairs not written to for longer than the configured `:ttl_seconds`.
+  """
+
+  use Oban.Worker,
+    queue: :ingest,
+    max_attempts: 3,
+    unique: [period: 3600]
+
+  require Logger
+  alias Evhlegalchat.Ingest.ChunkedUpload
+
+  @impl Oban.Worker
+  def perform(%Oban.Job{}) do
+    case ChunkedUpload.sweep_abandoned() do
+      {:ok, []} ->
+        :ok
+
+      {:ok, removed} ->
+        Logger.info("Removed #{length(removed)} abandoned chunked uploads")
+        :ok
+
+      {:error, reason} ->
+        {:error, reason}
+    end
+  end
+end
@@ -125,6 +125,27 @@ defmodule Evhlegalchat.Ingest.StagingService do
     Repo.all(query)
   end
 
+  @doc """
+  Returns the subset of `hashes` that are already staged.
+
+  Used by the upload drop zone to skip duplicates before any bytes are sent.
+  Hashes are lowercase hex SHA256, as produced by `FileId.sha256_file/1`.
+  """
+  def staged_hashes(hashes) when is_list(hashes) do
+    hashes =
+      hashes
+      |> Enum.filter(&(is_binary(&1) and byte_size(&1) == 64))
+      |> Enum.map(&String.downcase/1)
+      |> Enum.uniq()
+
+    if hashes == [] do
+      []
+    else
+      from(s in StagingUpload, where: s.source_hash in ^hashes, select: s.source_hash)
+      |> Repo.all()
+    end
+  end
+
   # Private functions
 
   defp get_file_size(file_path) do
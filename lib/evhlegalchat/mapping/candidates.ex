@@ -0,0 +1,159 @@
+defmodule Evhlegalchat.Mapping.Candidates do
+  @moduledoc """
+  Competing values for the target of a review task, and the resolution a
+  reviewer picks among them.
+
+  Candidates are the proposed and applied facts for the task's table, column
+  and row. Tasks whose facts are gone fall back to the proposals recorded in
+  `details` by `Review.open_or_update_task!/2`.
+  """
+  import Ecto.Query
+  alias Evhlegalchat.Repo
+  alias Evhlegalchat.Mapping.{ExtractedFact, ReviewTask}
+
+  @doc """
+  Candidates for a task, the applied value first and then by confidence.
+  Each one is `%{fact_id, raw, normalized, confidence, status, extractor,
+  extractor_version, evidence_clause_id, clause}` where `clause` is
+  `%{number_label, heading_text}` or nil.
+  """
+  @spec for_task(%ReviewTask{}) :: [map()]
+  def for_task(%ReviewTask{} = task) do
+    candidates =
+      case load_facts(task) do
+        [] -> from_details(task.details)
+        facts -> Enum.map(facts, &from_fact/1)
+      end
+
+    candidates
+    |> attach_clauses()
+    |> sort()
+  end
+
+  @doc """
+  Candidates recorded in the task details: the first proposal and every one
+  appended after it.
+  """
+  @spec from_details(map() | nil) :: [map()]
+  def from_details(nil), do: []
+
+  def from_details(details) do
+    proposals = [details["proposal"] | Enum.map(List.wrap(details["proposals"]), & &1["proposal"])]
+
+    for %{} = proposal <- proposals do
+      %{
+        fact_id: nil,
+        raw: proposal["raw"],
+        normalized: proposal["normalized"],
+        confidence: to_float(proposal["confidence"]),
+        status: :proposed,
+        extractor: nil,
+        extractor_version: nil,
+        evidence_clause_id: proposal["evidence_clause_id"],
+        clause: nil
+      }
+    end
+  end
+
+  @doc """
+  Turns the reviewer's choice into the arguments of `Review.resolve_task!/3`.
+
+  `params` holds `"choice"`, which is a candidate index, `"custom"` (with
+  `"custom_value"`) or `"not_present"`. Returns `{:ok, decision, opts}` or
+  `{:error, message}`.
+  """
+  @spec resolution([map()], map()) :: {:ok, :approve | :reject, map()} | {:error, String.t()}
+  def resolution(_candidates, %{"choice" => "not_present"}) do
+    {:ok, :reject, %{resolution: "not_present"}}
+  end
+
+  def resolution(_candidates, %{"choice" => "custom"} = params) do
+    case String.trim(params["custom_value"] || "") do
+      "" -> {:error, "Enter a value or pick one of the candidates"}
+      value -> {:ok, :approve, %{normalized_value: value, resolution: "custom_value"}}
+    end
+  end
+
+  def resolution(candidates, %{"choice" => choice}) when is_binary(choice) do
+    with {index, ""} <- Integer.parse(choice),
+         %{} = candidate <- index >= 0 && Enum.at(candidates, index),
+         value when is_binary(value) and value != "" <- candidate.normalized || candidate.raw do
+      note = if candidate.fact_id, do: "candidate:#{candidate.fact_id}", else: "candidate"
+      {:ok, :approve, %{normalized_value: value, resolution: note}}
+    else
+      _ -> {:error, "That candidate is no longer available"}
+    end
+  end
+
+  def resolution(_candidates, _params), do: {:error, "Pick a value, enter one, or mark the field not present"}
+
+  defp load_facts(%ReviewTask{agreement_id: agreement_id, details: details}) do
+    target = (details || %{})["target"] || %{}
+
+    case target do
+      %{"table" => table, "column" => column} when is_binary(table) and is_binary(column) ->
+        query =
+          from(f in ExtractedFact,
+            where: f.agreement_id == ^agreement_id and f.target_table == ^table and f.target_column == ^column,
+            where: f.status in [:proposed, :applied]
+          )
+
+        query =
+          case get_in(target, ["pk", "value"]) do
+            pk when is_integer(pk) -> where(query, [f], f.target_pk_value == ^pk)
+            _ -> query
+          end
+
+        Repo.all(query)
+
+      _ ->
+        []
+    end
+  end
+
+  defp from_fact(%ExtractedFact{} = fact) do
+    %{
+      fact_id: fact.fact_id,
+      raw: fact.raw_value,
+      normalized: fact.normalized_value,
+      confidence: to_float(fact.confidence),
+      status: fact.status,
+      extractor: fact.extractor,
+      extractor_version: fact.extractor_version,
+      evidence_clause_id: fact.evidence_clause_id,
+      clause: nil
+    }
+  end
+
+  defp attach_clauses(candidates) do
+    ids = candidates |> Enum.map(& &1.evidence_clause_id) |> Enum.filter(&is_integer/1) |> Enum.uniq()
+
+    clauses =
+      if ids == [] do
+        %{}
+      else
+        from(c in "clauses",
+          where: c.id in ^ids,
+          select: {c.id, %{number_label: c.number_label, heading_text: c.heading_text}}
+        )
+        |> Repo.all()
+        |> Map.new()
+      end
+
+    Enum.map(candidates, &%{&1 | clause: Map.get(clauses, &1.evidence_clause_id)})
+  end
+
+  defp sort(candidates) do
+    Enum.sort_by(candidates, &{&1.status != :applied, -(&1.confidence || 0.0)})
+  end
+
+  defp to_float(nil), do: nil
+  defp to_float(%Decimal{} = d), do: Decimal.to_float(d)
+  defp to_float(n) when is_number(n), do: n / 1
+  defp to_float(s) when is_binary(s) do
+    case Float.parse(s) do
+      {f, _} -> f
+      :error -> nil
+    end
+  end
+end
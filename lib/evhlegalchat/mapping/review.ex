@@ -64,26 +64,36 @@ defmodule Evhlegalchat.Mapping.Review do
   Resolve a review task by approving or rejecting the candidate fact.
 
   decision: :approve | :reject
-  opts: %{actor_user_id: integer | nil, resolution: String.t() | nil}
+  opts: %{actor_user_id: integer | nil, resolution: String.t() | nil, normalized_value: String.t() | nil}
+
+  When approving with a `normalized_value` that differs from the proposal,
+  the fact is corrected to that value before it is applied.
+
+  Returns `{:error, :already_resolved}` when the task was resolved in the
+  meantime, so the same task is never resolved twice.
   """
   def resolve_task!(task_id_or_struct, decision, opts \\ %{}) do
     actor_user_id = Map.get(opts, :actor_user_id)
     resolution_note = Map.get(opts, :resolution) || to_string(decision)
 
     Multi.new()
-    |> Multi.run(:task, fn _repo, _ ->
-      case task_id_or_struct do
-        %ReviewTask{} = t -> {:ok, t}
-        id when is_integer(id) ->
-          case Repo.get(ReviewTask, id) do
-            nil -> {:error, :not_found}
-            t -> {:ok, t}
-          end
+    |> Multi.run(:task, fn repo, _ ->
+      id =
+        case task_id_or_struct do
+          %ReviewTask{review_task_id: id} -> id
+          id when is_integer(id) -> id
+        end
+
+      # Re-read under a row lock: the task may have been resolved elsewhere since it was listed
+      case repo.one(from r in ReviewTask, where: r.review_task_id == ^id, lock: "FOR UPDATE") do
+        nil -> {:error, :not_found}
+        %ReviewTask{state: :resolved} -> {:error, :already_resolved}
+        t -> {:ok, t}
       end
     end)
-    |> Multi.run(:fact, fn _repo, %{task: task} ->
+    |> Multi.run(:fact, fn repo, %{task: task} ->
       case task.fact_id && Repo.get(ExtractedFact, task.fact_id) do
-        %ExtractedFact{} = fact -> {:ok, fact}
+        %ExtractedFact{} = fact -> maybe_correct_fact(repo, fact, decision, Map.get(opts, :normalized_value))
         _ -> {:ok, nil}
       end
     end)
@@ -162,6 +172,44 @@ defmodule Evhlegalchat.Mapping.Review do
     end
   end
 
+  @doc """
+  Assign open review tasks to a user. Resolved tasks are left alone.
+
+  Returns `{:ok, count}` with the number of tasks reassigned.
+  """
+  def reassign_tasks(task_ids, assignee_user_id) when is_list(task_ids) and is_integer(assignee_user_id) do
+    {count, _} =
+      from(r in ReviewTask, where: r.review_task_id in ^task_ids and r.state in [^:open, ^:in_progress])
+      |> Repo.update_all(set: [assignee_user_id: assignee_user_id, updated_at: DateTime.utc_now()])
+
+    {:ok, count}
+  end
+
+  @doc """
+  User ids review tasks have been assigned to, in ascending order.
+
+  There is no user directory, so this is all the reassign picker can offer;
+  it labels them as current assignees and takes any other user id by hand.
+  """
+  def assignees do
+    from(r in ReviewTask, where: not is_nil(r.assignee_user_id), distinct: true, order_by: r.assignee_user_id, select: r.assignee_user_id)
+    |> Repo.all()
+  end
+
+  defp maybe_correct_fact(repo, %ExtractedFact{} = fact, :approve, value)
+       when is_binary(value) and value != "" and value != fact.normalized_value do
+    numeric =
+      case Decimal.parse(value) do
+        {%Decimal{} = d, ""} -> d
+        _ -> nil
+      end
+
+    fact
+    |> ExtractedFact.changeset(%{normalized_value: value, normalized_numeric: numeric})
+    |> repo.update()
+  end
+  defp maybe_correct_fact(_repo, fact, _decision, _value), do: {:ok, fact}
+
   defp extract_old_new_from_result(%{audit: %FieldAudit{} = audit}), do: {audit.old_value, audit.new_value}
   defp extract_old_new_from_result(_), do: nil
 
@@ -0,0 +1,111 @@
+defmodule Evhlegalchat.Mapping.ReviewQueue do
+  @moduledoc """
+  Filters for the review queue, read from and written to URL params so a
+  filtered queue can be shared.
+
+    * `min_confidence` - percent; tasks whose proposal is less confident are hidden
+    * `table` - target table of the task
+    * `min_age` - days a task has been waiting at least
+  """
+
+  @confidence_steps [50, 60, 70, 80, 90]
+  @age_steps [1, 7, 30]
+
+  @type filters :: %{min_confidence: integer() | nil, table: String.t() | nil, min_age: integer() | nil}
+
+  def confidence_steps, do: @confidence_steps
+  def age_steps, do: @age_steps
+
+  @doc """
+  Filters from URL params. Unknown or malformed values are ignored.
+  """
+  @spec parse(map()) :: filters()
+  def parse(params) do
+    %{
+      min_confidence: parse_int(params["min_confidence"], 0..100),
+      table: blank_to_nil(params["table"]),
+      min_age: parse_int(params["min_age"], 0..3650)
+    }
+  end
+
+  @doc """
+  URL params for `filters`, without the ones that are not set.
+  """
+  @spec to_params(filters()) :: keyword()
+  def to_params(filters) do
+    [min_confidence: filters.min_confidence, table: filters.table, min_age: filters.min_age]
+    |> Enum.reject(fn {_key, value} -> is_nil(value) end)
+  end
+
+  @doc """
+  Keeps the tasks matching `filters`. `now` is used for the age filter.
+  """
+  @spec filter([map()], filters(), DateTime.t()) :: [map()]
+  def filter(tasks, filters, now \\ DateTime.utc_now()) do
+    Enum.filter(tasks, fn task ->
+      confident_enough?(task, filters.min_confidence) and
+        in_table?(task, filters.table) and
+        old_enough?(task, filters.min_age, now)
+    end)
+  end
+
+  @doc """
+  Target tables of `tasks`, for the table filter.
+  """
+  @spec tables([map()]) :: [String.t()]
+  def tables(tasks) do
+    tasks
+    |> Enum.map(&get_in(&1.details || %{}, ["target", "table"]))
+    |> Enum.filter(&is_binary/1)
+    |> Enum.uniq()
+    |> Enum.sort()
+  end
+
+  @doc """
+  Confidence of the task's proposal as a float, or nil.
+  """
+  @spec confidence(map()) :: float() | nil
+  def confidence(task) do
+    case get_in(task.details || %{}, ["proposal", "confidence"]) do
+      %Decimal{} = d -> Decimal.to_float(d)
+      n when is_number(n) -> n / 1
+      s when is_binary(s) ->
+        case Float.parse(s) do
+          {f, _} -> f
+          :error -> nil
+        end
+      _ -> nil
+    end
+  end
+
+  defp confident_enough?(_task, nil), do: true
+  defp confident_enough?(task, percent) do
+    case confidence(task) do
+      nil -> false
+      conf -> conf * 100 >= percent
+    end
+  end
+
+  defp in_table?(_task, nil), do: true
+  defp in_table?(task, table), do: get_in(task.details || %{}, ["target", "table"]) == table
+
+  defp old_enough?(_task, nil, _now), do: true
+  defp old_enough?(%{inserted_at: nil}, _days, _now), do: false
+  defp old_enough?(%{inserted_at: inserted_at}, days, now), do: DateTime.diff(now, inserted_at, :second) >= days * 86_400
+
+  defp parse_int(value, range) when is_binary(value) do
+    case Integer.parse(value) do
+      {n, ""} -> if n in range, do: n, else: nil
+      _ -> nil
+    end
+  end
+  defp parse_int(_value, _range), do: nil
+
+  defp blank_to_nil(value) when is_binary(value) do
+    case String.trim(value) do
+      "" -> nil
+      trimmed -> trimmed
+    end
+  end
+  defp blank_to_nil(_value), do: nil
+end
@@ -0,0 +1,159 @@
+defmodule Evhlegalchat.Obligations do
+  @moduledoc """
+  Builds the per-entity, per-month obligation heatmap rendered by the
+  `EntityCalendarHeatmap` React component.
+
+  Obligations are derived from agreement terms, SOW milestones and SOW
+  invoicing terms. Each cell carries the number of obligations falling in
+  that month and the highest severity among them:
+
+    * `0` none
+    * `1` non-urgent: agreement start, recurring invoices
+    * `2` urgent: milestone target dates, survival period ending
+    * `3` critical: term expiry
+
+  The entity for an agreement is `transaction_context["entity"]` when the
+  extractor captured one, otherwise the agreement title.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Repo}
+  alias Evhlegalchat.SOW.{InvoicingTerm, Milestone}
+
+  @non_urgent 1
+  @urgent 2
+  @critical 3
+
+  @month_labels ~w(Jan Feb Mar Apr May Jun Jul Aug Sep Oct Nov Dec)
+
+  @frequency_months %{
+    "monthly" => 1,
+    "quarterly" => 3,
+    "semi-annual" => 6,
+    "semiannual" => 6,
+    "annual" => 12,
+    "annually" => 12,
+    "yearly" => 12
+  }
+
+  @doc """
+  Loads active agreements with their milestones and invoicing terms and
+  builds the heatmap for `year`.
+  """
+  @spec heatmap_for_year(integer()) :: map()
+  def heatmap_for_year(year) when is_integer(year) do
+    agreements =
+      from(a in Agreement, where: a.status in [:draft, :executed], order_by: [asc: a.id])
+      |> Repo.all()
+
+    ids = Enum.map(agreements, & &1.id)
+
+    milestones =
+      from(m in Milestone, where: m.agreement_id in ^ids and not is_nil(m.target_date))
+      |> Repo.all()
+
+    invoicing_terms =
+      from(i in InvoicingTerm, where: i.agreement_id in ^ids)
+      |> Repo.all()
+
+    heatmap(agreements, milestones, invoicing_terms, year)
+  end
+
+  @doc """
+  Builds the heatmap payload from already-loaded records.
+
+  Returns `%{year, months, entities, cells}` where each cell is
+  `%{month, entity, count, status, items}`; `month` and `entity` are indexes
+  into the `months` and `entities` lists. Only non-empty cells are included.
+  """
+  @spec heatmap([map()], [map()], [map()], integer()) :: map()
+  def heatmap(agreements, milestones, invoicing_terms, year) do
+    entity_by_agreement = Map.new(agreements, &{&1.id, entity_name(&1)})
+    entities = entity_by_agreement |> Map.values() |> Enum.uniq() |> Enum.sort()
+    entity_index = entities |> Enum.with_index() |> Map.new()
+
+    obligations =
+      Enum.flat_map(agreements, &agreement_obligations/1) ++
+        Enum.flat_map(milestones, &milestone_obligations/1) ++
+        Enum.flat_map(invoicing_terms, &invoicing_obligations(&1, agreements))
+
+    cells =
+      obligations
+      |> Enum.filter(fn {agreement_id, date, _status, _label} ->
+        date.year == year and Map.has_key?(entity_by_agreement, agreement_id)
+      end)
+      |> Enum.group_by(fn {agreement_id, date, _status, _label} ->
+        {date.month - 1, Map.fetch!(entity_index, entity_by_agreement[agreement_id])}
+      end)
+      |> Enum.map(fn {{month, entity}, items} ->
+        %{
+          month: month,
+          entity: entity,
+          count: length(items),
+          status: items |> Enum.map(&elem(&1, 2)) |> Enum.max(),
+          items: items |> Enum.sort_by(&elem(&1, 1), Date) |> Enum.map(&elem(&1, 3))
+        }
+      end)
+      |> Enum.sort_by(&{&1.entity, &1.month})
+
+    %{
+      year: year,
+      months: @month_labels,
+      entities: entities,
+      cells: cells
+    }
+  end
+
+  defp entity_name(%{transaction_context: %{"entity" => entity}}) when is_binary(entity) and entity != "",
+    do: entity
+
+  defp entity_name(%{agreement_title: title}), do: title
+
+  defp agreement_obligations(%{effective_date: nil}), do: []
+
+  defp agreement_obligations(%{id: id, effective_date: start} = agreement) do
+    term_end = add_months(start, agreement.term_length_months)
+    survival_end = term_end && add_months(term_end, agreement.survival_period_months)
+
+    [
+      {id, start, @non_urgent, "#{agreement.agreement_title} takes effect"},
+      term_end && {id, term_end, @critical, "#{agreement.agreement_title} term expires"},
+      survival_end && {id, survival_end, @urgent, "#{agreement.agreement_title} survival period ends"}
+    ]
+    |> Enum.reject(&is_nil/1)
+  end
+
+  defp milestone_obligations(%{target_date: nil}), do: []
+
+  defp milestone_obligations(%{agreement_id: id, target_date: date, title: title}),
+    do: [{id, date, @urgent, "Milestone: #{title}"}]
+
+  defp invoicing_obligations(%{billing_trigger: :calendar, agreement_id: id} = term, agreements) do
+    with %{effective_date: %Date{} = start} = agreement <- Enum.find(agreements, &(&1.id == id)),
+         step when is_integer(step) <- Map.get(@frequency_months, normalize_frequency(term.frequency)) do
+      # Open-ended terms are projected one year forward so the heatmap still shows billing.
+      span = agreement.term_length_months || 12
+
+      0
+      |> Stream.iterate(&(&1 + step))
+      |> Enum.take_while(&(&1 < span))
+      |> Enum.map(&{id, add_months(start, &1), @non_urgent, "Invoice due (#{term.frequency})"})
+    else
+      _ -> []
+    end
+  end
+
+  defp invoicing_obligations(_term, _agreements), do: []
+
+  defp normalize_frequency(nil), do: nil
+  defp normalize_frequency(frequency), do: frequency |> String.trim() |> String.downcase()
+
+  defp add_months(_date, nil), do: nil
+
+  defp add_months(%Date{year: y, month: m, day: d}, months) do
+    total = y * 12 + (m - 1) + months
+    year = div(total, 12)
+    month = rem(total, 12) + 1
+    Date.new!(year, month, min(d, Calendar.ISO.days_in_month(year, month)))
+  end
+end
@@ -0,0 +1,260 @@
+defmodule Evhlegalchat.Pipeline do
+  @moduledoc """
+  Processing progress of staged uploads, stage by stage.
+
+  A staged upload moves through extraction, segmentation, promotion,
+  enrichment and mapping. Each stage is an Oban worker; extraction,
+  segmentation and promotion jobs carry the `staging_upload_id`, the later
+  ones the `agreement_id` of the promoted agreement (linked back through the
+  source hash).
+
+  `attach_telemetry/0` turns Oban job telemetry into
+  `{:pipeline_job, staging_upload_id, stage_view}` messages on the `"pipeline"`
+  PubSub topic; `rows/1` builds the same stage views from the jobs table for
+  the initial page load. Jobs keyed by agreement are resolved to their upload
+  by `Evhlegalchat.Pipeline.Notifier`, outside the job process.
+  """
+
+  import Ecto.Query, warn: false
+  require Logger
+  alias Evhlegalchat.{Agreement, Repo}
+  alias Evhlegalchat.Ingest.StagingUpload
+  alias Evhlegalchat.Pipeline.Notifier
+
+  @pubsub Evhlegalchat.PubSub
+  @topic "pipeline"
+
+  @stages ~w(extract segment promote enrich map)
+
+  @workers %{
+    "Evhlegalchat.Ingest.ExtractWorker" => "extract",
+    "Evhlegalchat.Ingest.SegmentWorker" => "segment",
+    "Evhlegalchat.Promotion.PromoteWorker" => "promote",
+    "Evhlegalchat.Enrich.EnrichWorker" => "enrich",
+    "Evhlegalchat.Enrich.NDAEnrichWorker" => "enrich",
+    "Evhlegalchat.Enrich.SOWEnrichWorker" => "enrich",
+    "Evhlegalchat.Mapping.Worker" => "map"
+  }
+
+  @telemetry_events [
+    [:oban, :job, :start],
+    [:oban, :job, :stop],
+    [:oban, :job, :exception]
+  ]
+
+  @doc "Stage names in pipeline order."
+  def stages, do: @stages
+
+  @doc "The stage a worker module name belongs to, or nil."
+  def stage_for_worker(worker), do: Map.get(@workers, worker)
+
+  @spec subscribe() :: :ok | {:error, term()}
+  def subscribe do
+    Phoenix.PubSub.subscribe(@pubsub, @topic)
+  end
+
+  @doc """
+  Attaches the Oban telemetry handler. Called from the application; attaching
+  again (e.g. after the application restarted in the same VM) is a no-op.
+  """
+  @spec attach_telemetry() :: :ok
+  def attach_telemetry do
+    case :telemetry.attach_many("pipeline-job-events", @telemetry_events, &__MODULE__.handle_telemetry_event/4, nil) do
+      :ok -> :ok
+      {:error, :already_exists} -> :ok
+    end
+  end
+
+  @doc false
+  def handle_telemetry_event([:oban, :job, event], _measurements, %{job: job} = metadata, _config) do
+    with stage when not is_nil(stage) <- stage_for_worker(job.worker) do
+      view = telemetry_stage_view(event, stage, job, metadata)
+
+      case job.args do
+        %{"staging_upload_id" => id} when not is_nil(id) -> broadcast(to_integer(id), view)
+        %{"agreement_id" => id} when not is_nil(id) -> Notifier.notify(to_integer(id), view)
+        _args -> :ok
+      end
+    end
+
+    :ok
+  rescue
+    # A raising handler would be detached by :telemetry; progress updates are best effort
+    error ->
+      Logger.warning("Pipeline telemetry handler failed: #{Exception.message(error)}")
+      :ok
+  end
+
+  @doc false
+  def broadcast(staging_upload_id, view) do
+    Phoenix.PubSub.broadcast(@pubsub, @topic, {:pipeline_job, staging_upload_id, view})
+  end
+
+  @doc """
+  The staging upload an agreement was promoted from, or nil.
+  """
+  @spec staging_upload_id_for_agreement(integer()) :: integer() | nil
+  def staging_upload_id_for_agreement(agreement_id) when is_integer(agreement_id) do
+    from(s in StagingUpload,
+      join: a in Agreement,
+      on: a.source_hash == s.source_hash,
+      where: a.id == ^agreement_id,
+      select: s.staging_upload_id
+    )
+    |> Repo.one()
+  end
+
+  @doc """
+  Stage view from a telemetry event, before the job row is updated.
+  """
+  def telemetry_stage_view(:start, stage, job, _metadata) do
+    job_view(stage, job, "running", %{started_at: DateTime.utc_now(), finished_at: nil, error: nil})
+  end
+
+  def telemetry_stage_view(:stop, stage, job, metadata) do
+    case Map.get(metadata, :state) do
+      :snoozed -> job_view(stage, job, "queued", %{finished_at: nil})
+      state when state in [:cancelled, :discard] -> job_view(stage, job, "failed", %{finished_at: DateTime.utc_now(), error: to_string(state)})
+      _ -> job_view(stage, job, "completed", %{finished_at: DateTime.utc_now(), error: nil})
+    end
+  end
+
+  def telemetry_stage_view(:exception, stage, job, metadata) do
+    state =
+      if Map.get(metadata, :state) == :failure and job.attempt < job.max_attempts, do: "retrying", else: "failed"
+
+    job_view(stage, job, state, %{finished_at: DateTime.utc_now(), error: format_error(Map.get(metadata, :reason))})
+  end
+
+  @doc """
+  Tracker rows for the given staging uploads (newest first), loading their
+  agreements and jobs.
+  """
+  @spec rows([map()]) :: [map()]
+  def rows([]), do: []
+
+  def rows(uploads) do
+    hashes = Enum.map(uploads, & &1.source_hash)
+
+    agreement_ids =
+      from(a in Agreement, where: a.source_hash in ^hashes, select: {a.source_hash, a.id})
+      |> Repo.all()
+      |> Map.new()
+
+    build_rows(uploads, list_jobs(Enum.map(uploads, & &1.staging_upload_id), Map.values(agreement_ids)), agreement_ids)
+  end
+
+  @doc """
+  Pure row builder: `agreement_ids` maps source hash to agreement id.
+  """
+  def build_rows(uploads, jobs, agreement_ids) do
+    Enum.map(uploads, fn upload ->
+      agreement_id = Map.get(agreement_ids, upload.source_hash)
+      related = Enum.filter(jobs, &job_for?(&1, upload.staging_upload_id, agreement_id))
+
+      %{
+        staging_upload_id: upload.staging_upload_id,
+        agreement_id: agreement_id,
+        filename: upload.original_filename,
+        hash: String.slice(upload.source_hash || "", 0, 8),
+        byte_size: upload.byte_size,
+        status: upload.status,
+        status_label: StagingUpload.status_description(upload),
+        rejection_reason: upload.rejection_reason,
+        inserted_at: upload.inserted_at,
+        stages: Enum.map(@stages, &stage_from_jobs(&1, related))
+      }
+    end)
+  end
+
+  @doc """
+  Retries the latest failed or retrying job of a stage for an upload.
+  """
+  @spec retry(integer(), String.t()) :: :ok | {:error, :not_found | :not_retryable}
+  def retry(staging_upload_id, stage) when stage in @stages do
+    agreement_id =
+      from(a in Agreement,
+        join: s in StagingUpload,
+        on: s.source_hash == a.source_hash,
+        where: s.staging_upload_id == ^staging_upload_id,
+        select: a.id
+      )
+      |> Repo.one()
+
+    job =
+      [staging_upload_id]
+      |> list_jobs(List.wrap(agreement_id))
+      |> Enum.filter(&(stage_for_worker(&1.worker) == stage))
+      |> Enum.max_by(& &1.id, fn -> nil end)
+
+    cond do
+      is_nil(job) -> {:error, :not_found}
+      job.state in ["discarded", "cancelled", "retryable"] -> Oban.retry_job(job.id)
+      true -> {:error, :not_retryable}
+    end
+  end
+
+  def retry(_staging_upload_id, _stage), do: {:error, :not_found}
+
+  @doc """
+  Display state of a job row: queued, running, retrying, completed or failed.
+  """
+  def job_state(%{state: "executing"}), do: "running"
+  def job_state(%{state: "completed"}), do: "completed"
+  def job_state(%{state: "retryable"}), do: "retrying"
+  def job_state(%{state: state}) when state in ["discarded", "cancelled"], do: "failed"
+  def job_state(%{state: state, attempt: attempt}) when state in ["available", "scheduled"] and attempt > 0, do: "retrying"
+  def job_state(_job), do: "queued"
+
+  defp stage_from_jobs(stage, jobs) do
+    case jobs |> Enum.filter(&(stage_for_worker(&1.worker) == stage)) |> Enum.max_by(& &1.id, fn -> nil end) do
+      nil ->
+        %{stage: stage, state: "pending"}
+
+      job ->
+        job_view(stage, job, job_state(job), %{
+          started_at: job.attempted_at,
+          finished_at: job.completed_at || job.discarded_at || job.cancelled_at,
+          error: if(job_state(job) in ["retrying", "failed"], do: last_error(job))
+        })
+    end
+  end
+
+  defp job_view(stage, job, state, extra) do
+    Map.merge(
+      %{stage: stage, state: state, job_id: job.id, attempt: job.attempt, max_attempts: job.max_attempts, started_at: job.attempted_at},
+      extra
+    )
+  end
+
+  defp list_jobs(staging_upload_ids, agreement_ids) do
+    from(j in Oban.Job,
+      where: j.worker in ^Map.keys(@workers),
+      where:
+        fragment("(?->>'staging_upload_id')::bigint = ANY(?)", j.args, ^staging_upload_ids) or
+          fragment("(?->>'agreement_id')::bigint = ANY(?)", j.args, ^agreement_ids),
+      order_by: [asc: j.id]
+    )
+    |> Repo.all()
+  end
+
+  defp job_for?(%{args: args}, staging_upload_id, agreement_id) do
+    (not is_nil(args["staging_upload_id"]) and to_integer(args["staging_upload_id"]) == staging_upload_id) or
+      (not is_nil(agreement_id) and not is_nil(args["agreement_id"]) and to_integer(args["agreement_id"]) == agreement_id)
+  end
+
+  defp last_error(%{errors: [_ | _] = errors}), do: errors |> List.last() |> Map.get("error") |> format_error()
+  defp last_error(_job), do: nil
+
+  defp format_error(nil), do: nil
+  defp format_error(%{__exception__: true} = exception), do: exception |> Exception.message() |> format_error()
+
+  defp format_error(message) when is_binary(message) do
+    message |> String.split("\n", parts: 2) |> hd() |> String.slice(0, 300)
+  end
+
+  defp format_error(other), do: other |> inspect() |> format_error()
+
+  defp to_integer(value) when is_integer(value), do: value
+  defp to_integer(value) when is_binary(value), do: String.to_integer(value)
+end
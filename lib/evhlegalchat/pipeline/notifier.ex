@@ -0,0 +1,66 @@
+defmodule Evhlegalchat.Pipeline.Notifier do
+  @moduledoc """
+  Broadcasts pipeline updates for jobs that only know their agreement.
+
+  Telemetry handlers run inside the Oban job process, so
+  `Evhlegalchat.Pipeline.handle_telemetry_event/4` never queries the database
+  itself: enrichment and mapping jobs (which carry an `agreement_id`) are cast
+  here, mapped back to their staging upload and broadcast on the `"pipeline"`
+  topic. Casts from one job arrive in order, so a stage never goes back from
+  finished to running.
+  """
+
+  use GenServer
+  require Logger
+  alias Evhlegalchat.Pipeline
+
+  # Agreements whose staging upload is remembered; the cache is dropped beyond this
+  @max_cached 10_000
+
+  def start_link(opts \\ []) do
+    GenServer.start_link(__MODULE__, opts, name: __MODULE__)
+  end
+
+  @doc """
+  Queues a stage view of a job for `agreement_id`. Never blocks the caller.
+  """
+  def notify(agreement_id, view) when is_integer(agreement_id) do
+    GenServer.cast(__MODULE__, {:notify, agreement_id, view})
+  end
+
+  @impl true
+  def init(_opts), do: {:ok, %{}}
+
+  @impl true
+  def handle_cast({:notify, agreement_id, view}, cache) do
+    case lookup(agreement_id, cache) do
+      {nil, cache} ->
+        {:noreply, cache}
+
+      {staging_upload_id, cache} ->
+        Pipeline.broadcast(staging_upload_id, view)
+        {:noreply, cache}
+    end
+  end
+
+  defp lookup(agreement_id, cache) do
+    case Map.fetch(cache, agreement_id) do
+      {:ok, staging_upload_id} ->
+        {staging_upload_id, cache}
+
+      :error ->
+        case Pipeline.staging_upload_id_for_agreement(agreement_id) do
+          nil -> {nil, cache}
+          staging_upload_id -> {staging_upload_id, cache |> trim() |> Map.put(agreement_id, staging_upload_id)}
+        end
+    end
+  rescue
+    # Progress updates are best effort; a failed lookup must not restart the notifier
+    error ->
+      Logger.warning("Pipeline notifier lookup failed: #{Exception.message(error)}")
+      {nil, cache}
+  end
+
+  defp trim(cache) when map_size(cache) >= @max_cached, do: %{}
+  defp trim(cache), do: cache
+end
@@ -0,0 +1,165 @@
+defmodule Evhlegalchat.Provenance do
+  @moduledoc """
+  Source text and evidence spans behind an agreement, rendered by the
+  `DocumentViewer` hook next to review tasks.
+
+  The text is the extraction artifact (`text/concatenated.txt`) of the staging
+  upload the agreement was promoted from. Spans come from extracted facts:
+  their own `evidence_start_char`/`evidence_end_char` when present, otherwise
+  the bounds of the cited evidence clause. Facts that only know a page range
+  become page-level spans.
+
+  Offsets count graphemes, like `String.slice/3`. A span's `end` is its
+  inclusive `end_char`; a page's `end` is exclusive.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Repo}
+  alias Evhlegalchat.Ingest.{Artifacts, StagingUpload}
+  alias Evhlegalchat.Mapping.ExtractedFact
+  alias Evhlegalchat.Storage.Local
+
+  @doc """
+  Loads the viewer payload for an agreement.
+
+  Returns `{:ok, %{agreement_id, title, text, pages, spans}}` or
+  `{:error, :not_found | :text_unavailable}`.
+  """
+  @spec document(integer()) :: {:ok, map()} | {:error, atom()}
+  def document(agreement_id) when is_integer(agreement_id) do
+    with %Agreement{} = agreement <- Repo.get(Agreement, agreement_id),
+         %StagingUpload{} = upload <- Repo.get_by(StagingUpload, source_hash: agreement.source_hash),
+         {:ok, text} <- read_artifact(upload.staging_upload_id, :text_concat) do
+      pages =
+        case read_artifact(upload.staging_upload_id, :pages_jsonl) do
+          {:ok, body} -> body |> decode_pages() |> page_ranges()
+          {:error, _} -> []
+        end
+
+      facts =
+        from(f in ExtractedFact, where: f.agreement_id == ^agreement_id and f.status in [:proposed, :applied])
+        |> Repo.all()
+
+      {:ok,
+       %{
+         agreement_id: agreement_id,
+         title: agreement.agreement_title,
+         text: text,
+         pages: pages,
+         spans: fact_spans(facts, load_clause_bounds(facts))
+       }}
+    else
+      nil -> {:error, :not_found}
+      {:error, _reason} -> {:error, :text_unavailable}
+    end
+  end
+
+  @doc """
+  Loads only the extracted text of an agreement.
+  """
+  @spec text(integer()) :: {:ok, String.t()} | {:error, :not_found | :text_unavailable}
+  def text(agreement_id) when is_integer(agreement_id) do
+    with %Agreement{} = agreement <- Repo.get(Agreement, agreement_id),
+         %StagingUpload{} = upload <- Repo.get_by(StagingUpload, source_hash: agreement.source_hash),
+         {:ok, text} <- read_artifact(upload.staging_upload_id, :text_concat) do
+      {:ok, text}
+    else
+      nil -> {:error, :not_found}
+      {:error, _reason} -> {:error, :text_unavailable}
+    end
+  end
+
+  @doc """
+  A clause's slice of the agreement text (`start_char` to the inclusive
+  `end_char`), or its stored snippet when the text is unavailable.
+  """
+  @spec clause_text(String.t() | nil, map()) :: String.t() | nil
+  def clause_text(nil, clause), do: clause[:text_snippet]
+  def clause_text(text, clause), do: String.slice(text, clause.start_char, clause.end_char - clause.start_char + 1)
+
+  @doc """
+  Builds viewer spans for facts. `clause_bounds` maps clause id to
+  `%{start_char, end_char, start_page, end_page}` and is used when a fact
+  has no character span of its own.
+  """
+  @spec fact_spans([map()], map()) :: [map()]
+  def fact_spans(facts, clause_bounds \\ %{}) do
+    facts
+    |> Enum.map(fn fact ->
+      clause = Map.get(clause_bounds, fact.evidence_clause_id, %{})
+
+      %{
+        id: span_id(fact),
+        fact_id: fact.fact_id,
+        label: "#{fact.target_table}.#{fact.target_column}",
+        value: fact.normalized_value || fact.raw_value,
+        confidence: fact.confidence,
+        start: fact.evidence_start_char || clause[:start_char],
+        end: fact.evidence_end_char || clause[:end_char],
+        page_start: fact.evidence_start_page || clause[:start_page],
+        page_end: fact.evidence_end_page || fact.evidence_start_page || clause[:end_page]
+      }
+    end)
+    |> Enum.reject(&(is_nil(&1.start) and is_nil(&1.page_start)))
+    |> Enum.sort_by(&{&1.start || 0, &1.page_start || 0})
+  end
+
+  @doc """
+  The span id the viewer uses for a fact, also rendered on review task cards.
+  """
+  def span_id(%{fact_id: fact_id}), do: "fact:#{fact_id}"
+
+  @doc """
+  Turns per-page extraction data into cumulative character ranges.
+  """
+  @spec page_ranges([map()]) :: [map()]
+  def page_ranges(pages) do
+    pages
+    |> Enum.with_index(1)
+    |> Enum.map_reduce(0, fn {page, index}, offset ->
+      count = page["char_count"] || String.length(page["text"] || "")
+      {%{page: page["page"] || index, start: offset, end: offset + count}, offset + count}
+    end)
+    |> elem(0)
+  end
+
+  defp decode_pages(body) do
+    case Jason.decode(body) do
+      {:ok, pages} when is_list(pages) ->
+        pages
+
+      _ ->
+        body
+        |> String.split("\n", trim: true)
+        |> Enum.flat_map(fn line ->
+          case Jason.decode(line) do
+            {:ok, page} when is_map(page) -> [page]
+            _ -> []
+          end
+        end)
+    end
+  end
+
+  defp read_artifact(staging_upload_id, type) do
+    key = Artifacts.build_artifact_key(staging_upload_id, type)
+
+    with {:ok, path} <- Local.get(Local.new(), key) do
+      File.read(path)
+    end
+  end
+
+  defp load_clause_bounds(facts) do
+    ids = facts |> Enum.map(& &1.evidence_clause_id) |> Enum.reject(&is_nil/1) |> Enum.uniq()
+
+    if ids == [] do
+      %{}
+    else
+      from(c in "clauses",
+        where: c.id in ^ids,
+        select: {c.id, %{start_char: c.start_char, end_char: c.end_char, start_page: c.start_page, end_page: c.end_page}}
+      )
+      |> Repo.all()
+      |> Map.new()
+    end
+  end
+end
@@ -3,9 +3,12 @@ defmodule Evhlegalchat.Segmentation.Anchors do
   Character offset to page mapping utilities.
   
   Provides functions to map character positions to page numbers
-  and vice versa using page boundary information.
+  and vice versa using page boundary information, and to resolve
+  in-text cross-references ("see Section 4.2") to the clauses they cite.
   """
 
+  @cross_reference ~r/(?:\b(?:sections?|clauses?|articles?|paragraphs?)\s+|§\s*)(\d+(?:\.\d+)*(?:\s?\([a-z0-9]{1,4}\))*)/iu
+
   @doc """
   Maps a character offset to the corresponding page number.
   
@@ -117,6 +120,70 @@ defmodule Evhlegalchat.Segmentation.Anchors do
     length(pages)
   end
 
+  @doc """
+  Finds cross-references between clauses.
+  
+  Takes clauses as maps with `:clause_id`, `:number_label_normalized` and
+  `:text`. Each reference is resolved to the clause with that number, or its
+  nearest existing ancestor ("4.2(b)" → "4.2" → "4"). Self-references and
+  references to unknown numbers are dropped; repeated references between the
+  same two clauses are reported once.
+  
+  Returns `[%{from: clause_id, to: clause_id, label: "Section 4.2", offset: 123}]`
+  where `offset` is the character (grapheme) offset of the reference within
+  the citing clause's text, the unit `start_char`/`end_char` use.
+  """
+  def cross_references(clauses) do
+    by_label =
+      for clause <- clauses, label = label_key(clause.number_label_normalized), label != nil, into: %{} do
+        {label, clause.clause_id}
+      end
+
+    clauses
+    |> Enum.flat_map(fn clause ->
+      @cross_reference
+      |> Regex.scan(clause.text || "", return: :index)
+      |> Enum.flat_map(fn [{start, length}, {ref_start, ref_length} | _] ->
+        ref = binary_part(clause.text, ref_start, ref_length)
+
+        case resolve_reference(reference_key(ref), by_label) do
+          nil -> []
+          to when to == clause.clause_id -> []
+          to -> [%{from: clause.clause_id, to: to, label: String.trim(binary_part(clause.text, start, length)), offset: grapheme_offset(clause.text, start)}]
+        end
+      end)
+    end)
+    |> Enum.uniq_by(&{&1.from, &1.to})
+  end
+
+  # Regex indexes are bytes; clause offsets elsewhere count graphemes
+  defp grapheme_offset(text, byte_offset), do: text |> binary_part(0, byte_offset) |> String.length()
+
+  # "4.2 (b)" -> "4.2.b", matching normalized number labels
+  defp reference_key(ref) do
+    ref
+    |> String.replace(~r/\s?\(([a-z0-9]+)\)/iu, ".\\1")
+    |> String.downcase()
+  end
+
+  defp label_key(nil), do: nil
+  defp label_key(label), do: label |> String.trim() |> String.trim_trailing(".") |> String.downcase()
+
+  defp resolve_reference("", _by_label), do: nil
+
+  defp resolve_reference(key, by_label) do
+    case Map.fetch(by_label, key) do
+      {:ok, clause_id} ->
+        clause_id
+
+      :error ->
+        case String.split(key, ".") do
+          [_single] -> nil
+          parts -> parts |> Enum.drop(-1) |> Enum.join(".") |> resolve_reference(by_label)
+        end
+    end
+  end
+
   # Private functions
 
   defp char_offset_to_page_recursive(char_offset, [], _cumulative_chars, current_page) do
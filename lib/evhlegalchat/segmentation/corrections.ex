@@ -0,0 +1,498 @@
+defmodule Evhlegalchat.Segmentation.Corrections do
+  @moduledoc """
+  Reviewer corrections to an agreement's clause boundaries, made in the
+  `SegmentationInspector` hook.
+
+  The inspector edits the live clauses of an agreement (moving a boundary,
+  merging or splitting clauses, fixing number labels and headings) and submits
+  the whole corrected list. `submit/3` stores it as a new segmentation run of
+  the same upload: the previous clauses are soft-deleted, the corrected ones
+  are inserted as human-verified, and evidence citing an old clause is
+  re-pointed to the corrected clause that overlaps it most. Evidence rows that
+  would then duplicate each other (the same party or fact cited by two merged
+  clauses) are folded into one.
+
+  Anomalies are recomputed with `Segmentation.Anomalies` for every list the
+  inspector sends, so reviewers see what a correction fixes before saving it.
+  Character offsets follow `Segmentation.run/3`: `end_char` is inclusive.
+  """
+
+  import Ecto.Query, warn: false
+  alias Ecto.Multi
+  alias Evhlegalchat.{Provenance, Repo}
+  alias Evhlegalchat.Segmentation.{Anomalies, Normalize}
+
+  # Anomalies about the document as a whole rather than one clause
+  @document_anomalies [:mixed_roman_decimal, :sparse_boundaries]
+
+  # Tables whose evidence_clause_id cites a clause
+  @evidence_tables ~w(extracted_facts nda_parties nda_carveouts nda_key_clauses nda_signatures review_flags)
+
+  # Unique indexes that include evidence_clause_id: {primary key, other key columns}
+  @evidence_keys %{
+    "extracted_facts" => {:fact_id, [:target_table, :target_pk_value, :target_column, :normalized_value, :raw_value]},
+    "nda_parties" => {:nda_party_id, [:agreement_id, :display_name]},
+    "nda_carveouts" => {:carveout_id, [:agreement_id, :text]},
+    "nda_signatures" => {:nda_signature_id, [:agreement_id, :signer_name, :signer_title, :signed_date]},
+    "review_flags" => {:id, [:agreement_id, :entity, :reason]}
+  }
+
+  # Tables referencing extracted_facts, re-pointed when a duplicate fact is folded
+  @fact_references ~w(review_tasks field_audit)
+
+  @max_number_label 50
+  @max_heading 511
+  @snippet_length 200
+
+  @doc """
+  Loads the inspector payload for an agreement: its text, page ranges, the run
+  its live clauses belong to, and the clauses annotated with their anomalies.
+
+  Returns `{:ok, %{agreement_id, title, text, pages, run_id, clauses, anomalies}}`
+  or `{:error, :not_found | :text_unavailable | :no_clauses}`.
+  """
+  @spec load(integer()) :: {:ok, map()} | {:error, atom()}
+  def load(agreement_id) when is_integer(agreement_id) do
+    with {:ok, document} <- Provenance.document(agreement_id),
+         [_ | _] = clauses <- live_clauses(Repo, agreement_id) do
+      {:ok,
+       document
+       |> Map.take([:agreement_id, :title, :text, :pages])
+       |> Map.put(:run_id, current_run_id(clauses))
+       |> Map.merge(annotate(clauses))}
+    else
+      [] -> {:error, :no_clauses}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  @doc """
+  Validates the clause list sent by the inspector against the text length.
+
+  Each entry has `"start_char"`, `"end_char"`, optional `"number_label"`,
+  `"heading_text"` and `"source_ids"` (the clauses it was derived from).
+  Clauses must be in document order and must not overlap.
+  """
+  @spec cast([map()], non_neg_integer()) :: {:ok, [map()]} | {:error, {:invalid, String.t()}}
+  def cast(params, text_length) when is_list(params) and params != [] do
+    params
+    |> Enum.with_index(1)
+    |> Enum.reduce_while({:ok, [], -1}, fn {param, index}, {:ok, acc, previous_end} ->
+      case cast_clause(param, text_length, previous_end) do
+        {:ok, clause} -> {:cont, {:ok, [clause | acc], clause.end_char}}
+        {:error, message} -> {:halt, {:error, {:invalid, "Clause #{index}: #{message}"}}}
+      end
+    end)
+    |> case do
+      {:ok, clauses, _end} -> {:ok, Enum.reverse(clauses)}
+      error -> error
+    end
+  end
+
+  def cast(_params, _text_length), do: {:error, {:invalid, "At least one clause is required"}}
+
+  @doc """
+  Turns cast clauses into full clause maps: ordinals, pages from the page
+  ranges, snippets, and style and confidence carried over from the original
+  clause starting at the same offset (corrected boundaries get full
+  confidence). Without page ranges, pages come from the clause's first source.
+  """
+  @spec build([map()], [map()], [map()], String.t() | nil) :: [map()]
+  def build(corrected, original, pages, text \\ nil) do
+    by_start = Map.new(original, &{&1.start_char, &1})
+    by_id = Map.new(original, &{&1.id, &1})
+
+    corrected
+    |> Enum.with_index(1)
+    |> Enum.map(fn {clause, ordinal} ->
+      source = Map.get(by_start, clause.start_char)
+      parent = source || Enum.find_value(clause.source_ids, &Map.get(by_id, &1))
+      unchanged? = source != nil and source.end_char == clause.end_char
+
+      %{
+        ordinal: ordinal,
+        number_label: clause.number_label,
+        number_label_normalized: clause.number_label && Normalize.normalize_number_label(clause.number_label),
+        heading_text: clause.heading_text,
+        start_char: clause.start_char,
+        end_char: clause.end_char,
+        start_page: page_at(pages, clause.start_char, parent && parent.start_page),
+        end_page: page_at(pages, clause.end_char, parent && parent.end_page),
+        detected_style: (source && source.detected_style) || detected_style(clause),
+        confidence_boundary: if(unchanged?, do: source.confidence_boundary, else: 1.0),
+        confidence_heading: if(clause.heading_text, do: 1.0, else: 0.0),
+        text_snippet: snippet(text, clause, source)
+      }
+    end)
+  end
+
+  @doc """
+  Runs anomaly detection over clause maps and attaches each anomaly to the
+  clause it points at. Document-level anomalies are returned separately.
+  """
+  @spec annotate([map()]) :: %{clauses: [map()], anomalies: [map()]}
+  def annotate(clauses) do
+    {document, by_clause} =
+      clauses
+      |> Anomalies.detect_anomalies()
+      |> Enum.split_with(&(&1.type in @document_anomalies))
+
+    by_start = Enum.group_by(by_clause, & &1.at, &anomaly_json/1)
+
+    %{
+      clauses: Enum.map(clauses, &Map.put(clause_json(&1), :anomalies, Map.get(by_start, &1.start_char, []))),
+      anomalies: Enum.map(document, &anomaly_json/1)
+    }
+  end
+
+  @doc """
+  Anomalies for an edited clause list, before it is submitted.
+  """
+  @spec preview(map(), [map()]) :: {:ok, map()} | {:error, {:invalid, String.t()}}
+  def preview(%{text_length: text_length, pages: pages, original: original}, params) do
+    with {:ok, corrected} <- cast(params, text_length) do
+      {:ok, corrected |> build(original, pages) |> annotate()}
+    end
+  end
+
+  @doc """
+  Maps every old clause id to the id of the new clause overlapping it most
+  (or, without any overlap, the nearest one).
+  """
+  @spec remap([map()], [map()]) :: %{integer() => integer()}
+  def remap(old_clauses, new_clauses) do
+    Map.new(old_clauses, fn old ->
+      best =
+        Enum.max_by(new_clauses, fn new ->
+          overlap = min(old.end_char, new.end_char) - max(old.start_char, new.start_char) + 1
+          if overlap > 0, do: overlap, else: overlap - 1_000_000_000
+        end)
+
+      {old.id, best.id}
+    end)
+  end
+
+  @doc """
+  Finds the evidence rows that would collide once every row is re-pointed at
+  `new_id`. Takes `{primary_key, unique_key, evidence_clause_id}` tuples; a nil
+  `unique_key` never collides, like NULLs in a unique index. Of each group of
+  duplicates the row already citing `new_id`, else the lowest primary key, is
+  kept.
+
+  Returns `[{duplicate_primary_key, kept_primary_key}]`.
+  """
+  @spec colliding_evidence([{term(), term(), integer()}], integer()) :: [{term(), term()}]
+  def colliding_evidence(rows, new_id) do
+    rows
+    |> Enum.reject(fn {_pk, key, _clause_id} -> is_nil(key) end)
+    |> Enum.group_by(fn {_pk, key, _clause_id} -> key end)
+    |> Enum.flat_map(fn {_key, group} ->
+      [{kept, _, _} | duplicates] = Enum.sort_by(group, fn {pk, _key, clause_id} -> {clause_id != new_id, pk} end)
+      Enum.map(duplicates, fn {pk, _key, _clause_id} -> {pk, kept} end)
+    end)
+  end
+
+  @doc """
+  Stores a corrected clause list as a new segmentation run.
+
+  `base_run_id` is the run the inspector loaded; if another correction was
+  saved in the meantime this returns `{:error, :stale}`.
+  """
+  @spec submit(integer(), integer(), [map()]) :: {:ok, map()} | {:error, term()}
+  def submit(agreement_id, base_run_id, params) do
+    with {:ok, document} <- Provenance.document(agreement_id),
+         {:ok, corrected} <- cast(params, String.length(document.text)) do
+      now = DateTime.utc_now()
+
+      Multi.new()
+      |> Multi.run(:original, fn repo, _ ->
+        case live_clauses(repo, agreement_id, lock: true) do
+          [] -> {:error, :no_clauses}
+          clauses -> if current_run_id(clauses) == base_run_id, do: {:ok, clauses}, else: {:error, :stale}
+        end
+      end)
+      |> Multi.run(:run, fn repo, %{original: original} ->
+        insert_run(repo, base_run_id, original, length(corrected), now)
+      end)
+      |> Multi.run(:retired, fn repo, %{original: original} ->
+        ids = Enum.map(original, & &1.id)
+
+        {count, _} =
+          from(c in "clauses", where: c.id in ^ids)
+          |> repo.update_all(set: [deleted_at: now, updated_at: now])
+
+        {:ok, count}
+      end)
+      |> Multi.run(:clauses, fn repo, %{original: original, run: run} ->
+        clauses = build(corrected, original, document.pages, document.text)
+        %{clauses: annotated} = annotate(clauses)
+
+        rows =
+          clauses
+          |> Enum.zip(annotated)
+          |> Enum.map(fn {clause, %{anomalies: anomalies}} ->
+            Map.merge(clause, %{
+              segmentation_run_id: run.id,
+              staging_upload_id: run.staging_upload_id,
+              agreement_id: agreement_id,
+              anomaly_flags: %{"types" => Enum.map(anomalies, & &1.type)},
+              needs_review: Enum.any?(anomalies, &(&1.severity == :high)),
+              human_verified: true,
+              suppressed: false,
+              inserted_at: now,
+              updated_at: now
+            })
+          end)
+
+        {_count, inserted} = repo.insert_all("clauses", rows, returning: [:id, :start_char, :end_char])
+        {:ok, inserted}
+      end)
+      |> Multi.run(:evidence, fn repo, %{original: original, clauses: inserted} ->
+        {:ok, repoint_evidence(repo, remap(original, inserted))}
+      end)
+      |> Multi.insert_all(:event, "segmentation_events", fn %{run: run, retired: retired, clauses: inserted} ->
+        [
+          %{
+            segmentation_run_id: run.id,
+            event_type: "boundaries_corrected",
+            event_level: "info",
+            detail: %{corrected_from_run_id: base_run_id, retired_count: retired, clause_count: length(inserted)},
+            created_at: now
+          }
+        ]
+      end)
+      |> Repo.transaction()
+      |> case do
+        {:ok, %{run: run, clauses: inserted, evidence: repointed}} ->
+          {:ok, %{run_id: run.id, clause_count: length(inserted), repointed: repointed}}
+
+        {:error, _step, reason, _changes} ->
+          {:error, reason}
+      end
+    end
+  end
+
+  defp live_clauses(repo, agreement_id, opts \\ []) do
+    query =
+      from(c in "clauses",
+        where: c.agreement_id == ^agreement_id and is_nil(c.deleted_at) and not c.suppressed,
+        order_by: c.start_char,
+        select: %{
+          id: c.id,
+          segmentation_run_id: c.segmentation_run_id,
+          ordinal: c.ordinal,
+          number_label: c.number_label,
+          heading_text: c.heading_text,
+          start_char: c.start_char,
+          end_char: c.end_char,
+          start_page: c.start_page,
+          end_page: c.end_page,
+          detected_style: c.detected_style,
+          confidence_boundary: c.confidence_boundary,
+          human_verified: c.human_verified,
+          text_snippet: c.text_snippet
+        }
+      )
+
+    query = if opts[:lock], do: lock(query, "FOR UPDATE"), else: query
+    repo.all(query)
+  end
+
+  # The newest run wins when clauses of several runs are live
+  defp current_run_id(clauses), do: clauses |> Enum.map(& &1.segmentation_run_id) |> Enum.max()
+
+  defp insert_run(repo, base_run_id, original, clause_count, now) do
+    base =
+      from(r in "segmentation_runs",
+        where: r.id == ^base_run_id,
+        select: %{
+          staging_upload_id: r.staging_upload_id,
+          major: r.segmentation_major,
+          minor: r.segmentation_minor,
+          text_concat_key: r.text_concat_key,
+          pages_jsonl_key: r.pages_jsonl_key
+        }
+      )
+      |> repo.one()
+
+    if base do
+      # Corrections are patch releases of the run they correct
+      patch =
+        from(r in "segmentation_runs",
+          where: r.staging_upload_id == ^base.staging_upload_id and r.segmentation_major == ^base.major and r.segmentation_minor == ^base.minor,
+          select: max(r.segmentation_patch)
+        )
+        |> repo.one()
+
+      row = %{
+        staging_upload_id: base.staging_upload_id,
+        segmentation_major: base.major,
+        segmentation_minor: base.minor,
+        segmentation_patch: (patch || 0) + 1,
+        status: "completed",
+        text_concat_key: base.text_concat_key,
+        pages_jsonl_key: base.pages_jsonl_key,
+        metrics: %{
+          "corrected_from_run_id" => base_run_id,
+          "original_clause_count" => length(original)
+        },
+        accepted_count: clause_count,
+        suppressed_count: 0,
+        mean_conf_boundary: 1.0,
+        inserted_at: now,
+        updated_at: now
+      }
+
+      {1, [run]} = repo.insert_all("segmentation_runs", [row], returning: [:id, :staging_upload_id])
+      {:ok, run}
+    else
+      {:error, :not_found}
+    end
+  end
+
+  defp repoint_evidence(repo, mapping) do
+    mapping
+    |> Enum.reject(fn {old, new} -> old == new end)
+    |> Enum.group_by(fn {_old, new} -> new end, fn {old, _new} -> old end)
+    |> Enum.reduce(0, fn {new_id, old_ids}, total ->
+      Enum.reduce(@evidence_tables, total, fn table, acc ->
+        fold_duplicates(repo, table, new_id, old_ids)
+
+        {count, _} =
+          from(t in table, where: t.evidence_clause_id in ^old_ids)
+          |> repo.update_all(set: [evidence_clause_id: new_id])
+
+        acc + count
+      end)
+    end)
+  end
+
+  defp fold_duplicates(repo, table, new_id, old_ids) do
+    case Map.fetch(@evidence_keys, table) do
+      {:ok, {pk, columns}} ->
+        duplicates =
+          from(t in table, where: t.evidence_clause_id in ^[new_id | old_ids], select: map(t, ^[pk, :evidence_clause_id | columns]))
+          |> repo.all()
+          |> Enum.map(&{Map.fetch!(&1, pk), evidence_key(table, &1, columns), &1.evidence_clause_id})
+          |> colliding_evidence(new_id)
+
+        if table == "extracted_facts", do: repoint_facts(repo, duplicates)
+
+        from(t in table, where: field(t, ^pk) in ^Enum.map(duplicates, &elem(&1, 0)))
+        |> repo.delete_all()
+
+      :error ->
+        :ok
+    end
+  end
+
+  # idx_facts_dedupe indexes coalesce(normalized_value, raw_value)
+  defp evidence_key("extracted_facts", row, _columns) do
+    key = [row.target_table, row.target_pk_value, row.target_column, row.normalized_value || row.raw_value]
+    if Enum.any?(key, &is_nil/1), do: nil, else: key
+  end
+
+  defp evidence_key(_table, row, columns) do
+    key = Enum.map(columns, &Map.fetch!(row, &1))
+    if Enum.any?(key, &is_nil/1), do: nil, else: key
+  end
+
+  defp repoint_facts(repo, duplicates) do
+    duplicates
+    |> Enum.group_by(fn {_duplicate, kept} -> kept end, fn {duplicate, _kept} -> duplicate end)
+    |> Enum.each(fn {kept, fact_ids} ->
+      Enum.each(@fact_references, fn table ->
+        from(t in table, where: t.fact_id in ^fact_ids)
+        |> repo.update_all(set: [fact_id: kept])
+      end)
+    end)
+  end
+
+  defp cast_clause(%{"start_char" => start_char, "end_char" => end_char} = param, text_length, previous_end)
+       when is_integer(start_char) and is_integer(end_char) do
+    number_label = blank_to_nil(param["number_label"])
+    heading_text = blank_to_nil(param["heading_text"])
+
+    cond do
+      start_char < 0 or end_char >= text_length -> {:error, "lies outside the document"}
+      end_char < start_char -> {:error, "ends before it starts"}
+      start_char <= previous_end -> {:error, "overlaps the previous clause"}
+      number_label && String.length(number_label) > @max_number_label -> {:error, "number label is too long"}
+      heading_text && String.length(heading_text) > @max_heading -> {:error, "heading is too long"}
+      true ->
+        {:ok,
+         %{
+           start_char: start_char,
+           end_char: end_char,
+           number_label: number_label,
+           heading_text: heading_text,
+           source_ids: Enum.filter(List.wrap(param["source_ids"]), &is_integer/1)
+         }}
+    end
+  end
+
+  defp cast_clause(_param, _text_length, _previous_end), do: {:error, "start_char and end_char must be integers"}
+
+  defp blank_to_nil(value) when is_binary(value) do
+    case String.trim(value) do
+      "" -> nil
+      trimmed -> trimmed
+    end
+  end
+
+  defp blank_to_nil(_value), do: nil
+
+  # Page ranges come from Provenance.page_ranges/1 (exclusive ends)
+  defp page_at([], _offset, fallback), do: fallback || 1
+
+  defp page_at(pages, offset, _fallback) do
+    case Enum.find(pages, &(offset >= &1.start and offset < &1.end)) do
+      nil -> List.last(pages).page
+      range -> range.page
+    end
+  end
+
+  defp detected_style(%{number_label: label}) when is_binary(label) do
+    cond do
+      Regex.match?(~r/^\d+(\.\d+)*\.?$/, label) -> "numbered_decimal"
+      Regex.match?(~r/^[IVXLCM]+\.?$/i, label) -> "numbered_roman"
+      Regex.match?(~r/^\(?[a-z]\)?\.?$/i, label) -> "numbered_alpha"
+      true -> "unheaded_block"
+    end
+  end
+
+  defp detected_style(%{heading_text: heading}) when is_binary(heading) do
+    if String.upcase(heading) == heading, do: "all_caps_heading", else: "title_case_heading"
+  end
+
+  defp detected_style(_clause), do: "unheaded_block"
+
+  defp snippet(nil, clause, source) do
+    if source && source.start_char == clause.start_char, do: source.text_snippet, else: ""
+  end
+
+  defp snippet(text, clause, _source) do
+    text
+    |> String.slice(clause.start_char, min(@snippet_length, clause.end_char - clause.start_char + 1))
+    |> String.replace("\n", " ")
+    |> String.trim()
+  end
+
+  defp clause_json(clause) do
+    Map.take(clause, [
+      :id,
+      :ordinal,
+      :number_label,
+      :heading_text,
+      :start_char,
+      :end_char,
+      :start_page,
+      :end_page,
+      :detected_style,
+      :confidence_boundary,
+      :human_verified
+    ])
+  end
+
+  defp anomaly_json(anomaly), do: %{type: anomaly.type, severity: anomaly.severity, description: anomaly.description}
+end
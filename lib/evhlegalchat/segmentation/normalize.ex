@@ -42,9 +42,7 @@ defmodule Evhlegalchat.Segmentation.Normalize do
     case parse_number_label(number_label) do
       {:decimal, parts} ->
         # Convert decimal parts to numeric value
-        parts
-        |> Enum.map(&String.to_integer/1)
-        |> decimal_to_numeric()
+        decimal_to_numeric(parts)
       
       {:roman, roman_str} ->
         # Convert roman numeral to numeric value
@@ -0,0 +1,288 @@
+defmodule Evhlegalchat.SOW.RateComparison do
+  @moduledoc """
+  Compares SOW rate cards and pricing schedules across agreements.
+
+  Amounts are normalized into a base currency with the configured table of
+  exchange rates (units of base currency per unit of foreign currency):
+
+      config :evhlegalchat, Evhlegalchat.SOW.RateComparison,
+        base_currency: "USD",
+        exchange_rates: %{"USD" => 1.0, "EUR" => 1.08},
+        outlier_threshold: 0.25
+
+  A rate is an outlier when it deviates by more than `outlier_threshold` from
+  the median of the rates for its role that were in force during its own
+  effective period; at least three such rates are needed before anything is
+  flagged. The median reported per role covers the rates in force on `today`.
+  Currencies missing from the table are kept but left unnormalized.
+
+  CSV cells starting with `=`, `+`, `-`, `@`, a tab or a carriage return are
+  prefixed with `'` so spreadsheets do not evaluate them as formulas.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.Repo
+
+  @min_rates_for_outliers 3
+  @csv_headers ~w(agreement_id agreement_title role hourly_rate currency normalized_rate base_currency effective_start effective_end role_median deviation_pct outlier)
+
+  @doc """
+  Loads every rate card and pricing schedule. Options: `:role` keeps only rate
+  cards of one role (matched like `role_key/1`), `:today` (for open-ended
+  periods), plus any configuration key to override it.
+  """
+  @spec load(keyword()) :: map()
+  def load(opts \\ []) do
+    config = config(opts)
+
+    # Schemaless: RateCard and PricingSchedule do not define their agreement_id field
+    rate_cards =
+      from(r in "sow_rate_cards",
+        join: a in "agreements",
+        on: a.agreement_id == r.agreement_id,
+        order_by: [asc: r.agreement_id, asc: r.effective_start, asc: r.rate_card_id],
+        select: %{
+          rate_card_id: r.rate_card_id,
+          agreement_id: r.agreement_id,
+          agreement_title: a.agreement_title,
+          role: r.role,
+          hourly_rate: r.hourly_rate,
+          currency: r.currency,
+          effective_start: r.effective_start,
+          effective_end: r.effective_end
+        }
+      )
+      |> Repo.all()
+
+    pricing =
+      from(p in "sow_pricing_schedules",
+        join: a in "agreements",
+        on: a.agreement_id == p.agreement_id,
+        order_by: [asc: p.agreement_id, asc: p.pricing_id],
+        select: %{
+          pricing_id: p.pricing_id,
+          agreement_id: p.agreement_id,
+          agreement_title: a.agreement_title,
+          pricing_model: p.pricing_model,
+          currency: p.currency,
+          fixed_total: p.fixed_total,
+          not_to_exceed_total: p.not_to_exceed_total,
+          usage_unit: p.usage_unit,
+          usage_rate: p.usage_rate
+        }
+      )
+      |> Repo.all()
+
+    comparison = build(rate_cards, pricing, config)
+
+    case Keyword.get(opts, :role) do
+      role when is_binary(role) and role != "" -> only_role(comparison, role_key(role))
+      _ -> comparison
+    end
+  end
+
+  @doc """
+  Pure comparison builder over rate card and pricing schedule maps.
+  """
+  @spec build([map()], [map()], keyword()) :: map()
+  def build(rate_cards, pricing, config) do
+    base = Keyword.fetch!(config, :base_currency)
+    fx = Keyword.fetch!(config, :exchange_rates)
+    threshold = Keyword.fetch!(config, :outlier_threshold)
+    today = Keyword.get_lazy(config, :today, &Date.utc_today/0)
+
+    rates =
+      Enum.map(rate_cards, fn card ->
+        currency = currency(card.currency, base)
+
+        %{
+          id: card.rate_card_id,
+          agreement_id: card.agreement_id,
+          agreement_title: card.agreement_title,
+          role: card.role,
+          role_key: role_key(card.role),
+          hourly_rate: decimal_string(card.hourly_rate),
+          currency: currency,
+          normalized_rate: normalize(card.hourly_rate, currency, fx),
+          effective_start: card.effective_start,
+          effective_end: card.effective_end
+        }
+      end)
+
+    by_role =
+      rates
+      |> Enum.reject(&is_nil(&1.normalized_rate))
+      |> Enum.group_by(& &1.role_key)
+
+    rates =
+      Enum.map(rates, fn rate ->
+        peers = by_role |> Map.get(rate.role_key, []) |> Enum.filter(&overlaps?(&1, rate)) |> Enum.map(& &1.normalized_rate)
+        flag(rate, {median(peers), length(peers)}, threshold)
+      end)
+
+    roles =
+      rates
+      |> Enum.uniq_by(& &1.role_key)
+      |> Enum.map(fn rate ->
+        normalized = Map.get(by_role, rate.role_key, [])
+        in_force = normalized |> Enum.filter(&overlaps?(&1, %{effective_start: today, effective_end: today})) |> Enum.map(& &1.normalized_rate)
+        %{key: rate.role_key, role: rate.role, median: median(in_force), count: length(normalized)}
+      end)
+      |> Enum.sort_by(&{-&1.count, &1.key})
+
+    %{
+      base_currency: base,
+      exchange_rates: fx |> Enum.sort() |> Enum.map(fn {currency, rate} -> %{currency: currency, rate: rate} end),
+      outlier_threshold: threshold,
+      today: today,
+      roles: roles,
+      rates: rates,
+      pricing: Enum.map(pricing, &pricing_row(&1, base, fx)),
+      unconverted_currencies:
+        rates |> Enum.filter(&is_nil(&1.normalized_rate)) |> Enum.map(& &1.currency) |> Enum.uniq() |> Enum.sort()
+    }
+  end
+
+  @doc """
+  Renders the rate comparison as CSV, one line per rate card.
+  """
+  @spec to_csv(map()) :: String.t()
+  def to_csv(%{rates: rates, base_currency: base}) do
+    lines =
+      Enum.map(rates, fn rate ->
+        [
+          rate.agreement_id,
+          rate.agreement_title,
+          rate.role,
+          rate.hourly_rate,
+          rate.currency,
+          rate.normalized_rate,
+          base,
+          rate.effective_start,
+          rate.effective_end,
+          rate.median,
+          rate.deviation && Float.round(rate.deviation * 100, 1),
+          rate.outlier
+        ]
+      end)
+
+    [@csv_headers | lines]
+    |> Enum.map_join(&(Enum.map_join(&1, ",", fn value -> csv_field(value) end) <> "\r\n"))
+  end
+
+  @doc """
+  Grouping key for roles: trimmed, lowercased, inner whitespace collapsed.
+  """
+  @spec role_key(String.t() | nil) :: String.t()
+  def role_key(nil), do: ""
+  def role_key(role), do: role |> String.trim() |> String.downcase() |> String.replace(~r/\s+/, " ")
+
+  @doc false
+  def median([]), do: nil
+
+  def median(values) do
+    sorted = Enum.sort(values)
+    count = length(sorted)
+    middle = div(count, 2)
+
+    if rem(count, 2) == 1 do
+      Enum.at(sorted, middle)
+    else
+      Float.round((Enum.at(sorted, middle - 1) + Enum.at(sorted, middle)) / 2, 2)
+    end
+  end
+
+  defp flag(%{normalized_rate: value} = rate, {median, count}, threshold) when is_number(value) and is_number(median) and median > 0 do
+    deviation = (value - median) / median
+
+    outlier =
+      cond do
+        count < @min_rates_for_outliers -> nil
+        deviation > threshold -> "high"
+        deviation < -threshold -> "low"
+        true -> nil
+      end
+
+    Map.merge(rate, %{median: median, deviation: Float.round(deviation, 4), outlier: outlier})
+  end
+
+  defp flag(rate, {median, _count}, _threshold), do: Map.merge(rate, %{median: median, deviation: nil, outlier: nil})
+
+  # Open-ended periods (nil start or end) extend indefinitely in that direction
+  defp overlaps?(a, b), do: on_or_before?(a.effective_start, b.effective_end) and on_or_before?(b.effective_start, a.effective_end)
+
+  defp on_or_before?(nil, _date), do: true
+  defp on_or_before?(_date, nil), do: true
+  defp on_or_before?(date, other), do: Date.compare(date, other) != :gt
+
+  defp only_role(comparison, key) do
+    %{comparison | rates: Enum.filter(comparison.rates, &(&1.role_key == key)), roles: Enum.filter(comparison.roles, &(&1.key == key))}
+  end
+
+  defp pricing_row(schedule, base, fx) do
+    currency = currency(schedule.currency, base)
+
+    %{
+      id: schedule.pricing_id,
+      agreement_id: schedule.agreement_id,
+      agreement_title: schedule.agreement_title,
+      pricing_model: schedule.pricing_model && to_string(schedule.pricing_model),
+      currency: currency,
+      fixed_total: decimal_string(schedule.fixed_total),
+      not_to_exceed_total: decimal_string(schedule.not_to_exceed_total),
+      usage_unit: schedule.usage_unit,
+      usage_rate: decimal_string(schedule.usage_rate),
+      normalized_fixed_total: normalize(schedule.fixed_total, currency, fx),
+      normalized_not_to_exceed_total: normalize(schedule.not_to_exceed_total, currency, fx),
+      normalized_usage_rate: normalize(schedule.usage_rate, currency, fx)
+    }
+  end
+
+  defp currency(nil, base), do: base
+  defp currency(currency, _base), do: currency |> String.trim() |> String.upcase()
+
+  defp normalize(nil, _currency, _fx), do: nil
+
+  defp normalize(amount, currency, fx) do
+    case Map.get(fx, currency) do
+      nil -> nil
+      rate -> amount |> to_decimal() |> Decimal.mult(to_decimal(rate)) |> Decimal.round(2) |> Decimal.to_float()
+    end
+  end
+
+  defp to_decimal(%Decimal{} = value), do: value
+  defp to_decimal(value) when is_integer(value), do: Decimal.new(value)
+  defp to_decimal(value) when is_float(value), do: Decimal.from_float(value)
+  defp to_decimal(value) when is_binary(value), do: Decimal.new(value)
+
+  defp decimal_string(nil), do: nil
+  defp decimal_string(value), do: value |> to_decimal() |> Decimal.to_string(:normal)
+
+  defp csv_field(nil), do: ""
+
+  defp csv_field(value) do
+    value = value |> to_string() |> neutralize_formula()
+
+    if String.contains?(value, [",", "\"", "\r", "\n"]) do
+      "\"" <> String.replace(value, "\"", "\"\"") <> "\""
+    else
+      value
+    end
+  end
+
+  # Plain numbers such as "-12.5" stay numbers; anything else that a
+  # spreadsheet would read as a formula gets a leading quote
+  defp neutralize_formula(<<first, _rest::binary>> = value) when first in [?=, ?+, ?-, ?@, ?\t, ?\r] do
+    if Regex.match?(~r/\A-?\d+(\.\d+)?\z/, value), do: value, else: "'" <> value
+  end
+
+  defp neutralize_formula(value), do: value
+
+  defp config(opts) do
+    defaults = [base_currency: "USD", exchange_rates: %{"USD" => 1.0}, outlier_threshold: 0.25]
+
+    defaults
+    |> Keyword.merge(Application.get_env(:evhlegalchat, __MODULE__, []))
+    |> Keyword.merge(Keyword.take(opts, [:base_currency, :exchange_rates, :outlier_threshold, :today]))
+  end
+end
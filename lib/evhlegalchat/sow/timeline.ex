@@ -0,0 +1,126 @@
+defmodule Evhlegalchat.SOW.Timeline do
+  @moduledoc """
+  SOW milestones laid out for the `MilestoneGantt` React component.
+
+  Each dated milestone becomes a bar from the target date of the milestone it
+  depends on (or the SOW's effective date) to its own target date. Milestones
+  have no completion flag, so a milestone is overdue once its target date has
+  passed while the SOW is still draft or executed. The critical path of a SOW
+  is the `depends_on` chain ending in its latest milestone.
+  """
+
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{Agreement, Repo}
+
+  @open_statuses [:draft, :executed]
+
+  @doc """
+  Loads every SOW and its milestones. Options: `:today` (defaults to
+  `Date.utc_today/0`).
+  """
+  @spec load(keyword()) :: map()
+  def load(opts \\ []) do
+    agreements = Repo.all(from(a in Agreement, where: a.doc_type == :SOW, order_by: [asc: a.id]))
+    ids = Enum.map(agreements, & &1.id)
+
+    # Schemaless: SOW.Milestone does not define its agreement_id field
+    milestones =
+      from(m in "sow_milestones",
+        where: m.agreement_id in ^ids,
+        select: %{
+          milestone_id: m.milestone_id,
+          agreement_id: m.agreement_id,
+          title: m.title,
+          target_date: m.target_date,
+          depends_on: m.depends_on
+        }
+      )
+      |> Repo.all()
+
+    build(agreements, milestones, Keyword.get_lazy(opts, :today, &Date.utc_today/0))
+  end
+
+  @doc """
+  Pure timeline builder.
+
+  Returns `%{today, agreements: [%{id, title, status}], milestones: [...],
+  undated_count}` where milestones are sorted by SOW and target date.
+  """
+  @spec build([map()], [map()], Date.t()) :: map()
+  def build(agreements, milestones, today) do
+    agreements_by_id = Map.new(agreements, &{&1.id, &1})
+
+    {dated, undated} =
+      milestones
+      |> Enum.filter(&Map.has_key?(agreements_by_id, &1.agreement_id))
+      |> Enum.split_with(&match?(%Date{}, &1.target_date))
+
+    by_id = Map.new(dated, &{&1.milestone_id, &1})
+    critical = critical_ids(dated, by_id)
+
+    items =
+      dated
+      |> Enum.sort_by(&{&1.agreement_id, Date.to_gregorian_days(&1.target_date), &1.milestone_id})
+      |> Enum.map(fn m ->
+        agreement = Map.fetch!(agreements_by_id, m.agreement_id)
+
+        %{
+          id: m.milestone_id,
+          agreement_id: m.agreement_id,
+          title: m.title,
+          start_date: start_date(m, by_id, agreement),
+          target_date: m.target_date,
+          depends_on: if(Map.has_key?(by_id, m.depends_on), do: m.depends_on),
+          overdue: Date.compare(m.target_date, today) == :lt and agreement.status in @open_statuses,
+          critical: MapSet.member?(critical, m.milestone_id)
+        }
+      end)
+
+    %{
+      today: today,
+      agreements: Enum.map(agreements, &%{id: &1.id, title: &1.agreement_title, status: &1.status && to_string(&1.status)}),
+      milestones: items,
+      undated_count: length(undated)
+    }
+  end
+
+  # Bars start where their dependency ends; without one, at the SOW's effective date
+  defp start_date(milestone, by_id, agreement) do
+    start =
+      case Map.get(by_id, milestone.depends_on) do
+        %{target_date: %Date{} = date} -> date
+        _ -> agreement.effective_date
+      end
+
+    if start && Date.compare(start, milestone.target_date) != :gt, do: start, else: milestone.target_date
+  end
+
+  defp critical_ids(milestones, by_id) do
+    milestones
+    |> Enum.group_by(& &1.agreement_id)
+    |> Enum.flat_map(fn {_agreement_id, group} ->
+      group
+      |> Enum.map(&chain(&1, by_id))
+      # Latest end date wins; among equal ends the longer chain
+      |> Enum.max_by(fn [last | _] = chain -> {Date.to_gregorian_days(last.target_date), length(chain)} end)
+      |> Enum.map(& &1.milestone_id)
+    end)
+    |> MapSet.new()
+  end
+
+  # The milestone followed by its dependencies, stopping at cycles or other SOWs
+  defp chain(milestone, by_id), do: chain(milestone, by_id, MapSet.new(), [])
+
+  defp chain(milestone, by_id, seen, acc) do
+    acc = acc ++ [milestone]
+    seen = MapSet.put(seen, milestone.milestone_id)
+
+    case Map.get(by_id, milestone.depends_on) do
+      %{agreement_id: agreement_id} = dep when agreement_id == milestone.agreement_id ->
+        if MapSet.member?(seen, dep.milestone_id), do: acc, else: chain(dep, by_id, seen, acc)
+
+      _ ->
+        acc
+    end
+  end
+end
@@ -49,8 +49,10 @@ defmodule EvhlegalchatWeb do
 
   def live_view do
     quote do
-      use Phoenix.LiveView,
-        layout: {EvhlegalchatWeb.Layouts, :app}
+      # Pages render their own <Layouts.app> (see EvhlegalchatWeb.Layouts)
+      use Phoenix.LiveView
+
+      on_mount EvhlegalchatWeb.CommandPalette
 
       use Gettext, backend: EvhlegalchatWeb.Gettext
 
@@ -0,0 +1,56 @@
+defmodule EvhlegalchatWeb.CommandPalette do
+  @moduledoc """
+  Server side of the Cmd/Ctrl+K command palette.
+
+  Every LiveView mounts this via `on_mount` (see `EvhlegalchatWeb.live_view/0`),
+  which attaches handlers for the `CommandPalette` hook's events:
+
+    * `"palette:search"` `%{"query" => q}` replies `%{results: [...]}`
+    * `"palette:run"` `%{"action" => a, "args" => map}` reports the outcome as a `"show_toast"` event
+    * `"palette:navigate"` `%{"path" => path}` live-navigates to an app path
+
+  `EvhlegalchatWeb.Layouts.app/1` renders `command_palette/1`, the hook
+  element, next to the toast stack that shows the outcome of `"palette:run"`.
+  """
+
+  use Phoenix.Component
+  import Phoenix.LiveView
+  alias Evhlegalchat.CommandPalette
+
+  def on_mount(:default, _params, _session, socket) do
+    {:cont, attach_hook(socket, :command_palette, :handle_event, &handle_event/3)}
+  end
+
+  defp handle_event("palette:search", %{"query" => query}, socket) do
+    {:halt, %{results: CommandPalette.search(query)}, socket}
+  end
+
+  defp handle_event("palette:run", %{"action" => action} = params, socket) do
+    toast =
+      case CommandPalette.run(action, Map.get(params, "args", %{})) do
+        {:ok, message} -> %{type: "success", message: message}
+        {:error, message} -> %{type: "error", message: message}
+      end
+
+    {:halt, push_event(socket, "show_toast", toast)}
+  end
+
+  # Only paths inside the app; a result never carries a host
+  defp handle_event("palette:navigate", %{"path" => "/" <> _ = path}, socket) do
+    case URI.parse(path) do
+      %URI{scheme: nil, host: nil} -> {:halt, push_navigate(socket, to: path)}
+      _ -> {:halt, socket}
+    end
+  end
+
+  defp handle_event(_event, _params, socket), do: {:cont, socket}
+
+  @doc """
+  The palette dialog, hidden until opened with Cmd/Ctrl+K.
+  """
+  def command_palette(assigns) do
+    ~H"""
+    <div id="command-palette" phx-hook="CommandPalette" phx-update="ignore" class="hidden"></div>
+    """
+  end
+end
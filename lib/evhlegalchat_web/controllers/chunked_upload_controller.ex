@@ -0,0 +1,85 @@
+defmodule EvhlegalchatWeb.ChunkedUploadController do
+  @moduledoc """
+  HTTP endpoints behind the browser's resumable uploader.
+
+  Chunks travel over plain HTTP rather than the LiveView socket, so a socket
+  reconnect or a fallback to long-polling does not interrupt an upload.
+  """
+  use EvhlegalchatWeb, :controller
+
+  alias Evhlegalchat.Ingest.ChunkedUpload
+
+  def create(conn, %{"hash" => hash, "filename" => filename, "size" => size}) when is_integer(size) do
+    case ChunkedUpload.start(String.downcase(hash), filename, size) do
+      {:ok, progress} -> json(conn, progress)
+      {:error, reason} -> error(conn, reason)
+    end
+  end
+
+  def create(conn, _params), do: error(conn, :invalid_params)
+
+  def show(conn, %{"id" => hash}) do
+    case ChunkedUpload.status(hash) do
+      {:ok, progress} -> json(conn, progress)
+      {:error, reason} -> error(conn, reason)
+    end
+  end
+
+  # The chunk is the raw request body; its position comes from the upload-offset header.
+  def update(conn, %{"id" => hash}) do
+    with {:ok, offset} <- offset_header(conn),
+         {:ok, data, conn} <- read_chunk(conn) do
+      case ChunkedUpload.append(hash, offset, data) do
+        {:ok, progress} -> json(conn, progress)
+        {:error, {:offset_mismatch, current}} -> conn |> put_status(:conflict) |> json(%{status: "error", reason: "offset_mismatch", offset: current})
+        {:error, reason} -> error(conn, reason)
+      end
+    else
+      {:error, reason} -> error(conn, reason)
+    end
+  end
+
+  def complete(conn, %{"id" => hash}) do
+    case ChunkedUpload.complete(hash) do
+      {:ok, staging_upload} ->
+        json(conn, %{status: "ok", staging_upload_id: staging_upload.staging_upload_id, hash: staging_upload.source_hash})
+
+      {:error, {:incomplete, received}} ->
+        conn |> put_status(:conflict) |> json(%{status: "error", reason: "incomplete", offset: received})
+
+      {:error, reason} ->
+        error(conn, reason)
+    end
+  end
+
+  defp offset_header(conn) do
+    with [value] <- get_req_header(conn, "upload-offset"),
+         {offset, ""} when offset >= 0 <- Integer.parse(value) do
+      {:ok, offset}
+    else
+      _ -> {:error, :invalid_offset}
+    end
+  end
+
+  defp read_chunk(conn) do
+    case read_body(conn, length: ChunkedUpload.max_chunk_size()) do
+      {:ok, data, conn} -> {:ok, data, conn}
+      {:more, _partial, _conn} -> {:error, :chunk_too_large}
+      {:error, reason} -> {:error, reason}
+    end
+  end
+
+  defp error(conn, reason) do
+    conn
+    |> put_status(status_for(reason))
+    |> json(%{status: "error", reason: reason_text(reason)})
+  end
+
+  defp status_for(:not_found), do: :not_found
+  defp status_for(:file_too_large), do: :request_entity_too_large
+  defp status_for(:chunk_too_large), do: :request_entity_too_large
+  defp status_for(_), do: :unprocessable_entity
+
+  defp reason_text(reason) when is_atom(reason), do: Atom.to_string(reason)
+  defp reason_text(reason), do: inspect(reason)
+end
@@ -0,0 +1,14 @@
+defmodule EvhlegalchatWeb.RateComparisonController do
+  use EvhlegalchatWeb, :controller
+
+  alias Evhlegalchat.SOW.RateComparison
+
+  def export(conn, params) do
+    csv = [role: params["role"]] |> RateComparison.load() |> RateComparison.to_csv()
+
+    send_download(conn, {:binary, csv},
+      filename: "rate-comparison-#{Date.utc_today()}.csv",
+      content_type: "text/csv"
+    )
+  end
+end
@@ -16,6 +16,7 @@ defmodule EvhlegalchatWeb.ReviewController do
 
     case Review.resolve_task!(String.to_integer(id), decision_atom, %{actor_user_id: actor_user_id, resolution: resolution}) do
       {:ok, task} -> json(conn, %{status: "ok", task_id: task.review_task_id})
+      {:error, :already_resolved} -> conn |> put_status(:conflict) |> json(%{status: "error", reason: "already_resolved"})
       {:error, reason} -> conn |> put_status(:unprocessable_entity) |> json(%{status: "error", reason: inspect(reason)})
     end
   end
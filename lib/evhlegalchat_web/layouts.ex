@@ -2,6 +2,149 @@ defmodule EvhlegalchatWeb.Layouts do
   use EvhlegalchatWeb, :html
 
   embed_templates "layouts/*"
-end
 
+  @doc """
+  The app chrome every LiveView renders itself into, laid out by the
+  `LayoutChrome` hook: a collapsible navigation rail, the page and, when the
+  page fills the `inspector` slot, a right-hand inspector that starts closed.
+  Pages open it with `push_event(socket, "layout:inspector", %{open: true})`.
+  It also renders the command palette and hosts the `ToastManager` stack that
+  `"show_toast"` events land in.
+  """
+  attr :flash, :map, required: true
+  attr :current_scope, :string, default: nil
+  attr :page_title, :string, default: nil
+  slot :inner_block, required: true
+
+  slot :inspector do
+    attr :title, :string
+  end
+
+  def app(assigns) do
+    ~H"""
+    <div id="layout" phx-hook="LayoutChrome" class="grid h-screen overflow-hidden bg-gray-50">
+      <aside
+        id="layout-left"
+        data-panel="left"
+        data-width="240"
+        data-min-width="200"
+        data-max-width="420"
+        data-collapsed-width="72"
+        aria-label="Navigation"
+        class="flex flex-col overflow-y-auto border-r border-gray-200 bg-white"
+      >
+        <div class="flex items-center gap-2 px-4 py-3">
+          <button
+            type="button"
+            data-action="toggle-left"
+            aria-controls="layout-left"
+            aria-label="Collapse navigation"
+            title="Collapse navigation (Cmd/Ctrl+B)"
+            class="rounded p-1 text-gray-500 hover:bg-gray-100"
+          >☰</button>
+          <span data-collapsible-label class="font-semibold text-gray-900">EVH Legal</span>
+        </div>
+        <nav class="flex-1 space-y-1 px-2 pb-4 text-sm">
+          <.link
+            :for={{scope, label, path} <- nav_items()}
+            navigate={path}
+            title={label}
+            class={[
+              "flex items-center gap-3 rounded px-2 py-1.5",
+              if(scope == @current_scope, do: "bg-emerald-50 text-emerald-800", else: "text-gray-700 hover:bg-gray-100")
+            ]}
+          >
+            <span aria-hidden="true" class="w-6 shrink-0 text-center font-medium">{String.first(label)}</span>
+            <span data-collapsible-label>{label}</span>
+          </.link>
+        </nav>
+      </aside>
+      <div
+        data-resize="left"
+        role="separator"
+        aria-orientation="vertical"
+        tabindex="0"
+        class="w-1 cursor-col-resize bg-gray-200 hover:bg-emerald-400 focus:bg-emerald-500 focus:outline-none"
+      >
+      </div>
+      <main id="layout-main" data-panel="main" class="overflow-y-auto">
+        <header :if={@page_title || @inspector != []} class="flex items-center justify-between px-4 pt-3 text-sm text-gray-500">
+          <span>{@page_title}</span>
+          <button
+            :if={@inspector != []}
+            type="button"
+            data-action="toggle-right"
+            aria-controls="layout-right"
+            title="Toggle the inspector (Cmd/Ctrl+\)"
+            class="rounded px-2 py-1 text-gray-600 hover:bg-gray-100"
+          >Inspector</button>
+        </header>
+        <.flash :for={kind <- [:info, :error]} kind={kind} flash={@flash} />
+        {render_slot(@inner_block)}
+      </main>
+      <div
+        :if={@inspector != []}
+        data-resize="right"
+        role="separator"
+        aria-orientation="vertical"
+        tabindex="0"
+        class="w-1 cursor-col-resize bg-gray-200 hover:bg-emerald-400 focus:bg-emerald-500 focus:outline-none"
+      >
+      </div>
+      <aside
+        :for={inspector <- @inspector}
+        id="layout-right"
+        data-panel="right"
+        data-width="420"
+        data-min-width="280"
+        data-max-width="720"
+        aria-label={inspector[:title] || "Inspector"}
+        class="flex flex-col overflow-hidden border-l border-gray-200 bg-white"
+      >
+        <div class="flex items-center justify-between border-b border-gray-200 px-4 py-2 text-sm">
+          <span class="font-medium text-gray-800">{inspector[:title] || "Inspector"}</span>
+          <button type="button" data-action="toggle-right" aria-label="Close inspector" class="text-gray-500 hover:text-gray-900">×</button>
+        </div>
+        <div class="min-h-0 flex-1 overflow-y-auto">
+          {render_slot(inspector)}
+        </div>
+      </aside>
+    </div>
+    <EvhlegalchatWeb.CommandPalette.command_palette />
+    <div id="toasts" phx-hook="ToastManager" phx-update="ignore"></div>
+    """
+  end
 
+  attr :kind, :atom, required: true
+  attr :flash, :map, required: true
+
+  defp flash(assigns) do
+    ~H"""
+    <div
+      :if={message = Phoenix.Flash.get(@flash, @kind)}
+      id={"flash-#{@kind}"}
+      role="alert"
+      phx-click={JS.push("lv:clear-flash", value: %{key: @kind}) |> JS.hide(to: "#flash-#{@kind}")}
+      class={[
+        "mx-4 mt-3 cursor-pointer rounded px-3 py-2 text-sm",
+        if(@kind == :error, do: "bg-red-50 text-red-800", else: "bg-emerald-50 text-emerald-800")
+      ]}
+    >
+      {message}
+    </div>
+    """
+  end
+
+  # {current_scope, label, path}; several pages share the "agreements" scope
+  defp nav_items do
+    [
+      {"staging_upload", "Uploads", ~p"/staging/uploads"},
+      {"reviews", "Reviews", ~p"/backend/reviews"},
+      {"agreements", "Agreement graph", ~p"/backend/agreements/graph"},
+      {"agreements", "Obligations", ~p"/backend/obligations"},
+      {"agreements", "SOW timeline", ~p"/backend/sow/timeline"},
+      {"agreements", "SOW rates", ~p"/backend/sow/rates"},
+      {"decision_rules", "Decision rules", ~p"/backend/decision-rules"}
+    ]
+  end
+end
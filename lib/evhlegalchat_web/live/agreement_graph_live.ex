@@ -0,0 +1,91 @@
+defmodule EvhlegalchatWeb.AgreementGraphLive do
+  @moduledoc """
+  Relationship graph of agreements: which SOWs and amendments hang off which
+  NDA, linked through `AgreementLink`.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.AgreementGraph
+
+  # Mirrors LINK_STYLES in assets/js/hooks/AgreementGraph.js, in the light theme's colors
+  @link_legend [
+    {"supersedes", "border-red-600 border-solid"},
+    {"amends", "border-amber-500 border-dashed"},
+    {"related", "border-gray-500 border-dotted"}
+  ]
+
+  @impl true
+  def mount(_params, _session, socket) do
+    {:ok,
+      socket
+      |> assign(:current_scope, "agreements")
+      |> assign(:link_legend, @link_legend)
+      |> assign(:linked_only, false)
+      |> assign(:graph, AgreementGraph.load())}
+  end
+
+  @impl true
+  def handle_event("toggle_linked_only", _params, socket) do
+    linked_only = !socket.assigns.linked_only
+
+    {:noreply,
+      socket
+      |> assign(:linked_only, linked_only)
+      |> assign(:graph, AgreementGraph.load(linked_only: linked_only))}
+  end
+
+  @impl true
+  def handle_event("node:open", %{"id" => id}, socket) do
+    case Integer.parse(to_string(id)) do
+      {agreement_id, ""} -> {:noreply, push_navigate(socket, to: ~p"/backend/reviews?#{[agreement_id: agreement_id]}")}
+      _ -> {:noreply, socket}
+    end
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Agreement Graph">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div class="flex items-center justify-between mb-4">
+          <h1 class="text-2xl font-semibold">Agreement Relationships</h1>
+          <div class="flex items-center gap-4">
+            <label class="inline-flex items-center gap-2 text-sm text-gray-700">
+              <input type="checkbox" checked={@linked_only} phx-click="toggle_linked_only" />
+              Only linked agreements
+            </label>
+            <span :if={@graph.nodes != []} class="flex gap-2">
+              <button type="button" data-chart-export="svg" data-chart-target="agreement-graph" data-filename="agreement-graph" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export SVG</button>
+              <button type="button" data-chart-export="png" data-chart-target="agreement-graph" data-filename="agreement-graph" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export PNG</button>
+            </span>
+          </div>
+        </div>
+
+        <div class="flex flex-wrap items-center gap-4 mb-3 text-xs text-gray-600">
+          <span>Node size: term length</span>
+          <span :for={{type, style} <- @link_legend} class="inline-flex items-center gap-1">
+            <span class={"inline-block w-6 border-t-2 #{style}"}></span>{type}
+          </span>
+          <span>Arrows point at the agreement being amended, superseded or referenced. Click a node to open its review tasks.</span>
+        </div>
+
+        <p :if={@graph.truncated} class="mb-3 text-xs text-amber-700">
+          Only the most recent links are drawn; older ones are left out to keep the graph responsive.
+        </p>
+
+        <div :if={@graph.nodes == []} class="text-gray-500">No agreements yet.</div>
+
+        <div
+          :if={@graph.nodes != []}
+          id="agreement-graph"
+          phx-hook="AgreementGraph"
+          phx-update="ignore"
+          data-graph={Jason.encode!(@graph)}
+          class="w-full h-[70vh] bg-white rounded-lg shadow"
+        >
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
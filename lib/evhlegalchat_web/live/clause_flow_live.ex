@@ -0,0 +1,129 @@
+defmodule EvhlegalchatWeb.ClauseFlowLive do
+  @moduledoc """
+  Mermaid diagrams of one agreement's structure: clause cross-references and
+  the section outline (`Evhlegalchat.ClauseFlow`), and its clause tree
+  (`Evhlegalchat.ClauseTree`, rendered by the `EChartsTree` hook). Selecting a
+  clause in the tree opens it below the tree.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  import Ecto.Query, warn: false
+  alias Evhlegalchat.{ClauseFlow, ClauseTree, Repo}
+
+  @impl true
+  def mount(%{"id" => id}, _session, socket) do
+    flow =
+      with {agreement_id, ""} <- Integer.parse(id),
+           {:ok, flow} <- ClauseFlow.for_agreement(agreement_id) do
+        flow
+      else
+        _ -> nil
+      end
+
+    {:ok,
+      socket
+      |> assign(:current_scope, "agreements")
+      |> assign(:flow, flow)
+      |> assign(:tree, flow && ClauseTree.for_agreement(flow.agreement_id))
+      |> assign(:selected_clause, nil)}
+  end
+
+  @impl true
+  def handle_event("tree:select", %{"id" => "clause:" <> clause_id}, socket) do
+    clause =
+      with {clause_id, ""} <- Integer.parse(clause_id),
+           %{flow: %{agreement_id: agreement_id}} <- socket.assigns do
+        from(c in "clauses",
+          where: c.id == ^clause_id and c.agreement_id == ^agreement_id,
+          select: %{
+            clause_id: c.id,
+            number_label: c.number_label,
+            heading_text: c.heading_text,
+            start_page: c.start_page,
+            end_page: c.end_page,
+            text_snippet: c.text_snippet
+          }
+        )
+        |> Repo.one()
+      else
+        _ -> nil
+      end
+
+    {:noreply, assign(socket, :selected_clause, clause)}
+  end
+
+  # Key clauses and carveouts have no page of their own; their parent clause does
+  @impl true
+  def handle_event("tree:select", _params, socket), do: {:noreply, socket}
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Clause Flow">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div :if={@flow == nil} class="text-gray-500">Agreement not found.</div>
+
+        <div :if={@flow}>
+          <div class="flex items-baseline justify-between mb-6">
+            <h1 class="text-2xl font-semibold">{@flow.title || "Agreement ##{@flow.agreement_id}"}</h1>
+            <.link navigate={~p"/backend/reviews?#{[agreement_id: @flow.agreement_id]}"} class="text-sm text-emerald-700 hover:underline">
+              Review tasks
+            </.link>
+          </div>
+
+          <section :if={@tree} class="bg-white rounded-lg shadow p-4 mb-6">
+            <div class="flex items-center justify-between mb-3">
+              <h2 class="text-lg font-medium text-gray-900">Clause tree</h2>
+              <span class="flex gap-2">
+                <button type="button" data-chart-export="svg" data-chart-target="clause-tree" data-filename={"agreement-#{@flow.agreement_id}-tree"} class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export SVG</button>
+                <button type="button" data-chart-export="png" data-chart-target="clause-tree" data-filename={"agreement-#{@flow.agreement_id}-tree"} class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export PNG</button>
+              </span>
+            </div>
+            <div
+              id="clause-tree"
+              phx-hook="EChartsTree"
+              phx-update="ignore"
+              data-tree={Jason.encode!(@tree)}
+              class="w-full h-[32rem]"
+            >
+            </div>
+            <div :if={@selected_clause} id="selected-clause" class="mt-4 border-t border-gray-100 pt-4 text-sm">
+              <div class="flex items-baseline justify-between">
+                <h3 class="font-medium text-gray-900">
+                  {[@selected_clause.number_label, @selected_clause.heading_text] |> Enum.reject(&is_nil/1) |> Enum.join(" ")}
+                </h3>
+                <.link navigate={~p"/backend/agreements/#{@flow.agreement_id}/segmentation"} class="text-emerald-700 hover:underline">
+                  Open in segmentation inspector
+                </.link>
+              </div>
+              <p :if={@selected_clause.start_page} class="text-xs text-gray-500">
+                Page {@selected_clause.start_page}{if @selected_clause.end_page && @selected_clause.end_page != @selected_clause.start_page, do: "–#{@selected_clause.end_page}"}
+              </p>
+              <p class="mt-2 whitespace-pre-line text-gray-700">{@selected_clause.text_snippet}</p>
+            </div>
+          </section>
+
+          <section :for={diagram <- @flow.diagrams} class="bg-white rounded-lg shadow p-4 mb-6">
+            <h2 class="text-lg font-medium text-gray-900 mb-3">{diagram.title}</h2>
+            <p :if={diagram.definition == nil} class="text-sm text-gray-500">{diagram.empty}</p>
+            <figure
+              :if={diagram.definition}
+              id={"clause-flow-#{diagram.id}"}
+              phx-hook="Mermaid"
+              phx-update="ignore"
+              data-definition={diagram.definition}
+              data-filename={"agreement-#{@flow.agreement_id}-#{diagram.id}"}
+            >
+              <div class="flex justify-end gap-2 mb-2">
+                <button type="button" data-mermaid-export="svg" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export SVG</button>
+                <button type="button" data-mermaid-export="png" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Export PNG</button>
+              </div>
+              <div data-role="mermaid-output" class="overflow-x-auto" aria-label={diagram.title}></div>
+            </figure>
+          </section>
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
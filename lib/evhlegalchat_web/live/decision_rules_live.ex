@@ -0,0 +1,409 @@
+defmodule EvhlegalchatWeb.DecisionRulesLive do
+  @moduledoc """
+  Editor for decision rules: `da_rule` editing with highlighting and
+  validation (the `RuleEditor` hook), a diff against other versions of the
+  same slug, a dry run against an agreement's clauses and a confirmed
+  draft → active promotion.
+
+  The editor reports every change through `"rule:validate"`; the unsaved
+  source lives in `@source` and is what diffs, dry runs and saves use.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.{Agreement, DecisionRules, Repo}
+  alias Evhlegalchat.DecisionRules.DaRule
+  import Ecto.Query, only: [from: 2]
+
+  @priorities ~w(critical high medium low)
+  @new_rule_template "# Describe what this rule flags\nwhen heading matches /confiden/i\n  and text contains \"perpetual\"\n"
+
+  @impl true
+  def mount(_params, _session, socket) do
+    agreements =
+      from(a in Agreement, order_by: [desc: a.inserted_at], limit: 200, select: %{id: a.id, title: a.agreement_title})
+      |> Repo.all()
+
+    {:ok,
+      socket
+      |> assign(:current_scope, "decision_rules")
+      |> assign(:priorities, @priorities)
+      |> assign(:agreements, agreements)
+      |> assign(:dry_run_agreement_id, agreements |> List.first() |> then(&(&1 && &1.id)))
+      |> assign(:dry_run, nil)
+      |> assign(:confirming_promotion, false)
+      |> assign_rules()}
+  end
+
+  @impl true
+  def handle_params(params, _uri, socket) do
+    selected =
+      Enum.find(socket.assigns.rules, &(&1.id == params["id"])) ||
+        List.first(socket.assigns.rules)
+
+    {:noreply, select_rule(socket, selected)}
+  end
+
+  @impl true
+  def handle_event("rule:validate", %{"source" => source}, socket) do
+    errors = validation_errors(source)
+
+    {:reply, %{errors: errors},
+      socket
+      |> assign(:source, source)
+      |> assign(:errors, errors)
+      |> assign(:diff, diff(socket.assigns.compare_rule, source))}
+  end
+
+  @impl true
+  def handle_event("save", %{"priority" => priority}, socket) do
+    case DecisionRules.update_draft(socket.assigns.selected, %{"da_rule" => socket.assigns.source, "priority" => priority}) do
+      {:ok, rule} ->
+        {:noreply,
+          socket
+          |> assign_rules()
+          |> assign(:selected, rule)
+          |> assign(:versions, Enum.map(socket.assigns.versions, &if(&1.id == rule.id, do: rule, else: &1)))
+          |> put_flash(:info, "Draft saved")}
+
+      {:error, :not_draft} ->
+        {:noreply, put_flash(socket, :error, "Only drafts can be edited")}
+
+      {:error, changeset} ->
+        {:noreply, put_flash(socket, :error, "Could not save: #{inspect(changeset.errors)}")}
+    end
+  end
+
+  @impl true
+  def handle_event("new_draft", _params, socket) do
+    case DecisionRules.create_draft_from(socket.assigns.selected) do
+      {:ok, rule} ->
+        {:noreply,
+          socket
+          |> assign_rules()
+          |> put_flash(:info, "Draft #{rule.version} created")
+          |> push_patch(to: ~p"/backend/decision-rules?#{[id: rule.id]}")}
+
+      {:error, changeset} ->
+        {:noreply, put_flash(socket, :error, "Could not create draft: #{inspect(changeset.errors)}")}
+    end
+  end
+
+  @impl true
+  def handle_event("create_rule", %{"id_slug" => slug, "priority" => priority}, socket) do
+    attrs = %{id_slug: String.trim(slug), version: "1", status: :draft, priority: priority, da_rule: @new_rule_template}
+
+    case DecisionRules.create_decision_rule(attrs) do
+      {:ok, rule} ->
+        {:noreply,
+          socket
+          |> assign_rules()
+          |> push_patch(to: ~p"/backend/decision-rules?#{[id: rule.id]}")}
+
+      {:error, changeset} ->
+        {:noreply, put_flash(socket, :error, "Could not create rule: #{inspect(changeset.errors)}")}
+    end
+  end
+
+  @impl true
+  def handle_event("compare", %{"against" => id}, socket) do
+    compare_rule = Enum.find(socket.assigns.versions, &(&1.id == id))
+
+    {:noreply,
+      socket
+      |> assign(:compare_rule, compare_rule)
+      |> assign(:diff, diff(compare_rule, socket.assigns.source))}
+  end
+
+  @impl true
+  def handle_event("dry_run", %{"agreement_id" => agreement_id}, socket) do
+    case Integer.parse(agreement_id) do
+      {id, ""} ->
+        result =
+          case DecisionRules.dry_run(socket.assigns.source, id) do
+            {:ok, result} -> result
+            {:error, :not_found} -> %{error: "Agreement not found"}
+            {:error, :timeout} -> %{error: "The dry run took too long; simplify the rule's regexes"}
+            {:error, [error | _]} -> %{error: "Rule does not parse: #{error.message} (line #{error.line})"}
+          end
+
+        {:noreply, socket |> assign(:dry_run_agreement_id, id) |> assign(:dry_run, result)}
+
+      _ ->
+        {:noreply, put_flash(socket, :error, "Choose an agreement for the dry run")}
+    end
+  end
+
+  @impl true
+  def handle_event("promote", _params, socket) do
+    cond do
+      socket.assigns.selected.status != :draft ->
+        {:noreply, put_flash(socket, :error, "Only drafts can be promoted")}
+
+      socket.assigns.source != (socket.assigns.selected.da_rule || "") ->
+        {:noreply, put_flash(socket, :error, "Save the draft before promoting it")}
+
+      socket.assigns.errors != [] ->
+        {:noreply, put_flash(socket, :error, "Fix the rule's errors before promoting it")}
+
+      true ->
+        {:noreply, assign(socket, :confirming_promotion, true)}
+    end
+  end
+
+  @impl true
+  def handle_event("cancel_promote", _params, socket) do
+    {:noreply, assign(socket, :confirming_promotion, false)}
+  end
+
+  @impl true
+  def handle_event("confirm_promote", _params, socket) do
+    socket = assign(socket, :confirming_promotion, false)
+
+    case DecisionRules.promote(socket.assigns.selected) do
+      {:ok, rule} ->
+        {:noreply,
+          socket
+          |> assign_rules()
+          |> select_rule(rule)
+          |> put_flash(:info, "#{rule.id_slug} #{rule.version} is now active")}
+
+      {:error, {:invalid_rule, _errors}} ->
+        {:noreply, put_flash(socket, :error, "The saved rule does not parse")}
+
+      {:error, :not_draft} ->
+        {:noreply, socket |> assign_rules() |> put_flash(:error, "This version was promoted or deprecated in the meantime")}
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Promotion failed: #{inspect(reason)}")}
+    end
+  end
+
+  defp assign_rules(socket) do
+    assign(socket, :rules, DecisionRules.list_decision_rules())
+  end
+
+  defp select_rule(socket, nil) do
+    socket
+    |> assign(:selected, nil)
+    |> assign(:versions, [])
+    |> assign(:source, "")
+    |> assign(:errors, [])
+    |> assign(:compare_rule, nil)
+    |> assign(:diff, [])
+  end
+
+  defp select_rule(socket, rule) do
+    versions = Enum.filter(socket.assigns.rules, &(&1.id_slug == rule.id_slug))
+    source = rule.da_rule || ""
+    compare_rule = default_compare(versions, rule)
+
+    socket
+    |> assign(:selected, rule)
+    |> assign(:versions, versions)
+    |> assign(:source, source)
+    |> assign(:errors, validation_errors(source))
+    |> assign(:compare_rule, compare_rule)
+    |> assign(:diff, diff(compare_rule, source))
+    |> assign(:dry_run, nil)
+    |> assign(:confirming_promotion, false)
+  end
+
+  # Compare drafts with what is live; anything else with the version before it
+  defp default_compare(versions, rule) do
+    others = Enum.reject(versions, &(&1.id == rule.id))
+    active = Enum.find(others, &(&1.status == :active))
+    index = Enum.find_index(versions, &(&1.id == rule.id))
+    previous = if index && index > 0, do: Enum.at(versions, index - 1)
+
+    if rule.status == :draft, do: active || previous || List.last(others), else: previous || List.first(others)
+  end
+
+  defp validation_errors(source) do
+    case DaRule.parse(source) do
+      {:ok, _ast} -> []
+      {:error, errors} -> errors
+    end
+  end
+
+  defp diff(nil, _source), do: []
+  defp diff(compare_rule, source), do: DecisionRules.diff(compare_rule.da_rule, source)
+
+  defp status_badge(:active), do: "bg-emerald-100 text-emerald-800"
+  defp status_badge(:draft), do: "bg-amber-100 text-amber-800"
+  defp status_badge(_status), do: "bg-gray-100 text-gray-600"
+
+  defp diff_class(:ins), do: "bg-emerald-50 text-emerald-900"
+  defp diff_class(:del), do: "bg-red-50 text-red-900 line-through decoration-red-300"
+  defp diff_class(:eq), do: "text-gray-600"
+
+  defp diff_marker(:ins), do: "+"
+  defp diff_marker(:del), do: "-"
+  defp diff_marker(:eq), do: " "
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Decision Rules">
+      <div class="max-w-7xl mx-auto px-4 py-8 lg:grid lg:grid-cols-[16rem_minmax(0,1fr)] lg:gap-6">
+        <nav class="mb-6 lg:mb-0" aria-label="Decision rules">
+          <h1 class="text-2xl font-semibold mb-4">Decision Rules</h1>
+
+          <div :for={{slug, versions} <- Enum.group_by(@rules, & &1.id_slug) |> Enum.sort()} class="mb-4">
+            <div class="text-sm font-medium text-gray-900">{slug}</div>
+            <ul class="mt-1 space-y-1">
+              <li :for={rule <- versions}>
+                <.link
+                  patch={~p"/backend/decision-rules?#{[id: rule.id]}"}
+                  class={[
+                    "flex items-center justify-between rounded px-2 py-1 text-sm hover:bg-gray-100",
+                    @selected && @selected.id == rule.id && "bg-gray-100 font-medium"
+                  ]}
+                >
+                  <span>v{rule.version}</span>
+                  <span class={"px-2 py-0.5 rounded-full text-xs #{status_badge(rule.status)}"}>{rule.status}</span>
+                </.link>
+              </li>
+            </ul>
+          </div>
+
+          <form phx-submit="create_rule" class="mt-6 space-y-2 border-t border-gray-200 pt-4">
+            <div class="text-sm font-medium text-gray-900">New rule</div>
+            <input type="text" name="id_slug" required placeholder="slug, e.g. nda-perpetual-term" class="w-full rounded border border-gray-300 px-2 py-1 text-sm" />
+            <select name="priority" class="w-full rounded border border-gray-300 px-2 py-1 text-sm">
+              <option :for={priority <- @priorities} value={priority} selected={priority == "medium"}>{priority}</option>
+            </select>
+            <button type="submit" class="w-full px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Create draft</button>
+          </form>
+        </nav>
+
+        <main :if={@selected == nil} class="text-gray-500">No decision rules yet. Create one to get started.</main>
+
+        <main :if={@selected} class="space-y-6 min-w-0">
+          <section class="bg-white rounded-lg shadow p-4">
+            <form phx-submit="save" class="flex flex-wrap items-center gap-3 mb-3">
+              <h2 class="text-lg font-medium text-gray-900 mr-auto">
+                {@selected.id_slug} <span class="text-gray-500">v{@selected.version}</span>
+                <span class={"ml-2 px-2 py-0.5 rounded-full text-xs align-middle #{status_badge(@selected.status)}"}>{@selected.status}</span>
+              </h2>
+              <select name="priority" disabled={@selected.status != :draft} class="rounded border border-gray-300 px-2 py-1 text-sm">
+                <option :for={priority <- @priorities} value={priority} selected={to_string(@selected.priority) == priority}>{priority}</option>
+              </select>
+              <button :if={@selected.status == :draft} type="submit" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50">Save draft</button>
+              <button
+                :if={@selected.status == :draft}
+                type="button"
+                phx-click="promote"
+                disabled={@errors != []}
+                class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 disabled:opacity-50 text-white text-sm"
+              >Promote to active…</button>
+              <button :if={@selected.status != :draft} type="button" phx-click="new_draft" class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">New draft from this version</button>
+            </form>
+
+            <div
+              id={"rule-editor-#{@selected.id}"}
+              phx-hook="RuleEditor"
+              phx-update="ignore"
+              data-source={@selected.da_rule || ""}
+              data-readonly={to_string(@selected.status != :draft)}
+              data-fields={Jason.encode!(DaRule.fields())}
+              data-keywords={Jason.encode!(DaRule.keywords())}
+              class="relative h-72 rounded border border-gray-300 bg-gray-50 font-mono text-sm"
+            >
+            </div>
+
+            <ul :if={@errors != []} class="mt-2 space-y-1 text-sm text-red-700" role="status">
+              <li :for={error <- @errors}>Line {error.line}, column {error.column}: {error.message}</li>
+            </ul>
+            <p :if={@errors == []} class="mt-2 text-sm text-emerald-700" role="status">Rule is valid.</p>
+          </section>
+
+          <section class="bg-white rounded-lg shadow p-4">
+            <div class="flex items-center justify-between mb-3">
+              <h3 class="font-medium text-gray-900">Changes</h3>
+              <form :if={length(@versions) > 1} phx-change="compare" class="text-sm text-gray-700">
+                Compared with
+                <select name="against" class="ml-1 rounded border border-gray-300 px-2 py-1 text-sm">
+                  <option
+                    :for={version <- @versions}
+                    :if={version.id != @selected.id}
+                    value={version.id}
+                    selected={@compare_rule && @compare_rule.id == version.id}
+                  >v{version.version} ({version.status})</option>
+                </select>
+              </form>
+            </div>
+            <p :if={@compare_rule == nil} class="text-sm text-gray-500">This is the only version of {@selected.id_slug}.</p>
+            <p :if={@compare_rule && Enum.all?(@diff, &(elem(&1, 0) == :eq))} class="text-sm text-gray-500">
+              No differences from v{@compare_rule.version}.
+            </p>
+            <pre
+              :if={@compare_rule && Enum.any?(@diff, &(elem(&1, 0) != :eq))}
+              class="overflow-x-auto rounded border border-gray-200 text-sm font-mono"
+            ><div :for={{op, line} <- @diff} class={"px-3 #{diff_class(op)}"}><span class="select-none text-gray-400 mr-2">{diff_marker(op)}</span>{line}</div></pre>
+          </section>
+
+          <section class="bg-white rounded-lg shadow p-4">
+            <form phx-submit="dry_run" class="flex flex-wrap items-center gap-3 mb-3">
+              <h3 class="font-medium text-gray-900 mr-auto">Dry run</h3>
+              <select name="agreement_id" class="rounded border border-gray-300 px-2 py-1 text-sm max-w-xs">
+                <option :for={agreement <- @agreements} value={agreement.id} selected={agreement.id == @dry_run_agreement_id}>
+                  {agreement.title || "Agreement ##{agreement.id}"}
+                </option>
+              </select>
+              <button type="submit" disabled={@agreements == []} class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-50">
+                Run against agreement
+              </button>
+            </form>
+            <p class="text-xs text-gray-500 mb-2">Evaluates the rule as it is in the editor, saved or not. Nothing is stored.</p>
+
+            <div :if={@dry_run && @dry_run[:error]} class="text-sm text-red-700">{@dry_run.error}</div>
+            <div :if={@dry_run && !@dry_run[:error]}>
+              <p class="text-sm text-gray-700">
+                Triggers on {length(@dry_run.matches)} of {@dry_run.clause_count} clauses.
+                <span :if={!@dry_run.full_text} class="text-amber-700">Extracted text unavailable; matched on clause snippets only.</span>
+              </p>
+              <ul class="mt-2 divide-y divide-gray-100 text-sm">
+                <li :for={clause <- @dry_run.matches} class="py-2">
+                  <div class="font-medium text-gray-900">
+                    <span :if={clause.number} class="text-gray-500 mr-1">{clause.number}</span>{clause.heading || "Untitled clause"}
+                    <span :if={clause.page} class="ml-2 text-xs text-gray-500">p. {clause.page}</span>
+                  </div>
+                  <div class="text-gray-600 truncate">{clause.snippet}</div>
+                </li>
+              </ul>
+            </div>
+          </section>
+        </main>
+      </div>
+
+      <div
+        :if={@confirming_promotion}
+        id="promote-confirm"
+        class="fixed inset-0 z-50 flex items-center justify-center bg-black/40"
+        phx-window-keydown="cancel_promote"
+        phx-key="Escape"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="promote-confirm-title"
+      >
+        <div class="bg-white rounded-lg shadow-xl p-6 max-w-md w-full">
+          <h2 id="promote-confirm-title" class="text-lg font-semibold text-gray-900">Activate {@selected.id_slug} v{@selected.version}?</h2>
+          <p class="mt-2 text-sm text-gray-600">
+            The rule becomes active immediately.
+            <span :for={version <- @versions} :if={version.status == :active}>
+              v{version.version} will be deprecated.
+            </span>
+            Active versions can no longer be edited.
+          </p>
+          <div class="mt-6 flex justify-end gap-2">
+            <button type="button" phx-click="cancel_promote" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700">Cancel</button>
+            <button type="button" phx-click="confirm_promote" phx-mounted={JS.focus()} class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">
+              Activate
+            </button>
+          </div>
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
@@ -0,0 +1,85 @@
+defmodule EvhlegalchatWeb.ObligationsLive do
+  @moduledoc """
+  Obligations dashboard: the per-entity, per-month heatmap built by
+  `Evhlegalchat.Obligations.heatmap_for_year/1`, rendered by the
+  `EntityCalendarHeatmap` React component.
+
+  The year comes from the `year` query parameter (default: the current
+  year). New agreements, milestones and resolved reviews re-build the
+  heatmap and push it to the component without a page reload.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.{Events, Obligations}
+
+  # Domain events that can change an obligation date
+  @refresh_events ["agreement.created", "sow.milestones.created", "review.resolved"]
+
+  @impl true
+  def mount(_params, _session, socket) do
+    if connected?(socket), do: Events.subscribe()
+
+    {:ok, assign(socket, :current_scope, "agreements")}
+  end
+
+  @impl true
+  def handle_params(params, _uri, socket) do
+    year =
+      case Integer.parse(params["year"] || "") do
+        {year, ""} when year in 1900..2200 -> year
+        _ -> Date.utc_today().year
+      end
+
+    {:noreply,
+      socket
+      |> assign(:year, year)
+      |> assign(:heatmap, Obligations.heatmap_for_year(year))}
+  end
+
+  @impl true
+  def handle_info({:domain_event, event, _metadata}, socket) when event in @refresh_events do
+    heatmap = Obligations.heatmap_for_year(socket.assigns.year)
+
+    {:noreply,
+      socket
+      |> assign(:heatmap, heatmap)
+      |> push_event("react:props", %{id: "obligations-heatmap", props: heatmap})}
+  end
+
+  def handle_info({:domain_event, _event, _metadata}, socket), do: {:noreply, socket}
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Obligations">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div class="flex items-center justify-between mb-4">
+          <div>
+            <h1 class="text-2xl font-semibold">Obligations {@year}</h1>
+            <p class="text-sm text-gray-600">
+              Term expiries, survival periods, milestones and invoices per entity and month.
+            </p>
+          </div>
+          <div class="flex gap-2 text-sm">
+            <.link patch={~p"/backend/obligations?#{[year: @year - 1]}"} class="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">
+              ← {@year - 1}
+            </.link>
+            <.link patch={~p"/backend/obligations?#{[year: @year + 1]}"} class="px-3 py-1 rounded border border-gray-300 text-gray-700 hover:bg-gray-50">
+              {@year + 1} →
+            </.link>
+          </div>
+        </div>
+
+        <div
+          id="obligations-heatmap"
+          phx-hook="ReactMount"
+          phx-update="ignore"
+          data-react-component="EntityCalendarHeatmap"
+          data-props={Jason.encode!(@heatmap)}
+        >
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
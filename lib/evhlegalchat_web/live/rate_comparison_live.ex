@@ -0,0 +1,42 @@
+defmodule EvhlegalchatWeb.RateComparisonLive do
+  @moduledoc """
+  Rate cards and pricing schedules compared across SOWs, normalized into one
+  currency, rendered by the `RateComparisonChart` React component.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.SOW.RateComparison
+
+  @impl true
+  def mount(_params, _session, socket) do
+    {:ok,
+      socket
+      |> assign(:current_scope, "agreements")
+      |> assign(:comparison, RateComparison.load())}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Rate Comparison">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div class="mb-4">
+          <h1 class="text-2xl font-semibold">SOW Rate Comparison</h1>
+          <p class="text-sm text-gray-600">
+            Hourly rates by role across agreements over their effective periods, normalized to {@comparison.base_currency}.
+          </p>
+        </div>
+
+        <div
+          id="rate-comparison"
+          phx-hook="ReactMount"
+          phx-update="ignore"
+          data-react-component="RateComparisonChart"
+          data-props={Jason.encode!(Map.put(@comparison, :export_href, ~p"/backend/sow/rates.csv"))}
+        >
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
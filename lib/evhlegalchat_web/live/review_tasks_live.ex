@@ -3,81 +3,464 @@ defmodule EvhlegalchatWeb.ReviewTasksLive do
   import Ecto.Query
   alias Evhlegalchat.Repo
   alias Evhlegalchat.Mapping.ReviewTask
-  alias Evhlegalchat.Mapping.Review
+  alias Evhlegalchat.Mapping.{Candidates, Review, ReviewQueue}
+  alias Evhlegalchat.Provenance
 
   @impl true
   def mount(_params, _session, socket) do
     {:ok,
       socket
       |> assign(:current_scope, "reviews")
-      |> assign(:tasks, list_open_tasks())}
+      |> assign(:editing_task_id, nil)
+      |> assign(:conflict_task_id, nil)
+      |> assign(:candidates, [])}
   end
 
-  defp list_open_tasks() do
-    from(r in ReviewTask, where: r.state in [^:open, ^:in_progress], order_by: [desc: r.inserted_at])
-    |> Repo.all()
+  # ?agreement_id=N narrows the queue to one agreement (used by the command palette);
+  # the other filters are described in ReviewQueue
+  @impl true
+  def handle_params(params, _uri, socket) do
+    agreement_id =
+      case Integer.parse(params["agreement_id"] || "") do
+        {id, ""} -> id
+        _ -> nil
+      end
+
+    {:noreply,
+      socket
+      |> assign(:agreement_id, agreement_id)
+      |> assign(:filters, ReviewQueue.parse(params))
+      |> load_tasks()}
+  end
+
+  defp list_open_tasks(agreement_id) do
+    query = from(r in ReviewTask, where: r.state in [^:open, ^:in_progress], order_by: [desc: r.inserted_at])
+    query = if agreement_id, do: where(query, [r], r.agreement_id == ^agreement_id), else: query
+    Repo.all(query)
+  end
+
+  defp load_tasks(socket) do
+    tasks = list_open_tasks(socket.assigns.agreement_id)
+
+    socket
+    |> assign(:assignees, Review.assignees())
+    |> assign(:tables, ReviewQueue.tables(tasks))
+    |> assign(:total_count, length(tasks))
+    |> assign(:tasks, ReviewQueue.filter(tasks, socket.assigns.filters))
+  end
+
+  defp queue_path(agreement_id, filters) do
+    params = if(agreement_id, do: [agreement_id: agreement_id], else: []) ++ ReviewQueue.to_params(filters)
+    ~p"/backend/reviews?#{params}"
+  end
+
+  @impl true
+  def handle_event("filter", params, socket) do
+    filters = ReviewQueue.parse(params)
+    {:noreply, push_patch(socket, to: queue_path(socket.assigns.agreement_id, filters), replace: true)}
+  end
+
+  # Sent by the ReviewSelection hook once the undo window of a batch action has passed
+  @impl true
+  def handle_event("batch", %{"action" => action, "ids" => ids} = params, socket)
+      when action in ["approve", "reject", "reassign"] and is_list(ids) do
+    ids = Enum.map(ids, &to_string/1)
+    tasks = Enum.filter(socket.assigns.tasks, &(to_string(&1.review_task_id) in ids))
+
+    {reply, socket} =
+      case run_batch(action, tasks, params["assignee"]) do
+        {:ok, done, []} ->
+          {%{done: done}, put_flash(socket, :info, batch_message(action, length(done)))}
+
+        {:ok, done, failed} ->
+          {%{done: done, failed: failed},
+            put_flash(socket, :error, "#{length(failed)} of #{length(tasks)} task(s) could not be updated")}
+
+        {:error, message} ->
+          {%{error: message}, put_flash(socket, :error, message)}
+      end
+
+    {:reply, reply, load_tasks(socket)}
+  end
+
+  # Sent by the ReviewActions hook, possibly replayed after a reconnect; the reply
+  # tells it whether the task was still open
+  @impl true
+  def handle_event(action, %{"id" => id}, socket) when action in ["approve", "reject"] do
+    reply =
+      case Integer.parse(to_string(id)) do
+        {task_id, ""} -> action_reply(Review.resolve_task!(task_id, String.to_existing_atom(action), %{}))
+        _ -> %{error: "not_found"}
+      end
+
+    {:reply, reply, load_tasks(socket)}
+  end
+
+  # A reassign batch that ReviewActions replays per task after the page was left
+  @impl true
+  def handle_event("reassign", %{"id" => id, "assignee" => assignee}, socket) do
+    reply =
+      with {task_id, ""} <- Integer.parse(to_string(id)),
+           {:assignee, {user_id, ""}} when user_id > 0 <- {:assignee, Integer.parse(to_string(assignee))} do
+        case Review.reassign_tasks([task_id], user_id) do
+          {:ok, 1} -> %{ok: true}
+          {:ok, 0} -> if Repo.get(ReviewTask, task_id), do: %{error: "already_resolved"}, else: %{error: "not_found"}
+        end
+      else
+        {:assignee, _} -> %{error: "failed", message: "invalid assignee"}
+        _ -> %{error: "not_found"}
+      end
+
+    {:reply, reply, load_tasks(socket)}
+  end
+
+  @impl true
+  def handle_event("edit", %{"id" => id}, socket) do
+    {:noreply, assign(socket, :editing_task_id, String.to_integer(id))}
+  end
+
+  @impl true
+  def handle_event("cancel_edit", _params, socket) do
+    {:noreply, assign(socket, :editing_task_id, nil)}
   end
 
   @impl true
-  def handle_event("approve", %{"id" => id}, socket) do
-    _ = Review.resolve_task!(String.to_integer(id), :approve, %{})
-    {:noreply, assign(socket, :tasks, list_open_tasks())}
+  def handle_event("approve_edited", %{"id" => id, "value" => value}, socket) do
+    socket =
+      case Review.resolve_task!(String.to_integer(id), :approve, %{normalized_value: String.trim(value), resolution: "approve_edited"}) do
+        {:ok, _task} -> socket
+        {:error, reason} -> put_flash(socket, :error, "Could not approve task: #{inspect(reason)}")
+      end
+
+    {:noreply, socket |> assign(:editing_task_id, nil) |> load_tasks()}
   end
 
+  # Conflict view: every candidate value for the task's target side by side
   @impl true
-  def handle_event("reject", %{"id" => id}, socket) do
-    _ = Review.resolve_task!(String.to_integer(id), :reject, %{})
-    {:noreply, assign(socket, :tasks, list_open_tasks())}
+  def handle_event("show_conflict", %{"id" => id}, socket) do
+    id = String.to_integer(id)
+
+    case Enum.find(socket.assigns.tasks, &(&1.review_task_id == id)) do
+      nil ->
+        {:noreply, socket}
+
+      task ->
+        {:noreply,
+          socket
+          |> assign(:editing_task_id, nil)
+          |> assign(:conflict_task_id, id)
+          |> assign(:candidates, Candidates.for_task(task))}
+    end
+  end
+
+  @impl true
+  def handle_event("cancel_conflict", _params, socket) do
+    {:noreply, socket |> assign(:conflict_task_id, nil) |> assign(:candidates, [])}
+  end
+
+  @impl true
+  def handle_event("resolve_conflict", %{"id" => id} = params, socket) do
+    result =
+      with {:ok, decision, opts} <- Candidates.resolution(socket.assigns.candidates, params) do
+        Review.resolve_task!(String.to_integer(id), decision, opts)
+      end
+
+    case result do
+      {:ok, _task} ->
+        {:noreply,
+          socket
+          |> assign(:conflict_task_id, nil)
+          |> assign(:candidates, [])
+          |> load_tasks()}
+
+      {:error, message} when is_binary(message) ->
+        {:noreply, put_flash(socket, :error, message)}
+
+      {:error, reason} ->
+        {:noreply, put_flash(socket, :error, "Could not resolve task: #{inspect(reason)}")}
+    end
+  end
+
+  @impl true
+  def handle_event("approve_agreement", %{"agreement_id" => agreement_id}, socket) do
+    agreement_id = String.to_integer(agreement_id)
+
+    failed =
+      socket.assigns.tasks
+      |> Enum.filter(&(&1.agreement_id == agreement_id))
+      |> Enum.reject(&match?({:ok, _}, Review.resolve_task!(&1, :approve, %{})))
+
+    socket =
+      case failed do
+        [] -> put_flash(socket, :info, "Approved all tasks for agreement ##{agreement_id}")
+        _ -> put_flash(socket, :error, "#{length(failed)} task(s) for agreement ##{agreement_id} could not be approved")
+      end
+
+    {:noreply, load_tasks(socket)}
+  end
+
+  # "Show in source document": opens the inspector, then scrolls the viewer in it
+  # to the field's evidence
+  @impl true
+  def handle_event("source:show", %{"agreement_id" => agreement_id, "span_id" => span_id}, socket) do
+    {:noreply,
+      socket
+      |> push_event("layout:inspector", %{open: true})
+      |> push_event("viewer:jump", %{agreement_id: agreement_id, span_id: span_id})}
+  end
+
+  # DocumentViewer hook asks for the source text and evidence spans of an agreement
+  @impl true
+  def handle_event("viewer:load", %{"agreement_id" => agreement_id}, socket) do
+    reply =
+      case Provenance.document(agreement_id) do
+        {:ok, document} -> document
+        {:error, reason} -> %{error: reason}
+      end
+
+    {:reply, reply, socket}
   end
 
   @impl true
   def render(assigns) do
     ~H"""
     <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Review Tasks">
-      <div class="max-w-5xl mx-auto px-4 py-8">
-        <h1 class="text-2xl font-semibold mb-6">Open Review Tasks</h1>
+      <div
+        id="review-tasks"
+        phx-hook="ReviewActions"
+        class="max-w-7xl mx-auto px-4 py-8"
+      >
+        <section id="review-queue" phx-hook="ReviewKeyboard">
+          <div class="flex items-baseline justify-between mb-6">
+            <h1 class="text-2xl font-semibold">
+              Open Review Tasks
+              <.link :if={@agreement_id} patch={queue_path(nil, @filters)} class="ml-2 text-sm font-normal text-emerald-700 hover:underline">
+                Agreement #{@agreement_id} · show all
+              </.link>
+            </h1>
+            <div :if={@tasks != []} class="text-xs text-gray-500">
+              Press <kbd class="px-1.5 py-0.5 rounded border border-gray-300 font-mono">?</kbd> for keyboard shortcuts
+            </div>
+          </div>
 
-        <div :if={@tasks == []} class="text-gray-500">No open tasks 🎉</div>
+          <form id="review-filters" phx-change="filter" class="flex flex-wrap items-center gap-3 mb-4 text-sm text-gray-700">
+            <label class="flex items-center gap-2">
+              Confidence
+              <select name="min_confidence" class="rounded border border-gray-300 px-2 py-1">
+                <option value="">any</option>
+                <option :for={step <- ReviewQueue.confidence_steps()} value={step} selected={@filters.min_confidence == step}>≥ {step}%</option>
+              </select>
+            </label>
+            <label class="flex items-center gap-2">
+              Table
+              <select name="table" class="rounded border border-gray-300 px-2 py-1">
+                <option value="">all</option>
+                <option :for={table <- @tables} value={table} selected={@filters.table == table}>{friendly_table_name(table)}</option>
+              </select>
+            </label>
+            <label class="flex items-center gap-2">
+              Waiting
+              <select name="min_age" class="rounded border border-gray-300 px-2 py-1">
+                <option value="">any time</option>
+                <option :for={days <- ReviewQueue.age_steps()} value={days} selected={@filters.min_age == days}>
+                  {days}+ {if days == 1, do: "day", else: "days"}
+                </option>
+              </select>
+            </label>
+            <span :if={length(@tasks) != @total_count} class="text-gray-500">
+              {length(@tasks)} of {@total_count} shown ·
+              <.link patch={queue_path(@agreement_id, ReviewQueue.parse(%{}))} class="text-emerald-700 hover:underline">clear filters</.link>
+            </span>
+          </form>
 
-        <div :for={{agreement_id, items} <- group_tasks(@tasks)} class="mb-8">
-          <div class="flex items-center justify-between mb-2">
-            <h2 class="text-lg font-medium text-gray-900">Agreement #{agreement_id}</h2>
-            <div class="text-sm text-gray-500">{length(items)} pending</div>
-          </div>
+          <div :if={@total_count == 0} class="text-gray-500">No open tasks 🎉</div>
+          <div :if={@total_count > 0 and @tasks == []} class="text-gray-500">No open tasks match these filters.</div>
 
-          <div class="space-y-3">
-            <div :for={task <- items} class="bg-white rounded-lg shadow p-4">
-              <div class="flex items-start justify-between gap-4">
-                <div class="flex-1">
-                  <div class="font-medium text-gray-900">{task.title}</div>
-                  <div class="mt-1 text-sm text-gray-600">
-                    <%= with details <- task.details || %{},
-                            tgt <- details["target"] || %{},
-                            prop <- details["proposal"] || %{},
-                            table <- friendly_table_name(tgt["table"]),
-                            column <- friendly_column_label(tgt["table"], tgt["column"]),
-                            value <- prop["normalized"] || prop["raw"],
-                            conf <- prop["confidence"] do %>
-                      <span class="inline-flex items-center gap-2">
-                        <span class="text-gray-700">{table}</span>
-                        <span class="text-gray-400">/</span>
-                        <span class="text-gray-700">{column}</span>
-                        <span class="text-gray-400">→</span>
-                        <span class="text-gray-900 font-medium">{value}</span>
-                        <span :if={conf} class="ml-2 text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">{confidence_text(conf)}</span>
-                      </span>
-                    <% end %>
-                  </div>
+          <div id="review-sync-status" phx-update="ignore"></div>
+
+          <div id="review-batch" phx-hook="ReviewSelection" data-assignees={Jason.encode!(@assignees)}>
+            <div id="review-batch-toolbar" phx-update="ignore"></div>
+
+            <div :for={{agreement_id, items} <- group_tasks(@tasks)} data-review-group={agreement_id} class="mb-8">
+              <div class="flex items-center justify-between mb-2">
+                <label class="flex items-center gap-2">
+                  <input
+                    type="checkbox"
+                    data-select-agreement={agreement_id}
+                    aria-label={"Select all tasks of agreement ##{agreement_id}"}
+                    class="rounded border-gray-300"
+                  />
+                  <h2 class="text-lg font-medium text-gray-900">Agreement #{agreement_id}</h2>
+                </label>
+                <div class="flex items-center gap-3 text-sm text-gray-500">
+                  <.link navigate={~p"/backend/agreements/#{agreement_id}/flow"} class="text-emerald-700 hover:underline">Clause flow</.link>
+                  <.link navigate={~p"/backend/agreements/#{agreement_id}/segmentation"} class="text-emerald-700 hover:underline">Segmentation</.link>
+                  <span>{length(items)} pending</span>
                 </div>
-                <div class="flex items-center gap-2 shrink-0">
-                  <button phx-click="approve" phx-value-id={task.review_task_id} class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">Approve</button>
-                  <button phx-click="reject" phx-value-id={task.review_task_id} class="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white text-sm">Reject</button>
+              </div>
+
+              <div class="space-y-3">
+                <div
+                  :for={task <- items}
+                  id={"review-task-#{task.review_task_id}"}
+                  data-review-task={task.review_task_id}
+                  data-agreement-id={task.agreement_id}
+                  tabindex="-1"
+                  class="bg-white rounded-lg shadow p-4 outline-none data-active:ring-2 data-active:ring-emerald-500"
+                >
+                  <div class="flex items-start justify-between gap-4">
+                    <input
+                      type="checkbox"
+                      data-select-task={task.review_task_id}
+                      aria-label={"Select task: #{task.title}"}
+                      class="mt-1 rounded border-gray-300"
+                    />
+                    <div class="flex-1">
+                      <div class="font-medium text-gray-900">
+                        {task.title}
+                        <span :if={task.assignee_user_id} class="ml-2 text-xs font-normal px-2 py-0.5 rounded-full bg-gray-100 text-gray-600">
+                          Assigned to user #{task.assignee_user_id}
+                        </span>
+                      </div>
+                      <div class="mt-1 text-sm text-gray-600">
+                        <%= with details <- task.details || %{},
+                                tgt <- details["target"] || %{},
+                                prop <- details["proposal"] || %{},
+                                table <- friendly_table_name(tgt["table"]),
+                                column <- friendly_column_label(tgt["table"], tgt["column"]),
+                                value <- prop["normalized"] || prop["raw"],
+                                conf <- prop["confidence"] do %>
+                          <span class="inline-flex items-center gap-2">
+                            <span class="text-gray-700">{table}</span>
+                            <span class="text-gray-400">/</span>
+                            <span class="text-gray-700">{column}</span>
+                            <span class="text-gray-400">→</span>
+                            <button
+                              :if={task.fact_id}
+                              type="button"
+                              phx-click={JS.push("source:show", value: %{agreement_id: task.agreement_id, span_id: Provenance.span_id(task)})}
+                              class="text-gray-900 font-medium underline decoration-dotted underline-offset-2 hover:text-emerald-700"
+                              title="Show in source document"
+                            >{value}</button>
+                            <span :if={!task.fact_id} class="text-gray-900 font-medium">{value}</span>
+                            <span :if={conf} class="ml-2 text-xs px-2 py-0.5 rounded-full bg-blue-50 text-blue-700">{confidence_text(conf)}</span>
+                            <button
+                              :if={@conflict_task_id != task.review_task_id}
+                              type="button"
+                              phx-click="show_conflict"
+                              phx-value-id={task.review_task_id}
+                              class="ml-2 text-xs text-emerald-700 hover:underline"
+                            >{conflict_label(details)}</button>
+                          </span>
+                          <form :if={@editing_task_id == task.review_task_id} phx-submit="approve_edited" class="mt-2 flex items-center gap-2">
+                            <input type="hidden" name="id" value={task.review_task_id} />
+                            <input
+                              type="text"
+                              name="value"
+                              value={value}
+                              aria-label={"New value for #{column}"}
+                              phx-mounted={JS.focus()}
+                              phx-keydown="cancel_edit"
+                              phx-key="Escape"
+                              class="flex-1 rounded border border-gray-300 px-2 py-1 text-sm text-gray-900"
+                            />
+                            <button type="submit" class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">Save &amp; approve</button>
+                            <button type="button" phx-click="cancel_edit" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700">Cancel</button>
+                          </form>
+                          <form
+                            :if={@conflict_task_id == task.review_task_id}
+                            id={"conflict-#{task.review_task_id}"}
+                            phx-submit="resolve_conflict"
+                            class="mt-3 space-y-3"
+                          >
+                            <input type="hidden" name="id" value={task.review_task_id} />
+                            <table class="w-full text-xs">
+                              <caption class="sr-only">Candidate values for {column}</caption>
+                              <thead class="text-left text-gray-500">
+                                <tr>
+                                  <th scope="col" class="w-6"><span class="sr-only">Choose</span></th>
+                                  <th scope="col" class="py-1 pr-3 font-medium">Value</th>
+                                  <th scope="col" class="py-1 pr-3 font-medium">Confidence</th>
+                                  <th scope="col" class="py-1 pr-3 font-medium">Source clause</th>
+                                  <th scope="col" class="py-1 font-medium">Extractor</th>
+                                </tr>
+                              </thead>
+                              <tbody class="divide-y divide-gray-100">
+                                <tr :for={{candidate, index} <- Enum.with_index(@candidates)} class="align-top">
+                                  <td class="py-2">
+                                    <input
+                                      type="radio"
+                                      name="choice"
+                                      value={index}
+                                      id={"conflict-#{task.review_task_id}-#{index}"}
+                                      checked={index == 0}
+                                      disabled={is_nil(candidate.normalized || candidate.raw)}
+                                    />
+                                  </td>
+                                  <td class="py-2 pr-3">
+                                    <label for={"conflict-#{task.review_task_id}-#{index}"} class="block text-gray-900 font-medium">
+                                      {candidate.normalized || candidate.raw || "—"}
+                                    </label>
+                                    <div :if={candidate.raw && candidate.raw != candidate.normalized} class="text-gray-500">
+                                      Raw: “{candidate.raw}”
+                                    </div>
+                                    <span :if={candidate.status == :applied} class="inline-block mt-1 px-1.5 py-0.5 rounded bg-emerald-50 text-emerald-700">Current value</span>
+                                  </td>
+                                  <td class="py-2 pr-3 text-gray-700">{confidence_text(candidate.confidence) || "—"}</td>
+                                  <td class="py-2 pr-3 text-gray-700">
+                                    <button
+                                      :if={candidate.fact_id}
+                                      type="button"
+                                      phx-click={JS.push("source:show", value: %{agreement_id: task.agreement_id, span_id: Provenance.span_id(candidate)})}
+                                      class="underline decoration-dotted underline-offset-2 hover:text-emerald-700 text-left"
+                                      title="Show in source document"
+                                    >{clause_label(candidate)}</button>
+                                    <span :if={!candidate.fact_id}>{clause_label(candidate)}</span>
+                                  </td>
+                                  <td class="py-2 text-gray-700">{extractor_label(candidate)}</td>
+                                </tr>
+                              </tbody>
+                            </table>
+                            <div :if={@candidates == []} class="text-xs text-gray-500">No candidate values were recorded for this field.</div>
+                            <div class="flex items-center gap-2 text-sm">
+                              <input type="radio" name="choice" value="custom" id={"conflict-#{task.review_task_id}-custom"} checked={@candidates == []} />
+                              <label for={"conflict-#{task.review_task_id}-custom"} class="text-gray-700">Other value</label>
+                              <input
+                                type="text"
+                                name="custom_value"
+                                aria-label={"Custom value for #{column}"}
+                                phx-focus={JS.dispatch("click", to: "#conflict-#{task.review_task_id}-custom")}
+                                class="flex-1 rounded border border-gray-300 px-2 py-1 text-sm text-gray-900"
+                              />
+                            </div>
+                            <div class="flex items-center gap-2 text-sm">
+                              <input type="radio" name="choice" value="not_present" id={"conflict-#{task.review_task_id}-absent"} />
+                              <label for={"conflict-#{task.review_task_id}-absent"} class="text-gray-700">Not present in this agreement</label>
+                            </div>
+                            <div class="flex items-center gap-2">
+                              <button type="submit" class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">Resolve</button>
+                              <button type="button" phx-click="cancel_conflict" class="px-3 py-1 rounded border border-gray-300 text-sm text-gray-700">Cancel</button>
+                            </div>
+                          </form>
+                        <% end %>
+                      </div>
+                    </div>
+                    <div class="flex items-center gap-2 shrink-0">
+                      <button type="button" data-review-action="approve" data-task-id={task.review_task_id} class="px-3 py-1 rounded bg-emerald-600 hover:bg-emerald-700 text-white text-sm">Approve</button>
+                      <button type="button" data-review-action="reject" data-task-id={task.review_task_id} class="px-3 py-1 rounded bg-red-600 hover:bg-red-700 text-white text-sm">Reject</button>
+                    </div>
+                  </div>
                 </div>
               </div>
             </div>
           </div>
-        </div>
+        </section>
       </div>
+
+      <:inspector title="Source document">
+        <div id="document-viewer" phx-hook="DocumentViewer" phx-update="ignore" class="flex flex-col h-full">
+        </div>
+      </:inspector>
     </Layouts.app>
     """
   end
@@ -109,6 +492,58 @@ defmodule EvhlegalchatWeb.ReviewTasksLive do
   end
   defp titleize(col), do: to_string(col)
 
+  defp run_batch("reassign", tasks, assignee) do
+    case Integer.parse(to_string(assignee || "")) do
+      {user_id, ""} when user_id > 0 ->
+        ids = Enum.map(tasks, & &1.review_task_id)
+        {:ok, _count} = Review.reassign_tasks(ids, user_id)
+        {:ok, ids, []}
+
+      _ ->
+        {:error, "Pick the user to assign the tasks to"}
+    end
+  end
+
+  defp run_batch(action, tasks, _assignee) do
+    decision = String.to_existing_atom(action)
+
+    {done, failed} =
+      Enum.split_with(tasks, fn task ->
+        match?({:ok, _}, Review.resolve_task!(task, decision, %{resolution: "batch_#{action}"}))
+      end)
+
+    {:ok, Enum.map(done, & &1.review_task_id), Enum.map(failed, & &1.review_task_id)}
+  end
+
+  defp action_reply({:ok, _task}), do: %{ok: true}
+  defp action_reply({:error, :already_resolved}), do: %{error: "already_resolved"}
+  defp action_reply({:error, :not_found}), do: %{error: "not_found"}
+  defp action_reply({:error, reason}), do: %{error: "failed", message: inspect(reason)}
+
+  defp batch_message("approve", count), do: "Approved #{count} task(s)"
+  defp batch_message("reject", count), do: "Rejected #{count} task(s)"
+  defp batch_message("reassign", count), do: "Reassigned #{count} task(s)"
+
+  defp conflict_label(details) do
+    case length(List.wrap(details["proposals"])) do
+      0 -> "Resolve…"
+      n -> "Compare #{n + 1} candidates"
+    end
+  end
+
+  defp clause_label(%{evidence_clause_id: nil}), do: "—"
+  defp clause_label(%{evidence_clause_id: id, clause: clause}) do
+    case [clause[:number_label], clause[:heading_text]] |> Enum.reject(&(&1 in [nil, ""])) do
+      [] -> "Clause ##{id}"
+      parts -> Enum.join(parts, " ")
+    end
+  end
+
+  defp extractor_label(%{extractor: nil, extractor_version: nil}), do: "—"
+  defp extractor_label(%{extractor: extractor, extractor_version: version}) do
+    [extractor, version && "v#{version}"] |> Enum.reject(&is_nil/1) |> Enum.join(" ")
+  end
+
   defp confidence_text(nil), do: nil
   defp confidence_text(%Decimal{} = d) do
     float = Decimal.to_float(d) * 100.0
@@ -0,0 +1,118 @@
+defmodule EvhlegalchatWeb.SegmentationInspectorLive do
+  @moduledoc """
+  Segmented clauses of one agreement with their anomalies, edited in the
+  `SegmentationInspector` hook and saved as a corrected segmentation run
+  (`Evhlegalchat.Segmentation.Corrections`).
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.Segmentation.{Corrections, Types}
+
+  @impl true
+  def mount(%{"id" => id}, _session, socket) do
+    agreement_id =
+      case Integer.parse(id) do
+        {agreement_id, ""} -> agreement_id
+        _ -> nil
+      end
+
+    {:ok,
+      socket
+      |> assign(:current_scope, "agreements")
+      |> assign(:agreement_id, agreement_id)
+      |> assign(:context, nil)}
+  end
+
+  # The hook asks for the text, clauses and anomalies once it is mounted
+  @impl true
+  def handle_event("inspector:load", _params, socket) do
+    load_reply(socket)
+  end
+
+  # Anomalies for the reviewer's unsaved edits
+  @impl true
+  def handle_event("inspector:preview", %{"clauses" => clauses}, %{assigns: %{context: context}} = socket)
+      when context != nil do
+    reply =
+      case Corrections.preview(context, clauses) do
+        {:ok, preview} -> preview
+        {:error, reason} -> %{error: error_message(reason)}
+      end
+
+    {:reply, reply, socket}
+  end
+
+  @impl true
+  def handle_event("inspector:submit", %{"run_id" => run_id, "clauses" => clauses}, socket) when is_integer(run_id) do
+    case Corrections.submit(socket.assigns.agreement_id, run_id, clauses) do
+      {:ok, result} ->
+        socket = put_flash(socket, :info, "Saved #{result.clause_count} clauses as a corrected segmentation run")
+        load_reply(socket)
+
+      {:error, reason} ->
+        {:reply, %{error: error_message(reason)}, socket}
+    end
+  end
+
+  @impl true
+  def handle_event("inspector:submit", _params, socket) do
+    {:reply, %{error: "The correction must name the run it was made on (an integer run_id) and list its clauses."}, socket}
+  end
+
+  @impl true
+  def handle_event(_event, _params, socket) do
+    {:reply, %{error: "The inspector is not loaded"}, socket}
+  end
+
+  defp load_reply(%{assigns: %{agreement_id: nil}} = socket), do: {:reply, %{error: error_message(:not_found)}, socket}
+
+  defp load_reply(socket) do
+    case Corrections.load(socket.assigns.agreement_id) do
+      {:ok, payload} ->
+        # Enough of the document to preview edits without re-reading the text
+        context = %{
+          text_length: String.length(payload.text),
+          pages: payload.pages,
+          original: Enum.map(payload.clauses, &Map.put(&1, :text_snippet, nil))
+        }
+
+        {:reply, payload, assign(socket, :context, context)}
+
+      {:error, reason} ->
+        {:reply, %{error: error_message(reason)}, assign(socket, :context, nil)}
+    end
+  end
+
+  defp error_message(:not_found), do: "Agreement not found."
+  defp error_message(:text_unavailable), do: "Source text is not available for this agreement."
+  defp error_message(:no_clauses), do: "This agreement has no segmented clauses."
+  defp error_message(:stale), do: "Someone else saved a correction in the meantime. Reload to see it."
+  defp error_message({:invalid, message}), do: message
+  defp error_message(reason), do: "Could not save the correction: #{inspect(reason)}"
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="Segmentation">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div class="flex items-baseline justify-between mb-6">
+          <h1 class="text-2xl font-semibold">Segmentation · Agreement #{@agreement_id}</h1>
+          <div :if={@agreement_id} class="flex gap-4 text-sm">
+            <.link navigate={~p"/backend/agreements/#{@agreement_id}/flow"} class="text-emerald-700 hover:underline">Clause flow</.link>
+            <.link navigate={~p"/backend/reviews?#{[agreement_id: @agreement_id]}"} class="text-emerald-700 hover:underline">Review tasks</.link>
+          </div>
+        </div>
+
+        <div
+          id="segmentation-inspector"
+          phx-hook="SegmentationInspector"
+          phx-update="ignore"
+          data-anomaly-types={Jason.encode!(Types.anomaly_types())}
+          class="bg-white rounded-lg shadow"
+        >
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
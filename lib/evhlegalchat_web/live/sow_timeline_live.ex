@@ -0,0 +1,56 @@
+defmodule EvhlegalchatWeb.SowTimelineLive do
+  @moduledoc """
+  Gantt view of SOW milestones with dependency arrows, overdue items and the
+  critical path, rendered by the `MilestoneGantt` React component.
+  """
+
+  use EvhlegalchatWeb, :live_view
+  alias Evhlegalchat.SOW.Timeline
+
+  @impl true
+  def mount(_params, _session, socket) do
+    {:ok,
+      socket
+      |> assign(:current_scope, "agreements")
+      |> assign(:timeline, Timeline.load())}
+  end
+
+  @impl true
+  def handle_params(params, _uri, socket) do
+    agreement_id =
+      case Integer.parse(params["agreement_id"] || "") do
+        {id, ""} -> id
+        _ -> nil
+      end
+
+    {:noreply, assign(socket, :agreement_id, agreement_id)}
+  end
+
+  @impl true
+  def render(assigns) do
+    ~H"""
+    <Layouts.app flash={@flash} current_scope={@current_scope} page_title="SOW Timeline">
+      <div class="max-w-7xl mx-auto px-4 py-8">
+        <div class="mb-4">
+          <h1 class="text-2xl font-semibold">SOW Milestones</h1>
+          <p class="text-sm text-gray-600">
+            Bars run from the milestone each one depends on to its target date; arrows show the dependencies.
+          </p>
+        </div>
+
+        <div :if={@timeline.agreements == []} class="text-gray-500">No SOWs yet.</div>
+
+        <div
+          :if={@timeline.agreements != []}
+          id="sow-timeline"
+          phx-hook="ReactMount"
+          phx-update="ignore"
+          data-react-component="MilestoneGantt"
+          data-props={Jason.encode!(Map.put(@timeline, :agreement_id, @agreement_id))}
+        >
+        </div>
+      </div>
+    </Layouts.app>
+    """
+  end
+end
@@ -8,10 +8,18 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
 
   use EvhlegalchatWeb, :live_view
   require Logger
-  alias Evhlegalchat.Ingest.{StagingService, StagingUpload}
+  alias Evhlegalchat.Pipeline
+  alias Evhlegalchat.Ingest.{ChunkedUpload, StagingService}
 
+  # Larger files go through the resumable ChunkedUpload endpoints instead
   @max_file_size 10_000_000  # 10MB
   @allowed_extensions ~w(.pdf .docx .txt)
+  # The drop zone hook feeds files in batches no larger than this
+  @max_entries 10
+  # Upper bound on hashes accepted per duplicate pre-check
+  @max_hash_batch 500
+  # Uploads shown in the pipeline tracker
+  @tracked_uploads 20
 
   @impl true
   def mount(_params, _session, socket) do
@@ -25,65 +33,130 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
         &handle_telemetry_event/4,
         nil
       )
+
+      :ok = Pipeline.subscribe()
     end
 
     socket =
       socket
       |> assign(:uploads, [])
-      |> assign(:staging_uploads, [])
       |> assign(:current_scope, "staging_upload")
-      |> allow_upload(:docs, accept: @allowed_extensions, max_file_size: @max_file_size, auto_upload: true)
+      |> assign(:max_file_size, @max_file_size)
+      |> assign(:max_chunked_size, ChunkedUpload.max_byte_size())
+      |> assign(:allowed_extensions, @allowed_extensions)
+      |> allow_upload(:docs,
+        accept: @allowed_extensions,
+        max_entries: @max_entries,
+        max_file_size: @max_file_size,
+        auto_upload: true,
+        progress: &handle_progress/3
+      )
+
+    socket = if connected?(socket), do: push_pipeline_rows(socket), else: socket
 
     {:ok, socket}
   end
 
+  # Each entry is staged as soon as its own upload finishes
+  defp handle_progress(:docs, entry, socket) do
+    if entry.done? do
+      {:noreply, handle_upload_complete(entry, socket)}
+    else
+      {:noreply, socket}
+    end
+  end
+
   @impl true
-  def handle_progress(event, entry, socket) do
-    Logger.info("Upload progress for #{entry.client_name}: #{event}")
+  def handle_event("cancel_upload", %{"ref" => ref}, socket) do
+    cancelled_uploads = consume_uploaded_entries(socket, :docs, fn %{ref: ^ref}, _entry -> {:ok, :cancelled} end)
+    {:noreply, assign(socket, :uploads, socket.assigns.uploads -- cancelled_uploads)}
+  end
+
+  # Entries LiveView rejected (wrong type, too large, too many) never reach
+  # handle_progress; answer the drop zone now instead of leaving it waiting
+  @impl true
+  def handle_event("validate", _params, socket) do
+    conf = socket.assigns.uploads.docs
+
     socket =
-      cond do
-        entry.done? ->
-          handle_upload_complete(entry, socket)
-        event == :progress ->
-          socket
-        true ->
-          socket
-      end
+      conf.entries
+      |> Enum.reject(& &1.valid?)
+      |> Enum.reduce(socket, fn entry, socket ->
+        reason =
+          case upload_errors(conf, entry) do
+            [error | _] -> error
+            [] -> :validation_failed
+          end
+
+        socket
+        |> cancel_upload(:docs, entry.ref)
+        |> push_event("upload:failed", %{filename: entry.client_name, hash: client_hash(entry), reason: upload_error_message(reason)})
+      end)
 
     {:noreply, socket}
   end
 
   @impl true
-  def handle_event("cancel_upload", %{"ref" => ref}, socket) do
-    cancelled_uploads = consume_uploaded_entries(socket, :docs, fn %{ref: ^ref}, _entry -> {:ok, :cancelled} end)
-    {:noreply, assign(socket, :uploads, socket.assigns.uploads -- cancelled_uploads)}
+  def handle_event("save", _params, socket) do
+    {:noreply, socket}
+  end
+
+  # Duplicate pre-check from the UploadDropZone hook: replies with the hashes
+  # that are already staged so the browser never sends their bytes.
+  @impl true
+  def handle_event("check_hashes", %{"hashes" => hashes}, socket) when is_list(hashes) do
+    staged = hashes |> Enum.take(@max_hash_batch) |> StagingService.staged_hashes()
+    {:reply, %{staged: staged}, socket}
+  end
+
+  # PipelineTracker asks for a row when a job event arrives for an upload it has not seen
+  @impl true
+  def handle_event("pipeline:row", %{"staging_upload_id" => staging_upload_id}, socket) do
+    row =
+      case StagingService.get_staging_upload(staging_upload_id) do
+        nil -> nil
+        upload -> upload |> List.wrap() |> Pipeline.rows() |> hd()
+      end
+
+    {:reply, %{row: row}, socket}
   end
 
   @impl true
-  def handle_event("refresh", _params, socket) do
-    staging_uploads = StagingService.list_staging_uploads(limit: 20)
-    {:noreply, assign(socket, :staging_uploads, staging_uploads)}
+  def handle_event("pipeline:retry", %{"staging_upload_id" => staging_upload_id, "stage" => stage}, socket) do
+    reply =
+      case Pipeline.retry(staging_upload_id, stage) do
+        :ok -> %{ok: true}
+        {:error, :not_retryable} -> %{ok: false, error: "This stage is not in a failed state"}
+        {:error, :not_found} -> %{ok: false, error: "No job found for this stage"}
+      end
+
+    {:reply, reply, socket}
   end
 
   @impl true
   def handle_info({:telemetry_event, event_name, measurements, metadata}, socket) do
     Logger.info("Telemetry event: #{event_name}")
     
-    # Refresh staging uploads list on relevant events
+    # Refresh the pipeline tracker on relevant events
     if event_name in [:upload_staged, :upload_duplicate_detected] do
-      staging_uploads = StagingService.list_staging_uploads(limit: 20)
-      {:noreply, assign(socket, :staging_uploads, staging_uploads)}
+      {:noreply, push_pipeline_rows(socket)}
     else
       {:noreply, socket}
     end
   end
 
+  @impl true
+  def handle_info({:pipeline_job, staging_upload_id, stage}, socket) do
+    {:noreply, push_event(socket, "pipeline:job", %{staging_upload_id: staging_upload_id, stage: stage})}
+  end
+
   # Private functions
 
   defp handle_upload_complete(entry, socket) do
     Logger.info("Processing complete upload: #{entry.client_name}")
 
-    consume_uploaded_entries(socket, :docs, fn %{path: path}, entry ->
+    # Other entries of the batch may still be uploading, so only this one is consumed
+    consume_uploaded_entry(socket, entry, fn %{path: path} ->
       process_uploaded_file(path, entry, socket)
       {:ok, path}
     end)
@@ -91,6 +164,10 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
     socket
   end
 
+  # The UploadDropZone hook sends each file's SHA-256 as entry meta
+  defp client_hash(%{client_meta: %{"hash" => hash}}) when is_binary(hash), do: hash
+  defp client_hash(_entry), do: nil
+
   defp process_uploaded_file(temp_file, entry, socket) do
     original_filename = entry.client_name
     Logger.metadata(filename: original_filename)
@@ -99,14 +176,14 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
       {:ok, staging_upload} ->
         Logger.info("File staged successfully: #{staging_upload.source_hash}")
         
-        # Refresh the staging uploads list
-        staging_uploads = StagingService.list_staging_uploads(limit: 20)
-        send(self(), {:refresh_staging_uploads, staging_uploads})
+        # Refresh the pipeline tracker
+        send(self(), :refresh_staging_uploads)
+        send(self(), {:upload_staged, original_filename, staging_upload.source_hash})
         
       {:error, reason} ->
         Logger.error("Failed to stage file: #{inspect(reason)}")
         
-        send(self(), {:upload_error, original_filename, reason})
+        send(self(), {:upload_error, original_filename, client_hash(entry), reason})
     end
   end
 
@@ -115,14 +192,18 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
   end
 
   @impl true
-  def handle_info({:refresh_staging_uploads, staging_uploads}, socket) do
-    {:noreply, assign(socket, :staging_uploads, staging_uploads)}
+  def handle_info(:refresh_staging_uploads, socket) do
+    {:noreply, push_pipeline_rows(socket)}
   end
 
   @impl true
-  def handle_info({:upload_error, filename, reason}, socket) do
-    # Handle error display in UI
-    {:noreply, socket}
+  def handle_info({:upload_staged, filename, source_hash}, socket) do
+    {:noreply, push_event(socket, "upload:staged", %{filename: filename, hash: source_hash})}
+  end
+
+  @impl true
+  def handle_info({:upload_error, filename, hash, reason}, socket) do
+    {:noreply, push_event(socket, "upload:failed", %{filename: filename, hash: hash, reason: upload_error_message(reason)})}
   end
 
   @impl true
@@ -137,16 +218,30 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
           <h2 class="text-xl font-semibold text-gray-800 mb-4">Upload Documents</h2>
           
           <form phx-submit="save" phx-change="validate">
-            <.live_file_input upload={@uploads.docs} required />
-            
-            <div phx-drop-target={@uploads.docs.ref} class="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
-              <svg class="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48">
-                <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8H32 20v-8m0-8h-8l-8 8h8l4-4z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />
-              </svg>
-              <p class="mt-2 text-sm text-gray-600">
-                Drop PDF, DOCX, or TXT files here, or <span class="text-blue-600 hover:text-blue-500 cursor-pointer">click to browse</span>
-              </p>
-              <p class="mt-1 text-xs text-gray-500">Maximum file size: 10MB</p>
+            <.live_file_input upload={@uploads.docs} class="hidden" />
+
+            <div
+              id="upload-drop-zone"
+              phx-hook="UploadDropZone"
+              data-upload="docs"
+              data-accept={Enum.join(@allowed_extensions, ",")}
+              data-max-size={@max_chunked_size}
+              data-live-max-size={@max_file_size}
+            >
+              <div data-role="drop-area" class="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center hover:border-blue-400 transition-colors">
+                <svg class="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48">
+                  <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8H32 20v-8m0-8h-8l-8 8h8l4-4z" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" />
+                </svg>
+                <p class="mt-2 text-sm text-gray-600">
+                  Drop PDF, DOCX, or TXT files or whole folders here, or
+                  <button type="button" data-action="browse-files" class="text-blue-600 hover:text-blue-500">browse files</button>
+                  /
+                  <button type="button" data-action="browse-folder" class="text-blue-600 hover:text-blue-500">a folder</button>
+                </p>
+                <p class="mt-1 text-xs text-gray-500">Maximum file size: {humanize_size(@max_chunked_size)}. Files over {humanize_size(@max_file_size)} upload in resumable chunks. Files already staged are skipped before upload.</p>
+              </div>
+              <div data-role="upload-summary" class="mt-3 text-sm text-gray-600" phx-update="ignore" id="upload-drop-zone-summary"></div>
+              <ul data-role="upload-queue" class="mt-2 max-h-80 overflow-y-auto divide-y divide-gray-100 text-sm" phx-update="ignore" id="upload-drop-zone-queue"></ul>
             </div>
 
             <div :for={entry <- @uploads.docs.entries} class="mt-4 p-4 bg-gray-50 rounded-lg">
@@ -175,41 +270,15 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
           </form>
         </div>
 
-        <!-- Staging Uploads List -->
+        <!-- Pipeline Tracker -->
         <div class="bg-white rounded-lg shadow-md p-6">
           <div class="flex items-center justify-between mb-4">
-            <h2 class="text-xl font-semibold text-gray-800">Staging Uploads</h2>
-            <button phx-click="refresh" class="text-blue-600 hover:text-blue-700 text-sm font-medium">
-              Refresh
-            </button>
+            <h2 class="text-xl font-semibold text-gray-800">Processing Pipeline</h2>
+            <span class="text-xs text-gray-500">Updates live as jobs run</span>
           </div>
 
-          <div :if={@staging_uploads == []} class="text-center py-8 text-gray-500">
-            No staging uploads yet. Upload some files to get started.
-          </div>
-
-          <div :if={@staging_uploads != []} class="space-y-4">
-            <div :for={upload <- @staging_uploads} class="border border-gray-200 rounded-lg p-4">
-              <div class="flex items-center justify-between">
-                <div class="flex-1">
-                  <h3 class="font-medium text-gray-900">{upload.original_filename}</h3>
-                  <div class="flex items-center space-x-4 mt-1 text-sm text-gray-500">
-                    <span class="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-blue-100 text-blue-800">
-                      {StagingUpload.status_description(upload)}
-                    </span>
-                    <span>Hash: {String.slice(upload.source_hash, 0, 8)}...</span>
-                    <span>{upload.byte_size |> humanize_size()}</span>
-                  </div>
-                </div>
-                <div class="text-sm text-gray-500">
-                  {format_relative_time(upload.inserted_at)}
-                </div>
-              </div>
-              
-              <div :if={upload.rejection_reason} class="mt-2 text-sm text-red-600">
-                Rejected: {upload.rejection_reason}
-              </div>
-            </div>
+          <div id="pipeline-tracker" phx-hook="PipelineTracker" phx-update="ignore">
+            <div class="text-center py-8 text-gray-500">Loading staging uploads…</div>
           </div>
         </div>
       </div>
@@ -217,6 +286,19 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
     """
   end
 
+  defp push_pipeline_rows(socket) do
+    rows = StagingService.list_staging_uploads(limit: @tracked_uploads) |> Pipeline.rows()
+    push_event(socket, "pipeline:rows", %{rows: rows})
+  end
+
+  defp upload_error_message(:unsupported_type), do: "Unsupported file type"
+  defp upload_error_message(:storage_failed), do: "Could not store the file"
+  defp upload_error_message(:validation_failed), do: "File failed validation"
+  defp upload_error_message(:too_large), do: "File is too large"
+  defp upload_error_message(:not_accepted), do: "Unsupported file type"
+  defp upload_error_message(:too_many_files), do: "Too many files at once"
+  defp upload_error_message(reason), do: inspect(reason)
+
   defp humanize_size(bytes) do
     cond do
       bytes < 1024 -> "#{bytes} B"
@@ -225,15 +307,4 @@ defmodule EvhlegalchatWeb.StagingUploadLive do
       true -> "#{round(bytes / (1024 * 1024 * 1024))} GB"
     end
   end
-
-  defp format_relative_time(naive_datetime) do
-    # Simple relative time formatting
-    hours_ago = div(System.os_time(:second) - DateTime.to_unix(naive_datetime), 3600)
-    
-    cond do
-      hours_ago < 1 -> "just now"
-      hours_ago < 24 -> "#{hours_ago} hours ago"
-      true -> "#{div(hours_ago, 24)} days ago"
-    end
-  end
 end
@@ -14,6 +14,13 @@ defmodule EvhlegalchatWeb.Router do
     plug CORSPlug, origin: ["https://evhlegal-front.onrender.com", "http://localhost:3000"]
   end
 
+  # Browser-initiated JSON/binary requests that still need the session and CSRF check
+  pipeline :browser_api do
+    plug :accepts, ["json"]
+    plug :fetch_session
+    plug :protect_from_forgery
+  end
+
   pipeline :proxy do
     plug :accepts, ["html", "json", "text", "javascript", "css"]
   end
@@ -40,11 +47,29 @@ defmodule EvhlegalchatWeb.Router do
     live "/uploads", StagingUploadLive, :index
   end
 
+  # Resumable chunked uploads used by the upload drop zone for large files
+  scope "/staging", EvhlegalchatWeb do
+    pipe_through :browser_api
+
+    post "/chunked_uploads", ChunkedUploadController, :create
+    get "/chunked_uploads/:id", ChunkedUploadController, :show
+    patch "/chunked_uploads/:id", ChunkedUploadController, :update
+    post "/chunked_uploads/:id/complete", ChunkedUploadController, :complete
+  end
+
   # Backend LiveViews
   scope "/backend", EvhlegalchatWeb do
     pipe_through :browser
 
     live "/reviews", ReviewTasksLive, :index
+    live "/agreements/graph", AgreementGraphLive, :index
+    live "/agreements/:id/flow", ClauseFlowLive, :show
+    live "/agreements/:id/segmentation", SegmentationInspectorLive, :show
+    live "/obligations", ObligationsLive, :index
+    live "/sow/timeline", SowTimelineLive, :index
+    live "/sow/rates", RateComparisonLive, :index
+    live "/decision-rules", DecisionRulesLive, :index
+    get "/sow/rates.csv", RateComparisonController, :export
   end
 
   # Proxy routes - catch all frontend routes and proxy them
@@ -0,0 +1,33 @@
+defmodule Evhlegalchat.AgreementGraphTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.{Agreement, AgreementGraph}
+
+  defp agreement(id, doc_type, term) do
+    %Agreement{id: id, agreement_title: "Agreement #{id}", doc_type: doc_type, term_length_months: term, status: :executed}
+  end
+
+  describe "build/2" do
+    test "turns agreements and links into nodes and edges" do
+      agreements = [agreement(1, :NDA, 24), agreement(2, :SOW, 6), agreement(3, :SOW, nil)]
+
+      links = [
+        %{from_agreement_id: 2, to_agreement_id: 1, link_type: :related},
+        %{from_agreement_id: 3, to_agreement_id: 1, link_type: :amends}
+      ]
+
+      graph = AgreementGraph.build(agreements, links)
+
+      assert [%{id: 1, doc_type: "NDA", term_length_months: 24, status: "executed", degree: 2}, %{id: 2, degree: 1}, %{id: 3, degree: 1}] =
+               graph.nodes
+
+      assert [%{source: 2, target: 1, link_type: "related"}, %{source: 3, target: 1, link_type: "amends"}] = graph.links
+      assert graph.doc_types == ["NDA", "SOW"]
+    end
+
+    test "drops links to agreements outside the graph" do
+      links = [%{from_agreement_id: 1, to_agreement_id: 99, link_type: :supersedes}]
+
+      assert %{links: [], nodes: [%{degree: 0}]} = AgreementGraph.build([agreement(1, :NDA, 12)], links)
+    end
+  end
+end
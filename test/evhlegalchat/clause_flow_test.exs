@@ -0,0 +1,57 @@
+defmodule Evhlegalchat.ClauseFlowTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.ClauseFlow
+
+  defp clause(id, number, heading, text) do
+    %{clause_id: id, ordinal: id, number_label: number, number_label_normalized: number, heading_text: heading, start_page: 1, text: text}
+  end
+
+  @agreement %{id: 9, agreement_title: "Acme \"Master\" NDA"}
+
+  describe "build/2" do
+    test "draws cross-references between clauses" do
+      clauses = [
+        clause(1, "1", "Definitions", "Terms used in Section 4.2(b) and Section 1."),
+        clause(2, "4", "Term", "This agreement runs for two years."),
+        clause(3, "4.2", "Survival", "As set out in clause 4, obligations survive.")
+      ]
+
+      %{diagrams: [xrefs, _outline]} = ClauseFlow.build(@agreement, clauses)
+
+      assert xrefs.id == "cross-references"
+      assert xrefs.definition =~ "flowchart LR"
+      assert xrefs.definition =~ ~s(c1["1 Definitions"])
+      assert xrefs.definition =~ "c1 --> c3"
+      assert xrefs.definition =~ "c3 --> c2"
+      refute xrefs.definition =~ "c1 --> c1"
+    end
+
+    test "nests subsections under their section in the outline" do
+      clauses = [clause(1, "1", "Definitions", ""), clause(2, "2", "Term", ""), clause(3, "2.1", "Renewal", "")]
+
+      %{diagrams: [xrefs, outline]} = ClauseFlow.build(@agreement, clauses)
+
+      assert xrefs.definition == nil
+      assert xrefs.empty =~ "No cross-references"
+
+      assert outline.definition ==
+               Enum.join(
+                 [
+                   "flowchart TD",
+                   ~s(  root["Acme #quot;Master#quot; NDA"]),
+                   ~s(  root --> clause_1["1 Definitions"]),
+                   ~s(  root --> clause_2["2 Term"]),
+                   ~s(  clause_2 --> clause_3["2.1 Renewal"])
+                 ],
+                 "\n"
+               )
+    end
+  end
+
+  describe "label/1" do
+    test "escapes Mermaid syntax and truncates" do
+      assert ClauseFlow.label(~s(<b>"A" #1</b>)) == "#lt;b#gt;#quot;A#quot; #35;1#lt;/b#gt;"
+      assert ClauseFlow.label(String.duplicate("x", 60)) == String.duplicate("x", 47) <> "…"
+    end
+  end
+end
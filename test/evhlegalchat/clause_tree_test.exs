@@ -0,0 +1,47 @@
+defmodule Evhlegalchat.ClauseTreeTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.ClauseTree
+
+  @agreement %{id: 9, agreement_title: "Mutual NDA"}
+
+  defp clause(id, label, heading) do
+    %{clause_id: id, ordinal: id, number_label: label, number_label_normalized: label, heading_text: heading, start_page: 1}
+  end
+
+  test "nests clauses under their numbered section" do
+    clauses = [clause(1, "1", "Definitions"), clause(2, "1.1", "Confidential Information"), clause(3, "2", "Term")]
+
+    tree = ClauseTree.build(@agreement, clauses)
+
+    assert tree.id == "agreement:9"
+    assert [%{id: "clause:1", kind: "section", children: [%{id: "clause:2", kind: "clause"}]}, %{id: "clause:3", kind: "clause"}] =
+             tree.children
+  end
+
+  test "skips missing intermediate levels" do
+    clauses = [clause(1, "3", "Obligations"), clause(2, "3.2.1", "Return of materials")]
+
+    tree = ClauseTree.build(@agreement, clauses)
+
+    assert [%{id: "clause:1", children: [%{id: "clause:2"}]}] = tree.children
+  end
+
+  test "attaches key clauses and carveouts to their evidence clause" do
+    clauses = [clause(1, "1", "Definitions")]
+    key_clauses = [%{nda_key_clause_id: 5, key: :definition_confidential_information, value_text: "all information", evidence_clause_id: 1}]
+    carveouts = [%{carveout_id: 8, label: nil, text: "Publicly available information", evidence_clause_id: 1}]
+
+    tree = ClauseTree.build(@agreement, clauses, key_clauses, carveouts)
+
+    assert [%{children: [%{id: "key_clause:5", name: "definition confidential information"}, %{id: "carveout:8", kind: "carveout"}]}] =
+             tree.children
+  end
+
+  test "names unnumbered clauses by heading or ordinal" do
+    clauses = [clause(1, nil, "Recitals"), clause(2, nil, nil)]
+
+    tree = ClauseTree.build(@agreement, clauses)
+
+    assert ["Recitals", "Clause 2"] = Enum.map(tree.children, & &1.name)
+  end
+end
@@ -0,0 +1,38 @@
+defmodule Evhlegalchat.CommandPaletteTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.CommandPalette
+
+  describe "score/2" do
+    test "is zero unless every query character appears in order" do
+      assert CommandPalette.score("acme", "Acme Corp NDA") > 0
+      assert CommandPalette.score("amce", "Acme Corp NDA") == 0
+      assert CommandPalette.score("acme", nil) == 0
+    end
+
+    test "prefers contiguous and word-start matches" do
+      assert CommandPalette.score("nda", "Acme NDA") > CommandPalette.score("nda", "Northwind Data Agreement")
+      assert CommandPalette.score("corp", "Acme Corp") > CommandPalette.score("corp", "Cooperation Pact")
+    end
+
+    test "ignores case and whitespace in the query" do
+      assert CommandPalette.score("Re Run", "re-run mapping") == CommandPalette.score("rerun", "re-run mapping")
+    end
+  end
+
+  describe "search/2" do
+    test "returns the routes for an empty query" do
+      assert ["/staging/uploads", "/backend/reviews", "/backend/agreements/graph", "/backend/obligations", "/backend/sow/timeline", "/backend/sow/rates", "/backend/decision-rules"] = "  " |> CommandPalette.search() |> Enum.map(& &1.path)
+    end
+
+    test "matches only routes for a query below the minimum length" do
+      assert [_ | _] = results = CommandPalette.search("s")
+      assert Enum.all?(results, &(&1.kind == "route"))
+    end
+  end
+
+  describe "run/2" do
+    test "rejects a non-numeric agreement id" do
+      assert {:error, "Invalid agreement id"} = CommandPalette.run("rerun_mapping", %{"agreement_id" => "12abc"})
+    end
+  end
+end
@@ -0,0 +1,62 @@
+defmodule Evhlegalchat.DecisionRules.DaRuleTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.DecisionRules.DaRule
+
+  @clause %{heading: "Confidentiality", text: "Obligations survive in perpetuity.", number: "7.2", page: 3, doc_type: "NDA", governing_law: nil}
+
+  defp matches?(source, clause \\ @clause) do
+    {:ok, ast} = DaRule.parse(source)
+    DaRule.evaluate(ast, clause)
+  end
+
+  describe "parse/1 and evaluate/2" do
+    test "matches strings case-insensitively and regexes with flags" do
+      assert matches?(~s(when heading = "CONFIDENTIALITY" and text contains "PERPETUITY"))
+      assert matches?("when heading matches /^confiden/i")
+      refute matches?("when heading matches /^confiden/")
+    end
+
+    test "honours precedence, parentheses, not and comments" do
+      assert matches?(~s(when page > 5 or text contains "survive" and number starts_with "7"))
+      refute matches?(~s(when (page > 5 or text contains "survive") and not doc_type = "nda"))
+
+      assert matches?("""
+             # pages only
+             when page >= 3
+               and page <= 3
+             """)
+    end
+
+    test "never matches missing values" do
+      refute matches?(~s(when governing_law != "Delaware"))
+    end
+
+    test "gives up on regexes that backtrack catastrophically" do
+      refute matches?("when text matches /^(a+)+$/", %{@clause | text: String.duplicate("a", 40) <> "b"})
+    end
+
+    test "keeps escaped delimiters in strings and regexes" do
+      assert matches?(~s(when text contains "said \\"hi\\""), %{@clause | text: ~s(She said "hi")})
+      assert matches?("when text matches /a\\/b/", %{@clause | text: "a/b"})
+    end
+  end
+
+  describe "parse/1 errors" do
+    test "points at the offending token" do
+      assert {:error, [%{line: 2, column: 12, message: "`contains` does not apply to integer field `page`"}]} =
+               DaRule.parse(~s(when heading = "x"\n  and page contains "3"))
+
+      assert {:error, [%{line: 1, column: 6, message: "unknown field or keyword `title`"}]} = DaRule.parse(~s(when title = "x"))
+      assert {:error, [%{line: 1, column: 1, message: "rule must start with `when`"}]} = DaRule.parse(~s(heading = "x"))
+    end
+
+    test "reports incomplete and malformed rules" do
+      assert {:error, [%{message: "rule is empty"}]} = DaRule.parse("  # nothing\n")
+      assert {:error, [%{message: "expected a condition after `and`"}]} = DaRule.parse(~s(when page = 1 and))
+      assert {:error, [%{message: "unclosed `(`", column: 6}]} = DaRule.parse(~s[when (page = 1])
+      assert {:error, [%{message: "unterminated string", column: 16}]} = DaRule.parse(~s(when heading = "abc))
+      assert {:error, [%{message: "`page` expects an integer, got \"3\""}]} = DaRule.parse(~s(when page = "3"))
+      assert {:error, [%{message: "invalid regex: " <> _}]} = DaRule.parse("when text matches /(/")
+    end
+  end
+end
@@ -0,0 +1,26 @@
+defmodule Evhlegalchat.DecisionRulesTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.DecisionRules
+
+  describe "diff/2" do
+    test "marks removed and added lines" do
+      assert DecisionRules.diff("when page = 1\n  and text contains \"a\"", "when page = 1\n  and text contains \"b\"") == [
+               {:eq, "when page = 1"},
+               {:del, "  and text contains \"a\""},
+               {:ins, "  and text contains \"b\""}
+             ]
+    end
+
+    test "treats a missing rule as empty" do
+      assert DecisionRules.diff(nil, "when page = 1") == [{:del, ""}, {:ins, "when page = 1"}]
+    end
+  end
+
+  describe "next_version/1" do
+    test "bumps the last numeric part" do
+      assert DecisionRules.next_version("1") == "2"
+      assert DecisionRules.next_version("1.9") == "1.10"
+      assert DecisionRules.next_version("v2-beta") == "v2-beta.1"
+    end
+  end
+end
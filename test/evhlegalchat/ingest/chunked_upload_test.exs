@@ -0,0 +1,100 @@
+defmodule Evhlegalchat.Ingest.ChunkedUploadTest do
+  use ExUnit.Case, async: false
+
+  alias Evhlegalchat.Ingest.ChunkedUpload
+
+  @content <<0x25, 0x50, 0x44, 0x46, 0x20, 0x31, 0x2E, 0x33, "chunked PDF content">>
+
+  setup do
+    tmp_root = Path.join(System.tmp_dir!(), "test_chunked_#{:rand.uniform(1_000_000)}")
+    Application.put_env(:evhlegalchat, ChunkedUpload, root: tmp_root, max_byte_size: 1_000, max_chunk_size: 16)
+
+    on_exit(fn ->
+      File.rm_rf(tmp_root)
+      Application.delete_env(:evhlegalchat, ChunkedUpload)
+    end)
+
+    {:ok, hash: :crypto.hash(:sha256, @content) |> Base.encode16(case: :lower)}
+  end
+
+  test "starts at offset zero and appends chunks in order", %{hash: hash} do
+    size = byte_size(@content)
+    <<first::binary-size(14), rest::binary>> = @content
+
+    assert {:ok, %{upload_id: ^hash, offset: 0, size: ^size}} = ChunkedUpload.start(hash, "deal.pdf", size)
+    assert {:ok, %{offset: 14}} = ChunkedUpload.append(hash, 0, first)
+    assert {:ok, %{offset: ^size}} = ChunkedUpload.append(hash, 14, rest)
+  end
+
+  test "resumes from the bytes already received", %{hash: hash} do
+    size = byte_size(@content)
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", size)
+    {:ok, _} = ChunkedUpload.append(hash, 0, binary_part(@content, 0, 12))
+
+    assert {:ok, %{offset: 12}} = ChunkedUpload.start(hash, "deal.pdf", size)
+    assert {:ok, %{offset: 12}} = ChunkedUpload.status(hash)
+  end
+
+  test "rejects chunks at the wrong offset", %{hash: hash} do
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", byte_size(@content))
+    {:ok, _} = ChunkedUpload.append(hash, 0, binary_part(@content, 0, 8))
+
+    assert {:error, {:offset_mismatch, 8}} = ChunkedUpload.append(hash, 0, binary_part(@content, 0, 8))
+  end
+
+  test "enforces size and chunk limits", %{hash: hash} do
+    assert {:error, :file_too_large} = ChunkedUpload.start(hash, "deal.pdf", 5_000)
+
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", byte_size(@content))
+    assert {:error, :chunk_too_large} = ChunkedUpload.append(hash, 0, @content)
+  end
+
+  test "refuses to complete an unfinished upload", %{hash: hash} do
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", byte_size(@content))
+    {:ok, _} = ChunkedUpload.append(hash, 0, binary_part(@content, 0, 4))
+
+    assert {:error, {:incomplete, 4}} = ChunkedUpload.complete(hash)
+  end
+
+  test "discards uploads whose content does not match the hash" do
+    bogus = String.duplicate("a", 64)
+    {:ok, _} = ChunkedUpload.start(bogus, "deal.pdf", 4)
+    {:ok, _} = ChunkedUpload.append(bogus, 0, "%PDF")
+
+    assert {:error, :hash_mismatch} = ChunkedUpload.complete(bogus)
+    assert {:error, :not_found} = ChunkedUpload.status(bogus)
+  end
+
+  test "accepts only one of two chunks racing for the same offset", %{hash: hash} do
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", byte_size(@content))
+    chunk = binary_part(@content, 0, 8)
+
+    results =
+      1..2
+      |> Enum.map(fn _ -> Task.async(fn -> ChunkedUpload.append(hash, 0, chunk) end) end)
+      |> Enum.map(&Task.await/1)
+
+    assert Enum.count(results, &match?({:ok, %{offset: 8}}, &1)) == 1
+    assert {:error, {:offset_mismatch, 8}} in results
+    assert {:ok, %{offset: 8}} = ChunkedUpload.status(hash)
+  end
+
+  test "sweeps uploads untouched for longer than the ttl", %{hash: hash} do
+    {:ok, _} = ChunkedUpload.start(hash, "deal.pdf", byte_size(@content))
+    fresh = String.duplicate("b", 64)
+    {:ok, _} = ChunkedUpload.start(fresh, "fresh.pdf", 4)
+
+    root = Application.get_env(:evhlegalchat, ChunkedUpload)[:root]
+    two_days_ago = System.os_time(:second) - 2 * 86_400
+    for ext <- [".part", ".json"], do: File.touch!(Path.join(root, hash <> ext), two_days_ago)
+
+    assert {:ok, [^hash]} = ChunkedUpload.sweep_abandoned(86_400)
+    assert {:error, :not_found} = ChunkedUpload.status(hash)
+    refute File.exists?(Path.join(root, hash <> ".part"))
+    assert {:ok, %{offset: 0}} = ChunkedUpload.status(fresh)
+  end
+
+  test "rejects malformed hashes" do
+    assert {:error, :invalid_hash} = ChunkedUpload.start("../../etc/passwd", "deal.pdf", 4)
+  end
+end
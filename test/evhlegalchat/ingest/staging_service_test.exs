@@ -138,6 +138,22 @@ defmodule Evhlegalchat.Ingest.StagingServiceTest do
     end
   end
 
+  describe "staged_hashes/1" do
+    test "returns only hashes that are already staged" do
+      temp_file = create_temp_file(<<0x25, 0x50, 0x44, 0x46, 0x33>>, "test.pdf")
+      {:ok, upload} = StagingService.stage_upload(temp_file.path, "test.pdf")
+      unknown = String.duplicate("a", 64)
+
+      assert StagingService.staged_hashes([upload.source_hash, unknown]) == [upload.source_hash]
+
+      File.rm!(temp_file.path)
+    end
+
+    test "ignores malformed hashes" do
+      assert StagingService.staged_hashes(["not-a-hash", nil, 42]) == []
+    end
+  end
+
   # Helper functions
 
   defp create_temp_file(content, filename) do
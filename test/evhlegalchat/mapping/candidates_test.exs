@@ -0,0 +1,60 @@
+defmodule Evhlegalchat.Mapping.CandidatesTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Mapping.Candidates
+
+  defp candidate(attrs) do
+    Map.merge(
+      %{fact_id: nil, raw: nil, normalized: nil, confidence: nil, status: :proposed, extractor: nil, extractor_version: nil, evidence_clause_id: nil, clause: nil},
+      attrs
+    )
+  end
+
+  describe "from_details/1" do
+    test "lists the first proposal and every appended one" do
+      details = %{
+        "target" => %{"table" => "agreements", "column" => "governing_law"},
+        "proposal" => %{"raw" => "State of California", "normalized" => "California", "confidence" => "0.72", "evidence_clause_id" => 4},
+        "proposals" => [
+          %{"proposal" => %{"raw" => "laws of Delaware", "normalized" => "Delaware", "confidence" => 0.8}}
+        ]
+      }
+
+      assert [first, second] = Candidates.from_details(details)
+      assert %{normalized: "California", raw: "State of California", confidence: 0.72, evidence_clause_id: 4} = first
+      assert %{normalized: "Delaware", confidence: 0.8, evidence_clause_id: nil} = second
+    end
+
+    test "is empty without a proposal" do
+      assert Candidates.from_details(nil) == []
+      assert Candidates.from_details(%{"target" => %{}}) == []
+    end
+  end
+
+  describe "resolution/2" do
+    setup do
+      %{candidates: [candidate(%{fact_id: 7, normalized: "Delaware", raw: "laws of Delaware"}), candidate(%{raw: "California"})]}
+    end
+
+    test "approves the picked candidate with its value", %{candidates: candidates} do
+      assert {:ok, :approve, %{normalized_value: "Delaware", resolution: "candidate:7"}} =
+               Candidates.resolution(candidates, %{"choice" => "0"})
+
+      assert {:ok, :approve, %{normalized_value: "California", resolution: "candidate"}} =
+               Candidates.resolution(candidates, %{"choice" => "1"})
+    end
+
+    test "approves a custom value and rejects a missing field", %{candidates: candidates} do
+      assert {:ok, :approve, %{normalized_value: "New York", resolution: "custom_value"}} =
+               Candidates.resolution(candidates, %{"choice" => "custom", "custom_value" => " New York "})
+
+      assert {:ok, :reject, %{resolution: "not_present"}} = Candidates.resolution(candidates, %{"choice" => "not_present"})
+    end
+
+    test "refuses blank custom values and unknown candidates", %{candidates: candidates} do
+      assert {:error, _} = Candidates.resolution(candidates, %{"choice" => "custom", "custom_value" => "  "})
+      assert {:error, _} = Candidates.resolution(candidates, %{"choice" => "5"})
+      assert {:error, _} = Candidates.resolution(candidates, %{"choice" => "-1"})
+      assert {:error, _} = Candidates.resolution(candidates, %{})
+    end
+  end
+end
@@ -0,0 +1,46 @@
+defmodule Evhlegalchat.Mapping.ReviewQueueTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Mapping.ReviewQueue
+
+  @now ~U[2025-10-20 12:00:00Z]
+
+  defp task(table, confidence, days_old) do
+    %{
+      details: %{"target" => %{"table" => table, "column" => "x"}, "proposal" => %{"confidence" => confidence}},
+      inserted_at: DateTime.add(@now, -days_old * 86_400, :second)
+    }
+  end
+
+  test "parses filters from params and ignores malformed values" do
+    assert %{min_confidence: 80, table: "agreements", min_age: 7} =
+             ReviewQueue.parse(%{"min_confidence" => "80", "table" => "agreements", "min_age" => "7"})
+
+    assert %{min_confidence: nil, table: nil, min_age: nil} =
+             ReviewQueue.parse(%{"min_confidence" => "150", "table" => " ", "min_age" => "week"})
+  end
+
+  test "round-trips filters through URL params" do
+    filters = %{min_confidence: 70, table: nil, min_age: 1}
+    assert ReviewQueue.to_params(filters) == [min_confidence: 70, min_age: 1]
+
+    params = Map.new(ReviewQueue.to_params(filters), fn {k, v} -> {to_string(k), to_string(v)} end)
+    assert ReviewQueue.parse(params) == filters
+  end
+
+  test "filters by confidence, table and age" do
+    high = task("agreements", "0.85", 10)
+    low = task("agreements", 0.55, 10)
+    recent = task("sow_rate_cards", "0.9", 0)
+    tasks = [high, low, recent]
+
+    assert ReviewQueue.filter(tasks, ReviewQueue.parse(%{"min_confidence" => "80"}), @now) == [high, recent]
+    assert ReviewQueue.filter(tasks, ReviewQueue.parse(%{"table" => "agreements"}), @now) == [high, low]
+    assert ReviewQueue.filter(tasks, ReviewQueue.parse(%{"min_age" => "7"}), @now) == [high, low]
+    assert ReviewQueue.filter(tasks, ReviewQueue.parse(%{}), @now) == tasks
+  end
+
+  test "lists the target tables of the queue" do
+    assert ReviewQueue.tables([task("sow_rate_cards", nil, 0), task("agreements", nil, 0), task("agreements", nil, 1)]) ==
+             ["agreements", "sow_rate_cards"]
+  end
+end
@@ -0,0 +1,34 @@
+defmodule Evhlegalchat.Mapping.ReviewTest do
+  use Evhlegalchat.DataCase, async: false
+  alias Evhlegalchat.{Repo, Agreement}
+  alias Evhlegalchat.Mapping.{Review, ReviewTask}
+
+  setup do
+    {:ok, ag} =
+      %Agreement{}
+      |> Agreement.new_changeset(%{
+        doc_type: :NDA,
+        agreement_title: "Test R",
+        source_file_name: "r.pdf",
+        source_hash: String.duplicate("r", 64),
+        ingest_timestamp: DateTime.utc_now(),
+        extractor_version: "0.0.1"
+      })
+      |> Repo.insert()
+
+    {:ok, task} =
+      %ReviewTask{}
+      |> ReviewTask.changeset(%{agreement_id: ag.id || ag.agreement_id, title: "Confirm governing_law"})
+      |> Repo.insert()
+
+    %{task: task}
+  end
+
+  test "a resolved task cannot be resolved again", %{task: task} do
+    assert {:ok, %ReviewTask{state: :resolved}} = Review.resolve_task!(task.review_task_id, :reject, %{})
+    assert {:error, :already_resolved} = Review.resolve_task!(task.review_task_id, :approve, %{})
+
+    # A stale struct from before the first resolution is re-read too
+    assert {:error, :already_resolved} = Review.resolve_task!(task, :reject, %{})
+  end
+end
@@ -0,0 +1,67 @@
+defmodule Evhlegalchat.ObligationsTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Obligations
+
+  defp agreement(attrs) do
+    Map.merge(
+      %{
+        id: 1,
+        agreement_title: "Mutual NDA",
+        effective_date: ~D[2025-01-15],
+        term_length_months: 12,
+        survival_period_months: nil,
+        transaction_context: %{}
+      },
+      attrs
+    )
+  end
+
+  test "marks the effective month and the term expiry" do
+    heatmap = Obligations.heatmap([agreement(%{effective_date: ~D[2025-01-15], term_length_months: 6})], [], [], 2025)
+
+    assert heatmap.entities == ["Mutual NDA"]
+    assert length(heatmap.months) == 12
+    assert [%{month: 0, status: 1, count: 1}, %{month: 6, status: 3, count: 1}] = heatmap.cells
+  end
+
+  test "groups agreements by transaction_context entity" do
+    agreements = [
+      agreement(%{id: 1, transaction_context: %{"entity" => "EVH Corp"}}),
+      agreement(%{id: 2, agreement_title: "SOW 7", transaction_context: %{"entity" => "EVH Corp"}})
+    ]
+
+    heatmap = Obligations.heatmap(agreements, [], [], 2025)
+
+    assert heatmap.entities == ["EVH Corp"]
+    assert [%{month: 0, entity: 0, count: 2}] = heatmap.cells
+  end
+
+  test "milestones count as urgent and raise the cell status" do
+    milestones = [%{agreement_id: 1, target_date: ~D[2025-01-31], title: "Kickoff"}]
+
+    heatmap = Obligations.heatmap([agreement(%{})], milestones, [], 2025)
+
+    assert [%{month: 0, status: 2, count: 2, items: items}] = heatmap.cells
+    assert "Milestone: Kickoff" in items
+  end
+
+  test "expands calendar invoicing terms across the agreement term" do
+    terms = [%{agreement_id: 1, billing_trigger: :calendar, frequency: "Quarterly"}]
+
+    heatmap = Obligations.heatmap([agreement(%{effective_date: ~D[2025-01-31]})], [], terms, 2025)
+
+    assert heatmap.cells |> Enum.map(& &1.month) == [0, 3, 6, 9]
+  end
+
+  test "clamps month arithmetic to the end of shorter months" do
+    heatmap = Obligations.heatmap([agreement(%{effective_date: ~D[2024-08-31], term_length_months: 6})], [], [], 2025)
+
+    assert [%{month: 1, items: ["Mutual NDA term expires"]}] = heatmap.cells
+  end
+
+  test "ignores obligations outside the requested year" do
+    heatmap = Obligations.heatmap([agreement(%{})], [], [], 2030)
+
+    assert heatmap.cells == []
+  end
+end
@@ -0,0 +1,95 @@
+defmodule Evhlegalchat.PipelineTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Pipeline
+  alias Evhlegalchat.Ingest.StagingUpload
+
+  defp job(attrs) do
+    struct(
+      Oban.Job,
+      Map.merge(%{id: 1, state: "completed", attempt: 1, max_attempts: 10, args: %{}, errors: []}, attrs)
+    )
+  end
+
+  defp upload(attrs \\ %{}) do
+    struct(
+      StagingUpload,
+      Map.merge(%{staging_upload_id: 7, source_hash: String.duplicate("a", 64), original_filename: "nda.pdf", byte_size: 1024, status: :extracted}, attrs)
+    )
+  end
+
+  describe "build_rows/3" do
+    test "maps jobs by upload and promoted agreement onto stages" do
+      jobs = [
+        job(%{id: 1, worker: "Evhlegalchat.Ingest.ExtractWorker", args: %{"staging_upload_id" => 7}}),
+        job(%{id: 2, worker: "Evhlegalchat.Ingest.SegmentWorker", args: %{"staging_upload_id" => 7}}),
+        job(%{id: 3, worker: "Evhlegalchat.Promotion.PromoteWorker", args: %{"staging_upload_id" => 7}}),
+        job(%{id: 4, worker: "Evhlegalchat.Enrich.EnrichWorker", args: %{"agreement_id" => 3}, state: "executing"}),
+        job(%{id: 5, worker: "Evhlegalchat.Ingest.ExtractWorker", args: %{"staging_upload_id" => 8}, state: "discarded"})
+      ]
+
+      [row] = Pipeline.build_rows([upload()], jobs, %{String.duplicate("a", 64) => 3})
+
+      assert %{staging_upload_id: 7, agreement_id: 3, filename: "nda.pdf", hash: "aaaaaaaa"} = row
+
+      assert [
+               %{stage: "extract", state: "completed", job_id: 1},
+               %{stage: "segment", state: "completed"},
+               %{stage: "promote", state: "completed"},
+               %{stage: "enrich", state: "running", job_id: 4},
+               %{stage: "map", state: "pending"}
+             ] = row.stages
+    end
+
+    test "uses the latest job of a stage and reports its last error" do
+      jobs = [
+        job(%{id: 1, worker: "Evhlegalchat.Ingest.ExtractWorker", args: %{"staging_upload_id" => 7}, state: "discarded"}),
+        job(%{
+          id: 2,
+          worker: "Evhlegalchat.Ingest.ExtractWorker",
+          args: %{"staging_upload_id" => 7},
+          state: "retryable",
+          errors: [%{"attempt" => 1, "error" => "** (RuntimeError) pdftotext failed\n    stacktrace"}]
+        })
+      ]
+
+      [%{stages: [extract | _]}] = Pipeline.build_rows([upload()], jobs, %{})
+
+      assert %{state: "retrying", job_id: 2, error: "** (RuntimeError) pdftotext failed"} = extract
+    end
+  end
+
+  describe "job_state/1" do
+    test "distinguishes first runs from retries" do
+      assert Pipeline.job_state(%{state: "available", attempt: 0}) == "queued"
+      assert Pipeline.job_state(%{state: "scheduled", attempt: 2}) == "retrying"
+      assert Pipeline.job_state(%{state: "cancelled", attempt: 1}) == "failed"
+    end
+  end
+
+  describe "telemetry_stage_view/4" do
+    test "reports retries until the last attempt" do
+      retrying = Pipeline.telemetry_stage_view(:exception, "extract", job(%{attempt: 3}), %{state: :failure, reason: %RuntimeError{message: "boom"}})
+      failed = Pipeline.telemetry_stage_view(:exception, "extract", job(%{attempt: 10}), %{state: :failure, reason: "boom"})
+
+      assert %{state: "retrying", error: "boom"} = retrying
+      assert %{state: "failed"} = failed
+    end
+  end
+
+  describe "attach_telemetry/0" do
+    test "can be called again once the handler is attached" do
+      assert :ok = Pipeline.attach_telemetry()
+      assert :ok = Pipeline.attach_telemetry()
+    end
+  end
+
+  describe "handle_telemetry_event/4" do
+    test "broadcasts upload-keyed jobs directly" do
+      :ok = Pipeline.subscribe()
+      job = job(%{worker: "Evhlegalchat.Ingest.ExtractWorker", args: %{"staging_upload_id" => 7}})
+
+      assert :ok = Pipeline.handle_telemetry_event([:oban, :job, :start], %{}, %{job: job}, nil)
+      assert_receive {:pipeline_job, 7, %{stage: "extract", state: "running"}}
+    end
+  end
+end
@@ -0,0 +1,67 @@
+defmodule Evhlegalchat.ProvenanceTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Provenance
+
+  defp fact(attrs) do
+    Map.merge(
+      %{
+        fact_id: 1,
+        target_table: "agreements",
+        target_column: "governing_law",
+        raw_value: "laws of the State of Delaware",
+        normalized_value: "Delaware",
+        confidence: Decimal.new("0.91"),
+        evidence_clause_id: nil,
+        evidence_start_char: nil,
+        evidence_end_char: nil,
+        evidence_start_page: nil,
+        evidence_end_page: nil
+      },
+      attrs
+    )
+  end
+
+  describe "fact_spans/2" do
+    test "uses the fact's own character span" do
+      [span] = Provenance.fact_spans([fact(%{evidence_start_char: 120, evidence_end_char: 151, evidence_start_page: 2})])
+
+      assert %{id: "fact:1", label: "agreements.governing_law", value: "Delaware", start: 120, end: 151, page_start: 2, page_end: 2} = span
+    end
+
+    test "falls back to the evidence clause bounds" do
+      bounds = %{7 => %{start_char: 400, end_char: 900, start_page: 3, end_page: 4}}
+
+      [span] = Provenance.fact_spans([fact(%{evidence_clause_id: 7})], bounds)
+
+      assert %{start: 400, end: 900, page_start: 3, page_end: 4} = span
+    end
+
+    test "drops facts without any location" do
+      assert Provenance.fact_spans([fact(%{})]) == []
+    end
+
+    test "orders spans by position" do
+      facts = [fact(%{fact_id: 2, evidence_start_char: 50, evidence_end_char: 60}), fact(%{fact_id: 3, evidence_start_char: 10, evidence_end_char: 20})]
+
+      assert ["fact:3", "fact:2"] = facts |> Provenance.fact_spans() |> Enum.map(& &1.id)
+    end
+  end
+
+  describe "clause_text/2" do
+    test "includes the character at end_char" do
+      assert Provenance.clause_text("1. Term. Two years.", %{start_char: 3, end_char: 7}) == "Term."
+    end
+
+    test "falls back to the snippet without text" do
+      assert Provenance.clause_text(nil, %{text_snippet: "Term."}) == "Term."
+    end
+  end
+
+  describe "page_ranges/1" do
+    test "accumulates character offsets across pages" do
+      pages = [%{"page" => 1, "char_count" => 100}, %{"page" => 2, "text" => "abc"}]
+
+      assert [%{page: 1, start: 0, end: 100}, %{page: 2, start: 100, end: 103}] = Provenance.page_ranges(pages)
+    end
+  end
+end
@@ -124,4 +124,28 @@ defmodule Evhlegalchat.Segmentation.AnchorsTest do
       assert Anchors.total_page_count(pages) == 2
     end
   end
+
+  describe "cross_references/1" do
+    test "resolves references to the nearest existing clause" do
+      clauses = [
+        %{clause_id: 1, number_label_normalized: "1", text: "Subject to Section 3.2(a) and § 7."},
+        %{clause_id: 2, number_label_normalized: "3", text: "See clause 1 and Clause 3."},
+        %{clause_id: 3, number_label_normalized: "3.2", text: nil}
+      ]
+
+      assert [
+               %{from: 1, to: 3, label: "Section 3.2(a)", offset: 11},
+               %{from: 2, to: 1, label: "clause 1"}
+             ] = Anchors.cross_references(clauses)
+    end
+
+    test "reports offsets in characters rather than bytes" do
+      clauses = [
+        %{clause_id: 1, number_label_normalized: "1", text: "Régie par la Section 2."},
+        %{clause_id: 2, number_label_normalized: "2", text: nil}
+      ]
+
+      assert [%{from: 1, to: 2, offset: 13}] = Anchors.cross_references(clauses)
+    end
+  end
 end
@@ -0,0 +1,100 @@
+defmodule Evhlegalchat.Segmentation.CorrectionsTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Segmentation.Corrections
+
+  defp clause(id, label, heading, start_char, end_char) do
+    %{
+      id: id,
+      number_label: label,
+      heading_text: heading,
+      start_char: start_char,
+      end_char: end_char,
+      start_page: 1,
+      end_page: 1,
+      detected_style: "numbered_decimal",
+      confidence_boundary: 0.9,
+      text_snippet: "#{label} #{heading}"
+    }
+  end
+
+  describe "cast/2" do
+    test "accepts ordered, non-overlapping clauses and blanks empty fields" do
+      params = [
+        %{"start_char" => 0, "end_char" => 99, "number_label" => " 1 ", "heading_text" => "", "source_ids" => [4]},
+        %{"start_char" => 100, "end_char" => 199}
+      ]
+
+      assert {:ok, [first, second]} = Corrections.cast(params, 200)
+      assert %{number_label: "1", heading_text: nil, source_ids: [4]} = first
+      assert %{start_char: 100, end_char: 199, number_label: nil, source_ids: []} = second
+    end
+
+    test "rejects overlaps, reversed spans and offsets past the text" do
+      assert {:error, {:invalid, "Clause 2: overlaps the previous clause"}} =
+               Corrections.cast([%{"start_char" => 0, "end_char" => 50}, %{"start_char" => 50, "end_char" => 60}], 100)
+
+      assert {:error, {:invalid, "Clause 1: ends before it starts"}} =
+               Corrections.cast([%{"start_char" => 10, "end_char" => 5}], 100)
+
+      assert {:error, {:invalid, "Clause 1: lies outside the document"}} =
+               Corrections.cast([%{"start_char" => 0, "end_char" => 100}], 100)
+
+      assert {:error, {:invalid, _}} = Corrections.cast([], 100)
+    end
+  end
+
+  describe "build/4" do
+    test "keeps unchanged clauses and re-derives split ones" do
+      original = [clause(1, "1", "Definitions", 0, 199)]
+      pages = [%{page: 1, start: 0, end: 150}, %{page: 2, start: 150, end: 300}]
+      text = String.duplicate("a", 120) <> "2. Term " <> String.duplicate("b", 72)
+
+      {:ok, corrected} =
+        Corrections.cast(
+          [
+            %{"start_char" => 0, "end_char" => 119, "number_label" => "1", "heading_text" => "Definitions", "source_ids" => [1]},
+            %{"start_char" => 120, "end_char" => 199, "number_label" => "2.", "source_ids" => [1]}
+          ],
+          200
+        )
+
+      assert [first, second] = Corrections.build(corrected, original, pages, text)
+      assert %{ordinal: 1, detected_style: "numbered_decimal", confidence_boundary: 1.0, start_page: 1, end_page: 1} = first
+      assert %{ordinal: 2, number_label_normalized: "2", detected_style: "numbered_decimal", start_page: 1, end_page: 2} = second
+      assert second.text_snippet =~ "2. Term"
+    end
+  end
+
+  describe "annotate/1" do
+    test "attaches anomalies to the clause they point at" do
+      clauses = [clause(1, "1", "Definitions", 0, 99), clause(2, "3", "Term", 100, 199)]
+
+      assert %{clauses: [first, second], anomalies: []} = Corrections.annotate(clauses)
+      assert first.anomalies == []
+      assert [%{type: :skipped_number, severity: :low}] = second.anomalies
+    end
+  end
+
+  describe "colliding_evidence/2" do
+    test "folds a fact cited by two merged clauses into one" do
+      rows = [{10, ["nda", 1, "term_months", "24"], 1}, {11, ["nda", 1, "term_months", "24"], 2}, {12, ["nda", 1, "governing_law", "NY"], 2}]
+
+      assert Corrections.colliding_evidence(rows, 5) == [{11, 10}]
+    end
+
+    test "keeps the row already citing the target clause and ignores nil keys" do
+      rows = [{10, ["Acme"], 1}, {11, ["Acme"], 5}, {12, nil, 1}, {13, nil, 2}]
+
+      assert Corrections.colliding_evidence(rows, 5) == [{10, 11}]
+    end
+  end
+
+  describe "remap/2" do
+    test "points old clauses at the new clause overlapping them most" do
+      old = [clause(1, "1", "A", 0, 99), clause(2, "2", "B", 100, 199), clause(3, "3", "C", 200, 299)]
+      new = [%{id: 10, start_char: 0, end_char: 179}, %{id: 11, start_char: 180, end_char: 299}]
+
+      assert Corrections.remap(old, new) == %{1 => 10, 2 => 10, 3 => 11}
+    end
+  end
+end
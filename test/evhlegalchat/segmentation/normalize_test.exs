@@ -0,0 +1,27 @@
+defmodule Evhlegalchat.Segmentation.NormalizeTest do
+  use ExUnit.Case, async: true
+
+  alias Evhlegalchat.Segmentation.Normalize
+
+  describe "extract_numeric_value/1" do
+    test "converts decimal labels without raising" do
+      assert_in_delta Normalize.extract_numeric_value("2.3"), 2.3, 1.0e-9
+      assert_in_delta Normalize.extract_numeric_value("3.2.1"), 3.21, 1.0e-9
+      assert_in_delta Normalize.extract_numeric_value("7"), 7.0, 1.0e-9
+    end
+
+    test "converts roman and alpha labels" do
+      assert Normalize.extract_numeric_value("IV") == 4
+      assert Normalize.extract_numeric_value("b") == 2
+      assert Normalize.extract_numeric_value("aa") == 27
+    end
+  end
+
+  describe "compare_number_labels/2" do
+    test "orders decimal labels" do
+      assert Normalize.compare_number_labels("2.1", "2.3") == :lt
+      assert Normalize.compare_number_labels("3", "2.3") == :gt
+      assert Normalize.compare_number_labels("2.3", "2.3") == :eq
+    end
+  end
+end
@@ -0,0 +1,94 @@
+defmodule Evhlegalchat.SOW.RateComparisonTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.SOW.RateComparison
+
+  @config [
+    base_currency: "USD",
+    exchange_rates: %{"USD" => 1.0, "EUR" => 1.1},
+    outlier_threshold: 0.25,
+    today: ~D[2025-06-01]
+  ]
+
+  defp card(id, agreement_id, role, rate, currency \\ "USD") do
+    %{
+      rate_card_id: id,
+      agreement_id: agreement_id,
+      agreement_title: "SOW #{agreement_id}",
+      role: role,
+      hourly_rate: Decimal.new(rate),
+      currency: currency,
+      effective_start: ~D[2025-01-01],
+      effective_end: nil
+    }
+  end
+
+  describe "build/3" do
+    test "normalizes rates into the base currency" do
+      %{rates: [usd, eur]} = RateComparison.build([card(1, 1, "Engineer", "100"), card(2, 2, "engineer ", "100", "eur")], [], @config)
+
+      assert %{normalized_rate: 100.0, currency: "USD", role_key: "engineer"} = usd
+      assert %{normalized_rate: 110.0, currency: "EUR", hourly_rate: "100", role_key: "engineer"} = eur
+    end
+
+    test "flags rates far from the role median" do
+      cards = [card(1, 1, "PM", "100"), card(2, 2, "PM", "110"), card(3, 3, "PM", "200"), card(4, 4, "PM", "40")]
+
+      %{rates: rates, roles: [role]} = RateComparison.build(cards, [], @config)
+
+      assert role == %{key: "pm", role: "PM", median: 105.0, count: 4}
+      assert Enum.map(rates, & &1.outlier) == [nil, nil, "high", "low"]
+    end
+
+    test "needs three rates per role before flagging outliers" do
+      %{rates: rates} = RateComparison.build([card(1, 1, "PM", "100"), card(2, 2, "PM", "300")], [], @config)
+
+      assert Enum.all?(rates, &is_nil(&1.outlier))
+    end
+
+    test "compares each rate only with rates in force during its period" do
+      old = for id <- 1..3, do: %{card(id, id, "PM", "50") | effective_start: ~D[2020-01-01], effective_end: ~D[2020-12-31]}
+      current = for id <- 4..6, do: card(id, id, "PM", "100")
+
+      %{rates: rates, roles: [role]} = RateComparison.build(old ++ current, [], @config)
+
+      assert %{median: 100.0, count: 6} = role
+      assert Enum.map(rates, & &1.median) == [50.0, 50.0, 50.0, 100.0, 100.0, 100.0]
+      assert Enum.all?(rates, &is_nil(&1.outlier))
+    end
+
+    test "keeps currencies without a configured rate unnormalized" do
+      %{rates: [rate], unconverted_currencies: ["JPY"], roles: [%{median: nil, count: 0}]} =
+        RateComparison.build([card(1, 1, "PM", "9000", "JPY")], [], @config)
+
+      assert %{normalized_rate: nil, deviation: nil, outlier: nil} = rate
+    end
+  end
+
+  describe "to_csv/1" do
+    test "writes a header and escapes fields" do
+      csv =
+        [%{card(1, 1, "Lead, Design", "120") | agreement_title: ~s(Acme "Phase 2")}]
+        |> RateComparison.build([], @config)
+        |> RateComparison.to_csv()
+
+      assert [header, line, ""] = String.split(csv, "\r\n")
+      assert header =~ "agreement_id,agreement_title,role,hourly_rate"
+      assert line == ~s(1,"Acme ""Phase 2""","Lead, Design",120,USD,120.0,USD,2025-01-01,,120.0,0.0,)
+    end
+
+    test "neutralizes cells a spreadsheet would run as formulas" do
+      cards = [
+        %{card(1, 1, "@SUM(A1:A9)", "100") | agreement_title: ~s(=HYPERLINK("http://x","y"))},
+        card(2, 2, "-2+3", "100"),
+        card(3, 3, "\tLead", "200")
+      ]
+
+      csv = cards |> RateComparison.build([], @config) |> RateComparison.to_csv()
+      [_header, first, second, third, ""] = String.split(csv, "\r\n")
+
+      assert first =~ ~s(1,"'=HYPERLINK(""http://x"",""y"")",'@SUM(A1:A9),)
+      assert second =~ "2,SOW 2,'-2+3,"
+      assert third =~ "3,SOW 3,'\tLead,"
+    end
+  end
+end
@@ -0,0 +1,51 @@
+defmodule Evhlegalchat.SOW.TimelineTest do
+  use ExUnit.Case, async: true
+  alias Evhlegalchat.Agreement
+  alias Evhlegalchat.SOW.Timeline
+
+  @today ~D[2025-06-01]
+
+  defp sow(id, status \\ :executed) do
+    %Agreement{id: id, agreement_title: "SOW #{id}", doc_type: :SOW, status: status, effective_date: ~D[2025-01-01]}
+  end
+
+  defp milestone(id, agreement_id, target_date, depends_on \\ nil) do
+    %{milestone_id: id, agreement_id: agreement_id, title: "M#{id}", target_date: target_date, depends_on: depends_on}
+  end
+
+  describe "build/3" do
+    test "starts bars at the dependency's target date or the SOW's effective date" do
+      milestones = [milestone(2, 1, ~D[2025-05-01], 1), milestone(1, 1, ~D[2025-03-01])]
+
+      assert %{milestones: [%{id: 1, start_date: ~D[2025-01-01]}, %{id: 2, start_date: ~D[2025-03-01], depends_on: 1}]} =
+               Timeline.build([sow(1)], milestones, @today)
+    end
+
+    test "marks past milestones of open SOWs as overdue" do
+      milestones = [milestone(1, 1, ~D[2025-05-01]), milestone(2, 1, ~D[2025-07-01]), milestone(3, 2, ~D[2025-05-01])]
+
+      assert %{milestones: [%{id: 1, overdue: true}, %{id: 2, overdue: false}, %{id: 3, overdue: false}]} =
+               Timeline.build([sow(1), sow(2, :terminated)], milestones, @today)
+    end
+
+    test "follows the dependency chain of the latest milestone as the critical path" do
+      milestones = [
+        milestone(1, 1, ~D[2025-02-01]),
+        milestone(2, 1, ~D[2025-03-01], 1),
+        milestone(3, 1, ~D[2025-08-01], 2),
+        milestone(4, 1, ~D[2025-04-01], 1)
+      ]
+
+      %{milestones: items} = Timeline.build([sow(1)], milestones, @today)
+
+      assert items |> Enum.filter(& &1.critical) |> Enum.map(& &1.id) == [1, 2, 3]
+    end
+
+    test "survives dependency cycles and skips undated milestones" do
+      milestones = [milestone(1, 1, ~D[2025-02-01], 2), milestone(2, 1, ~D[2025-03-01], 1), milestone(3, 1, nil)]
+
+      assert %{milestones: [%{id: 1, critical: true}, %{id: 2, critical: true}], undated_count: 1} =
+               Timeline.build([sow(1)], milestones, @today)
+    end
+  end
+end
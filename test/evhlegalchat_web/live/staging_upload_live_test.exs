@@ -0,0 +1,51 @@
+defmodule EvhlegalchatWeb.StagingUploadLiveTest do
+  use EvhlegalchatWeb.ConnCase, async: false
+
+  import Phoenix.LiveViewTest
+  alias Evhlegalchat.Ingest.StagingService
+
+  setup do
+    tmp_storage = Path.join(System.tmp_dir!(), "test_storage_#{:rand.uniform(1_000_000)}")
+    File.mkdir_p!(tmp_storage)
+
+    Application.put_env(:evhlegalchat, Evhlegalchat.Storage.Local, root: tmp_storage)
+
+    on_exit(fn ->
+      File.rm_rf(tmp_storage)
+      Application.delete_env(:evhlegalchat, Evhlegalchat.Storage.Local)
+    end)
+
+    :ok
+  end
+
+  describe "uploading several files at once" do
+    test "stages every entry of the batch", %{conn: conn} do
+      {:ok, view, _html} = live(conn, ~p"/staging/uploads")
+
+      first = <<0x25, 0x50, 0x44, 0x46, 0x20, 0x31, 0x2E, 0x33, "first agreement">>
+      second = <<0x25, 0x50, 0x44, 0x46, 0x20, 0x31, 0x2E, 0x33, "second agreement">>
+
+      input =
+        file_input(view, "form", :docs, [
+          %{name: "first.pdf", content: first, type: "application/pdf"},
+          %{name: "second.pdf", content: second, type: "application/pdf"}
+        ])
+
+      # The first entry is consumed while the second is still pending
+      render_upload(input, "first.pdf")
+      render_upload(input, "second.pdf")
+
+      assert_push_event(view, "upload:staged", %{filename: "first.pdf", hash: first_hash})
+      assert_push_event(view, "upload:staged", %{filename: "second.pdf", hash: second_hash})
+
+      assert first_hash == sha256(first)
+      assert second_hash == sha256(second)
+
+      assert StagingService.list_staging_uploads()
+             |> Enum.map(& &1.original_filename)
+             |> Enum.sort() == ["first.pdf", "second.pdf"]
+    end
+  end
+
+  defp sha256(content), do: :crypto.hash(:sha256, content) |> Base.encode16(case: :lower)
+end